@@ -1,15 +1,21 @@
 // admin.controller.js
 
+import mongoose from 'mongoose';
 import User from '../models/user.model.js';
 import Course from '../models/course.model.js';
 import Lesson from '../models/lesson.model.js';
+import Section from '../models/section.model.js';
+import Batch from '../models/batch.model.js';
 import Category from '../models/category.model.js';
 import Review from '../models/review.model.js';
 import Enrollment from '../models/enrollment.model.js';
 import Order from '../models/order.model.js';
 import QuizScore from '../models/quizScore.model.js';
 import asyncHandler from 'express-async-handler';
-import { sendCoursePurchaseConfirmation } from '../services/email.service.js';
+import { fulfillCourseOrder, revokeCourseOrder } from '../services/order.service.js';
+import { notifyWaitlist } from '../services/waitlist.service.js';
+import { reverseCommission } from '../services/referral.service.js';
+import { syncInstructorEarnings } from '../services/instructorEarning.service.js';
 
 // =================================================================
 // USER MANAGEMENT
@@ -220,6 +226,9 @@ export const updateCourseAdmin = asyncHandler(async (req, res) => {
             updateData[key] = value;
         }
     });
+    // Waivers and the revenue share have their own endpoints
+    delete updateData.prerequisiteWaivers;
+    delete updateData.revenueSharePercent;
 
     const updatedCourse = await Course.findByIdAndUpdate(
         req.params.id,
@@ -246,8 +255,10 @@ export const deleteCourseAdmin = asyncHandler(async (req, res) => {
         throw new Error('Course not found');
     }
 
-    // Delete associated lessons
+    // Delete associated lessons, sections and batches
     await Lesson.deleteMany({ course: req.params.id });
+    await Section.deleteMany({ course: req.params.id });
+    await Batch.deleteMany({ course: req.params.id });
 
     // Delete associated enrollments
     await Enrollment.deleteMany({ course: req.params.id });
@@ -266,6 +277,98 @@ export const deleteCourseAdmin = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc    List students allowed to buy a course without its prerequisite courses
+ * @route   GET /api/admin/courses/:id/prerequisite-waivers
+ * @access  Private/Admin
+ */
+export const getPrerequisiteWaivers = asyncHandler(async (req, res) => {
+    const course = await Course.findById(req.params.id)
+        .select('+prerequisiteWaivers')
+        .populate('prerequisiteCourses', 'title slug')
+        .populate('prerequisiteWaivers.user', 'name email')
+        .populate('prerequisiteWaivers.grantedBy', 'name');
+    if (!course) {
+        res.status(404);
+        throw new Error('Course not found');
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            prerequisiteCourses: course.prerequisiteCourses,
+            waivers: course.prerequisiteWaivers
+        }
+    });
+});
+
+/**
+ * @desc    Let a student buy a course without completing its prerequisite courses
+ * @route   POST /api/admin/courses/:id/prerequisite-waivers
+ * @access  Private/Admin
+ * @body    { userId, note? }
+ */
+export const grantPrerequisiteWaiver = asyncHandler(async (req, res) => {
+    const { userId, note } = req.body;
+    if (!userId || !mongoose.isValidObjectId(userId)) {
+        res.status(400);
+        throw new Error('Valid user ID is required');
+    }
+
+    const [course, user] = await Promise.all([
+        Course.findById(req.params.id).select('_id'),
+        User.findById(userId).select('_id')
+    ]);
+    if (!course || !user) {
+        res.status(404);
+        throw new Error(!course ? 'Course not found' : 'User not found');
+    }
+
+    // Replace any earlier waiver for the same student
+    await Course.updateOne({ _id: course._id }, { $pull: { prerequisiteWaivers: { user: user._id } } });
+    await Course.updateOne({ _id: course._id }, {
+        $push: {
+            prerequisiteWaivers: {
+                user: user._id,
+                grantedBy: req.user._id,
+                grantedAt: new Date(),
+                note: note ? String(note).trim().slice(0, 500) : ''
+            }
+        }
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Prerequisites waived for this student'
+    });
+});
+
+/**
+ * @desc    Remove a student's prerequisite waiver
+ * @route   DELETE /api/admin/courses/:id/prerequisite-waivers/:userId
+ * @access  Private/Admin
+ */
+export const revokePrerequisiteWaiver = asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+        res.status(400);
+        throw new Error('Invalid user ID');
+    }
+
+    const result = await Course.updateOne(
+        { _id: req.params.id },
+        { $pull: { prerequisiteWaivers: { user: req.params.userId } } }
+    );
+    if (result.matchedCount === 0) {
+        res.status(404);
+        throw new Error('Course not found');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Prerequisite waiver removed'
+    });
+});
+
 // =================================================================
 // LESSON MANAGEMENT
 // =================================================================
@@ -694,6 +797,11 @@ export const deleteEnrollmentAdmin = asyncHandler(async (req, res) => {
 
     await enrollment.deleteOne();
 
+    // The freed batch seat goes to the waitlist
+    if (enrollment.batch) {
+        notifyWaitlist(enrollment.course);
+    }
+
     res.status(200).json({
         success: true,
         message: 'Enrollment deleted successfully'
@@ -790,8 +898,15 @@ export const updateOrderAdmin = asyncHandler(async (req, res) => {
         throw new Error('Order not found');
     }
 
+    // Refunds go through the refund endpoint, which records the amount and takes back access
+    if (['refunded', 'partially_refunded'].includes(paymentStatus)) {
+        res.status(400);
+        throw new Error('Use the refund endpoint to refund an order');
+    }
+
     // Store the previous payment status to check if it changed to 'paid'
     const previousStatus = order.paymentStatus;
+    const hadAccess = ['paid', 'partially_refunded'].includes(previousStatus);
 
     // Update fields if provided
     if (paymentMethod) order.paymentMethod = paymentMethod;
@@ -800,41 +915,23 @@ export const updateOrderAdmin = asyncHandler(async (req, res) => {
     if (amount !== undefined) order.amount = amount;
     if (paymentStatus) order.paymentStatus = paymentStatus;
 
+    // Save first so the invoice generated for the email sees the new status
+    const updatedOrder = await order.save();
+
     // === CRITICAL LOGIC: Create enrollment if payment status changed to 'paid' ===
     if (paymentStatus === 'paid' && previousStatus !== 'paid') {
-        // Ensure enrollment doesn't already exist before creating
-        const isEnrolled = await Enrollment.findOne({ student: order.user, course: order.course });
-        if (!isEnrolled) {
-            await Enrollment.create({
-                student: order.user,
-                course: order.course
-            });
-        }
-        
-        // Send confirmation email (async, don't block response)
-        try {
-            const populatedOrder = await Order.findById(order._id)
-                .populate('user', 'name email')
-                .populate('course', 'title slug groupLink');
-            
-            if (populatedOrder && populatedOrder.user && populatedOrder.user.email && populatedOrder.course) {
-                await sendCoursePurchaseConfirmation({
-                    email: populatedOrder.user.email,
-                    name: populatedOrder.user.name,
-                    courseTitle: populatedOrder.course.title,
-                    courseSlug: populatedOrder.course.slug,
-                    amount: order.amount,
-                    orderId: order._id.toString(),
-                    groupLink: populatedOrder.course.groupLink || '',
-                });
-            }
-        } catch (emailError) {
-            console.error('Error sending course purchase confirmation email:', emailError);
-            // Don't fail the request if email fails
-        }
+        await fulfillCourseOrder(order);
+    } else if (hadAccess && !['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+        // No longer paid: take back what the order granted, as a refund would
+        await revokeCourseOrder(order, `Order marked as ${order.paymentStatus}`);
+        await syncInstructorEarnings(order, 'Order', `Order marked as ${order.paymentStatus}`);
+        await reverseCommission(order, 'Order', `Order marked as ${order.paymentStatus}`);
     }
 
-    const updatedOrder = await order.save();
+    // A rejected order releases the batch seat it was holding
+    if (order.batch && previousStatus === 'pending' && order.paymentStatus !== 'pending' && order.paymentStatus !== 'paid') {
+        notifyWaitlist(order.course);
+    }
 
     res.status(200).json({
         success: true,
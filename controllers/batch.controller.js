@@ -0,0 +1,178 @@
+// batch.controller.js
+import asyncHandler from "express-async-handler";
+import Batch from "../models/batch.model.js";
+import Course from "../models/course.model.js";
+import Enrollment from "../models/enrollment.model.js";
+import Order from "../models/order.model.js";
+import LearningPath from "../models/learningPath.model.js";
+import Bundle from "../models/bundle.model.js";
+import Organization from "../models/organization.model.js";
+import { sanitizeString, sanitizeUrl, sanitizeNumber, validateObjectId } from "../utils/validation.js";
+import { countBatchSeats, getBatchAvailability } from "../services/batch.service.js";
+import { notifyWaitlist } from "../services/waitlist.service.js";
+
+// --- Helper: load the course and make sure the user may manage its batches ---
+const getEditableCourse = async (req, res) => {
+  const { courseId } = req.params;
+  if (!validateObjectId(courseId)) {
+    res.status(400);
+    throw new Error("Invalid course ID");
+  }
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    res.status(404);
+    throw new Error("Course not found");
+  }
+  if (course.instructor.toString() !== req.user.id && req.user.role !== "admin") {
+    res.status(403);
+    throw new Error("Not authorized to manage batches of this course");
+  }
+  return course;
+};
+
+// --- Helper: find a batch of the course ---
+const getCourseBatch = async (req, res) => {
+  const batch = validateObjectId(req.params.batchId)
+    ? await Batch.findOne({ _id: req.params.batchId, course: req.params.courseId })
+    : null;
+  if (!batch) {
+    res.status(404);
+    throw new Error("Batch not found");
+  }
+  return batch;
+};
+
+// --- Helper: copy the editable fields from the request body onto a batch ---
+const applyBatchFields = (batch, body, res) => {
+  if (body.name !== undefined) {
+    batch.name = sanitizeString(String(body.name), 100);
+  }
+  for (const field of ["startDate", "endDate", "enrollmentDeadline"]) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === "") {
+      batch[field] = undefined;
+      continue;
+    }
+    const date = new Date(body[field]);
+    if (Number.isNaN(date.getTime())) {
+      res.status(400);
+      throw new Error(`Invalid ${field}`);
+    }
+    batch[field] = date;
+  }
+  if (body.capacity !== undefined) {
+    // 0 or empty means unlimited seats
+    const capacity = sanitizeNumber(body.capacity, 0, 100000, 0);
+    batch.capacity = capacity > 0 ? Math.floor(capacity) : undefined;
+  }
+  if (body.groupLink !== undefined) {
+    batch.groupLink = sanitizeUrl(String(body.groupLink || ""));
+  }
+  if (body.isOpen !== undefined) {
+    batch.isOpen = body.isOpen === true || body.isOpen === "true";
+  }
+
+  if (!batch.name || !batch.startDate) {
+    res.status(400);
+    throw new Error("Batch name and start date are required");
+  }
+  if (batch.endDate && batch.endDate < batch.startDate) {
+    res.status(400);
+    throw new Error("End date must be after the start date");
+  }
+};
+
+/**
+ * @desc    Get the batches of a course with their seat availability
+ * @route   GET /api/courses/:courseId/batches
+ * @access  Public
+ */
+export const getBatchesForCourse = asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  if (!validateObjectId(courseId)) {
+    res.status(400);
+    throw new Error("Invalid course ID");
+  }
+
+  const batches = await Batch.find({ course: courseId }).sort({ startDate: 1 }).lean();
+  const data = await Promise.all(batches.map(async (batch) => ({
+    ...batch,
+    ...getBatchAvailability(batch, await countBatchSeats(batch._id)),
+  })));
+
+  res.status(200).json({ success: true, count: data.length, data });
+});
+
+/**
+ * @desc    Create a batch for a course
+ * @route   POST /api/courses/:courseId/batches
+ * @access  Private/Instructor or Private/Admin
+ */
+export const createBatch = asyncHandler(async (req, res) => {
+  const course = await getEditableCourse(req, res);
+
+  // Learning paths, bundles and organization seats enroll without a batch choice
+  const [inPath, inBundle, hasSeats] = await Promise.all([
+    LearningPath.exists({ courses: course._id }),
+    Bundle.exists({ courses: course._id }),
+    Organization.exists({ "seats.course": course._id }),
+  ]);
+  if (inPath || inBundle || hasSeats) {
+    res.status(400);
+    throw new Error("This course is sold in a learning path, bundle or as organization seats and can't run in batches");
+  }
+
+  const batch = new Batch({ course: course._id });
+  applyBatchFields(batch, req.body, res);
+  await batch.save();
+
+  // A new batch is what the waitlist has been waiting for
+  notifyWaitlist(course._id);
+
+  res.status(201).json({
+    success: true,
+    message: "Batch created successfully",
+    data: batch,
+  });
+});
+
+/**
+ * @desc    Update a batch (dates, capacity, group link, open/closed)
+ * @route   PUT /api/courses/:courseId/batches/:batchId
+ * @access  Private/Instructor or Private/Admin
+ */
+export const updateBatch = asyncHandler(async (req, res) => {
+  await getEditableCourse(req, res);
+  const batch = await getCourseBatch(req, res);
+
+  applyBatchFields(batch, req.body, res);
+  const updatedBatch = await batch.save();
+
+  // More seats, a later deadline or re-opening can free seats for the waitlist
+  notifyWaitlist(batch.course);
+
+  res.status(200).json({ success: true, data: updatedBatch });
+});
+
+/**
+ * @desc    Delete a batch that nobody has joined yet
+ * @route   DELETE /api/courses/:courseId/batches/:batchId
+ * @access  Private/Instructor or Private/Admin
+ */
+export const deleteBatch = asyncHandler(async (req, res) => {
+  await getEditableCourse(req, res);
+  const batch = await getCourseBatch(req, res);
+
+  const [enrolled, openOrders] = await Promise.all([
+    Enrollment.exists({ batch: batch._id }),
+    Order.exists({ batch: batch._id, paymentStatus: { $in: ["pending", "paid"] } }),
+  ]);
+  if (enrolled || openOrders) {
+    res.status(400);
+    throw new Error("This batch has students or orders. Close it instead of deleting it.");
+  }
+
+  await batch.deleteOne();
+  res.status(200).json({ success: true, message: "Batch removed successfully" });
+});
@@ -0,0 +1,322 @@
+// bundle.controller.js
+import asyncHandler from "express-async-handler";
+import slugify from "slugify";
+import mongoose from "mongoose";
+import Bundle from "../models/bundle.model.js";
+import Course from "../models/course.model.js";
+import Product from "../models/product.model.js";
+import Batch from "../models/batch.model.js";
+import DigitalOrder from "../models/digitalOrder.model.js";
+import { sanitizeString, sanitizeText, sanitizeNumber, validateObjectId } from "../utils/validation.js";
+import { isBundleAvailable } from "../services/bundle.service.js";
+
+// --- Helper: read a list of IDs (JSON array, comma list or array) ---
+const parseIdList = (value, res, label) => {
+  let ids = value;
+  if (typeof value === "string") {
+    try {
+      ids = value.trim().startsWith("[") ? JSON.parse(value) : value.split(",");
+    } catch {
+      res.status(400);
+      throw new Error(`${label} must be a list of IDs`);
+    }
+  }
+  if (!Array.isArray(ids)) {
+    res.status(400);
+    throw new Error(`${label} must be a list of IDs`);
+  }
+  ids = [...new Set(ids.map((id) => String(id).trim()).filter(Boolean))];
+  if (ids.some((id) => !validateObjectId(id))) {
+    res.status(400);
+    throw new Error(`Invalid ID in ${label}`);
+  }
+  return ids;
+};
+
+// --- Helper: copy the editable fields from the request body onto a bundle and check the result ---
+const applyBundleFields = async (bundle, body, res) => {
+  if (body.title !== undefined) {
+    bundle.title = sanitizeString(String(body.title), 200);
+  }
+  if (body.description !== undefined) {
+    bundle.description = sanitizeText(String(body.description), 5000);
+  }
+  if (body.type !== undefined) {
+    if (!["fixed", "pick"].includes(body.type)) {
+      res.status(400);
+      throw new Error("Bundle type must be fixed or pick");
+    }
+    bundle.type = body.type;
+  }
+  if (body.courses !== undefined) {
+    bundle.courses = parseIdList(body.courses, res, "courses");
+  }
+  if (body.products !== undefined) {
+    bundle.products = parseIdList(body.products, res, "products");
+  }
+  if (body.category !== undefined) {
+    if (body.category && !validateObjectId(String(body.category))) {
+      res.status(400);
+      throw new Error("Invalid category ID");
+    }
+    bundle.category = body.category || undefined;
+  }
+  if (body.pickCount !== undefined) {
+    const pickCount = sanitizeNumber(body.pickCount, 1, 100, null);
+    bundle.pickCount = pickCount ? Math.floor(pickCount) : undefined;
+  }
+  if (body.price !== undefined) {
+    bundle.price = sanitizeNumber(body.price, 0, 1000000, null);
+  }
+  for (const field of ["startsAt", "endsAt"]) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === "") {
+      bundle[field] = undefined;
+      continue;
+    }
+    const date = new Date(body[field]);
+    if (Number.isNaN(date.getTime())) {
+      res.status(400);
+      throw new Error(`Invalid ${field}`);
+    }
+    bundle[field] = date;
+  }
+  if (body.isPublished !== undefined) {
+    bundle.isPublished = body.isPublished === true || body.isPublished === "true";
+  }
+
+  if (!bundle.title || bundle.price === null || bundle.price === undefined) {
+    res.status(400);
+    throw new Error("Title and price are required");
+  }
+  if (bundle.startsAt && bundle.endsAt && bundle.endsAt <= bundle.startsAt) {
+    res.status(400);
+    throw new Error("The bundle must end after it starts");
+  }
+
+  if (bundle.type === "pick") {
+    if (!bundle.pickCount || (bundle.courses.length === 0 && !bundle.category)) {
+      res.status(400);
+      throw new Error("A pick bundle needs a pick count and a list of courses or a category to choose from");
+    }
+    if (bundle.courses.length > 0 && bundle.courses.length < bundle.pickCount) {
+      res.status(400);
+      throw new Error("A pick bundle needs at least as many courses as the pick count");
+    }
+    bundle.products = [];
+  } else if (bundle.courses.length + bundle.products.length < 2) {
+    res.status(400);
+    throw new Error("A fixed bundle needs at least two items");
+  }
+
+  const [courseCount, productCount, batchedCourse] = await Promise.all([
+    Course.countDocuments({ _id: { $in: bundle.courses } }),
+    Product.countDocuments({ _id: { $in: bundle.products } }),
+    Batch.exists({ course: { $in: bundle.courses } }),
+  ]);
+  if (courseCount !== bundle.courses.length || productCount !== bundle.products.length) {
+    res.status(400);
+    throw new Error("A course or product in this bundle was not found");
+  }
+  // One purchase enrolls in every course, so none of them may need a batch picked
+  if (batchedCourse) {
+    res.status(400);
+    throw new Error("Courses that run in batches can't be part of a bundle");
+  }
+};
+
+/**
+ * @desc    Get the bundles on sale right now
+ * @route   GET /api/bundles
+ * @access  Public
+ */
+export const getBundles = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const bundles = await Bundle.find({
+    isPublished: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+    ],
+  })
+    .populate("courses", "title slug thumbnail")
+    .populate("products", "title slug thumbnail")
+    .populate("category", "name")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({ success: true, count: bundles.length, data: bundles });
+});
+
+/**
+ * @desc    Get a bundle on sale with its items (and, for pick bundles, the courses to choose from)
+ * @route   GET /api/bundles/slug/:slug
+ * @access  Public
+ */
+export const getBundleBySlug = asyncHandler(async (req, res) => {
+  const bundle = await Bundle.findOne({ slug: String(req.params.slug) })
+    .populate("courses", "title slug thumbnail price discountPrice isPublished")
+    .populate("products", "title slug thumbnail price discountPrice isPublished")
+    .populate("category", "name")
+    .lean();
+  if (!bundle || !isBundleAvailable(bundle)) {
+    res.status(404);
+    throw new Error("Bundle not found or no longer on sale");
+  }
+
+  let choices = [];
+  if (bundle.type === "pick") {
+    const poolFilter = bundle.courses.length > 0
+      ? { _id: { $in: bundle.courses.map((course) => course._id) } }
+      : { category: bundle.category?._id };
+    const batchedCourseIds = await Batch.distinct("course");
+    choices = await Course.find({ ...poolFilter, isPublished: true, _id: { $nin: batchedCourseIds } })
+      .select("title slug thumbnail price discountPrice")
+      .lean();
+  }
+
+  res.status(200).json({ success: true, data: { ...bundle, choices } });
+});
+
+/**
+ * @desc    Get all bundles, on sale or not
+ * @route   GET /api/bundles/admin
+ * @access  Private/Admin
+ */
+export const getBundlesAdmin = asyncHandler(async (req, res) => {
+  const bundles = await Bundle.find({})
+    .populate("courses", "title slug")
+    .populate("products", "title slug")
+    .populate("category", "name")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({ success: true, count: bundles.length, data: bundles });
+});
+
+/**
+ * @desc    Create a bundle
+ * @route   POST /api/bundles
+ * @access  Private/Admin
+ * @body    { title, description?, type, courses?, products?, category?, pickCount?, price, startsAt?, endsAt?, isPublished?, thumbnail (file) }
+ */
+export const createBundle = asyncHandler(async (req, res) => {
+  const bundle = new Bundle({ createdBy: req.user._id });
+  await applyBundleFields(bundle, req.body, res);
+  if (req.file) {
+    bundle.thumbnail = req.file.secure_url || req.file.url || req.file.path;
+  }
+
+  const baseSlug = slugify(bundle.title, { lower: true, strict: true });
+  let slug = baseSlug;
+  let counter = 1;
+  while (await Bundle.exists({ slug })) {
+    slug = `${baseSlug}-${counter}`;
+    counter++;
+  }
+  bundle.slug = slug;
+
+  await bundle.save();
+
+  res.status(201).json({
+    success: true,
+    message: "Bundle created successfully",
+    data: bundle,
+  });
+});
+
+/**
+ * @desc    Update a bundle
+ * @route   PUT /api/bundles/:id
+ * @access  Private/Admin
+ */
+export const updateBundle = asyncHandler(async (req, res) => {
+  const bundle = validateObjectId(req.params.id) ? await Bundle.findById(req.params.id) : null;
+  if (!bundle) {
+    res.status(404);
+    throw new Error("Bundle not found");
+  }
+
+  await applyBundleFields(bundle, req.body, res);
+  if (req.file) {
+    bundle.thumbnail = req.file.secure_url || req.file.url || req.file.path;
+  }
+
+  const updatedBundle = await bundle.save();
+  res.status(200).json({ success: true, data: updatedBundle });
+});
+
+/**
+ * @desc    Delete a bundle that was never ordered
+ * @route   DELETE /api/bundles/:id
+ * @access  Private/Admin
+ */
+export const deleteBundle = asyncHandler(async (req, res) => {
+  const bundle = validateObjectId(req.params.id) ? await Bundle.findById(req.params.id) : null;
+  if (!bundle) {
+    res.status(404);
+    throw new Error("Bundle not found");
+  }
+
+  if (await DigitalOrder.exists({ "items.bundle": bundle._id })) {
+    res.status(400);
+    throw new Error("This bundle has orders. Unpublish it or end its sale instead of deleting it.");
+  }
+
+  await bundle.deleteOne();
+  res.status(200).json({ success: true, message: "Bundle removed successfully" });
+});
+
+/**
+ * @desc    Sales of a bundle: units and revenue allocated to each included item (paid orders)
+ * @route   GET /api/bundles/:id/report
+ * @access  Private/Admin
+ */
+export const getBundleReport = asyncHandler(async (req, res) => {
+  const bundle = validateObjectId(req.params.id) ? await Bundle.findById(req.params.id).select("title slug price") : null;
+  if (!bundle) {
+    res.status(404);
+    throw new Error("Bundle not found");
+  }
+
+  const bundleId = new mongoose.Types.ObjectId(bundle._id);
+  const [items, [totals]] = await Promise.all([
+    DigitalOrder.aggregate([
+      { $match: { paymentStatus: "paid", "items.bundle": bundleId } },
+      { $unwind: "$items" },
+      { $match: { "items.bundle": bundleId } },
+      {
+        $group: {
+          _id: { itemType: "$items.itemType", course: "$items.course", product: "$items.product" },
+          title: { $last: "$items.titleSnapshot" },
+          units: { $sum: 1 },
+          listValue: { $sum: { $ifNull: ["$items.listPrice", 0] } },
+          grossAmount: { $sum: "$items.price" },
+          revenue: { $sum: { $ifNull: ["$items.revenue", "$items.price"] } },
+        },
+      },
+      { $sort: { revenue: -1 } },
+    ]),
+    DigitalOrder.aggregate([
+      { $match: { paymentStatus: "paid", "items.bundle": bundleId } },
+      { $unwind: "$items" },
+      { $match: { "items.bundle": bundleId } },
+      {
+        $group: {
+          _id: null,
+          orders: { $addToSet: "$_id" },
+          revenue: { $sum: { $ifNull: ["$items.revenue", "$items.price"] } },
+        },
+      },
+      { $project: { _id: 0, orders: { $size: "$orders" }, revenue: 1 } },
+    ]),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      bundle,
+      orders: totals?.orders || 0,
+      revenue: totals?.revenue || 0,
+      items: items.map(({ _id, ...item }) => ({ ..._id, ...item })),
+    },
+  });
+});
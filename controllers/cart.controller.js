@@ -1,15 +1,38 @@
 import asyncHandler from "express-async-handler";
 import Cart from "../models/cart.model.js";
 import Product from "../models/product.model.js";
+import Course from "../models/course.model.js";
+import Enrollment from "../models/enrollment.model.js";
+import Batch from "../models/batch.model.js";
+import LearningPath from "../models/learningPath.model.js";
+import Bundle from "../models/bundle.model.js";
 import { sanitizeNumber, validateObjectId } from '../utils/validation.js';
+import { checkPrerequisites } from "../services/prerequisite.service.js";
+import { isBundleAvailable, resolveBundleContents, checkBundleEligibility } from "../services/bundle.service.js";
+
+const CART_POPULATE = [
+  { path: "items.product", select: "title slug thumbnail price discountPrice" },
+  { path: "items.course", select: "title slug thumbnail price discountPrice" },
+  { path: "items.learningPath", select: "title slug thumbnail price discountPrice" },
+  { path: "items.bundle", select: "title slug thumbnail price type pickCount" },
+  { path: "items.selectedCourses", select: "title slug thumbnail" },
+];
 
 function computeSubtotal(items) {
   return items.reduce((sum, it) => sum + it.price * it.quantity, 0);
 }
 
+// Cart items are a product, a course, a learning path or a bundle; match on whichever ID the item holds
+function itemId(it) {
+  if (it.itemType === "course") return it.course?.toString();
+  if (it.itemType === "path") return it.learningPath?.toString();
+  if (it.itemType === "bundle") return it.bundle?.toString();
+  return it.product?.toString();
+}
+
 export const getMyCart = asyncHandler(async (req, res) => {
   const userId = req.user._id;
-  const cart = await Cart.findOne({ user: userId }).populate({ path: "items.product", select: "title slug thumbnail price discountPrice" });
+  const cart = await Cart.findOne({ user: userId }).populate(CART_POPULATE);
   if (!cart) return res.status(200).json({ success: true, data: { items: [], subtotal: 0 } });
   res.status(200).json({ success: true, data: cart });
 });
@@ -18,8 +41,21 @@ export const addToCart = asyncHandler(async (req, res) => {
 
   const userId = req.user._id;
   const productId = req.body.productId ? String(req.body.productId).trim() : '';
+  const courseId = req.body.courseId ? String(req.body.courseId).trim() : '';
+  const learningPathId = req.body.learningPathId ? String(req.body.learningPathId).trim() : '';
+  const bundleId = req.body.bundleId ? String(req.body.bundleId).trim() : '';
   const quantity = sanitizeNumber(req.body.quantity || 1, 1, 100, 1);
 
+  if (courseId) {
+    return addCourseToCart(res, userId, courseId, req.user);
+  }
+  if (learningPathId) {
+    return addPathToCart(res, userId, learningPathId);
+  }
+  if (bundleId) {
+    return addBundleToCart(res, userId, bundleId, req.body.courseIds, req.user);
+  }
+
   // Validate productId
   if (!productId || !validateObjectId(productId)) {
     res.status(400);
@@ -44,7 +80,7 @@ export const addToCart = asyncHandler(async (req, res) => {
     cart = await Cart.create({ user: userId, items: [], subtotal: 0 });
   }
 
-  const existing = cart.items.find((it) => it.product.toString() === productId);
+  const existing = cart.items.find((it) => it.itemType === "product" && it.product.toString() === productId);
   if (existing) {
     existing.quantity = Math.min(existing.quantity + quantity, 100); // Cap at 100
   } else {
@@ -52,10 +88,138 @@ export const addToCart = asyncHandler(async (req, res) => {
   }
   cart.subtotal = computeSubtotal(cart.items);
   await cart.save();
-  const populated = await cart.populate({ path: "items.product", select: "title slug thumbnail price discountPrice" });
+  const populated = await cart.populate(CART_POPULATE);
   res.status(200).json({ success: true, data: populated });
 });
 
+// Courses sit in the cart next to products, always with quantity 1
+async function addCourseToCart(res, userId, courseId, user) {
+  if (!validateObjectId(courseId)) {
+    res.status(400);
+    throw new Error("Valid course ID is required");
+  }
+
+  const course = await Course.findById(courseId);
+  if (!course || !course.isPublished) {
+    res.status(404);
+    throw new Error("Course not found");
+  }
+
+  const isEnrolled = await Enrollment.findOne({ student: userId, course: courseId, source: { $ne: "membership" } });
+  if (isEnrolled) {
+    res.status(409);
+    throw new Error("You are already enrolled in this course");
+  }
+
+  // Prerequisite courses must be completed first
+  const prerequisiteResult = await checkPrerequisites({ user, course });
+  if (!prerequisiteResult.valid) {
+    res.status(403);
+    throw new Error(prerequisiteResult.message);
+  }
+
+  // Batch-run courses need a batch picked at checkout, which only the course order flow supports
+  if (await Batch.exists({ course: courseId })) {
+    res.status(400);
+    throw new Error("This course runs in batches. Please enroll from the course page to choose a batch.");
+  }
+
+  const price = course.discountPrice > 0 ? course.discountPrice : course.price;
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) {
+    cart = await Cart.create({ user: userId, items: [], subtotal: 0 });
+  }
+
+  const existing = cart.items.find((it) => it.itemType === "course" && it.course.toString() === courseId);
+  if (!existing) {
+    cart.items.push({ itemType: "course", course: course._id, quantity: 1, price });
+  }
+  cart.subtotal = computeSubtotal(cart.items);
+  await cart.save();
+  const populated = await cart.populate(CART_POPULATE);
+  res.status(200).json({ success: true, data: populated });
+}
+
+// A learning path is bought as one item (quantity 1) that enrolls the student in all its courses
+async function addPathToCart(res, userId, learningPathId) {
+  if (!validateObjectId(learningPathId)) {
+    res.status(400);
+    throw new Error("Valid learning path ID is required");
+  }
+
+  const learningPath = await LearningPath.findById(learningPathId);
+  if (!learningPath || !learningPath.isPublished) {
+    res.status(404);
+    throw new Error("Learning path not found");
+  }
+
+  const enrolledCount = await Enrollment.countDocuments({ student: userId, course: { $in: learningPath.courses }, source: { $ne: "membership" } });
+  if (learningPath.courses.length > 0 && enrolledCount === learningPath.courses.length) {
+    res.status(409);
+    throw new Error("You are already enrolled in every course of this learning path");
+  }
+
+  const price = learningPath.discountPrice > 0 ? learningPath.discountPrice : learningPath.price;
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) {
+    cart = await Cart.create({ user: userId, items: [], subtotal: 0 });
+  }
+
+  const existing = cart.items.find((it) => it.itemType === "path" && it.learningPath.toString() === learningPathId);
+  if (!existing) {
+    cart.items.push({ itemType: "path", learningPath: learningPath._id, quantity: 1, price });
+  }
+  cart.subtotal = computeSubtotal(cart.items);
+  await cart.save();
+  const populated = await cart.populate(CART_POPULATE);
+  res.status(200).json({ success: true, data: populated });
+}
+
+// A bundle is one cart item at the bundle price; "pick" bundles keep the buyer's chosen courses
+async function addBundleToCart(res, userId, bundleId, courseIds, user) {
+  if (!validateObjectId(bundleId)) {
+    res.status(400);
+    throw new Error("Valid bundle ID is required");
+  }
+
+  const bundle = await Bundle.findById(bundleId);
+  if (!bundle || !isBundleAvailable(bundle)) {
+    res.status(404);
+    throw new Error("Bundle not found or no longer on sale");
+  }
+
+  const selection = typeof courseIds === "string" ? courseIds.split(",").map((id) => id.trim()) : courseIds;
+  const contents = await resolveBundleContents(bundle, bundle.type === "pick" ? selection : []);
+  if (!contents.valid) {
+    res.status(400);
+    throw new Error(contents.message);
+  }
+  const eligibility = await checkBundleEligibility({ user, bundle, contents });
+  if (!eligibility.valid) {
+    res.status(409);
+    throw new Error(eligibility.message);
+  }
+
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) {
+    cart = await Cart.create({ user: userId, items: [], subtotal: 0 });
+  }
+
+  const selectedCourses = bundle.type === "pick" ? contents.courses.map((course) => course._id) : undefined;
+  const existing = cart.items.find((it) => it.itemType === "bundle" && it.bundle.toString() === bundleId);
+  if (existing) {
+    // Adding the bundle again replaces the earlier choice
+    existing.selectedCourses = selectedCourses;
+    existing.price = bundle.price;
+  } else {
+    cart.items.push({ itemType: "bundle", bundle: bundle._id, selectedCourses, quantity: 1, price: bundle.price });
+  }
+  cart.subtotal = computeSubtotal(cart.items);
+  await cart.save();
+  const populated = await cart.populate(CART_POPULATE);
+  res.status(200).json({ success: true, data: populated });
+}
+
 export const updateCartItem = asyncHandler(async (req, res) => {
 
   const userId = req.user._id;
@@ -79,7 +243,7 @@ export const updateCartItem = asyncHandler(async (req, res) => {
     throw new Error("Cart not found");
   }
 
-  const item = cart.items.find((it) => it.product.toString() === productId);
+  const item = cart.items.find((it) => it.itemType === "product" && it.product.toString() === productId);
   if (!item) {
     res.status(404);
     throw new Error("Item not found in cart");
@@ -88,22 +252,22 @@ export const updateCartItem = asyncHandler(async (req, res) => {
   item.quantity = Math.max(1, Number(quantity));
   cart.subtotal = computeSubtotal(cart.items);
   await cart.save();
-  const populated = await cart.populate({ path: "items.product", select: "title slug thumbnail price discountPrice" });
+  const populated = await cart.populate(CART_POPULATE);
   res.status(200).json({ success: true, data: populated });
 });
 
 export const removeFromCart = asyncHandler(async (req, res) => {
   const userId = req.user._id;
-  const { productId } = req.params;
+  const { itemId: removeId } = req.params; // product, course, learning path or bundle ID
   const cart = await Cart.findOne({ user: userId });
   if (!cart) {
     res.status(404);
     throw new Error("Cart not found");
   }
-  cart.items = cart.items.filter((it) => it.product.toString() !== productId);
+  cart.items = cart.items.filter((it) => itemId(it) !== removeId);
   cart.subtotal = computeSubtotal(cart.items);
   await cart.save();
-  const populated = await cart.populate({ path: "items.product", select: "title slug thumbnail price discountPrice" });
+  const populated = await cart.populate(CART_POPULATE);
   res.status(200).json({ success: true, data: populated });
 });
 
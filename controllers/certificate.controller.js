@@ -1,6 +1,7 @@
 // certificate.controller.js
 
 import Certificate from "../models/certificate.model.js";
+import PathCertificate from "../models/pathCertificate.model.js";
 import asyncHandler from "express-async-handler";
 
 /**
@@ -9,14 +10,18 @@ import asyncHandler from "express-async-handler";
  * @access  Private/Student
  */
 export const getMyCertificates = asyncHandler(async (req, res) => {
-  const certificates = await Certificate.find({ student: req.user._id })
+  const certificates = await Certificate.find({ student: req.user._id, revokedAt: null })
     .populate("course", "title slug thumbnail")
     .sort({ createdAt: -1 });
+  const pathCertificates = await PathCertificate.find({ student: req.user._id, revokedAt: null })
+    .populate("learningPath", "title slug thumbnail")
+    .sort({ createdAt: -1 });
 
   res.status(200).json({
     success: true,
     count: certificates.length,
     data: certificates,
+    pathCertificates,
   });
 });
 
@@ -26,15 +31,24 @@ export const getMyCertificates = asyncHandler(async (req, res) => {
  * @access  Public
  */
 export const getCertificateById = asyncHandler(async (req, res) => {
+  // Course and learning path certificates share the verification link
   const certificate = await Certificate.findById(req.params.id)
     .populate("student", "name")
-    .populate("course", "title");
+    .populate("course", "title")
+    || await PathCertificate.findById(req.params.id)
+      .populate("student", "name")
+      .populate("learningPath", "title");
 
   if (!certificate) {
     res.status(404);
     throw new Error("Certificate not found or invalid");
   }
 
+  if (certificate.revokedAt) {
+    res.status(410);
+    throw new Error("This certificate has been revoked");
+  }
+
   res.status(200).json({ success: true, data: certificate });
 });
 
@@ -0,0 +1,232 @@
+// coupon.controller.js
+
+import asyncHandler from "express-async-handler";
+import Coupon from "../models/coupon.model.js";
+import { sanitizeString, sanitizeNumber, validateObjectId } from "../utils/validation.js";
+
+// --- Helper: build a coupon update object from the request body ---
+// Only fields present in the body are returned so the same helper serves create and update.
+const buildCouponData = (body, res) => {
+  const data = {};
+
+  if (body.code !== undefined) {
+    const code = sanitizeString(String(body.code), 50).toUpperCase().replace(/\s+/g, "");
+    if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+      res.status(400);
+      throw new Error("Coupon code must be 3-50 characters (letters, numbers, - and _)");
+    }
+    data.code = code;
+  }
+  if (body.description !== undefined) {
+    data.description = sanitizeString(String(body.description), 500);
+  }
+  if (body.discountType !== undefined) {
+    if (!["percentage", "fixed"].includes(body.discountType)) {
+      res.status(400);
+      throw new Error("Discount type must be either 'percentage' or 'fixed'");
+    }
+    data.discountType = body.discountType;
+  }
+  if (body.value !== undefined) {
+    const value = sanitizeNumber(body.value, 0, 1000000, null);
+    if (value === null || value <= 0) {
+      res.status(400);
+      throw new Error("Coupon value must be a positive number");
+    }
+    data.value = value;
+  }
+
+  for (const field of ["maxDiscount", "minOrderAmount", "usageLimit", "perUserLimit"]) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === "") {
+      data[field] = field === "minOrderAmount" ? 0 : field === "perUserLimit" ? 1 : null;
+      continue;
+    }
+    // Usage limits count uses, so they start at 1 (same as the schema)
+    const min = field === "usageLimit" || field === "perUserLimit" ? 1 : 0;
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value < min || value > 1000000) {
+      res.status(400);
+      throw new Error(`${field} must be a number between ${min} and 1000000`);
+    }
+    data[field] = value;
+  }
+
+  for (const field of ["startsAt", "expiresAt"]) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === "") {
+      data[field] = null;
+      continue;
+    }
+    const date = new Date(body[field]);
+    if (isNaN(date.getTime())) {
+      res.status(400);
+      throw new Error(`${field} must be a valid date`);
+    }
+    data[field] = date;
+  }
+
+  for (const field of ["courses", "products", "categories"]) {
+    if (body[field] === undefined) continue;
+    const ids = Array.isArray(body[field]) ? body[field].map(String) : [];
+    if (ids.some((id) => !validateObjectId(id))) {
+      res.status(400);
+      throw new Error(`Invalid ID in ${field}`);
+    }
+    data[field] = ids;
+  }
+
+  if (body.isActive !== undefined) {
+    data.isActive = body.isActive === true || body.isActive === "true";
+  }
+
+  return data;
+};
+
+/**
+ * @desc    Create a coupon
+ * @route   POST /api/admin/coupons
+ * @access  Private/Admin
+ */
+export const createCoupon = asyncHandler(async (req, res) => {
+  const data = buildCouponData(req.body, res);
+
+  if (!data.code || !data.discountType || !data.value) {
+    res.status(400);
+    throw new Error("Code, discount type and value are required");
+  }
+  if (data.discountType === "percentage" && data.value > 100) {
+    res.status(400);
+    throw new Error("Percentage discount cannot exceed 100");
+  }
+
+  const exists = await Coupon.findOne({ code: data.code });
+  if (exists) {
+    res.status(409);
+    throw new Error("A coupon with this code already exists");
+  }
+
+  const coupon = await Coupon.create({ ...data, createdBy: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: "Coupon created successfully",
+    data: coupon,
+  });
+});
+
+/**
+ * @desc    Get all coupons
+ * @route   GET /api/admin/coupons
+ * @access  Private/Admin
+ */
+export const getAllCoupons = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const search = req.query.search;
+
+  const query = {};
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === "true";
+  }
+  if (search) {
+    // Match the text literally: characters like "(" would otherwise break the regex
+    const escaped = String(search).toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    query.code = { $regex: escaped, $options: "i" };
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [coupons, total] = await Promise.all([
+    Coupon.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    Coupon.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: coupons.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: coupons,
+  });
+});
+
+/**
+ * @desc    Get coupon by ID
+ * @route   GET /api/admin/coupons/:id
+ * @access  Private/Admin
+ */
+export const getCouponById = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id)
+    .populate("courses", "title slug")
+    .populate("products", "title slug")
+    .populate("categories", "name");
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error("Coupon not found");
+  }
+
+  res.status(200).json({ success: true, data: coupon });
+});
+
+/**
+ * @desc    Update coupon
+ * @route   PUT /api/admin/coupons/:id
+ * @access  Private/Admin
+ */
+export const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) {
+    res.status(404);
+    throw new Error("Coupon not found");
+  }
+
+  const data = buildCouponData(req.body, res);
+
+  const discountType = data.discountType || coupon.discountType;
+  const value = data.value !== undefined ? data.value : coupon.value;
+  if (discountType === "percentage" && value > 100) {
+    res.status(400);
+    throw new Error("Percentage discount cannot exceed 100");
+  }
+
+  if (data.code && data.code !== coupon.code) {
+    const exists = await Coupon.findOne({ code: data.code, _id: { $ne: coupon._id } });
+    if (exists) {
+      res.status(409);
+      throw new Error("A coupon with this code already exists");
+    }
+  }
+
+  coupon.set(data);
+  const updatedCoupon = await coupon.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon updated successfully",
+    data: updatedCoupon,
+  });
+});
+
+/**
+ * @desc    Delete coupon
+ * @route   DELETE /api/admin/coupons/:id
+ * @access  Private/Admin
+ */
+export const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) {
+    res.status(404);
+    throw new Error("Coupon not found");
+  }
+
+  // Orders keep their couponCode/discountAmount snapshot, so reports are unaffected
+  await coupon.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon deleted successfully",
+  });
+});
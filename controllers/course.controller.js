@@ -4,10 +4,49 @@ import Lesson from '../models/lesson.model.js';
 import Review from "../models/review.model.js";
 import Enrollment from "../models/enrollment.model.js";
 import User from "../models/user.model.js";
+import Section from "../models/section.model.js";
+import Batch from "../models/batch.model.js";
 import asyncHandler from "express-async-handler";
 import jwt from "jsonwebtoken"; // Needed for the optional auth check
 import slugify from 'slugify';
 import { v2 as cloudinary } from 'cloudinary';
+import { buildCurriculum } from "../services/curriculum.service.js";
+import { resolveGroupLink } from "../services/batch.service.js";
+import { notifyWaitlist } from "../services/waitlist.service.js";
+import { findActiveEnrollment } from "../services/access.service.js";
+import { getMissingPrerequisites, createsPrerequisiteCycle } from "../services/prerequisite.service.js";
+
+// --- Helper: read prerequisiteCourses from a JSON body or a multipart form (JSON string or comma list) ---
+const parsePrerequisiteCourses = async (value, res, courseId = null) => {
+    let ids = value;
+    if (typeof value === 'string') {
+        try {
+            ids = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+        } catch {
+            res.status(400);
+            throw new Error("prerequisiteCourses must be a list of course IDs");
+        }
+    }
+    if (!Array.isArray(ids)) {
+        res.status(400);
+        throw new Error("prerequisiteCourses must be a list of course IDs");
+    }
+    ids = [...new Set(ids.map((id) => String(id).trim()).filter(Boolean))];
+
+    if (ids.some((id) => !/^[0-9a-fA-F]{24}$/.test(id)) || (courseId && ids.includes(courseId.toString()))) {
+        res.status(400);
+        throw new Error("Invalid prerequisite course");
+    }
+    if (ids.length > 0 && (await Course.countDocuments({ _id: { $in: ids } })) !== ids.length) {
+        res.status(400);
+        throw new Error("A prerequisite course was not found");
+    }
+    if (courseId && ids.length > 0 && (await createsPrerequisiteCycle(courseId, ids))) {
+        res.status(400);
+        throw new Error("These prerequisites would make the courses require each other");
+    }
+    return ids;
+};
 
 
 // @desc    Get all published courses
@@ -60,7 +99,8 @@ export const getCourseBySlug = asyncHandler(async (req, res) => {
     const course = await Course.findOne({ slug: req.params.slug })
         .populate("instructor", "name bio avatar socialLinks") // Adjusted fields to match your other controllers
         .populate("category", "name slug")
-        .populate("lessons", "title duration order content")
+        .populate({ path: "lessons", select: "title duration order content section isPreview", options: { sort: { order: 1 } } })
+        .populate("prerequisiteCourses", "title slug thumbnail")
         .lean(); // <-- Use .lean() for performance
 
     if (!course) {
@@ -68,25 +108,23 @@ export const getCourseBySlug = asyncHandler(async (req, res) => {
         throw new Error("Course not found");
     }
 
+    // Optional auth: the logged-in user (if any) matters for unpublished courses and prerequisites
+    let viewer = null;
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith("Bearer")) {
+        try {
+            const token = authHeader.split(" ")[1];
+            const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+            viewer = await User.findById(decoded.id).select('role');
+        } catch (error) {
+            // Invalid token, treat as a visitor. Let it fall through.
+        }
+    }
+
     // 2. Authorization check: Allow admin or the course's own instructor to view an unpublished course.
     if (!course.isPublished) {
-        let isAuthorizedToView = false;
-        const authHeader = req.headers.authorization;
-
-        if (authHeader && authHeader.startsWith("Bearer")) {
-            try {
-                const token = authHeader.split(" ")[1];
-                const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-                const user = await User.findById(decoded.id).select('role');
-
-                // User is authorized if they are an admin OR they are the instructor of this specific course
-                if (user && (user.role === 'admin' || course.instructor._id.equals(user._id))) {
-                    isAuthorizedToView = true;
-                }
-            } catch (error) {
-                // Invalid token, user is not authorized. Let it fall through.
-            }
-        }
+        // User is authorized if they are an admin OR they are the instructor of this specific course
+        const isAuthorizedToView = Boolean(viewer) && (viewer.role === 'admin' || course.instructor._id.equals(viewer._id));
 
         if (!isAuthorizedToView) {
             res.status(403); // Use 403 Forbidden as they found the resource but aren't allowed to see it
@@ -114,6 +152,13 @@ export const getCourseBySlug = asyncHandler(async (req, res) => {
     // --- 4. ATTACH THE COUNT TO THE COURSE OBJECT ---
     course.enrollmentCount = enrollmentCount;
 
+    // Group the lessons into their sections, with per-section duration totals
+    const sections = await Section.find({ course: course._id }).sort({ order: 1 }).lean();
+    course.curriculum = buildCurriculum(sections, course.lessons || []);
+
+    // Prerequisite courses the current user still has to complete (all of them for visitors)
+    course.missingPrerequisites = await getMissingPrerequisites({ user: viewer, course });
+
     // 6. Send the final, enriched course object
     res.status(200).json({
         success: true,
@@ -156,15 +201,39 @@ export const getCourseEnrollments = asyncHandler(async (req, res) => {
         throw new Error("Not authorized to view this course's enrollments");
     }
 
-    // 3. Find all enrollments for the course
-    const enrollments = await Enrollment.find({ course: courseId })
+    // 3. Find all enrollments for the course (optionally one batch's roster: ?batch=<id>, or ?batch=none)
+    const query = { course: courseId };
+    if (req.query.batch === 'none') {
+        query.batch = null;
+    } else if (req.query.batch) {
+        const { validateObjectId } = await import('../utils/validation.js');
+        if (!validateObjectId(req.query.batch)) {
+            res.status(400);
+            throw new Error("Invalid batch ID");
+        }
+        query.batch = req.query.batch;
+    }
+
+    const enrollments = await Enrollment.find(query)
         .populate('student', 'name email avatar createdAt')
+        .populate('batch', 'name startDate endDate')
         .sort({ createdAt: -1 });
 
+    // 4. Roster size per batch
+    const [batches, batchCounts] = await Promise.all([
+        Batch.find({ course: courseId }).sort({ startDate: 1 }).select('name startDate endDate capacity').lean(),
+        Enrollment.aggregate([
+            { $match: { course: course._id } },
+            { $group: { _id: '$batch', count: { $sum: 1 } } },
+        ]),
+    ]);
+    const countFor = (batchId) => batchCounts.find((entry) => String(entry._id) === String(batchId))?.count || 0;
+
     res.status(200).json({
         success: true,
         count: enrollments.length,
-        data: enrollments
+        data: enrollments,
+        batches: batches.map((batch) => ({ ...batch, enrolled: countFor(batch._id) })),
     });
 });
 
@@ -219,6 +288,14 @@ export const createCourse = asyncHandler(async (req, res) => {
     const language = sanitizeString(req.body.language || 'English', 50);
     const discountPrice = req.body.discountPrice ? sanitizeNumber(req.body.discountPrice, 0, 1000000) : null;
     const groupLink = req.body.groupLink ? sanitizeUrl(req.body.groupLink) : '';
+    const accessDurationDays = req.body.accessDurationDays ? Math.floor(sanitizeNumber(req.body.accessDurationDays, 0, 3650)) : 0;
+    const renewalPrice = req.body.renewalPrice !== undefined && req.body.renewalPrice !== '' ? sanitizeNumber(req.body.renewalPrice, 0, 1000000, null) : null;
+    // Only admins decide which courses the membership covers
+    const includedInMembership = req.user.role === 'admin'
+        && (req.body.includedInMembership === true || req.body.includedInMembership === 'true');
+    const prerequisiteCourses = req.body.prerequisiteCourses !== undefined
+        ? await parsePrerequisiteCourses(req.body.prerequisiteCourses, res)
+        : [];
 
     // 2. Required fields validation
     const requiredValidation = validateRequired(['title', 'description', 'price', 'category'], {
@@ -292,6 +369,18 @@ export const createCourse = asyncHandler(async (req, res) => {
     if (groupLink) {
         courseData.groupLink = groupLink;
     }
+    if (accessDurationDays > 0) {
+        courseData.accessDurationDays = accessDurationDays;
+    }
+    if (renewalPrice !== null) {
+        courseData.renewalPrice = renewalPrice;
+    }
+    if (includedInMembership) {
+        courseData.includedInMembership = true;
+    }
+    if (prerequisiteCourses.length > 0) {
+        courseData.prerequisiteCourses = prerequisiteCourses;
+    }
 
     // 4. Generate unique slug
     const baseSlug = slugify(title, { lower: true, strict: true });
@@ -378,6 +467,18 @@ export const updateCourse = asyncHandler(async (req, res) => {
     if (typeof updateData.groupLink === 'string') {
         updateData.groupLink = updateData.groupLink.trim();
     }
+    // Waivers are granted by admins through their own endpoint
+    delete updateData.prerequisiteWaivers;
+    // Only admins decide which courses the membership covers
+    if (req.user.role !== 'admin') {
+        delete updateData.includedInMembership;
+    }
+    // Revenue share is set by admins through its own endpoint
+    delete updateData.revenueSharePercent;
+    if (req.body.prerequisiteCourses !== undefined) {
+        // An empty list clears the prerequisites
+        updateData.prerequisiteCourses = await parsePrerequisiteCourses(req.body.prerequisiteCourses || [], res, course._id);
+    }
 
     const updatedCourse = await Course.findByIdAndUpdate(req.params.id, updateData, {
         new: true,
@@ -495,6 +596,11 @@ export const toggleEndedStatus = asyncHandler(async (req, res) => {
 
     const updatedCourse = await course.save();
 
+    // Re-opening a course lets its waitlist know
+    if (!updatedCourse.isEnded) {
+        notifyWaitlist(updatedCourse._id);
+    }
+
     res.status(200).json({
         success: true,
         message: `Course has been marked as ${updatedCourse.isEnded ? 'Ended' : 'Re-opened'}.`,
@@ -515,13 +621,13 @@ export const getCourseGroupLink = asyncHandler(async (req, res) => {
     if (req.user.role === 'admin' || course.instructor.toString() === req.user.id) {
         return res.json({ success: true, data: { groupLink: course.groupLink || '' } });
     }
-    // Students: must be enrolled
-    const isEnrolled = await Enrollment.exists({ course: course._id, student: req.user._id });
-    if (!isEnrolled) {
+    // Students: must be enrolled, and get their batch's link when it has one
+    const enrollment = await findActiveEnrollment(req.user._id, course._id);
+    if (!enrollment) {
         res.status(403);
         throw new Error('Not authorized to view group link');
     }
-    res.json({ success: true, data: { groupLink: course.groupLink || '' } });
+    res.json({ success: true, data: { groupLink: await resolveGroupLink(course, enrollment.batch) } });
 });
 
 /**
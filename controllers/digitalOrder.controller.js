@@ -1,36 +1,206 @@
 import asyncHandler from "express-async-handler";
-import crypto from "crypto";
 import Cart from "../models/cart.model.js";
 import DigitalOrder from "../models/digitalOrder.model.js";
 import Product from "../models/product.model.js";
-import User from "../models/user.model.js";
-import cloudinary from "../config/cloudinary.js";
-import { sendProductPurchaseConfirmation } from "../services/email.service.js";
-
-function generateToken() {
-  return crypto.randomBytes(24).toString("hex");
-}
+import Order from "../models/order.model.js";
+import Enrollment from "../models/enrollment.model.js";
+import Batch from "../models/batch.model.js";
+import { validateCoupon, redeemCoupon, releaseCoupon, exceedsPerUserLimit } from "../services/coupon.service.js";
+import { generateDigitalOrderInvoice, INVOICEABLE_STATUSES } from "../services/invoice.service.js";
+import { fulfillDigitalOrder, revokeDigitalOrderAccess } from "../services/order.service.js";
+import { buildDownloadUrl, findDownloadToken, recordDownload, getSignedFileUrl } from "../services/download.service.js";
+import { isPdfFile, getWatermarkedFileUrl } from "../services/watermark.service.js";
+import { revokeOrderLicenses } from "../services/license.service.js";
+import { findReferrer, reverseCommission } from "../services/referral.service.js";
+import { syncInstructorEarnings } from "../services/instructorEarning.service.js";
+import { sanitizeNumber } from "../utils/validation.js";
+import { checkPrerequisites } from "../services/prerequisite.service.js";
+import { isBundleAvailable, resolveBundleContents, checkBundleEligibility, buildBundleOrderItems, allocateAmount } from "../services/bundle.service.js";
 
 export const checkoutFromCart = asyncHandler(async (req, res) => {
   const userId = req.user._id;
-  const { paymentMethod, transactionId, buyerInfo } = req.body;
+  const { paymentMethod, transactionId, buyerInfo, couponCode } = req.body;
 
-  const cart = await Cart.findOne({ user: userId }).populate({ path: "items.product" });
+  const cart = await Cart.findOne({ user: userId })
+    .populate({ path: "items.product" })
+    .populate({ path: "items.course" })
+    .populate({ path: "items.learningPath" })
+    .populate({ path: "items.bundle" });
   if (!cart || cart.items.length === 0) {
     res.status(400);
     throw new Error("Cart is empty");
   }
 
-  const items = cart.items.map((it) => ({
-    product: it.product._id,
-    price: it.price,
-    titleSnapshot: it.product.title,
-  }));
-  const amount = cart.subtotal;
+  // Courses in the cart must still be on sale and not already owned or awaiting payment
+  const cartCourses = cart.items.filter((it) => it.itemType === "course").map((it) => it.course);
+  if (cartCourses.some((course) => !course || !course.isPublished)) {
+    res.status(400);
+    throw new Error("A course in your cart is no longer available. Please remove it and try again.");
+  }
+  if (cartCourses.length > 0) {
+    const courseIds = cartCourses.map((course) => course._id);
+    const [enrollment, openCourseOrder, openCartOrder, batchedCourse] = await Promise.all([
+      Enrollment.findOne({ student: userId, course: { $in: courseIds }, source: { $ne: "membership" } }),
+      Order.findOne({ user: userId, course: { $in: courseIds }, purpose: { $nin: ["renewal", "seats", "gift"] }, paymentStatus: { $in: ["pending", "paid"] } }),
+      DigitalOrder.findOne({ user: userId, "items.course": { $in: courseIds }, paymentStatus: "pending" }),
+      Batch.exists({ course: { $in: courseIds } }),
+    ]);
+    if (batchedCourse) {
+      res.status(400);
+      throw new Error("A course in your cart now runs in batches. Please remove it and enroll from the course page.");
+    }
+    if (enrollment) {
+      res.status(409);
+      throw new Error("You are already enrolled in a course in your cart");
+    }
+    if (openCourseOrder || openCartOrder) {
+      res.status(409);
+      throw new Error("You already have an open order for a course in your cart");
+    }
+  }
+  for (const course of cartCourses) {
+    const prerequisiteResult = await checkPrerequisites({ user: req.user, course });
+    if (!prerequisiteResult.valid) {
+      res.status(403);
+      throw new Error(`${course.title}: ${prerequisiteResult.message}`);
+    }
+  }
+  if (cart.items.some((it) => it.itemType === "product" && !it.product)) {
+    res.status(400);
+    throw new Error("A product in your cart is no longer available. Please remove it and try again.");
+  }
+
+  // Learning paths must still be on sale, not fully owned and not awaiting payment
+  for (const learningPath of cart.items.filter((it) => it.itemType === "path").map((it) => it.learningPath)) {
+    if (!learningPath || !learningPath.isPublished) {
+      res.status(400);
+      throw new Error("A learning path in your cart is no longer available. Please remove it and try again.");
+    }
+    const [enrolledCount, openPathOrder] = await Promise.all([
+      Enrollment.countDocuments({ student: userId, course: { $in: learningPath.courses }, source: { $ne: "membership" } }),
+      DigitalOrder.exists({ user: userId, "items.learningPath": learningPath._id, paymentStatus: "pending" }),
+    ]);
+    if (learningPath.courses.length > 0 && enrolledCount === learningPath.courses.length) {
+      res.status(409);
+      throw new Error(`You are already enrolled in every course of ${learningPath.title}`);
+    }
+    if (openPathOrder) {
+      res.status(409);
+      throw new Error("You already have an open order for a learning path in your cart");
+    }
+  }
+
+  // Bundles must still be on sale; each is expanded into its courses and products
+  const bundleOrderItems = new Map();
+  for (const it of cart.items.filter((entry) => entry.itemType === "bundle")) {
+    if (!it.bundle || !isBundleAvailable(it.bundle)) {
+      res.status(400);
+      throw new Error("A bundle in your cart is no longer on sale. Please remove it and try again.");
+    }
+    const contents = await resolveBundleContents(it.bundle, it.selectedCourses);
+    if (!contents.valid) {
+      res.status(400);
+      throw new Error(`${it.bundle.title}: ${contents.message}`);
+    }
+    const eligibility = await checkBundleEligibility({ user: req.user, bundle: it.bundle, contents });
+    if (!eligibility.valid) {
+      res.status(409);
+      throw new Error(`${it.bundle.title}: ${eligibility.message}`);
+    }
+    const courseIds = contents.courses.map((course) => course._id);
+    const [openCourseOrder, openCartOrder] = await Promise.all([
+      Order.exists({ user: userId, course: { $in: courseIds }, purpose: { $nin: ["renewal", "seats", "gift"] }, paymentStatus: "pending" }),
+      DigitalOrder.exists({ user: userId, "items.course": { $in: courseIds }, paymentStatus: "pending" }),
+    ]);
+    if (openCourseOrder || openCartOrder) {
+      res.status(409);
+      throw new Error("You already have an open order for a course in a bundle in your cart");
+    }
+    bundleOrderItems.set(it, buildBundleOrderItems(it.bundle, contents));
+  }
+
+  // Line totals weigh each order item's share of the amount actually paid
+  const items = [];
+  const lineTotals = [];
+  for (const it of cart.items) {
+    if (it.itemType === "bundle") {
+      for (const bundled of bundleOrderItems.get(it)) {
+        items.push(bundled);
+        lineTotals.push(bundled.price);
+      }
+      continue;
+    }
+    if (it.itemType === "course") {
+      items.push({ itemType: "course", course: it.course._id, price: it.price, titleSnapshot: it.course.title });
+    } else if (it.itemType === "path") {
+      items.push({ itemType: "path", learningPath: it.learningPath._id, price: it.price, titleSnapshot: it.learningPath.title });
+    } else {
+      items.push({ itemType: "product", product: it.product._id, price: it.price, quantity: it.quantity || 1, titleSnapshot: it.product.title });
+    }
+    lineTotals.push(it.price * (it.quantity || 1));
+  }
+  let amount = cart.subtotal;
+
+  // Coupon: validate now, count the use right before the order is saved
+  let appliedCoupon = null;
+  let discountAmount = 0;
+  if (couponCode && amount > 0) {
+    const couponResult = await validateCoupon({
+      code: couponCode,
+      userId,
+      // Learning paths and bundles have no category, so only unrestricted coupons cover them
+      items: cart.items.map((it) => {
+        if (it.itemType === "course") return { course: it.course._id, category: it.course.category, amount: it.price };
+        if (it.itemType === "path" || it.itemType === "bundle") return { amount: it.price };
+        return { product: it.product._id, category: it.product.category, amount: it.price * (it.quantity || 1) };
+      }),
+    });
+    if (!couponResult.valid) {
+      res.status(400);
+      throw new Error(couponResult.message);
+    }
+    appliedCoupon = couponResult.coupon;
+    discountAmount = couponResult.discount;
+    amount = Math.max(0, amount - discountAmount);
+  }
+
+  // Revenue allocation for reports: the coupon discount is spread over the lines in proportion
+  allocateAmount(amount, lineTotals).forEach((share, index) => {
+    items[index].revenue = share;
+  });
+
+  const createOrderWithCoupon = async (orderData) => {
+    orderData = { referrer: findReferrer(req.user), ...orderData };
+    if (!appliedCoupon) return DigitalOrder.create(orderData);
+    if (!(await redeemCoupon(appliedCoupon._id))) {
+      res.status(400);
+      throw new Error("This coupon has reached its usage limit");
+    }
+    let order;
+    try {
+      order = await DigitalOrder.create({
+        ...orderData,
+        coupon: appliedCoupon._id,
+        couponCode: appliedCoupon.code,
+        discountAmount,
+      });
+    } catch (error) {
+      await releaseCoupon(appliedCoupon._id);
+      throw error;
+    }
+    // Counted again now that the order exists, in case parallel checkouts all passed the check
+    if (await exceedsPerUserLimit(appliedCoupon, userId)) {
+      await DigitalOrder.deleteOne({ _id: order._id });
+      await releaseCoupon(appliedCoupon._id);
+      res.status(400);
+      throw new Error("You have already used this coupon");
+    }
+    return order;
+  };
 
   if (amount === 0) {
     // free order flow
-    const order = await DigitalOrder.create({
+    const order = await createOrderWithCoupon({
       user: userId,
       items,
       amount: 0,
@@ -39,33 +209,9 @@ export const checkoutFromCart = asyncHandler(async (req, res) => {
       transactionId: `free_${userId}_${Date.now()}`,
       buyerInfo: buyerInfo || undefined,
     });
-    // Create download tokens
-    const tokens = items.map((it) => ({ product: it.product, token: generateToken(), expiresAt: new Date(Date.now() + 1000 * 60 * 60 * 24 * 7) }));
-    order.downloadTokens = tokens;
-    await order.save();
-    
-    // Send confirmation email (async, don't block response)
-    try {
-      const user = await User.findById(userId).select('name email');
-      if (user && user.email) {
-        const emailItems = items.map(item => ({
-          title: item.titleSnapshot || 'Product',
-          price: item.price || 0,
-        }));
-        
-        await sendProductPurchaseConfirmation({
-          email: user.email,
-          name: user.name,
-          items: emailItems,
-          totalAmount: 0,
-          orderId: order._id.toString(),
-        });
-      }
-    } catch (emailError) {
-      console.error('Error sending product purchase confirmation email:', emailError);
-      // Don't fail the request if email fails
-    }
-    
+    // Create download tokens and send the confirmation email
+    await fulfillDigitalOrder(order);
+
     // clear cart
     cart.items = [];
     cart.subtotal = 0;
@@ -78,13 +224,15 @@ export const checkoutFromCart = asyncHandler(async (req, res) => {
     throw new Error("paymentMethod and transactionId are required for paid orders");
   }
 
-  const order = await DigitalOrder.create({
+  const order = await createOrderWithCoupon({
     user: userId,
     items,
     amount,
     paymentMethod,
     paymentStatus: "pending",
     transactionId,
+    // One slip covers the whole cart (courses and products)
+    paymentSlip: req.file ? req.file.secure_url || req.file.url || req.file.path : "",
     buyerInfo: buyerInfo || undefined,
   });
 
@@ -95,6 +243,7 @@ export const checkoutFromCart = asyncHandler(async (req, res) => {
 export const myDigitalOrders = asyncHandler(async (req, res) => {
   const orders = await DigitalOrder.find({ user: req.user._id })
     .populate({ path: "items.product", select: "title slug thumbnail" })
+    .populate({ path: "items.course", select: "title slug thumbnail" })
     .sort({ createdAt: -1 });
   res.status(200).json({ success: true, data: orders });
 });
@@ -102,7 +251,9 @@ export const myDigitalOrders = asyncHandler(async (req, res) => {
 export const getDigitalOrder = asyncHandler(async (req, res) => {
   const order = await DigitalOrder.findById(req.params.id)
     .populate("user", "name email")
-    .populate({ path: "items.product", select: "title slug thumbnail files" });
+    // File URLs stay hidden: downloads go through the token-checked proxy
+    .populate({ path: "items.product", select: "title slug thumbnail files.name files.format files.sizeBytes files.version files.uploadedAt" })
+    .populate({ path: "items.course", select: "title slug thumbnail" });
   if (!order) {
     res.status(404);
     throw new Error("Order not found");
@@ -114,10 +265,33 @@ export const getDigitalOrder = asyncHandler(async (req, res) => {
   res.status(200).json({ success: true, data: order });
 });
 
+export const getDigitalOrderInvoice = asyncHandler(async (req, res) => {
+  const order = await DigitalOrder.findById(req.params.id).select("user paymentStatus");
+  if (!order) {
+    res.status(404);
+    throw new Error("Order not found");
+  }
+  if (order.user.toString() !== req.user.id && req.user.role !== "admin") {
+    res.status(403);
+    throw new Error("Not authorized");
+  }
+  if (!INVOICEABLE_STATUSES.includes(order.paymentStatus)) {
+    res.status(400);
+    throw new Error("An invoice is only available once the order is paid");
+  }
+
+  const { buffer, filename } = await generateDigitalOrderInvoice(order._id);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.status(200).send(buffer);
+});
+
 export const adminListDigitalOrders = asyncHandler(async (req, res) => {
   const orders = await DigitalOrder.find({})
     .populate("user", "name email")
     .populate({ path: "items.product", select: "title" })
+    .populate({ path: "items.course", select: "title" })
     .sort({ createdAt: -1 });
   res.status(200).json({ success: true, data: orders });
 });
@@ -133,47 +307,40 @@ export const adminMarkPaid = asyncHandler(async (req, res) => {
   // Store previous status to check if it changed
   const previousStatus = order.paymentStatus;
   
+  // A failed order no longer holds on to its coupon use
+  if (paymentStatus === "failed" && previousStatus !== "failed") {
+    await releaseCoupon(order.coupon);
+  }
+
   // Update status
   if (paymentStatus) {
     order.paymentStatus = paymentStatus;
   }
   if (transactionId) order.transactionId = transactionId;
 
-  // generate tokens only when marking as paid
-  if (order.paymentStatus === "paid") {
-    const tokens = order.items.map((it) => ({ product: it.product, token: generateToken(), expiresAt: new Date(Date.now() + 1000 * 60 * 60 * 24 * 7) }));
-    order.downloadTokens = tokens;
-    
-    // Send confirmation email only if status changed to paid (not already paid)
-    if (previousStatus !== "paid") {
-      try {
-        const populatedOrder = await DigitalOrder.findById(order._id)
-          .populate('user', 'name email');
-        
-        if (populatedOrder && populatedOrder.user && populatedOrder.user.email) {
-          const emailItems = order.items.map(item => ({
-            title: item.titleSnapshot || 'Product',
-            price: item.price || 0,
-          }));
-          
-          await sendProductPurchaseConfirmation({
-            email: populatedOrder.user.email,
-            name: populatedOrder.user.name,
-            items: emailItems,
-            totalAmount: order.amount,
-            orderId: order._id.toString(),
-          });
-        }
-      } catch (emailError) {
-        console.error('Error sending product purchase confirmation email:', emailError);
-        // Don't fail the request if email fails
-      }
-    }
-  } else {
+  // Download tokens and license keys only exist while the order is paid
+  if (order.paymentStatus !== "paid") {
     order.downloadTokens = [];
+    if (previousStatus === "paid") {
+      await revokeOrderLicenses(order._id);
+      order.items.forEach((item) => {
+        item.licenseKey = undefined;
+        item.licenseKeys = undefined;
+      });
+      await revokeDigitalOrderAccess(order, `Order marked as ${order.paymentStatus}`);
+      await syncInstructorEarnings(order, "DigitalOrder", `Order marked as ${order.paymentStatus}`);
+      await reverseCommission(order, "DigitalOrder", `Order marked as ${order.paymentStatus}`);
+    }
   }
-  
+
+  // Save first so the invoice generated for the email sees the new status
   await order.save();
+
+  if (order.paymentStatus === "paid") {
+    // Fresh tokens every time; the confirmation email only goes out when the status changes to paid
+    await fulfillDigitalOrder(order, { sendEmail: previousStatus !== "paid" });
+  }
+
   res.status(200).json({ success: true, data: order });
 });
 
@@ -192,47 +359,119 @@ export const getDownloadLinks = asyncHandler(async (req, res) => {
     return res.status(403).json({ success: false, message: "Order is not paid" });
   }
 
-  // For now, return direct file URLs with token metadata (client can display and download directly)
-  // Future: proxy downloads via server to enforce token limits
-  const links = order.items.map((it) => {
+  // Files are only reachable through the download proxy, which enforces the token limits
+  // Courses and learning paths in a cart order are accessed through enrollment, not downloads
+  const links = order.items.filter((it) => it.itemType === "product" && it.product).map((it) => {
     const token = order.downloadTokens.find((t) => t.product.toString() === it.product._id.toString());
-    // Build signed URLs for files uploaded to Cloudinary (raw resources)
-    const signedFiles = (it.product.files || []).map((f) => {
-      const original = f.toObject?.() || f;
-      const urlStr = String(original.url || '');
-      const isAuthenticated = urlStr.includes('/authenticated/');
-
-      // Determine publicId reliably
-      let publicId = original.publicId;
-      if (!publicId) {
-        const m = urlStr.match(/\/v\d+\/(.+)$/); // capture everything after /v12345/
-        if (m && m[1]) {
-          publicId = decodeURIComponent(m[1].split('?')[0]);
-        }
-      }
-
-      if (isAuthenticated && publicId) {
-        const secureUrl = cloudinary.url(publicId, {
-          resource_type: 'raw',
-          type: 'authenticated',
-          sign_url: true,
-          expires_at: Math.floor(Date.now() / 1000) + 60 * 15,
-        });
-        return { ...original, url: secureUrl, publicId };
-      }
-      // Already public or missing info: return as-is
-      return { ...original, publicId };
-    });
+    const files = (it.product.files || []).map((f, index) => ({
+      name: f.name,
+      format: f.format,
+      sizeBytes: f.sizeBytes,
+      version: f.version,
+      changelog: f.changelog,
+      uploadedAt: f.uploadedAt,
+      history: f.history || [],
+      url: token ? buildDownloadUrl(token.token, index) : null,
+    }));
     return {
       productId: it.product._id,
       title: it.product.title,
-      files: signedFiles,
+      files,
       token: token?.token,
       expiresAt: token?.expiresAt,
+      downloads: token?.downloads || 0,
+      maxDownloads: token?.maxDownloads || 0,
       remaining: token ? Math.max(0, (token.maxDownloads || 5) - (token.downloads || 0)) : 0,
+      licenseKey: it.licenseKey || null,
+      licenseKeys: it.licenseKeys?.length ? it.licenseKeys : [it.licenseKey].filter(Boolean),
     };
   });
   res.status(200).json({ success: true, data: links });
 });
 
+// Download proxy: the token in the URL is the credential, so this route is public
+export const downloadFile = asyncHandler(async (req, res) => {
+  const token = String(req.params.token || "");
+  const fileIndex = Number(req.params.fileIndex);
+  if (!/^[a-f0-9]{48}$/.test(token) || !Number.isInteger(fileIndex) || fileIndex < 0) {
+    res.status(400);
+    throw new Error("Invalid download link");
+  }
+
+  const result = await findDownloadToken({ token, fileIndex });
+  if (result.error) {
+    res.status(result.status);
+    throw new Error(result.error);
+  }
 
+  // Prepare the file before counting the download, so a failure does not cost the buyer an attempt
+  let url;
+  if (result.product.watermarkPdf && isPdfFile(result.file)) {
+    try {
+      url = await getWatermarkedFileUrl({ ...result, fileIndex });
+    } catch (error) {
+      console.error("Error preparing watermarked PDF:", error);
+      res.status(error.name === "TimeoutError" ? 504 : 502);
+      throw new Error("Could not prepare your download. Please try again.");
+    }
+  } else {
+    url = getSignedFileUrl(result.file);
+  }
+
+  const recorded = await recordDownload({
+    ...result,
+    fileIndex,
+    ip: req.ip || "",
+    userAgent: String(req.get("user-agent") || "").slice(0, 300),
+  });
+  if (!recorded) {
+    res.status(429);
+    throw new Error("Download limit reached for this product");
+  }
+
+  res.redirect(url);
+});
+
+// Admin: reset the download counter and/or extend the expiry of an order's tokens
+export const adminUpdateDownloadTokens = asyncHandler(async (req, res) => {
+  const order = await DigitalOrder.findById(req.params.id);
+  if (!order) {
+    res.status(404);
+    throw new Error("Order not found");
+  }
+  if (order.paymentStatus !== "paid" || order.downloadTokens.length === 0) {
+    res.status(400);
+    throw new Error("This order has no download tokens");
+  }
+
+  const { productId, resetDownloads } = req.body;
+  const extendDays = req.body.extendDays !== undefined ? sanitizeNumber(req.body.extendDays, 1, 365, null) : undefined;
+  const maxDownloads = req.body.maxDownloads !== undefined ? sanitizeNumber(req.body.maxDownloads, 1, 100, null) : undefined;
+  if (extendDays === null || maxDownloads === null) {
+    res.status(400);
+    throw new Error("extendDays must be 1-365 and maxDownloads 1-100");
+  }
+  if (!resetDownloads && extendDays === undefined && maxDownloads === undefined) {
+    res.status(400);
+    throw new Error("Nothing to update: use resetDownloads, extendDays or maxDownloads");
+  }
+
+  const tokens = productId
+    ? order.downloadTokens.filter((t) => t.product.toString() === String(productId))
+    : order.downloadTokens;
+  if (tokens.length === 0) {
+    res.status(404);
+    throw new Error("No download token for this product");
+  }
+
+  const now = Date.now();
+  for (const token of tokens) {
+    if (resetDownloads === true || resetDownloads === "true") token.downloads = 0;
+    // Extend from now if the token already expired, otherwise from its current expiry
+    if (extendDays) token.expiresAt = new Date(Math.max(now, token.expiresAt.getTime()) + extendDays * 24 * 60 * 60 * 1000);
+    if (maxDownloads) token.maxDownloads = maxDownloads;
+  }
+  await order.save();
+
+  res.status(200).json({ success: true, data: order.downloadTokens });
+});
@@ -3,14 +3,18 @@
 import Enrollment from "../models/enrollment.model.js";
 import Course from "../models/course.model.js"; // Needed to check course status
 import asyncHandler from "express-async-handler";
+import { validateBatchChoice, isBatchOverbooked } from "../services/batch.service.js";
+import { closeWaitlistEntry } from "../services/waitlist.service.js";
+import { computeAccessExpiry, isEnrollmentExpired } from "../services/access.service.js";
+import { checkPrerequisites } from "../services/prerequisite.service.js";
 
 /**
- * @desc    Create a new enrollment (enroll in a course)
+ * @desc    Create a new enrollment (enroll in a free course)
  * @route   POST /api/enrollments
  * @access  Private/Student
  */
 export const createEnrollment = asyncHandler(async (req, res) => {
-  const { courseId } = req.body;
+  const { courseId, batchId } = req.body;
   const studentId = req.user._id;
 
   // 1. Validation
@@ -26,22 +30,58 @@ export const createEnrollment = asyncHandler(async (req, res) => {
     throw new Error("Course not found or is not available for enrollment");
   }
 
-  // 3. Check if the user is already enrolled
+  // Paid courses are bought through checkout, which handles payment, coupons and batch seats
+  if (course.price > 0) {
+    res.status(403);
+    throw new Error("This is a paid course. Please use checkout to enroll.");
+  }
+
+  // 3. Check if the user is already enrolled (membership access doesn't count as owning the course)
   const alreadyEnrolled = await Enrollment.findOne({
     student: studentId,
     course: courseId,
+    source: { $ne: "membership" },
   });
 
   if (alreadyEnrolled) {
     res.status(409); // Conflict
-    throw new Error("You are already enrolled in this course");
+    throw new Error(isEnrollmentExpired(alreadyEnrolled)
+      ? "Your access to this course has expired. Please renew it."
+      : "You are already enrolled in this course");
   }
 
-  // 4. Create the enrollment
-  const enrollment = await Enrollment.create({
-    student: studentId,
-    course: courseId,
+  // 4. Prerequisite courses must be completed first
+  const prerequisiteResult = await checkPrerequisites({ user: req.user, course });
+  if (!prerequisiteResult.valid) {
+    res.status(403);
+    throw new Error(prerequisiteResult.message);
+  }
+
+  // 5. Batch-run courses need an open batch
+  const batchResult = await validateBatchChoice({ courseId, batchId, userId: studentId });
+  if (!batchResult.valid) {
+    res.status(400);
+    throw new Error(batchResult.message);
+  }
+
+  // 6. Create the enrollment (a membership enrollment becomes the student's own and keeps its progress)
+  const enrollment = await Enrollment.findOne({ student: studentId, course: courseId, source: "membership" })
+    || new Enrollment({ student: studentId, course: courseId });
+  const previous = enrollment.isNew ? null : { source: enrollment.source, batch: enrollment.batch, expiresAt: enrollment.expiresAt };
+  enrollment.set({
+    source: "purchase",
+    batch: batchResult.batch?._id,
+    expiresAt: computeAccessExpiry(course),
   });
+  await enrollment.save();
+
+  // 7. The enrollment holds the batch seat now: give it back if others took the last seats meanwhile
+  if (batchResult.batch && await isBatchOverbooked(batchResult.batch, { excludeUser: studentId })) {
+    await (previous ? enrollment.set(previous).save() : enrollment.deleteOne());
+    res.status(409);
+    throw new Error("This batch has just filled up. Please choose another batch.");
+  }
+  await closeWaitlistEntry(studentId, courseId);
 
   res.status(201).json({
     success: true,
@@ -68,6 +108,7 @@ export const getMyEnrollments = asyncHandler(async (req, res) => {
         select: "name avatar",
       },
     })
+    .populate("batch", "name startDate endDate")
     .sort({ createdAt: -1 });
 
   res.status(200).json({
@@ -0,0 +1,152 @@
+// gift.controller.js
+import asyncHandler from "express-async-handler";
+import Gift from "../models/gift.model.js";
+import Enrollment from "../models/enrollment.model.js";
+import { sanitizeString, sanitizeEmail, validateEmail, validateObjectId } from "../utils/validation.js";
+import { sendGift } from "../services/gift.service.js";
+import { ensureEnrollment } from "../services/order.service.js";
+
+// Stops the resend button from being used to spam the recipient
+const RESEND_COOLDOWN_MS = 1000 * 60 * 10;
+
+/**
+ * @desc    Get the gifts the current user has bought
+ * @route   GET /api/gifts/mine
+ * @access  Private
+ */
+export const getMyGifts = asyncHandler(async (req, res) => {
+  const gifts = await Gift.find({ purchaser: req.user._id })
+    .populate("course", "title slug thumbnail")
+    .populate("order", "amount paymentStatus")
+    .populate("redeemedBy", "name")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  // The code only works once the order is paid, so it isn't shown before that
+  const data = gifts.map((gift) => (gift.status === "awaiting_payment" ? { ...gift, code: undefined } : gift));
+
+  res.status(200).json({ success: true, count: data.length, data });
+});
+
+/**
+ * @desc    Email an unredeemed gift again, optionally to a corrected address
+ * @route   POST /api/gifts/:id/resend
+ * @access  Private
+ * @body    { recipientEmail?, recipientName? }
+ */
+export const resendGift = asyncHandler(async (req, res) => {
+  const gift = validateObjectId(req.params.id)
+    ? await Gift.findOne({ _id: req.params.id, purchaser: req.user._id })
+    : null;
+  if (!gift) {
+    res.status(404);
+    throw new Error("Gift not found");
+  }
+  if (gift.status !== "sent") {
+    res.status(400);
+    throw new Error(gift.status === "awaiting_payment"
+      ? "The gift is sent once your payment is verified"
+      : `This gift has already been ${gift.status}`);
+  }
+
+  if (req.body.recipientEmail) {
+    const recipientEmail = sanitizeEmail(String(req.body.recipientEmail));
+    if (!validateEmail(recipientEmail)) {
+      res.status(400);
+      throw new Error("A valid recipient email is required");
+    }
+    gift.recipientEmail = recipientEmail;
+  }
+  if (req.body.recipientName !== undefined) {
+    gift.recipientName = sanitizeString(String(req.body.recipientName), 100);
+  }
+
+  // A new address may be sent to right away; the same one only after the cooldown
+  if (!gift.isModified("recipientEmail") && gift.sentAt && Date.now() - gift.sentAt.getTime() < RESEND_COOLDOWN_MS) {
+    res.status(429);
+    throw new Error("This gift was sent a few minutes ago. Please wait before sending it again.");
+  }
+
+  try {
+    await sendGift(gift);
+  } catch (error) {
+    res.status(502);
+    throw new Error("Could not send the gift email. Please try again.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Gift sent to ${gift.recipientEmail}`,
+    data: gift,
+  });
+});
+
+/**
+ * @desc    Look up a gift code before redeeming it
+ * @route   GET /api/gifts/code/:code
+ * @access  Public
+ */
+export const getGiftByCode = asyncHandler(async (req, res) => {
+  const gift = await Gift.findOne({ code: String(req.params.code).trim().toUpperCase() })
+    .populate("course", "title slug thumbnail")
+    .populate("purchaser", "name")
+    .lean();
+  if (!gift || gift.status === "awaiting_payment" || gift.status === "revoked") {
+    res.status(404);
+    throw new Error("Gift code not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      course: gift.course,
+      senderName: gift.purchaser?.name,
+      recipientName: gift.recipientName,
+      message: gift.message,
+      isRedeemed: gift.status === "redeemed",
+    },
+  });
+});
+
+/**
+ * @desc    Redeem a gift code: the current user is enrolled in the course
+ * @route   POST /api/gifts/redeem
+ * @access  Private
+ * @body    { code }
+ */
+export const redeemGift = asyncHandler(async (req, res) => {
+  const code = req.body.code ? String(req.body.code).trim().toUpperCase() : "";
+  const gift = code ? await Gift.findOne({ code }) : null;
+  if (!gift || gift.status === "awaiting_payment" || gift.status === "revoked") {
+    res.status(404);
+    throw new Error("Gift code not found");
+  }
+  if (gift.status === "redeemed") {
+    res.status(409);
+    throw new Error("This gift has already been redeemed");
+  }
+  // Membership access doesn't count as owning the course
+  if (await Enrollment.exists({ student: req.user._id, course: gift.course, source: { $ne: "membership" } })) {
+    res.status(409);
+    throw new Error("You are already enrolled in this course. Ask the sender to pass the gift on to someone else.");
+  }
+
+  // Claim the gift first so the same code can't be used twice
+  const claimed = await Gift.findOneAndUpdate(
+    { _id: gift._id, status: "sent" },
+    { $set: { status: "redeemed", redeemedBy: req.user._id, redeemedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    res.status(409);
+    throw new Error("This gift has already been redeemed");
+  }
+
+  const enrollment = await ensureEnrollment(req.user._id, gift.course);
+
+  res.status(200).json({
+    success: true,
+    message: "Gift redeemed. You are now enrolled in the course.",
+    data: enrollment,
+  });
+});
@@ -0,0 +1,234 @@
+// instructor.controller.js
+import asyncHandler from "express-async-handler";
+import User from "../models/user.model.js";
+import Course from "../models/course.model.js";
+import InstructorPayout from "../models/instructorPayout.model.js";
+import { sanitizeString, sanitizeNumber, validateObjectId } from "../utils/validation.js";
+import { getBalance, getEarningsSummary, getMonthlyStatement, generateStatementPdf } from "../services/instructorEarning.service.js";
+import { getCourseAnalytics, ANALYTICS_INTERVALS } from "../services/courseAnalytics.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Helper: the instructor whose data is shown (admins may pick one with ?instructor=) ---
+const resolveInstructorId = (req, res) => {
+  if (req.user.role !== "admin" || !req.query.instructor) return req.user._id;
+  if (!validateObjectId(req.query.instructor)) {
+    res.status(400);
+    throw new Error("Invalid instructor ID");
+  }
+  return String(req.query.instructor);
+};
+
+// --- Helper: parse a revenue share from the body (null clears it) ---
+const parseRevenueShare = (req, res) => {
+  const { revenueSharePercent } = req.body;
+  if (revenueSharePercent === null || revenueSharePercent === "") return null;
+  const percent = Number(revenueSharePercent);
+  if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+    res.status(400);
+    throw new Error("revenueSharePercent must be a number between 0 and 100, or null to clear it");
+  }
+  return percent;
+};
+
+/**
+ * @desc    Get the instructor's earnings, balance, per-course totals and recent payouts
+ * @route   GET /api/instructor/earnings
+ * @access  Private/Instructor
+ */
+export const getMyEarnings = asyncHandler(async (req, res) => {
+  const data = await getEarningsSummary(resolveInstructorId(req, res));
+  res.status(200).json({ success: true, data });
+});
+
+/**
+ * @desc    Get a monthly earnings statement (add ?format=pdf for the PDF)
+ * @route   GET /api/instructor/earnings/statements/:year/:month
+ * @access  Private/Instructor
+ */
+export const getStatement = asyncHandler(async (req, res) => {
+  const year = parseInt(req.params.year);
+  const month = parseInt(req.params.month);
+  if (!(year >= 2000 && year <= 2100) || !(month >= 1 && month <= 12)) {
+    res.status(400);
+    throw new Error("Invalid statement month");
+  }
+
+  const statement = await getMonthlyStatement(resolveInstructorId(req, res), year, month);
+
+  if (req.query.format === "pdf") {
+    const { buffer, filename } = await generateStatementPdf(statement);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.status(200).send(buffer);
+  }
+
+  res.status(200).json({ success: true, data: statement });
+});
+
+/**
+ * @desc    Get analytics for one of the instructor's courses: enrollments over time, lesson completion
+ *          funnel, quiz scores per lesson, drop-off points, review ratings and revenue
+ *          (?from=&to= default to the last 90 days, ?interval=day|week|month defaults to week,
+ *          ?stallDays= is how long without progress counts as stalled, 14 by default)
+ * @route   GET /api/instructor/analytics/:courseId
+ * @access  Private/Instructor
+ */
+export const getAnalytics = asyncHandler(async (req, res) => {
+  const course = validateObjectId(req.params.courseId)
+    ? await Course.findById(req.params.courseId).select("title slug instructor")
+    : null;
+  if (!course) {
+    res.status(404);
+    throw new Error("Course not found");
+  }
+  if (course.instructor?.toString() !== req.user.id && req.user.role !== "admin") {
+    res.status(403);
+    throw new Error("Not authorized to view analytics for this course");
+  }
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 90 * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    res.status(400);
+    throw new Error("Invalid date range");
+  }
+  const interval = req.query.interval ? String(req.query.interval) : "week";
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    res.status(400);
+    throw new Error(`interval must be one of: ${ANALYTICS_INTERVALS.join(", ")}`);
+  }
+  const stallDays = Math.floor(sanitizeNumber(req.query.stallDays, 1, 365, 14));
+
+  const data = await getCourseAnalytics(course, { from, to, interval, stallDays });
+  res.status(200).json({ success: true, data });
+});
+
+/**
+ * @desc    Record a payout made to an instructor
+ * @route   POST /api/admin/instructors/:id/payouts
+ * @access  Private/Admin
+ * @body    { amount, method?, reference?, note?, paidAt?, allowOverBalance? }
+ *          (allowOverBalance: true confirms a payout larger than the instructor's balance)
+ */
+export const createPayout = asyncHandler(async (req, res) => {
+  const instructor = validateObjectId(req.params.id)
+    ? await User.findOne({ _id: req.params.id, role: { $in: ["instructor", "admin"] } }).select("name email")
+    : null;
+  if (!instructor) {
+    res.status(404);
+    throw new Error("Instructor not found");
+  }
+
+  const amount = Math.round(sanitizeNumber(req.body.amount, 0, 100000000) * 100) / 100;
+  if (!(amount > 0)) {
+    res.status(400);
+    throw new Error("A payout amount greater than 0 is required");
+  }
+  const paidAt = req.body.paidAt ? new Date(req.body.paidAt) : new Date();
+  if (Number.isNaN(paidAt.getTime()) || paidAt > new Date()) {
+    res.status(400);
+    throw new Error("Invalid payout date");
+  }
+
+  const { balance } = await getBalance(instructor._id);
+  if (amount > balance && req.body.allowOverBalance !== true) {
+    res.status(400);
+    throw new Error(`The payout is more than ${instructor.name}'s balance of ${balance}. Send allowOverBalance: true to record it anyway.`);
+  }
+
+  const payout = await InstructorPayout.create({
+    instructor: instructor._id,
+    amount,
+    method: sanitizeString(String(req.body.method || ""), 50),
+    reference: sanitizeString(String(req.body.reference || ""), 100),
+    note: sanitizeString(String(req.body.note || ""), 500),
+    paidAt,
+    recordedBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Payout recorded for ${instructor.name}`,
+    data: payout,
+  });
+});
+
+/**
+ * @desc    Get recorded instructor payouts
+ * @route   GET /api/admin/instructor-payouts
+ * @access  Private/Admin
+ */
+export const getPayoutsAdmin = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const query = {};
+  if (req.query.instructor && validateObjectId(req.query.instructor)) {
+    query.instructor = String(req.query.instructor);
+  }
+
+  const [payouts, total] = await Promise.all([
+    InstructorPayout.find(query)
+      .populate("instructor", "name email")
+      .populate("recordedBy", "name")
+      .sort({ paidAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    InstructorPayout.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: payouts,
+  });
+});
+
+/**
+ * @desc    Set an instructor's revenue share (applies to sales from now on)
+ * @route   PUT /api/admin/instructors/:id/revenue-share
+ * @access  Private/Admin
+ * @body    { revenueSharePercent } (null falls back to the platform default)
+ */
+export const setInstructorRevenueShare = asyncHandler(async (req, res) => {
+  const percent = parseRevenueShare(req, res);
+  const instructor = validateObjectId(req.params.id)
+    ? await User.findOneAndUpdate(
+      { _id: req.params.id, role: { $in: ["instructor", "admin"] } },
+      percent === null ? { $unset: { revenueSharePercent: 1 } } : { $set: { revenueSharePercent: percent } },
+      { new: true }
+    ).select("name email revenueSharePercent")
+    : null;
+  if (!instructor) {
+    res.status(404);
+    throw new Error("Instructor not found");
+  }
+
+  res.status(200).json({ success: true, data: instructor });
+});
+
+/**
+ * @desc    Set a course's revenue share, overriding its instructor's (applies to sales from now on)
+ * @route   PUT /api/admin/courses/:id/revenue-share
+ * @access  Private/Admin
+ * @body    { revenueSharePercent } (null falls back to the instructor's share)
+ */
+export const setCourseRevenueShare = asyncHandler(async (req, res) => {
+  const percent = parseRevenueShare(req, res);
+  const course = validateObjectId(req.params.id)
+    ? await Course.findByIdAndUpdate(
+      req.params.id,
+      percent === null ? { $unset: { revenueSharePercent: 1 } } : { $set: { revenueSharePercent: percent } },
+      { new: true }
+    ).select("title instructor revenueSharePercent")
+    : null;
+  if (!course) {
+    res.status(404);
+    throw new Error("Course not found");
+  }
+
+  res.status(200).json({ success: true, data: course });
+});
@@ -0,0 +1,271 @@
+// learningPath.controller.js
+import asyncHandler from "express-async-handler";
+import slugify from "slugify";
+import LearningPath from "../models/learningPath.model.js";
+import PathCertificate from "../models/pathCertificate.model.js";
+import DigitalOrder from "../models/digitalOrder.model.js";
+import Course from "../models/course.model.js";
+import Batch from "../models/batch.model.js";
+import { sanitizeString, sanitizeText, sanitizeNumber, validateObjectId } from "../utils/validation.js";
+import { getPathProgress } from "../services/learningPath.service.js";
+
+const PATH_COURSE_FIELDS = "title slug thumbnail price discountPrice level accessDurationDays";
+
+// --- Helper: read the ordered course list (JSON array, comma list or array) ---
+const parsePathCourses = async (value, res) => {
+  let ids = value;
+  if (typeof value === "string") {
+    try {
+      ids = value.trim().startsWith("[") ? JSON.parse(value) : value.split(",");
+    } catch {
+      res.status(400);
+      throw new Error("courses must be a list of course IDs");
+    }
+  }
+  if (!Array.isArray(ids)) {
+    res.status(400);
+    throw new Error("courses must be a list of course IDs");
+  }
+  // Keep the first position of a repeated course
+  ids = [...new Set(ids.map((id) => String(id).trim()).filter(Boolean))];
+
+  if (ids.length === 0 || ids.some((id) => !validateObjectId(id))) {
+    res.status(400);
+    throw new Error("A learning path needs at least one valid course");
+  }
+  if ((await Course.countDocuments({ _id: { $in: ids } })) !== ids.length) {
+    res.status(400);
+    throw new Error("A course in this learning path was not found");
+  }
+  // One purchase enrolls in every course, so none of them may need a batch picked
+  if (await Batch.exists({ course: { $in: ids } })) {
+    res.status(400);
+    throw new Error("Courses that run in batches can't be part of a learning path");
+  }
+  return ids;
+};
+
+// --- Helper: copy price fields from the request body, checking the discount ---
+const applyPricing = (learningPath, body, res) => {
+  if (body.price !== undefined) {
+    learningPath.price = sanitizeNumber(body.price, 0, 1000000, null);
+  }
+  if (body.discountPrice !== undefined) {
+    const discountPrice = body.discountPrice === "" || body.discountPrice === null
+      ? null
+      : sanitizeNumber(body.discountPrice, 0, 1000000, null);
+    learningPath.discountPrice = discountPrice > 0 ? discountPrice : undefined;
+  }
+  if (learningPath.price === null || learningPath.price === undefined) {
+    res.status(400);
+    throw new Error("A valid price is required");
+  }
+  if (learningPath.discountPrice && learningPath.discountPrice >= learningPath.price) {
+    res.status(400);
+    throw new Error("Discount price must be less than the regular price");
+  }
+};
+
+/**
+ * @desc    Get published learning paths
+ * @route   GET /api/learning-paths
+ * @access  Public
+ */
+export const getLearningPaths = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 12;
+  const query = { isPublished: true };
+
+  const [learningPaths, total] = await Promise.all([
+    LearningPath.find(query)
+      .populate("courses", "title slug thumbnail")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    LearningPath.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: learningPaths.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: learningPaths,
+  });
+});
+
+/**
+ * @desc    Get a published learning path with its courses in order
+ * @route   GET /api/learning-paths/slug/:slug
+ * @access  Public
+ */
+export const getLearningPathBySlug = asyncHandler(async (req, res) => {
+  const learningPath = await LearningPath.findOne({ slug: String(req.params.slug), isPublished: true })
+    .populate("courses", PATH_COURSE_FIELDS)
+    .lean();
+  if (!learningPath) {
+    res.status(404);
+    throw new Error("Learning path not found");
+  }
+
+  // What the courses would cost one by one, to show the saving
+  const coursesTotal = learningPath.courses.reduce(
+    (sum, course) => sum + (course.discountPrice > 0 ? course.discountPrice : course.price || 0),
+    0
+  );
+
+  res.status(200).json({ success: true, data: { ...learningPath, coursesTotal } });
+});
+
+/**
+ * @desc    Get the logged-in student's progress through a learning path
+ * @route   GET /api/learning-paths/:id/progress
+ * @access  Private
+ */
+export const getLearningPathProgress = asyncHandler(async (req, res) => {
+  // Admins may also look at unpublished paths
+  const query = req.user.role === "admin" ? {} : { isPublished: true };
+  const learningPath = validateObjectId(req.params.id)
+    ? await LearningPath.findOne({ ...query, _id: req.params.id }).populate("courses", "title slug thumbnail")
+    : null;
+  if (!learningPath) {
+    res.status(404);
+    throw new Error("Learning path not found");
+  }
+
+  const [progress, certificate] = await Promise.all([
+    getPathProgress(req.user._id, learningPath),
+    PathCertificate.findOne({ student: req.user._id, learningPath: learningPath._id, revokedAt: null }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      learningPath: { _id: learningPath._id, title: learningPath.title, slug: learningPath.slug },
+      ...progress,
+      certificate,
+    },
+  });
+});
+
+/**
+ * @desc    Get all learning paths, published or not
+ * @route   GET /api/learning-paths/admin
+ * @access  Private/Admin
+ */
+export const getLearningPathsAdmin = asyncHandler(async (req, res) => {
+  const learningPaths = await LearningPath.find({})
+    .populate("courses", "title slug")
+    .populate("createdBy", "name")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({ success: true, count: learningPaths.length, data: learningPaths });
+});
+
+/**
+ * @desc    Create a learning path
+ * @route   POST /api/learning-paths
+ * @access  Private/Admin
+ * @body    { title, description?, courses, price, discountPrice?, isPublished?, thumbnail (file) }
+ */
+export const createLearningPath = asyncHandler(async (req, res) => {
+  const title = sanitizeString(String(req.body.title || ""), 200);
+  if (!title) {
+    res.status(400);
+    throw new Error("Title is required");
+  }
+
+  const learningPath = new LearningPath({
+    title,
+    description: sanitizeText(String(req.body.description || ""), 5000),
+    courses: await parsePathCourses(req.body.courses, res),
+    isPublished: req.body.isPublished === true || req.body.isPublished === "true",
+    createdBy: req.user._id,
+  });
+  applyPricing(learningPath, req.body, res);
+  if (req.file) {
+    learningPath.thumbnail = req.file.secure_url || req.file.url || req.file.path;
+  }
+
+  const baseSlug = slugify(title, { lower: true, strict: true });
+  let slug = baseSlug;
+  let counter = 1;
+  while (await LearningPath.exists({ slug })) {
+    slug = `${baseSlug}-${counter}`;
+    counter++;
+  }
+  learningPath.slug = slug;
+
+  await learningPath.save();
+
+  res.status(201).json({
+    success: true,
+    message: "Learning path created successfully",
+    data: learningPath,
+  });
+});
+
+/**
+ * @desc    Update a learning path
+ * @route   PUT /api/learning-paths/:id
+ * @access  Private/Admin
+ */
+export const updateLearningPath = asyncHandler(async (req, res) => {
+  const learningPath = validateObjectId(req.params.id) ? await LearningPath.findById(req.params.id) : null;
+  if (!learningPath) {
+    res.status(404);
+    throw new Error("Learning path not found");
+  }
+
+  if (req.body.title !== undefined) {
+    const title = sanitizeString(String(req.body.title), 200);
+    if (!title) {
+      res.status(400);
+      throw new Error("Title is required");
+    }
+    learningPath.title = title;
+  }
+  if (req.body.description !== undefined) {
+    learningPath.description = sanitizeText(String(req.body.description), 5000);
+  }
+  // Students who already bought the path keep the enrollments they got; new courses apply to new buyers
+  if (req.body.courses !== undefined) {
+    learningPath.courses = await parsePathCourses(req.body.courses, res);
+  }
+  if (req.body.isPublished !== undefined) {
+    learningPath.isPublished = req.body.isPublished === true || req.body.isPublished === "true";
+  }
+  applyPricing(learningPath, req.body, res);
+  if (req.file) {
+    learningPath.thumbnail = req.file.secure_url || req.file.url || req.file.path;
+  }
+
+  const updatedPath = await learningPath.save();
+  res.status(200).json({ success: true, data: updatedPath });
+});
+
+/**
+ * @desc    Delete a learning path nobody has bought or completed
+ * @route   DELETE /api/learning-paths/:id
+ * @access  Private/Admin
+ */
+export const deleteLearningPath = asyncHandler(async (req, res) => {
+  const learningPath = validateObjectId(req.params.id) ? await LearningPath.findById(req.params.id) : null;
+  if (!learningPath) {
+    res.status(404);
+    throw new Error("Learning path not found");
+  }
+
+  const [ordered, certified] = await Promise.all([
+    DigitalOrder.exists({ "items.learningPath": learningPath._id, paymentStatus: { $in: ["pending", "paid"] } }),
+    PathCertificate.exists({ learningPath: learningPath._id }),
+  ]);
+  if (ordered || certified) {
+    res.status(400);
+    throw new Error("This learning path has orders or certificates. Unpublish it instead of deleting it.");
+  }
+
+  await learningPath.deleteOne();
+  res.status(200).json({ success: true, message: "Learning path removed successfully" });
+});
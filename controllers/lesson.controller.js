@@ -1,11 +1,16 @@
 // lesson.controller.js
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/user.model.js';
 import Lesson from "../models/lesson.model.js";
 import Course from "../models/course.model.js";
 import Enrollment from "../models/enrollment.model.js";
 import Progress from "../models/progress.model.js";
+import Section from "../models/section.model.js";
 import asyncHandler from "express-async-handler";
+import { buildCurriculum, renumberCourseLessons } from "../services/curriculum.service.js";
+import { getStudentLessonAvailability } from "../services/drip.service.js";
+import { findCourseAccess } from "../services/access.service.js";
 
 // --- Helper function to update the total duration of a course ---
 const updateCourseTotalDuration = async (courseId) => {
@@ -50,13 +55,32 @@ const recalculateProgressForAllStudents = async (courseId) => {
   }
 };
 
+// --- Helper function to check that a section belongs to the lesson's course ---
+const isSectionOfCourse = async (sectionId, courseId) => {
+  if (!mongoose.isValidObjectId(sectionId)) return false;
+  return Boolean(await Section.exists({ _id: sectionId, course: courseId }));
+};
+
+// --- Helper function to read the logged-in user on public routes (no token -> null) ---
+const getOptionalUser = async (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer")) return null;
+  try {
+    const decoded = jwt.verify(authHeader.split(" ")[1], process.env.JWT_ACCESS_SECRET);
+    const user = await User.findById(decoded.id).select("role status").lean();
+    return user && user.status !== "inactive" ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * @desc    Create a new lesson for a specific course
  * @route   POST /api/courses/:courseId/lessons
  * @access  Private/Instructor or Private/Admin
  */
 export const createLesson = asyncHandler(async (req, res) => {
-  const { title, videoUrl, content, duration } = req.body;
+  const { title, videoUrl, content, duration, section, release, isPreview } = req.body;
   const { courseId } = req.params;
 
   // 1. Validation
@@ -64,6 +88,10 @@ export const createLesson = asyncHandler(async (req, res) => {
     res.status(400);
     throw new Error("Lesson title is required");
   }
+  if (section && !(await isSectionOfCourse(section, courseId))) {
+    res.status(400);
+    throw new Error("Section not found in this course");
+  }
 
   // 2. Find the course to ensure it exists
   const course = await Course.findById(courseId);
@@ -90,8 +118,16 @@ export const createLesson = asyncHandler(async (req, res) => {
     content,
     duration: duration || 0,
     order: newOrder,
+    section: section || undefined,
+    release,
+    isPreview: Boolean(isPreview),
   });
 
+  // Keep the flat lesson order in line with the sections (the new lesson ends its section)
+  if (section) {
+    await renumberCourseLessons(courseId);
+  }
+
   // 6. Update the course's total duration
   await updateCourseTotalDuration(courseId);
   
@@ -124,6 +160,7 @@ export const getLessonsForCourse = asyncHandler(async (req, res) => {
     }
 
     let isAuthorized = false;
+    let studentEnrollment = null; // set when access comes only from an enrollment (drip rules apply)
     
     // --- AUTHORIZATION CHECK ---
     const authHeader = req.headers.authorization;
@@ -137,11 +174,14 @@ export const getLessonsForCourse = asyncHandler(async (req, res) => {
             if (loggedInUser) {
                 const isInstructor = course.instructor.equals(loggedInUser._id);
                 const isAdmin = loggedInUser.role === 'admin';
-                const isEnrolled = await Enrollment.findOne({ student: loggedInUser._id, course: courseId });
+                const isEnrolled = await findCourseAccess(loggedInUser._id, courseId);
 
                 if (isInstructor || isAdmin || isEnrolled) {
                     isAuthorized = true;
                 }
+                if (isEnrolled && !isInstructor && !isAdmin) {
+                    studentEnrollment = isEnrolled;
+                }
             }
         } catch (error) {
             // Token verification failed - user not authorized
@@ -152,29 +192,54 @@ export const getLessonsForCourse = asyncHandler(async (req, res) => {
     }
     // --- END OF AUTHORIZATION BLOCK ---
 
-    const lessons = await Lesson.find({ course: courseId }).sort({ order: "asc" }).lean();
+    const [lessons, sections] = await Promise.all([
+        Lesson.find({ course: courseId }).sort({ order: "asc" }).lean(),
+        Section.find({ course: courseId }).sort({ order: "asc" }).lean(),
+    ]);
 
     if (!isAuthorized) {
         lessons.forEach(lesson => {
-            delete lesson.videoUrl;
+            // Free preview lessons of published courses keep their video so the landing page can show them
+            if (!lesson.isPreview || !course.isPublished) {
+                delete lesson.videoUrl;
+            }
             delete lesson.quiz;
         });
     }
 
+    // Drip schedule: enrolled students see unreleased lessons as locked, without their content
+    if (studentEnrollment) {
+        const availability = await getStudentLessonAvailability(courseId, studentEnrollment);
+        lessons.forEach(lesson => {
+            Object.assign(lesson, availability.get(lesson._id.toString()));
+            if (lesson.isLocked) {
+                delete lesson.videoUrl;
+                delete lesson.content;
+                delete lesson.quiz;
+            }
+        });
+    }
+
     res.status(200).json({
         success: true,
         count: lessons.length,
         data: lessons,
+        curriculum: buildCurriculum(sections, lessons),
     });
 });
 
 /**
  * @desc    Get a single lesson by ID
  * @route   GET /api/lessons/:id
- * @access  Private (Enrolled students, Instructor, Admin)
+ * @access  Public for preview lessons, otherwise Private (Enrolled students, Instructor, Admin)
  */
 export const getLessonById = asyncHandler(async (req, res) => {
-  const lesson = await Lesson.findById(req.params.id).populate('course', 'instructor');
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404);
+    throw new Error("Lesson not found");
+  }
+
+  const lesson = await Lesson.findById(req.params.id).populate('course', 'instructor isPublished');
   
   if (!lesson) {
     res.status(404);
@@ -182,13 +247,33 @@ export const getLessonById = asyncHandler(async (req, res) => {
   }
 
   // Re-run the same authorization check as getLessonsForCourse
-  const isInstructor = lesson.course.instructor.toString() === req.user.id;
-  const isAdmin = req.user.role === 'admin';
-  const isEnrolled = await Enrollment.findOne({ student: req.user.id, course: lesson.course._id });
+  const user = await getOptionalUser(req);
+  const isInstructor = Boolean(user) && lesson.course.instructor.equals(user._id);
+  const isAdmin = user?.role === 'admin';
+  const isEnrolled = user ? await findCourseAccess(user._id, lesson.course._id) : null;
 
   if (!isInstructor && !isAdmin && !isEnrolled) {
-    res.status(403);
-    throw new Error("Not authorized to view this lesson");
+    // Free preview lessons of published courses are open to everyone (quiz stays private)
+    if (lesson.isPreview && lesson.course.isPublished) {
+      const preview = lesson.toObject();
+      delete preview.quiz;
+      return res.status(200).json({ success: true, data: preview });
+    }
+    res.status(user ? 403 : 401);
+    throw new Error(user ? "Not authorized to view this lesson" : "Not authorized, no token provided");
+  }
+
+  // Drip schedule applies to students only
+  if (!isInstructor && !isAdmin) {
+    const availability = await getStudentLessonAvailability(lesson.course._id, isEnrolled);
+    const { isLocked, unlockAt, lockReason } = availability.get(lesson._id.toString()) || {};
+    if (isLocked) {
+      return res.status(403).json({
+        success: false,
+        message: "This lesson is not released yet",
+        data: { _id: lesson._id, title: lesson.title, isLocked, unlockAt, lockReason },
+      });
+    }
   }
 
   res.status(200).json({ success: true, data: lesson });
@@ -213,11 +298,23 @@ export const updateLesson = asyncHandler(async (req, res) => {
     throw new Error("Not authorized to update this lesson");
   }
 
-  const updatedLesson = await Lesson.findByIdAndUpdate(req.params.id, req.body, {
+  // Moving a lesson to another section (or out of one with section: null)
+  const sectionChanged = req.body.section !== undefined && String(req.body.section || "") !== String(lesson.section || "");
+  if (sectionChanged && req.body.section && !(await isSectionOfCourse(req.body.section, lesson.course._id))) {
+    res.status(400);
+    throw new Error("Section not found in this course");
+  }
+
+  let updatedLesson = await Lesson.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true,
   });
 
+  if (sectionChanged) {
+    await renumberCourseLessons(lesson.course._id);
+    updatedLesson = await Lesson.findById(req.params.id);
+  }
+
   // If duration changed, recalculate course total duration
   if (req.body.duration && req.body.duration !== lesson.duration) {
       await updateCourseTotalDuration(lesson.course._id);
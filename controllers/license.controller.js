@@ -0,0 +1,157 @@
+// license.controller.js
+
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import LicenseKey from "../models/licenseKey.model.js";
+import Product from "../models/product.model.js";
+import { sanitizeString, validateObjectId } from "../utils/validation.js";
+import { checkLicense } from "../services/license.service.js";
+
+// Public view of a license: no buyer or order details
+const toPublicLicense = (license) => license && {
+  product: license.product?.title,
+  status: license.status,
+  activations: license.activations.length,
+  maxActivations: license.maxActivations,
+};
+
+const readLicenseRequest = (req, res) => {
+  const key = req.body.key ? sanitizeString(String(req.body.key), 100) : "";
+  const instanceId = req.body.instanceId ? sanitizeString(String(req.body.instanceId), 200) : "";
+  if (!key) {
+    res.status(400);
+    throw new Error("License key is required");
+  }
+  return { key, instanceId };
+};
+
+/**
+ * @desc    Check whether a license key is valid (and activated on an instance, if given)
+ * @route   POST /api/licenses/validate
+ * @access  Public
+ */
+export const validateLicenseKey = asyncHandler(async (req, res) => {
+  const { key, instanceId } = readLicenseRequest(req, res);
+  const result = await checkLicense({ key, instanceId });
+
+  res.status(200).json({
+    success: true,
+    valid: result.valid,
+    activated: Boolean(result.activated),
+    message: result.message,
+    data: toPublicLicense(result.license),
+  });
+});
+
+/**
+ * @desc    Activate a license key on an instance (domain, machine ID...), up to its activation limit
+ * @route   POST /api/licenses/activate
+ * @access  Public
+ */
+export const activateLicenseKey = asyncHandler(async (req, res) => {
+  const { key, instanceId } = readLicenseRequest(req, res);
+  if (!instanceId) {
+    res.status(400);
+    throw new Error("instanceId is required to activate a license");
+  }
+
+  const result = await checkLicense({ key, instanceId, activate: true, ip: req.ip || "" });
+  if (!result.valid) {
+    res.status(result.license ? 403 : 404);
+    throw new Error(result.message);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    data: toPublicLicense(result.license),
+  });
+});
+
+/**
+ * @desc    Import license keys into a product's pool
+ * @route   POST /api/products/:id/license-keys
+ * @access  Private/Admin
+ */
+export const importLicenseKeys = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id).select("licensing");
+  if (!product) {
+    res.status(404);
+    throw new Error("Product not found");
+  }
+
+  // Accept an array or a newline/comma separated string
+  const rawKeys = Array.isArray(req.body.keys) ? req.body.keys : String(req.body.keys || "").split(/[\r\n,]+/);
+  const keys = [...new Set(rawKeys.map((key) => sanitizeString(String(key), 100).toUpperCase()).filter(Boolean))];
+  if (keys.length === 0) {
+    res.status(400);
+    throw new Error("No license keys provided");
+  }
+  if (keys.length > 5000) {
+    res.status(400);
+    throw new Error("You can import at most 5000 keys at a time");
+  }
+
+  const existing = await LicenseKey.find({ key: { $in: keys } }).select("key");
+  const existingKeys = new Set(existing.map((license) => license.key));
+  const newKeys = keys.filter((key) => !existingKeys.has(key));
+
+  if (newKeys.length > 0) {
+    await LicenseKey.insertMany(newKeys.map((key) => ({
+      product: product._id,
+      key,
+      source: "imported",
+      maxActivations: product.licensing?.maxActivations || 1,
+      importedBy: req.user._id,
+    })));
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${newKeys.length} key(s) imported${existingKeys.size ? `, ${existingKeys.size} duplicate(s) skipped` : ""}`,
+    data: { imported: newKeys.length, skipped: existingKeys.size },
+  });
+});
+
+/**
+ * @desc    List a product's license keys with pool counts
+ * @route   GET /api/products/:id/license-keys
+ * @access  Private/Admin
+ */
+export const getProductLicenseKeys = asyncHandler(async (req, res) => {
+  if (!validateObjectId(req.params.id)) {
+    res.status(400);
+    throw new Error("Invalid product ID");
+  }
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = { product: req.params.id };
+  if (["available", "assigned", "revoked"].includes(req.query.status)) {
+    query.status = req.query.status;
+  }
+
+  const [keys, total, counts] = await Promise.all([
+    LicenseKey.find(query)
+      .populate("user", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    LicenseKey.countDocuments(query),
+    LicenseKey.aggregate([
+      { $match: { product: new mongoose.Types.ObjectId(String(req.params.id)) } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: keys.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    summary: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+    data: keys,
+  });
+});
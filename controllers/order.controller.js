@@ -1,24 +1,49 @@
 // order.controller.js
 
 import Order from "../models/order.model.js";
+import DigitalOrder from "../models/digitalOrder.model.js";
 import Course from "../models/course.model.js";
 import Enrollment from "../models/enrollment.model.js";
 import User from "../models/user.model.js";
+import Batch from "../models/batch.model.js";
+import Gift from "../models/gift.model.js";
 import asyncHandler from "express-async-handler";
 import { v2 as cloudinary } from 'cloudinary';
-import { sendCoursePurchaseConfirmation } from "../services/email.service.js";
+import { sendCoursePurchaseConfirmation, sendRefundStatusEmail } from "../services/email.service.js";
+import { validateCoupon, redeemCoupon, releaseCoupon, exceedsPerUserLimit } from "../services/coupon.service.js";
+import { fulfillCourseOrder, revokeCourseOrder } from "../services/order.service.js";
+import { generateGiftCode } from "../services/gift.service.js";
+import { findReferrer, reverseCommission } from "../services/referral.service.js";
+import { syncInstructorEarnings } from "../services/instructorEarning.service.js";
+import { generateOrderInvoice, getInvoiceAttachments, INVOICEABLE_STATUSES } from "../services/invoice.service.js";
+import { getGateway, startGatewayPayment, confirmGatewayPayment, failGatewayPayment } from "../services/payment.service.js";
+import { validateBatchChoice, isBatchOverbooked, resolveGroupLink } from "../services/batch.service.js";
+import { closeWaitlistEntry, notifyWaitlist } from "../services/waitlist.service.js";
+import { computeAccessExpiry, isEnrollmentExpired } from "../services/access.service.js";
+import { checkPrerequisites } from "../services/prerequisite.service.js";
+import crypto from "crypto";
 
 export const createOrder = asyncHandler(async (req, res) => {
   // Import validation utilities
-  const { sanitizeString, validateObjectId } = await import('../utils/validation.js');
+  const { sanitizeString, sanitizeEmail, validateEmail, validateObjectId } = await import('../utils/validation.js');
 
   // We don't require payment details for free courses, so they can be optional
   const courseId = req.body.courseId ? String(req.body.courseId).trim() : '';
   const paymentMethod = req.body.paymentMethod ? sanitizeString(req.body.paymentMethod, 50) : '';
   const paymentNumber = req.body.paymentNumber ? sanitizeString(String(req.body.paymentNumber), 50) : '';
   const transactionId = req.body.transactionId ? sanitizeString(req.body.transactionId, 100) : '';
+  const couponCode = req.body.couponCode ? sanitizeString(String(req.body.couponCode), 50) : '';
+  const isRenewal = req.body.renew === true || req.body.renew === 'true';
+  // Gifts: the course goes to someone else, who redeems the emailed code
+  const recipientEmail = req.body.recipientEmail ? sanitizeEmail(String(req.body.recipientEmail)) : '';
+  const isGift = Boolean(recipientEmail);
   const userId = req.user._id;
 
+  if (isGift && (isRenewal || !validateEmail(recipientEmail))) {
+    res.status(400);
+    throw new Error(isRenewal ? "Renewals can't be gifted" : "A valid recipient email is required");
+  }
+
   // Validate courseId
   if (!courseId || !validateObjectId(courseId)) {
     res.status(400);
@@ -31,32 +56,213 @@ export const createOrder = asyncHandler(async (req, res) => {
     throw new Error("Course not found or is not available");
   }
 
-  const isEnrolled = await Enrollment.findOne({ student: userId, course: courseId });
-  if (isEnrolled) {
+  // Membership access doesn't count as owning the course
+  const isEnrolled = await Enrollment.findOne({ student: userId, course: courseId, source: { $ne: "membership" } });
+  if (isRenewal) {
+    // Renewal orders extend time-limited access by another period
+    if (!isEnrolled || !isEnrolled.expiresAt || !(course.accessDurationDays > 0)) {
+      res.status(400);
+      throw new Error("Only time-limited enrollments can be renewed");
+    }
+  } else if (isEnrolled && !isGift) {
     res.status(409);
-    throw new Error("You are already enrolled in this course");
+    throw new Error(isEnrollmentExpired(isEnrolled)
+      ? "Your access to this course has expired. Please renew it."
+      : "You are already enrolled in this course");
   }
 
-  // --- NEW LOGIC FOR FREE COURSES ---
-  const isFreeCourse = course.price === 0;
+  const openCartOrder = !isGift && await DigitalOrder.findOne({ user: userId, "items.course": courseId, paymentStatus: "pending" });
+  if (openCartOrder) {
+    res.status(409);
+    throw new Error("This course is part of a cart order that is awaiting payment");
+  }
+
+  // Prerequisite courses must be completed first (admins can waive them per student).
+  // A gift's recipient is only known once they redeem it, so gifts skip the check.
+  if (!isRenewal && !isGift) {
+    const prerequisiteResult = await checkPrerequisites({ user: req.user, course });
+    if (!prerequisiteResult.valid) {
+      res.status(403);
+      throw new Error(prerequisiteResult.message);
+    }
+  }
+
+  // Batch-run courses: the student must pick a batch that is still taking enrollments (renewals keep theirs)
+  let batch;
+  let batchDoc;
+  if (isGift && await Batch.exists({ course: courseId })) {
+    res.status(400);
+    throw new Error("Courses that run in batches can't be gifted");
+  }
+  if (!isRenewal && !isGift) {
+    const batchId = req.body.batchId ? String(req.body.batchId).trim() : '';
+    const batchResult = await validateBatchChoice({ courseId, batchId, userId });
+    if (!batchResult.valid) {
+      res.status(400);
+      throw new Error(batchResult.message);
+    }
+    batchDoc = batchResult.batch;
+    batch = batchDoc?._id;
+  }
+
+  const purpose = isRenewal ? 'renewal' : isGift ? 'gift' : 'enrollment';
+  let amount = course.discountPrice > 0 ? course.discountPrice : course.price;
+  if (isRenewal && course.renewalPrice !== undefined && course.renewalPrice !== null) {
+    amount = course.renewalPrice;
+  }
+  const isFreeCourse = isRenewal ? amount === 0 : course.price === 0;
+  if (isGift && isFreeCourse) {
+    res.status(400);
+    throw new Error("Free courses can't be gifted");
+  }
+
+  // --- COUPON: validate now, count the use right before the order is saved ---
+  let appliedCoupon = null;
+  let discountAmount = 0;
+  if (couponCode && !isFreeCourse) {
+    const couponResult = await validateCoupon({
+      code: couponCode,
+      userId,
+      items: [{ course: course._id, category: course.category, amount }],
+    });
+    if (!couponResult.valid) {
+      res.status(400);
+      throw new Error(couponResult.message);
+    }
+    appliedCoupon = couponResult.coupon;
+    discountAmount = couponResult.discount;
+    amount = Math.max(0, amount - discountAmount);
+  }
+
+  // The order now holds the seat, so any waitlist reservation is used up.
+  // A gift order holds its Gift instead, which is emailed once the order is paid.
+  const afterOrderCreated = async (order) => {
+    if (!isGift) return closeWaitlistEntry(userId, courseId);
+    await Gift.create({
+      order: order._id,
+      course: courseId,
+      purchaser: userId,
+      recipientEmail,
+      recipientName: req.body.recipientName ? sanitizeString(String(req.body.recipientName), 100) : '',
+      message: req.body.giftMessage ? sanitizeString(String(req.body.giftMessage), 500) : '',
+      code: generateGiftCode(),
+    });
+  };
+
+  // Take back a new order that didn't fit after all, with its coupon use
+  const cancelNewOrder = async (order) => {
+    await Order.deleteOne({ _id: order._id });
+    if (order.coupon) await releaseCoupon(order.coupon);
+  };
+
+  // A pending order holds its batch seat, so count again in case others took the last seats meanwhile
+  const checkBatchSeat = async (order) => {
+    if (order.paymentStatus !== 'pending' || !batchDoc) return;
+    if (!(await isBatchOverbooked(batchDoc, { excludeUser: userId }))) return;
+    await cancelNewOrder(order);
+    res.status(409);
+    throw new Error("This batch has just filled up. Please choose another batch.");
+  };
+
+  const createOrderWithCoupon = async (orderData) => {
+    orderData = { purpose, referrer: findReferrer(req.user), ...orderData };
+    if (!appliedCoupon) {
+      const order = await Order.create(orderData);
+      await checkBatchSeat(order);
+      await afterOrderCreated(order);
+      return order;
+    }
+    if (!(await redeemCoupon(appliedCoupon._id))) {
+      res.status(400);
+      throw new Error("This coupon has reached its usage limit");
+    }
+    let order;
+    try {
+      order = await Order.create({
+        ...orderData,
+        coupon: appliedCoupon._id,
+        couponCode: appliedCoupon.code,
+        discountAmount,
+      });
+    } catch (error) {
+      await releaseCoupon(appliedCoupon._id);
+      throw error;
+    }
+    // Counted again now that the order exists, in case parallel checkouts all passed the check
+    if (await exceedsPerUserLimit(appliedCoupon, userId)) {
+      await cancelNewOrder(order);
+      res.status(400);
+      throw new Error("You have already used this coupon");
+    }
+    await checkBatchSeat(order);
+    await afterOrderCreated(order);
+    return order;
+  };
+
+  // --- NEW LOGIC FOR FREE COURSES (or fully discounted ones) ---
+  if (isFreeCourse || amount === 0) {
+    if (isGift) {
+      const order = await createOrderWithCoupon({
+        user: userId,
+        course: courseId,
+        amount: 0,
+        paymentMethod: "free",
+        paymentStatus: "paid",
+        paymentNumber: 0,
+        transactionId: `free_gift_${userId}_${courseId}_${Date.now()}`,
+      });
+      const gift = await fulfillCourseOrder(order);
+      return res.status(201).json({
+        success: true,
+        message: `Your gift has been sent to ${recipientEmail}!`,
+        data: gift,
+      });
+    }
+
+    if (isRenewal) {
+      const order = await createOrderWithCoupon({
+        user: userId,
+        course: courseId,
+        amount: 0,
+        paymentMethod: "free",
+        paymentStatus: "paid",
+        paymentNumber: 0,
+        transactionId: `free_renewal_${userId}_${courseId}_${Date.now()}`,
+      });
+      const enrollment = await fulfillCourseOrder(order);
+      return res.status(201).json({
+        success: true,
+        message: "Your course access has been renewed!",
+        data: enrollment,
+      });
+    }
 
-  if (isFreeCourse) {
     // 1. Create an Order record for tracking purposes (optional but good practice)
-    const order = await Order.create({
+    const order = await createOrderWithCoupon({
       user: userId,
       course: courseId,
+      batch,
       amount: 0,
       paymentMethod: "free", // Use a specific method for free orders
       paymentStatus: "paid", // Mark as paid immediately
       paymentNumber: 0,
-      transactionId: `free_${userId}_${courseId}`,
+      transactionId: `free_${userId}_${courseId}_${Date.now()}`,
     });
     
-    // 2. Create the Enrollment record immediately
-    const enrollment = await Enrollment.create({
-      student: userId,
-      course: courseId,
-    });
+    // 2. Create the Enrollment record immediately (a membership enrollment becomes the student's own)
+    const enrollment = await Enrollment.findOne({ student: userId, course: courseId, source: 'membership' })
+      || new Enrollment({ student: userId, course: courseId });
+    const previous = enrollment.isNew ? null : { source: enrollment.source, batch: enrollment.batch, expiresAt: enrollment.expiresAt };
+    enrollment.set({ source: 'purchase', batch, expiresAt: computeAccessExpiry(course) });
+    await enrollment.save();
+
+    // The enrollment holds the batch seat now: give it back if others took the last seats meanwhile
+    if (batchDoc && await isBatchOverbooked(batchDoc, { excludeUser: userId })) {
+      await (previous ? enrollment.set(previous).save() : enrollment.deleteOne());
+      await cancelNewOrder(order);
+      res.status(409);
+      throw new Error("This batch has just filled up. Please choose another batch.");
+    }
     
     // 3. Send confirmation email (async, don't block response)
     try {
@@ -69,7 +275,8 @@ export const createOrder = asyncHandler(async (req, res) => {
           courseSlug: course.slug,
           amount: 0,
           orderId: order._id.toString(),
-          groupLink: course.groupLink || '',
+          groupLink: await resolveGroupLink(course, batch),
+          attachments: await getInvoiceAttachments('order', order._id),
         });
       }
     } catch (emailError) {
@@ -84,8 +291,65 @@ export const createOrder = asyncHandler(async (req, res) => {
     });
   }
 
-  // --- EXISTING LOGIC FOR PAID COURSES ---
-  
+  // --- PAID COURSES: pick the payment gateway (defaults to the manual slip flow) ---
+  const gatewayName = req.body.gateway ? sanitizeString(String(req.body.gateway), 20).toLowerCase() : 'manual';
+  const gateway = getGateway(gatewayName);
+  if (!gateway) {
+    res.status(400);
+    throw new Error("Unsupported payment gateway");
+  }
+
+  // Several gifts of the same course may be bought, so only the buyer's own access is checked
+  const existingOrder = isGift ? null : isRenewal
+    ? await Order.findOne({ user: userId, course: courseId, purpose: 'renewal', paymentStatus: 'pending' })
+    : await Order.findOne({ user: userId, course: courseId, purpose: { $nin: ['renewal', 'seats', 'gift'] }, paymentStatus: { $in: ['pending', 'paid'] } });
+  if (existingOrder) {
+    // An unfinished online payment may be retried: the gateway only takes the money on execute
+    const isGatewayPending = existingOrder.paymentStatus === 'pending' && Boolean(existingOrder.gatewayPaymentId);
+    const existingStatus = isGatewayPending
+      ? await confirmGatewayPayment(existingOrder, { execute: false }).catch(() => 'pending')
+      : existingOrder.paymentStatus;
+    if (!isGatewayPending || existingStatus === 'paid') {
+      res.status(409);
+      throw new Error(`You already have a '${existingStatus}' order for this course.`);
+    }
+    await failGatewayPayment(existingOrder, { reason: 'Replaced by a new checkout' });
+  }
+
+  // --- ONLINE GATEWAY (bKash, mock): redirect the student to pay, the callback confirms the order ---
+  if (!gateway.requiresManualDetails) {
+    const order = await createOrderWithCoupon({
+      user: userId,
+      course: courseId,
+      batch,
+      amount,
+      paymentMethod: gateway.paymentMethod,
+      paymentGateway: gateway.name,
+      // Replaced by the gateway's transaction ID once the payment is executed
+      transactionId: `${gateway.name}_pending_${crypto.randomBytes(12).toString('hex')}`,
+      paymentStatus: "pending",
+    });
+
+    let payment;
+    try {
+      payment = await startGatewayPayment(order, gateway);
+    } catch (error) {
+      console.error(`Error creating ${gateway.name} payment:`, error.message);
+      await failGatewayPayment(order, { error: error.message });
+      res.status(error.name === 'TimeoutError' ? 504 : 502);
+      throw new Error("Could not start the online payment. Please try again.");
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: "Order created. Complete the payment to get access.",
+      data: order,
+      payment,
+    });
+  }
+
+  // --- MANUAL PAYMENT (transaction ID + slip, verified by an admin) ---
+
   // Validation for paid courses
   if (!paymentMethod || !paymentNumber || !transactionId) {
     res.status(400);
@@ -99,14 +363,6 @@ export const createOrder = asyncHandler(async (req, res) => {
     throw new Error("Invalid payment method");
   }
 
-  const existingOrder = await Order.findOne({ user: userId, course: courseId, paymentStatus: { $in: ['pending', 'paid'] } });
-  if(existingOrder) {
-      res.status(409);
-      throw new Error(`You already have a '${existingOrder.paymentStatus}' order for this course.`);
-  }
-
-  const amount = course.discountPrice > 0 ? course.discountPrice : course.price;
-
   // Handle payment slip upload
   let paymentSlipUrl = "";
   if (req.file) {
@@ -114,9 +370,10 @@ export const createOrder = asyncHandler(async (req, res) => {
     paymentSlipUrl = req.file.secure_url || req.file.url || req.file.path;
   }
 
-  const order = await Order.create({
+  const order = await createOrderWithCoupon({
     user: userId,
     course: courseId,
+    batch,
     amount,
     paymentMethod,
     paymentNumber,
@@ -202,6 +459,38 @@ export const getOrderById = asyncHandler(async (req, res) => {
 });
 
 
+/**
+ * @desc    Download the PDF invoice for a paid order
+ * @route   GET /api/orders/:id/invoice
+ * @access  Private
+ */
+export const getOrderInvoice = asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id).select('user paymentStatus');
+
+    if (!order) {
+        res.status(404);
+        throw new Error("Order not found");
+    }
+
+    // Authorization: User must be the order owner or an admin
+    if (order.user.toString() !== req.user.id && req.user.role !== 'admin') {
+        res.status(403);
+        throw new Error("Not authorized to view this order");
+    }
+
+    if (!INVOICEABLE_STATUSES.includes(order.paymentStatus)) {
+        res.status(400);
+        throw new Error("An invoice is only available once the order is paid");
+    }
+
+    const { buffer, filename } = await generateOrderInvoice(order._id);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(buffer);
+});
+
+
 /**
  * @desc    Get all orders (Admin only)
  * @route   GET /api/orders
@@ -242,6 +531,16 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
         throw new Error("This order has already been completed and cannot be changed.");
     }
 
+    if (['refunded', 'partially_refunded'].includes(order.paymentStatus)) {
+        res.status(400);
+        throw new Error("This order has been refunded and cannot be changed.");
+    }
+
+    // A failed order no longer holds on to its coupon use
+    if (paymentStatus === 'failed' && order.paymentStatus !== 'failed') {
+        await releaseCoupon(order.coupon);
+    }
+
     order.paymentStatus = paymentStatus;
     if (transactionId) {
         order.transactionId = transactionId;
@@ -250,42 +549,14 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
         order.paymentNumber = paymentNumber;
     }
 
+    // Save first so the invoice generated for the email sees the new status
+    const updatedOrder = await order.save();
+
     // === CRITICAL LOGIC: Create enrollment if payment is successful ===
     if (paymentStatus === 'paid') {
-        // Ensure enrollment doesn't already exist before creating
-        const isEnrolled = await Enrollment.findOne({ student: order.user, course: order.course });
-        if (!isEnrolled) {
-            await Enrollment.create({
-                student: order.user,
-                course: order.course
-            });
-        }
-        
-        // Send confirmation email (async, don't block response)
-        try {
-            const populatedOrder = await Order.findById(order._id)
-                .populate('user', 'name email')
-                .populate('course', 'title slug groupLink');
-            
-            if (populatedOrder && populatedOrder.user && populatedOrder.user.email && populatedOrder.course) {
-                await sendCoursePurchaseConfirmation({
-                    email: populatedOrder.user.email,
-                    name: populatedOrder.user.name,
-                    courseTitle: populatedOrder.course.title,
-                    courseSlug: populatedOrder.course.slug,
-                    amount: order.amount,
-                    orderId: order._id.toString(),
-                    groupLink: populatedOrder.course.groupLink || '',
-                });
-            }
-        } catch (emailError) {
-            console.error('Error sending course purchase confirmation email:', emailError);
-            // Don't fail the request if email fails
-        }
+        await fulfillCourseOrder(order);
     }
     
-    const updatedOrder = await order.save();
-
     res.status(200).json({
         success: true,
         message: `Order status updated to '${paymentStatus}'`,
@@ -308,8 +579,15 @@ export const updateOrder = asyncHandler(async (req, res) => {
         throw new Error("Order not found");
     }
 
+    // Refunds go through the refund endpoint, which records the amount and takes back access
+    if (['refunded', 'partially_refunded'].includes(paymentStatus)) {
+        res.status(400);
+        throw new Error("Use the refund endpoint to refund an order");
+    }
+
     // Store the previous payment status to check if it changed to 'paid'
     const previousStatus = order.paymentStatus;
+    const hadAccess = ['paid', 'partially_refunded'].includes(previousStatus);
 
     // Update fields if provided
     if (paymentMethod) order.paymentMethod = paymentMethod;
@@ -318,42 +596,19 @@ export const updateOrder = asyncHandler(async (req, res) => {
     if (amount !== undefined) order.amount = amount;
     if (paymentStatus) order.paymentStatus = paymentStatus;
 
+    // Save first so the invoice generated for the email sees the new status
+    const updatedOrder = await order.save();
+
     // === CRITICAL LOGIC: Create enrollment if payment status changed to 'paid' ===
     if (paymentStatus === 'paid' && previousStatus !== 'paid') {
-        // Ensure enrollment doesn't already exist before creating
-        const isEnrolled = await Enrollment.findOne({ student: order.user, course: order.course });
-        if (!isEnrolled) {
-            await Enrollment.create({
-                student: order.user,
-                course: order.course
-            });
-        }
-        
-        // Send confirmation email (async, don't block response)
-        try {
-            const populatedOrder = await Order.findById(order._id)
-                .populate('user', 'name email')
-                .populate('course', 'title slug groupLink');
-            
-            if (populatedOrder && populatedOrder.user && populatedOrder.user.email && populatedOrder.course) {
-                await sendCoursePurchaseConfirmation({
-                    email: populatedOrder.user.email,
-                    name: populatedOrder.user.name,
-                    courseTitle: populatedOrder.course.title,
-                    courseSlug: populatedOrder.course.slug,
-                    amount: order.amount,
-                    orderId: order._id.toString(),
-                    groupLink: populatedOrder.course.groupLink || '',
-                });
-            }
-        } catch (emailError) {
-            console.error('Error sending course purchase confirmation email:', emailError);
-            // Don't fail the request if email fails
-        }
+        await fulfillCourseOrder(order);
+    } else if (hadAccess && !['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+        // No longer paid: take back what the order granted, as a refund would
+        await revokeCourseOrder(order, `Order marked as ${order.paymentStatus}`);
+        await syncInstructorEarnings(order, 'Order', `Order marked as ${order.paymentStatus}`);
+        await reverseCommission(order, 'Order', `Order marked as ${order.paymentStatus}`);
     }
 
-    const updatedOrder = await order.save();
-
     res.status(200).json({
         success: true,
         message: "Order updated successfully",
@@ -424,6 +679,202 @@ export const updatePaymentSlip = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc    Request a refund for a paid order
+ * @route   POST /api/orders/:id/refund-request
+ * @access  Private
+ */
+export const requestRefund = asyncHandler(async (req, res) => {
+    const { sanitizeString } = await import('../utils/validation.js');
+    const reason = req.body.reason ? sanitizeString(String(req.body.reason), 1000) : '';
+
+    if (!reason) {
+        res.status(400);
+        throw new Error("Please tell us why you are requesting a refund");
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+        res.status(404);
+        throw new Error("Order not found");
+    }
+
+    // Authorization: User must be the order owner
+    if (order.user.toString() !== req.user._id.toString()) {
+        res.status(403);
+        throw new Error("Not authorized to request a refund for this order");
+    }
+
+    if (order.paymentStatus !== 'paid' || order.amount <= 0) {
+        res.status(400);
+        throw new Error("Only paid orders can be refunded");
+    }
+
+    if (order.refundRequest?.status === 'requested') {
+        res.status(409);
+        throw new Error("A refund request for this order is already pending");
+    }
+
+    order.refundRequest = {
+        status: 'requested',
+        reason,
+        requestedAt: new Date(),
+    };
+    const updatedOrder = await order.save();
+
+    res.status(200).json({
+        success: true,
+        message: "Refund request submitted. We will review it shortly.",
+        data: updatedOrder
+    });
+});
+
+/**
+ * @desc    Get orders with a pending refund request (Admin only)
+ * @route   GET /api/orders/refund-requests
+ * @access  Private/Admin
+ */
+export const getRefundRequests = asyncHandler(async (req, res) => {
+    const status = req.query.status || 'requested';
+
+    const orders = await Order.find({ 'refundRequest.status': status })
+      .populate("user", "name email")
+      .populate("course", "title slug")
+      .sort({ 'refundRequest.requestedAt': -1 });
+
+    res.status(200).json({ success: true, count: orders.length, data: orders });
+});
+
+/**
+ * @desc    Approve (issue) or reject a refund (Admin only)
+ *          A full refund removes the enrollment and revokes any certificate;
+ *          a partial refund keeps course access.
+ * @route   PATCH /api/orders/:id/refund
+ * @access  Private/Admin
+ */
+export const processRefund = asyncHandler(async (req, res) => {
+    const { sanitizeString, sanitizeNumber } = await import('../utils/validation.js');
+    const { action } = req.body;
+    const reason = req.body.reason ? sanitizeString(String(req.body.reason), 1000) : '';
+    const reference = req.body.reference ? sanitizeString(String(req.body.reference), 100) : '';
+    const note = req.body.note ? sanitizeString(String(req.body.note), 1000) : '';
+
+    if (!['approve', 'reject'].includes(action)) {
+        res.status(400);
+        throw new Error("Action must be either 'approve' or 'reject'");
+    }
+
+    let order = await Order.findById(req.params.id)
+        .populate('user', 'name email')
+        .populate('course', 'title');
+
+    if (!order) {
+        res.status(404);
+        throw new Error("Order not found");
+    }
+
+    let accessRevoked = false;
+    let refundAmount = 0;
+
+    if (action === 'reject') {
+        if (order.refundRequest?.status !== 'requested') {
+            res.status(400);
+            throw new Error("This order has no pending refund request");
+        }
+    } else {
+        if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+            res.status(400);
+            throw new Error("Only paid orders can be refunded");
+        }
+
+        const remaining = order.amount - (order.refundedAmount || 0);
+        refundAmount = req.body.amount !== undefined
+            ? sanitizeNumber(req.body.amount, 0, 1000000, null)
+            : remaining;
+
+        if (refundAmount === null || refundAmount <= 0 || refundAmount > remaining) {
+            res.status(400);
+            throw new Error(`Refund amount must be between 1 and ${remaining}`);
+        }
+
+        // Recorded only if no other refund went through since the order was read,
+        // so two admins approving at once can't refund more than was paid
+        const refundedAmount = order.refundedAmount || 0;
+        const refundedOrder = await Order.findOneAndUpdate(
+            {
+                _id: order._id,
+                paymentStatus: order.paymentStatus,
+                refundedAmount: refundedAmount > 0 ? refundedAmount : { $in: [0, null] },
+            },
+            {
+                $push: {
+                    refunds: {
+                        amount: refundAmount,
+                        reason: reason || order.refundRequest?.reason || '',
+                        reference,
+                        processedBy: req.user._id,
+                    },
+                },
+                $set: {
+                    refundedAmount: refundedAmount + refundAmount,
+                    paymentStatus: refundedAmount + refundAmount >= order.amount ? 'refunded' : 'partially_refunded',
+                },
+            },
+            { new: true }
+        )
+            .populate('user', 'name email')
+            .populate('course', 'title');
+        if (!refundedOrder) {
+            res.status(409);
+            throw new Error("This order was refunded or changed in the meantime. Please reload it and try again.");
+        }
+        order = refundedOrder;
+
+        if (order.paymentStatus === 'refunded') {
+            accessRevoked = await revokeCourseOrder(order, reason || 'Order refunded');
+            await releaseCoupon(order.coupon);
+        }
+        // A partial refund reduces the instructor's earning and the referrer's commission, a full one reverses them
+        await syncInstructorEarnings(order, 'Order', reason || 'Order refunded');
+        await reverseCommission(order, 'Order', reason || 'Order refunded');
+    }
+
+    order.refundRequest.status = action === 'approve' ? 'approved' : 'rejected';
+    order.refundRequest.reviewedAt = new Date();
+    order.refundRequest.reviewedBy = req.user._id;
+    order.refundRequest.adminNote = note;
+
+    const updatedOrder = await order.save();
+
+    // Notify the student (don't fail the request if email fails)
+    try {
+        if (order.user?.email) {
+            await sendRefundStatusEmail({
+                email: order.user.email,
+                name: order.user.name,
+                courseTitle: order.course?.title || (order.purpose === 'subscription' ? 'Membership' : 'Course'),
+                orderId: order._id.toString(),
+                decision: action === 'approve' ? 'approved' : 'rejected',
+                amount: refundAmount,
+                accessRevoked,
+                reference,
+                note,
+            });
+        }
+    } catch (emailError) {
+        console.error('Error sending refund status email:', emailError);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: action === 'approve'
+            ? `Refund of ${refundAmount} recorded. Order is now '${updatedOrder.paymentStatus}'.`
+            : "Refund request rejected",
+        data: updatedOrder
+    });
+});
+
 /**
  * @desc    Delete order (Admin only)
  * @route   DELETE /api/orders/:id
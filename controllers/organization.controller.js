@@ -0,0 +1,486 @@
+// organization.controller.js
+import asyncHandler from "express-async-handler";
+import crypto from "crypto";
+import Organization from "../models/organization.model.js";
+import OrganizationInvite from "../models/organizationInvite.model.js";
+import Course from "../models/course.model.js";
+import Batch from "../models/batch.model.js";
+import Order from "../models/order.model.js";
+import User from "../models/user.model.js";
+import Enrollment from "../models/enrollment.model.js";
+import Certificate from "../models/certificate.model.js";
+import { sanitizeString, sanitizeEmail, sanitizeNumber, validateEmail, validateObjectId } from "../utils/validation.js";
+import { getSeatPools, countUsedSeats, reserveSeatInvites, isOrganizationAdmin } from "../services/organization.service.js";
+import { ensureEnrollment } from "../services/order.service.js";
+import { sendOrganizationInviteEmail } from "../services/email.service.js";
+import { findReferrer } from "../services/referral.service.js";
+
+const INVITE_DAYS = Number(process.env.ORGANIZATION_INVITE_DAYS) || 14;
+
+// --- Helper: load an organization the current user manages ---
+const getManagedOrganization = async (req, res) => {
+  const organization = validateObjectId(req.params.id) ? await Organization.findById(req.params.id) : null;
+  if (!organization) {
+    res.status(404);
+    throw new Error("Organization not found");
+  }
+  if (!isOrganizationAdmin(organization, req.user)) {
+    res.status(403);
+    throw new Error("Not authorized to manage this organization");
+  }
+  return organization;
+};
+
+// --- Helper: read a course ID from the body and check the organization has seats in it ---
+const getSeatPool = (organization, courseId, res) => {
+  const pool = validateObjectId(courseId)
+    ? organization.seats.find((entry) => entry.course.toString() === String(courseId))
+    : null;
+  if (!pool) {
+    res.status(400);
+    throw new Error("The organization has no seats in this course");
+  }
+  return pool;
+};
+
+/**
+ * @desc    Create an organization (the creator becomes its first admin)
+ * @route   POST /api/organizations
+ * @access  Private
+ */
+export const createOrganization = asyncHandler(async (req, res) => {
+  const name = sanitizeString(String(req.body.name || ""), 200);
+  if (!name) {
+    res.status(400);
+    throw new Error("Organization name is required");
+  }
+
+  const organization = await Organization.create({
+    name,
+    admins: [req.user._id],
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Organization created successfully",
+    data: organization,
+  });
+});
+
+/**
+ * @desc    Get the organizations the logged-in user manages
+ * @route   GET /api/organizations/mine
+ * @access  Private
+ */
+export const getMyOrganizations = asyncHandler(async (req, res) => {
+  const organizations = await Organization.find({ admins: req.user._id })
+    .populate("seats.course", "title slug thumbnail")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({ success: true, count: organizations.length, data: organizations });
+});
+
+/**
+ * @desc    Get an organization with its admins and seat pools
+ * @route   GET /api/organizations/:id
+ * @access  Private (organization admins)
+ */
+export const getOrganization = asyncHandler(async (req, res) => {
+  const organization = await getManagedOrganization(req, res);
+  await organization.populate([
+    { path: "admins", select: "name email avatar" },
+    { path: "seats.course", select: "title slug thumbnail price discountPrice" },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: { ...organization.toObject(), seats: await getSeatPools(organization) },
+  });
+});
+
+/**
+ * @desc    Make an existing user an admin of the organization
+ * @route   POST /api/organizations/:id/admins
+ * @access  Private (organization admins)
+ * @body    { email }
+ */
+export const addOrganizationAdmin = asyncHandler(async (req, res) => {
+  const organization = await getManagedOrganization(req, res);
+  const email = sanitizeEmail(req.body.email);
+  const user = validateEmail(email) ? await User.findOne({ email }).select("name email") : null;
+  if (!user) {
+    res.status(404);
+    throw new Error("No user with this email address. They need an account first.");
+  }
+
+  await Organization.updateOne({ _id: organization._id }, { $addToSet: { admins: user._id } });
+  res.status(200).json({ success: true, message: `${user.name} is now an admin of ${organization.name}`, data: user });
+});
+
+/**
+ * @desc    Remove an admin from the organization (the last admin stays)
+ * @route   DELETE /api/organizations/:id/admins/:userId
+ * @access  Private (organization admins)
+ */
+export const removeOrganizationAdmin = asyncHandler(async (req, res) => {
+  const organization = await getManagedOrganization(req, res);
+  const isAdmin = organization.admins.some((admin) => admin.toString() === req.params.userId);
+  if (!isAdmin) {
+    res.status(404);
+    throw new Error("This user is not an admin of the organization");
+  }
+  if (organization.admins.length === 1) {
+    res.status(400);
+    throw new Error("An organization needs at least one admin");
+  }
+
+  await Organization.updateOne({ _id: organization._id }, { $pull: { admins: req.params.userId } });
+  res.status(200).json({ success: true, message: "Admin removed successfully" });
+});
+
+/**
+ * @desc    Order seats of a course for the organization (manual payment, approved by a site admin)
+ * @route   POST /api/organizations/:id/seat-orders
+ * @access  Private (organization admins)
+ * @body    { courseId, seats, paymentMethod, paymentNumber, transactionId, paymentSlip (file) }
+ */
+export const createSeatOrder = asyncHandler(async (req, res) => {
+  const organization = await getManagedOrganization(req, res);
+  const courseId = req.body.courseId ? String(req.body.courseId).trim() : "";
+  const seatCount = Math.floor(sanitizeNumber(req.body.seats, 1, 10000, 0));
+  if (!validateObjectId(courseId) || seatCount < 1) {
+    res.status(400);
+    throw new Error("A valid course ID and number of seats are required");
+  }
+
+  const course = await Course.findById(courseId);
+  if (!course || !course.isPublished) {
+    res.status(404);
+    throw new Error("Course not found or is not available");
+  }
+  const seatPrice = course.discountPrice > 0 ? course.discountPrice : course.price;
+  if (!(seatPrice > 0)) {
+    res.status(400);
+    throw new Error("Free courses don't need seats. Staff can enroll directly.");
+  }
+  // Invitees join without choosing a batch
+  if (await Batch.exists({ course: courseId })) {
+    res.status(400);
+    throw new Error("Seats can't be bought for courses that run in batches");
+  }
+
+  const paymentMethod = req.body.paymentMethod ? sanitizeString(String(req.body.paymentMethod), 50) : "";
+  const paymentNumber = req.body.paymentNumber ? sanitizeString(String(req.body.paymentNumber), 50) : "";
+  const transactionId = req.body.transactionId ? sanitizeString(String(req.body.transactionId), 100) : "";
+  if (!paymentMethod || !paymentNumber || !transactionId) {
+    res.status(400);
+    throw new Error("Payment method, number, and transaction ID are required.");
+  }
+  const allowedPaymentMethods = Order.schema.path("paymentMethod").enumValues.filter((method) => method !== "free");
+  if (!allowedPaymentMethods.includes(paymentMethod)) {
+    res.status(400);
+    throw new Error("Invalid payment method");
+  }
+  if (await Order.exists({ transactionId })) {
+    res.status(409);
+    throw new Error("This transaction ID has already been used");
+  }
+
+  const order = await Order.create({
+    user: req.user._id,
+    course: course._id,
+    purpose: "seats",
+    organization: organization._id,
+    seatCount,
+    amount: seatPrice * seatCount,
+    paymentMethod,
+    paymentNumber,
+    transactionId,
+    paymentSlip: req.file ? req.file.secure_url || req.file.url || req.file.path : "",
+    paymentStatus: "pending",
+    referrer: findReferrer(req.user),
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Seat order created successfully. Seats are added once the payment is confirmed.",
+    data: order,
+  });
+});
+
+/**
+ * @desc    Get the seat orders of the organization
+ * @route   GET /api/organizations/:id/seat-orders
+ * @access  Private (organization admins)
+ */
+export const getSeatOrders = asyncHandler(async (req, res) => {
+  const organization = await getManagedOrganization(req, res);
+  const orders = await Order.find({ organization: organization._id, purpose: "seats" })
+    .populate("course", "title slug")
+    .populate("user", "name email")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({ success: true, count: orders.length, data: orders });
+});
+
+/**
+ * @desc    Invite staff by email to seats of a course
+ * @route   POST /api/organizations/:id/invites
+ * @access  Private (organization admins)
+ * @body    { courseId, emails: [string] | "a@x.com, b@y.com" }
+ */
+export const createInvites = asyncHandler(async (req, res) => {
+  const organization = await getManagedOrganization(req, res);
+  const pool = getSeatPool(organization, req.body.courseId, res);
+
+  const rawEmails = Array.isArray(req.body.emails) ? req.body.emails : String(req.body.emails || "").split(/[\s,;]+/);
+  const emails = [...new Set(rawEmails.map(sanitizeEmail).filter(Boolean))];
+  if (emails.length === 0 || emails.some((email) => !validateEmail(email))) {
+    res.status(400);
+    throw new Error("Please provide valid email addresses");
+  }
+
+  // Someone already holding or offered a seat isn't invited twice
+  const existing = await OrganizationInvite.find({
+    organization: organization._id,
+    course: pool.course,
+    email: { $in: emails },
+    $or: [{ status: "redeemed" }, { status: "pending", expiresAt: { $gt: new Date() } }],
+  }).select("email").lean();
+  const alreadyInvited = new Set(existing.map((invite) => invite.email));
+  const newEmails = emails.filter((email) => !alreadyInvited.has(email));
+
+  const available = pool.total - (await countUsedSeats(organization._id, pool.course));
+  if (newEmails.length > available) {
+    res.status(400);
+    throw new Error(`Only ${Math.max(0, available)} seats are left in this course`);
+  }
+
+  const expiresAt = new Date(Date.now() + INVITE_DAYS * 24 * 60 * 60 * 1000);
+  const invites = await reserveSeatInvites(organization._id, pool, newEmails.map((email) => ({
+    organization: organization._id,
+    course: pool.course,
+    email,
+    token: crypto.randomBytes(24).toString("hex"),
+    expiresAt,
+    invitedBy: req.user._id,
+  })));
+  if (!invites) {
+    // Other invites took the seats in the meantime
+    res.status(409);
+    throw new Error("Not enough seats are left in this course anymore, please try again");
+  }
+
+  const course = await Course.findById(pool.course).select("title").lean();
+  for (const invite of invites) {
+    try {
+      await sendOrganizationInviteEmail({
+        email: invite.email,
+        organizationName: organization.name,
+        inviterName: req.user.name,
+        courseTitle: course?.title || "a course",
+        token: invite.token,
+        expiresAt: invite.expiresAt,
+      });
+    } catch (emailError) {
+      console.error("Error sending organization invite email:", emailError);
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${invites.length} invitation(s) sent`,
+    data: invites,
+    skipped: [...alreadyInvited],
+  });
+});
+
+/**
+ * @desc    Get the organization's invites (filter by ?courseId= and ?status=)
+ * @route   GET /api/organizations/:id/invites
+ * @access  Private (organization admins)
+ */
+export const getInvites = asyncHandler(async (req, res) => {
+  const organization = await getManagedOrganization(req, res);
+  const query = { organization: organization._id };
+  if (req.query.courseId && validateObjectId(req.query.courseId)) {
+    query.course = req.query.courseId;
+  }
+  if (req.query.status) {
+    query.status = String(req.query.status);
+  }
+
+  const invites = await OrganizationInvite.find(query)
+    .select("-token")
+    .populate("course", "title slug")
+    .populate("redeemedBy", "name email")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({ success: true, count: invites.length, data: invites });
+});
+
+/**
+ * @desc    Revoke a pending invite, freeing its seat
+ * @route   DELETE /api/organizations/:id/invites/:inviteId
+ * @access  Private (organization admins)
+ */
+export const revokeInvite = asyncHandler(async (req, res) => {
+  const organization = await getManagedOrganization(req, res);
+  const invite = validateObjectId(req.params.inviteId)
+    ? await OrganizationInvite.findOneAndUpdate(
+      { _id: req.params.inviteId, organization: organization._id, status: "pending" },
+      { $set: { status: "revoked" } },
+      { new: true }
+    )
+    : null;
+  if (!invite) {
+    res.status(404);
+    throw new Error("Pending invite not found");
+  }
+
+  res.status(200).json({ success: true, message: "Invite revoked, the seat is free again" });
+});
+
+/**
+ * @desc    Progress and certificates of every staff member holding a seat
+ * @route   GET /api/organizations/:id/dashboard
+ * @access  Private (organization admins)
+ */
+export const getOrganizationDashboard = asyncHandler(async (req, res) => {
+  const organization = await getManagedOrganization(req, res);
+  await organization.populate({ path: "seats.course", select: "title slug" });
+
+  const redeemed = await OrganizationInvite.find({ organization: organization._id, status: "redeemed" })
+    .populate("redeemedBy", "name email avatar")
+    .populate("course", "title slug")
+    .sort({ redeemedAt: -1 })
+    .lean();
+
+  const studentIds = redeemed.map((invite) => invite.redeemedBy?._id).filter(Boolean);
+  const courseIds = organization.seats.map((pool) => pool.course?._id || pool.course);
+  const [enrollments, certificates] = await Promise.all([
+    Enrollment.find({ student: { $in: studentIds }, course: { $in: courseIds } }).select("student course progress completed updatedAt").lean(),
+    Certificate.find({ student: { $in: studentIds }, course: { $in: courseIds }, revokedAt: null }).select("student course certificateUrl createdAt").lean(),
+  ]);
+  const key = (studentId, courseId) => `${studentId}:${courseId}`;
+  const enrollmentMap = new Map(enrollments.map((entry) => [key(entry.student, entry.course), entry]));
+  const certificateMap = new Map(certificates.map((entry) => [key(entry.student, entry.course), entry]));
+
+  const members = redeemed.filter((invite) => invite.redeemedBy).map((invite) => {
+    const enrollment = enrollmentMap.get(key(invite.redeemedBy._id, invite.course?._id));
+    const certificate = certificateMap.get(key(invite.redeemedBy._id, invite.course?._id));
+    return {
+      user: invite.redeemedBy,
+      course: invite.course,
+      joinedAt: invite.redeemedAt,
+      progress: enrollment?.progress || 0,
+      completed: Boolean(enrollment?.completed),
+      lastActivityAt: enrollment?.updatedAt,
+      certificate: certificate ? { _id: certificate._id, certificateUrl: certificate.certificateUrl, issuedAt: certificate.createdAt } : null,
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      organization: { _id: organization._id, name: organization.name },
+      seats: await getSeatPools(organization),
+      members,
+    },
+  });
+});
+
+/**
+ * @desc    Look up an invite from its link (for the accept page)
+ * @route   GET /api/organizations/invites/:token
+ * @access  Public
+ */
+export const getInviteByToken = asyncHandler(async (req, res) => {
+  const invite = await OrganizationInvite.findOne({ token: String(req.params.token) })
+    .populate("organization", "name")
+    .populate("course", "title slug thumbnail");
+  if (!invite) {
+    res.status(404);
+    throw new Error("Invitation not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      organization: invite.organization,
+      course: invite.course,
+      status: invite.status,
+      expiresAt: invite.expiresAt,
+      isExpired: invite.status === "pending" && invite.expiresAt <= new Date(),
+    },
+  });
+});
+
+/**
+ * @desc    Accept an invite: takes the seat and enrolls the logged-in user
+ * @route   POST /api/organizations/invites/:token/redeem
+ * @access  Private
+ */
+export const redeemInvite = asyncHandler(async (req, res) => {
+  const invite = await OrganizationInvite.findOne({ token: String(req.params.token) });
+  if (!invite || invite.status === "revoked") {
+    res.status(404);
+    throw new Error("Invitation not found or was revoked");
+  }
+  if (invite.status === "redeemed") {
+    res.status(409);
+    throw new Error("This invitation has already been accepted");
+  }
+  if (invite.expiresAt <= new Date()) {
+    res.status(410);
+    throw new Error("This invitation has expired. Please ask your organization for a new one.");
+  }
+  if (invite.email !== String(req.user.email || "").toLowerCase()) {
+    res.status(403);
+    throw new Error("This invitation was sent to a different email address");
+  }
+  // Membership access doesn't count as owning the course
+  if (await Enrollment.exists({ student: req.user._id, course: invite.course, source: { $ne: "membership" } })) {
+    res.status(409);
+    throw new Error("You are already enrolled in this course. Ask your organization to revoke the invite.");
+  }
+
+  // Claim the seat first so the same link can't be used twice
+  const claimed = await OrganizationInvite.findOneAndUpdate(
+    { _id: invite._id, status: "pending" },
+    { $set: { status: "redeemed", redeemedBy: req.user._id, redeemedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    res.status(409);
+    throw new Error("This invitation has already been accepted");
+  }
+
+  const enrollment = await ensureEnrollment(req.user._id, invite.course);
+
+  res.status(200).json({
+    success: true,
+    message: "Invitation accepted. You are now enrolled in the course.",
+    data: enrollment,
+  });
+});
+
+/**
+ * @desc    Get all organizations with their seat pools
+ * @route   GET /api/admin/organizations
+ * @access  Private/Admin
+ */
+export const getOrganizationsAdmin = asyncHandler(async (req, res) => {
+  const organizations = await Organization.find({})
+    .populate("admins", "name email")
+    .populate("seats.course", "title slug")
+    .sort({ createdAt: -1 });
+
+  const data = await Promise.all(organizations.map(async (organization) => ({
+    ...organization.toObject(),
+    seats: await getSeatPools(organization),
+  })));
+
+  res.status(200).json({ success: true, count: data.length, data });
+});
@@ -0,0 +1,147 @@
+// payment.controller.js
+
+import asyncHandler from "express-async-handler";
+import Order from "../models/order.model.js";
+import { validateObjectId } from "../utils/validation.js";
+import mockGateway from "../services/gateways/mock.gateway.js";
+import {
+  getGateway,
+  listGateways,
+  verifyOrderSignature,
+  confirmGatewayPayment,
+  failGatewayPayment,
+} from "../services/payment.service.js";
+
+const paymentResultUrl = (status, orderId) =>
+  `${process.env.FRONTEND_URL || "http://localhost:5173"}/payment/result?status=${status}&orderId=${orderId}`;
+
+/**
+ * @desc    List the payment gateways available at checkout
+ * @route   GET /api/payments/gateways
+ * @access  Public
+ */
+export const getPaymentGateways = asyncHandler(async (req, res) => {
+  res.status(200).json({ success: true, data: listGateways() });
+});
+
+/**
+ * @desc    Gateway callback: the student is sent here after paying (or cancelling).
+ *          The order ID is signed so only URLs we issued are accepted.
+ * @route   GET /api/payments/:gateway/callback/:orderId/:signature
+ * @access  Public (signed)
+ */
+export const handleGatewayCallback = asyncHandler(async (req, res) => {
+  const { gateway: gatewayName, orderId, signature } = req.params;
+  const paymentId = req.query.paymentID ? String(req.query.paymentID) : "";
+  const callbackStatus = req.query.status ? String(req.query.status).toLowerCase() : "";
+
+  if (!validateObjectId(orderId) || !verifyOrderSignature(orderId, signature)) {
+    res.status(400);
+    throw new Error("Invalid payment callback");
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order || order.paymentGateway !== gatewayName || !getGateway(gatewayName)) {
+    res.status(404);
+    throw new Error("Order not found");
+  }
+  if (paymentId && paymentId !== order.gatewayPaymentId) {
+    res.status(400);
+    throw new Error("Payment does not belong to this order");
+  }
+
+  if (order.paymentStatus === "paid") {
+    return res.redirect(paymentResultUrl("success", order._id));
+  }
+
+  // bKash reports "success", "failure" or "cancel"
+  if (callbackStatus !== "success") {
+    await failGatewayPayment(order, { callbackStatus });
+    return res.redirect(paymentResultUrl(callbackStatus === "cancel" ? "cancelled" : "failed", order._id));
+  }
+
+  let status;
+  try {
+    status = await confirmGatewayPayment(order);
+  } catch (error) {
+    console.error("Error confirming gateway payment:", error.message);
+    status = "pending";
+  }
+
+  const resultStatus = status === "paid" ? "success" : status === "pending" ? "pending" : "failed";
+  res.redirect(paymentResultUrl(resultStatus, order._id));
+});
+
+/**
+ * @desc    Re-check an online payment with the gateway (e.g. the callback never arrived)
+ * @route   POST /api/payments/orders/:id/verify
+ * @access  Private (owner or admin)
+ */
+export const verifyOrderPayment = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    res.status(404);
+    throw new Error("Order not found");
+  }
+  if (order.user.toString() !== req.user.id && req.user.role !== "admin") {
+    res.status(403);
+    throw new Error("Not authorized to verify this order");
+  }
+  if (!order.gatewayPaymentId || order.paymentGateway === "manual") {
+    res.status(400);
+    throw new Error("This order was not paid through an online gateway");
+  }
+
+  let status;
+  try {
+    status = await confirmGatewayPayment(order, { execute: false });
+  } catch (error) {
+    console.error("Error verifying gateway payment:", error.message);
+    res.status(error.name === "TimeoutError" ? 504 : 502);
+    throw new Error(error.name === "TimeoutError"
+      ? "The payment gateway did not respond in time. Please try again later."
+      : "Could not reach the payment gateway. Please try again later.");
+  }
+
+  const updatedOrder = await Order.findById(order._id);
+  res.status(200).json({
+    success: true,
+    message: status === "paid" ? "Payment confirmed" : `Payment is ${status}`,
+    data: updatedOrder,
+  });
+});
+
+/**
+ * @desc    Checkout page of the mock gateway (lets the whole flow run offline)
+ * @route   GET /api/payments/mock/checkout/:paymentId
+ * @access  Public (only when the mock gateway is enabled)
+ */
+export const mockCheckoutPage = asyncHandler(async (req, res) => {
+  const payment = getGateway("mock") ? mockGateway.getPayment(req.params.paymentId) : null;
+  if (!payment) {
+    res.status(404);
+    throw new Error("Payment not found");
+  }
+
+  const link = (status) => {
+    const url = new URL(payment.callbackUrl);
+    url.searchParams.set("paymentID", payment.paymentId);
+    url.searchParams.set("status", status);
+    return url.toString();
+  };
+
+  res.type("html").send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Mock Payment</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 420px; margin: 60px auto; text-align: center;">
+  <h2>Mock Payment Gateway</h2>
+  <p>Payment ID: <code>${payment.paymentId}</code></p>
+  <p>Amount: <strong>${payment.amount} BDT</strong></p>
+  <p>
+    <a href="${link("success")}" style="padding: 10px 20px; background: #16a34a; color: #fff; text-decoration: none; border-radius: 6px;">Pay</a>
+    <a href="${link("failure")}" style="padding: 10px 20px; background: #dc2626; color: #fff; text-decoration: none; border-radius: 6px;">Fail</a>
+    <a href="${link("cancel")}" style="padding: 10px 20px; background: #6b7280; color: #fff; text-decoration: none; border-radius: 6px;">Cancel</a>
+  </p>
+</body>
+</html>`);
+});
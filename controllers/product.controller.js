@@ -2,6 +2,41 @@ import asyncHandler from "express-async-handler";
 import slugify from "slugify";
 import Product from "../models/product.model.js";
 import cloudinary from "../config/cloudinary.js";
+import { notifyProductUpdate } from "../services/download.service.js";
+
+// --- Helper: read licensing settings from the request body (JSON object or multipart licensing[...] fields) ---
+// Returns dotted paths so an update only touches the settings that were sent.
+const buildLicensingUpdates = (licensing) => {
+  if (!licensing || typeof licensing !== 'object') return {};
+  const updates = {};
+  if (['none', 'pool', 'generated'].includes(licensing.mode)) {
+    updates['licensing.mode'] = licensing.mode;
+  }
+  if (typeof licensing.keyFormat === 'string') {
+    // Kept as typed: only an uppercase X is a placeholder
+    const format = licensing.keyFormat.trim().slice(0, 64);
+    // Require enough random characters to keep generated keys unguessable
+    if ((format.match(/X/g) || []).length < 12) {
+      throw new Error("License key format needs at least 12 uppercase 'X' placeholders");
+    }
+    updates['licensing.keyFormat'] = format;
+  }
+  if (licensing.maxActivations !== undefined) {
+    const maxActivations = parseInt(licensing.maxActivations, 10);
+    if (!Number.isInteger(maxActivations) || maxActivations < 1 || maxActivations > 1000) {
+      throw new Error("License max activations must be between 1 and 1000");
+    }
+    updates['licensing.maxActivations'] = maxActivations;
+  }
+  return updates;
+};
+
+// --- Helper: next version label, bumping the last number ("1.0" -> "1.1", "v2" -> "v3") ---
+const nextVersion = (version) => {
+  if (!version) return '1.0';
+  const match = String(version).match(/^(.*?)(\d+)$/);
+  return match ? `${match[1]}${Number(match[2]) + 1}` : `${version}.1`;
+};
 
 export const createProduct = asyncHandler(async (req, res) => {
   try {
@@ -23,6 +58,7 @@ export const createProduct = asyncHandler(async (req, res) => {
     const discountPrice = req.body.discountPrice ? sanitizeNumber(req.body.discountPrice, 0, 1000000, null) : null;
     const category = req.body.category ? String(req.body.category).trim() : '';
     const isPublished = req.body.isPublished === true || req.body.isPublished === 'true';
+    const watermarkPdf = req.body.watermarkPdf === true || req.body.watermarkPdf === 'true';
 
     // 2. Required fields validation
     if (!title || price === null) {
@@ -112,6 +148,8 @@ export const createProduct = asyncHandler(async (req, res) => {
     category: category || undefined,
     tags: tagsArray,
     isPublished: !!isPublished,
+    watermarkPdf,
+    ...buildLicensingUpdates(req.body.licensing),
     createdBy: req.user?._id,
   });
 
@@ -126,6 +164,8 @@ export const updateProduct = asyncHandler(async (req, res) => {
   try {
     const { id } = req.params;
     const updates = { ...req.body };
+    delete updates.licensing;
+    Object.assign(updates, buildLicensingUpdates(req.body.licensing));
     if (updates.title) {
       updates.slug = slugify(updates.title, { lower: true, strict: true });
     }
@@ -218,6 +258,29 @@ export const deleteProductFile = asyncHandler(async (req, res) => {
   res.json({ success: true, removed: beforeCount - product.files.length });
 });
 
+// Email past buyers about new file versions and refresh their download allowance
+export const notifyProductBuyers = asyncHandler(async (req, res) => {
+  const { sanitizeText } = await import('../utils/validation.js');
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    res.status(404);
+    throw new Error("Product not found");
+  }
+
+  const message = req.body.message ? sanitizeText(String(req.body.message), 2000) : '';
+  const result = await notifyProductUpdate(product, { message });
+  if (result.files.length === 0) {
+    res.status(400);
+    throw new Error("No files have been updated since buyers were last notified");
+  }
+
+  res.json({
+    success: true,
+    message: `Notified ${result.emailed} of ${result.buyers} buyer(s)${result.failed ? `, ${result.failed} email(s) failed` : ''}`,
+    data: result,
+  });
+});
+
 export const replaceProductFile = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const publicId = req.params.publicId || req.query.publicId;
@@ -233,6 +296,11 @@ export const replaceProductFile = asyncHandler(async (req, res) => {
     throw new Error("No replacement file uploaded");
   }
 
+  const { sanitizeString, sanitizeText } = await import('../utils/validation.js');
+  const previous = product.files.find((f) => (f.publicId || '') === publicId);
+  const version = req.body.version ? sanitizeString(String(req.body.version), 30) : nextVersion(previous?.version);
+  const changelog = req.body.changelog ? sanitizeText(String(req.body.changelog), 2000) : '';
+
   // Upload already handled by multer-storage-cloudinary. Build replacement entry
   const replacement = {
     name: incoming.originalname || incoming.filename,
@@ -241,9 +309,19 @@ export const replaceProductFile = asyncHandler(async (req, res) => {
     format: (incoming.mimetype?.split('/')?.[1] || incoming.format || '').toLowerCase(),
     publicId: incoming.filename || '',
     resourceType: 'raw',
+    version,
+    changelog,
+    uploadedAt: new Date(),
+    // Keep the previous version's details in the history
+    history: previous
+      ? [
+          { version: previous.version, changelog: previous.changelog, name: previous.name, sizeBytes: previous.sizeBytes, uploadedAt: previous.uploadedAt },
+          ...(previous.history || []),
+        ]
+      : [],
   };
 
-  // Replace matching file
+  // Replace matching file (same position, so buyers' download links keep pointing at it)
   let replaced = false;
   product.files = product.files.map((f) => {
     if ((f.publicId || '') === publicId) {
@@ -267,6 +345,17 @@ export const replaceProductFile = asyncHandler(async (req, res) => {
   res.json({ success: true, data: product });
 });
 
+// Free products can be previewed; everything else is only delivered through the download links of a paid order
+const isFreeProduct = (product) => (product.discountPrice > 0 ? product.discountPrice : product.price) === 0;
+
+// --- Helper: what the public catalog may see of a product (no file URLs or licensing setup) ---
+const toPublicProduct = (product) => {
+  const { licensing, ...data } = product.toObject();
+  const isFree = isFreeProduct(product);
+  data.files = (data.files || []).map(({ url, publicId, ...file }) => (isFree ? { ...file, publicId } : file));
+  return data;
+};
+
 export const getProducts = asyncHandler(async (req, res) => {
   const { q, category, page = 1, limit = 12 } = req.query;
   const query = { };
@@ -284,7 +373,7 @@ export const getProducts = asyncHandler(async (req, res) => {
     Product.countDocuments(query),
   ]);
 
-  res.status(200).json({ success: true, data: items, total, page: Number(page), pages: Math.ceil(total / Number(limit)) });
+  res.status(200).json({ success: true, data: items.map(toPublicProduct), total, page: Number(page), pages: Math.ceil(total / Number(limit)) });
 });
 
 export const getProductBySlug = asyncHandler(async (req, res) => {
@@ -294,7 +383,7 @@ export const getProductBySlug = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error("Product not found");
   }
-  res.status(200).json({ success: true, data: product });
+  res.status(200).json({ success: true, data: toPublicProduct(product) });
 });
 
 export const adminListProducts = asyncHandler(async (req, res) => {
@@ -460,28 +549,31 @@ export const migrateProductFilesReuploadPublic = asyncHandler(async (req, res) =
 
 export const productFilePreviewRedirect = asyncHandler(async (req, res) => {
   const { publicId } = req.params;
-  // Find the file by publicId to detect its current URL type (authenticated vs upload)
-  const product = await Product.findOne({ 'files.publicId': publicId }, { 'files.$': 1 });
+  // Find the file by publicId to detect its current URL type (authenticated vs upload).
+  // Only files of published free products are previewed: paid files go through the order's download links.
+  const product = await Product.findOne(
+    { files: { $elemMatch: { publicId } }, isPublished: true },
+    { 'files.$': 1, price: 1, discountPrice: 1 }
+  );
+  if (!product || !product.files?.[0] || !isFreeProduct(product)) {
+    res.status(404);
+    throw new Error("Preview not available");
+  }
+  const f = product.files[0];
   let targetUrl = '';
-  if (product && product.files && product.files[0]) {
-    const f = product.files[0];
-    const isAuthenticated = typeof f.url === 'string' && f.url.includes('/authenticated/');
-    if (isAuthenticated) {
-      // Create short-lived SIGNED DELIVERY URL (not private_download_url) to allow inline preview
-      targetUrl = cloudinary.url(publicId, {
-        resource_type: 'raw',
-        type: 'authenticated',
-        sign_url: true,
-        expires_at: Math.floor(Date.now() / 1000) + 60,
-        secure: true,
-      });
-    } else {
-      // Public upload raw URL
-      targetUrl = f.url || cloudinary.url(publicId, { resource_type: 'raw', type: 'upload', secure: true });
-    }
+  const isAuthenticated = typeof f.url === 'string' && f.url.includes('/authenticated/');
+  if (isAuthenticated) {
+    // Create short-lived SIGNED DELIVERY URL (not private_download_url) to allow inline preview
+    targetUrl = cloudinary.url(publicId, {
+      resource_type: 'raw',
+      type: 'authenticated',
+      sign_url: true,
+      expires_at: Math.floor(Date.now() / 1000) + 60,
+      secure: true,
+    });
   } else {
-    // Fallback to public raw upload URL if file record not found
-    targetUrl = cloudinary.url(publicId, { resource_type: 'raw', type: 'upload', secure: true });
+    // Public upload raw URL
+    targetUrl = f.url || cloudinary.url(publicId, { resource_type: 'raw', type: 'upload', secure: true });
   }
 
   // Add fragment to hint page 1 only (client may ignore, but UI hides toolbar)
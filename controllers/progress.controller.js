@@ -6,6 +6,9 @@ import Course from "../models/course.model.js";
 import Lesson from "../models/lesson.model.js";
 import asyncHandler from "express-async-handler";
 import { generateAndUploadCertificate } from "../services/certificate.service.js";
+import { getStudentLessonAvailability } from "../services/drip.service.js";
+import { findCourseAccess, grantCourseAccess } from "../services/access.service.js";
+import { awardPathCertificates } from "../services/learningPath.service.js";
 
 /**
  * @desc    Get a student's progress for a specific course
@@ -16,8 +19,9 @@ export const getProgressForCourse = asyncHandler(async (req, res) => {
   const studentId = req.user._id;
   const { courseId } = req.params;
 
-  // 1. Verify the user is enrolled in the course
-  const enrollment = await Enrollment.findOne({ student: studentId, course: courseId });
+  // 1. Verify the user is enrolled in the course (or a member of the membership covering it)
+  const enrollment = await Enrollment.findOne({ student: studentId, course: courseId })
+    || await findCourseAccess(studentId, courseId);
   if (!enrollment) {
     res.status(403);
     throw new Error("Not authorized. You are not enrolled in this course.");
@@ -62,11 +66,11 @@ export const updateProgress = asyncHandler(async (req, res) => {
     throw new Error("courseId, lessonId, and a 'completed' status (true/false) are required.");
   }
 
-  // 2. Verify enrollment
-  const enrollment = await Enrollment.findOne({ student: studentId, course: courseId });
+  // 2. Verify enrollment (expired access can't record progress)
+  const enrollment = await grantCourseAccess(studentId, courseId);
   if (!enrollment) {
     res.status(403);
-    throw new Error("Not authorized. You are not enrolled in this course.");
+    throw new Error("Not authorized. You are not enrolled in this course or your access has expired.");
   }
   
   // 3. Verify the lesson belongs to the course
@@ -76,6 +80,18 @@ export const updateProgress = asyncHandler(async (req, res) => {
       throw new Error("Lesson not found in this course.");
   }
 
+  // Lessons still locked by the drip schedule can't be completed yet
+  if (completed) {
+    const availability = await getStudentLessonAvailability(courseId, enrollment);
+    const { isLocked, unlockAt } = availability.get(lesson._id.toString()) || {};
+    if (isLocked) {
+      res.status(403);
+      throw new Error(unlockAt
+        ? `This lesson unlocks on ${unlockAt.toISOString()}.`
+        : "This lesson is locked until the previous section is completed.");
+    }
+  }
+
   // 4. Prepare the update operation for the Progress document
   const updateOperation = {
     $set: { lastWatchedLesson: lessonId },
@@ -113,6 +129,8 @@ export const updateProgress = asyncHandler(async (req, res) => {
 
     if (enrollment.completed) {
         generateAndUploadCertificate(studentId, courseId);
+        // Finishing this course may complete a learning path
+        awardPathCertificates(studentId, courseId);
     }
   }
 
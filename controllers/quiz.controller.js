@@ -5,6 +5,7 @@ import Lesson from "../models/lesson.model.js";
 import Enrollment from "../models/enrollment.model.js";
 import asyncHandler from "express-async-handler";
 import QuizScore from "../models/quizScore.model.js";
+import { findCourseAccess, grantCourseAccess } from "../services/access.service.js";
 
 /**
  * @desc    Create a quiz for a lesson
@@ -82,7 +83,7 @@ export const getQuizForLesson = asyncHandler(async (req, res) => {
   // Authorization check (enrolled students, instructor, or admin)
   const isInstructor = lesson.course.instructor.toString() === req.user.id;
   const isAdmin = req.user.role === 'admin';
-  const isEnrolled = await Enrollment.findOne({ student: req.user.id, course: lesson.course._id });
+  const isEnrolled = await findCourseAccess(req.user.id, lesson.course._id);
 
   if (!isInstructor && !isAdmin && !isEnrolled) {
     res.status(403);
@@ -166,8 +167,8 @@ export const submitQuiz = asyncHandler(async (req, res) => {
         throw new Error("Lesson not found.");
     }
 
-    // 1. Authorization: Must be an enrolled student
-    const isEnrolled = await Enrollment.findOne({ student: studentId, course: lesson.course });
+    // 1. Authorization: Must be an enrolled student whose access hasn't expired
+    const isEnrolled = await grantCourseAccess(studentId, lesson.course);
     if (!isEnrolled) {
         res.status(403);
         throw new Error("You must be enrolled in the course to submit the quiz.");
@@ -0,0 +1,128 @@
+// reconciliation.controller.js
+
+import asyncHandler from "express-async-handler";
+import PaymentReconciliation from "../models/paymentReconciliation.model.js";
+import { sanitizeString } from "../utils/validation.js";
+import { parseStatementCsv, matchStatementRows, applyReconciliation } from "../services/reconciliation.service.js";
+
+const MAX_STATEMENT_ROWS = 5000;
+
+/**
+ * @desc    Import a wallet statement CSV and match it against pending orders (nothing is changed yet)
+ * @route   POST /api/admin/reconciliations
+ * @access  Private/Admin
+ */
+export const createReconciliation = asyncHandler(async (req, res) => {
+  // Accept an uploaded file ("statement") or raw CSV text in the body ("csv")
+  const csvText = req.file ? req.file.buffer.toString("utf8") : req.body.csv ? String(req.body.csv) : "";
+  if (!csvText.trim()) {
+    res.status(400);
+    throw new Error("Please upload a statement CSV file");
+  }
+
+  const rows = parseStatementCsv(csvText);
+  if (rows.length === 0) {
+    res.status(400);
+    throw new Error("The statement has no rows");
+  }
+  if (rows.length > MAX_STATEMENT_ROWS) {
+    res.status(400);
+    throw new Error(`A statement can have at most ${MAX_STATEMENT_ROWS} rows`);
+  }
+
+  const { matches, mismatches, unknown } = await matchStatementRows(rows);
+
+  const reconciliation = await PaymentReconciliation.create({
+    filename: sanitizeString(req.file?.originalname || req.body.filename || "", 200),
+    uploadedBy: req.user._id,
+    totalRows: rows.length,
+    matches,
+    mismatches,
+    unknown,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${matches.length} matched, ${mismatches.length} mismatched, ${unknown.length} unknown`,
+    data: reconciliation,
+  });
+});
+
+/**
+ * @desc    Get all statement imports
+ * @route   GET /api/admin/reconciliations
+ * @access  Private/Admin
+ */
+export const getReconciliations = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const [reconciliations, total] = await Promise.all([
+    PaymentReconciliation.find({})
+      .select("-matches -mismatches -unknown")
+      .populate("uploadedBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    PaymentReconciliation.countDocuments({}),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: reconciliations.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: reconciliations,
+  });
+});
+
+/**
+ * @desc    Get a statement import with its match report
+ * @route   GET /api/admin/reconciliations/:id
+ * @access  Private/Admin
+ */
+export const getReconciliationById = asyncHandler(async (req, res) => {
+  const reconciliation = await PaymentReconciliation.findById(req.params.id)
+    .populate("uploadedBy", "name email")
+    .populate("appliedBy", "name email");
+
+  if (!reconciliation) {
+    res.status(404);
+    throw new Error("Reconciliation not found");
+  }
+
+  res.status(200).json({ success: true, data: reconciliation });
+});
+
+/**
+ * @desc    Confirm a statement import: mark the matched orders as paid
+ * @route   POST /api/admin/reconciliations/:id/apply
+ * @access  Private/Admin
+ */
+export const applyReconciliationMatches = asyncHandler(async (req, res) => {
+  const reconciliation = await PaymentReconciliation.findById(req.params.id);
+  if (!reconciliation) {
+    res.status(404);
+    throw new Error("Reconciliation not found");
+  }
+
+  // Optional: only apply some of the matches, identified by their statement row numbers
+  let rows = null;
+  if (req.body.rows !== undefined) {
+    if (!Array.isArray(req.body.rows)) {
+      res.status(400);
+      throw new Error("rows must be an array of statement row numbers");
+    }
+    rows = req.body.rows.map(Number).filter(Number.isInteger);
+  }
+
+  const result = await applyReconciliation(reconciliation, { rows, adminId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: `${result.paid} order(s) marked as paid${result.skipped ? `, ${result.skipped} skipped (no longer pending)` : ""}`,
+    data: { ...result, reconciliation },
+  });
+});
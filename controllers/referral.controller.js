@@ -0,0 +1,160 @@
+// referral.controller.js
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Commission from "../models/commission.model.js";
+import User from "../models/user.model.js";
+import { sanitizeString, validateObjectId } from "../utils/validation.js";
+import { getReferralCode, recordReferralVisit, getCommissionRate } from "../services/referral.service.js";
+
+// --- Helper: commission totals per status, e.g. { accrued: { count, amount }, ... } ---
+const sumByStatus = async (match) => {
+  const rows = await Commission.aggregate([
+    { $match: match },
+    { $group: { _id: "$status", count: { $sum: 1 }, amount: { $sum: "$amount" } } },
+  ]);
+  const totals = { accrued: { count: 0, amount: 0 }, paid: { count: 0, amount: 0 }, reversed: { count: 0, amount: 0 } };
+  rows.forEach((row) => {
+    totals[row._id] = { count: row.count, amount: Math.round(row.amount * 100) / 100 };
+  });
+  return totals;
+};
+
+/**
+ * @desc    Get the current user's referral link and earnings
+ * @route   GET /api/referrals/me
+ * @access  Private
+ */
+export const getMyReferrals = asyncHandler(async (req, res) => {
+  const code = await getReferralCode(req.user);
+  const [referredUsers, totals, commissions] = await Promise.all([
+    User.countDocuments({ referredBy: req.user._id }),
+    sumByStatus({ referrer: req.user._id }),
+    Commission.find({ referrer: req.user._id })
+      .select("-referrer -paidBy")
+      .populate("buyer", "name")
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean(),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      code,
+      link: `${process.env.FRONTEND_URL || "http://localhost:5173"}/?ref=${code}`,
+      commissionRate: getCommissionRate(),
+      referredUsers,
+      totals,
+      // "accrued" is what is still owed to the user
+      balance: totals.accrued.amount,
+      commissions,
+    },
+  });
+});
+
+/**
+ * @desc    Record that the current user arrived through a referral link
+ * @route   POST /api/referrals/visit
+ * @access  Private
+ * @body    { code }
+ */
+export const recordVisit = asyncHandler(async (req, res) => {
+  const result = await recordReferralVisit(req.user, sanitizeString(String(req.body.code || ""), 20));
+  if (!result.valid) {
+    res.status(400);
+    throw new Error(result.message);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Referred by ${result.referrer.name}`,
+  });
+});
+
+/**
+ * @desc    Get the commission ledger, with totals per status
+ * @route   GET /api/admin/referrals/commissions
+ * @access  Private/Admin
+ */
+export const getCommissionsAdmin = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const query = {};
+  if (req.query.status) {
+    query.status = String(req.query.status);
+  }
+  if (req.query.referrer && validateObjectId(req.query.referrer)) {
+    query.referrer = new mongoose.Types.ObjectId(String(req.query.referrer));
+  }
+
+  const [commissions, total, totals] = await Promise.all([
+    Commission.find(query)
+      .populate("referrer", "name email phone")
+      .populate("buyer", "name email")
+      .populate("order", "amount paymentStatus invoiceNumber")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Commission.countDocuments(query),
+    sumByStatus(query.referrer ? { referrer: query.referrer } : {}),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: commissions.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    totals,
+    data: commissions,
+  });
+});
+
+/**
+ * @desc    Mark a referrer's accrued commissions as paid out
+ * @route   POST /api/admin/referrals/payouts
+ * @access  Private/Admin
+ * @body    { referrerId, commissionIds?, reference? } (all accrued commissions when commissionIds is omitted)
+ */
+export const markCommissionsPaid = asyncHandler(async (req, res) => {
+  const { referrerId, commissionIds } = req.body;
+  if (!validateObjectId(referrerId)) {
+    res.status(400);
+    throw new Error("A valid referrerId is required");
+  }
+
+  const query = { referrer: referrerId, status: "accrued" };
+  if (commissionIds !== undefined) {
+    if (!Array.isArray(commissionIds) || !commissionIds.length || !commissionIds.every(validateObjectId)) {
+      res.status(400);
+      throw new Error("commissionIds must be a non-empty list of IDs");
+    }
+    query._id = { $in: commissionIds };
+  }
+
+  const commissions = await Commission.find(query).select("_id amount").lean();
+  if (!commissions.length) {
+    res.status(400);
+    throw new Error("No accrued commissions to pay out");
+  }
+
+  // Only the entries found above, so an entry reversed in the meantime isn't paid
+  const result = await Commission.updateMany(
+    { _id: { $in: commissions.map((commission) => commission._id) }, status: "accrued" },
+    {
+      $set: {
+        status: "paid",
+        paidAt: new Date(),
+        paidBy: req.user._id,
+        payoutReference: sanitizeString(String(req.body.reference || ""), 100),
+      },
+    }
+  );
+  const amount = commissions.reduce((sum, commission) => sum + commission.amount, 0);
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} commission(s) marked as paid`,
+    data: { paidCount: result.modifiedCount, amount: Math.round(amount * 100) / 100 },
+  });
+});
@@ -0,0 +1,203 @@
+// section.controller.js
+import asyncHandler from "express-async-handler";
+import Section from "../models/section.model.js";
+import Lesson from "../models/lesson.model.js";
+import Course from "../models/course.model.js";
+import { sanitizeString, sanitizeText, validateObjectId } from "../utils/validation.js";
+import { renumberCourseLessons } from "../services/curriculum.service.js";
+
+// --- Helper: load the course and make sure the user may edit its curriculum ---
+const getEditableCourse = async (req, res) => {
+  const { courseId } = req.params;
+  if (!validateObjectId(courseId)) {
+    res.status(400);
+    throw new Error("Invalid course ID");
+  }
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    res.status(404);
+    throw new Error("Course not found");
+  }
+  if (course.instructor.toString() !== req.user.id && req.user.role !== "admin") {
+    res.status(403);
+    throw new Error("Not authorized to manage sections of this course");
+  }
+  return course;
+};
+
+// --- Helper: find a section of the course ---
+const getCourseSection = async (req, res) => {
+  const section = validateObjectId(req.params.sectionId)
+    ? await Section.findOne({ _id: req.params.sectionId, course: req.params.courseId })
+    : null;
+  if (!section) {
+    res.status(404);
+    throw new Error("Section not found");
+  }
+  return section;
+};
+
+/**
+ * @desc    Get the sections of a course with lesson counts and durations
+ * @route   GET /api/courses/:courseId/sections
+ * @access  Public
+ */
+export const getSectionsForCourse = asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  if (!validateObjectId(courseId)) {
+    res.status(400);
+    throw new Error("Invalid course ID");
+  }
+
+  const [sections, lessons] = await Promise.all([
+    Section.find({ course: courseId }).sort({ order: 1 }).lean(),
+    Lesson.find({ course: courseId }).select("section duration").lean(),
+  ]);
+
+  const data = sections.map((section) => {
+    const sectionLessons = lessons.filter((lesson) => lesson.section?.toString() === section._id.toString());
+    return {
+      ...section,
+      lessonCount: sectionLessons.length,
+      totalDuration: sectionLessons.reduce((acc, lesson) => acc + (lesson.duration || 0), 0),
+    };
+  });
+
+  res.status(200).json({ success: true, count: data.length, data });
+});
+
+/**
+ * @desc    Create a section in a course
+ * @route   POST /api/courses/:courseId/sections
+ * @access  Private/Instructor or Private/Admin
+ */
+export const createSection = asyncHandler(async (req, res) => {
+  const course = await getEditableCourse(req, res);
+
+  const title = req.body.title ? sanitizeString(String(req.body.title), 200) : "";
+  if (!title) {
+    res.status(400);
+    throw new Error("Section title is required");
+  }
+
+  // New sections go to the end
+  const lastSection = await Section.findOne({ course: course._id }).sort({ order: -1 });
+  const section = await Section.create({
+    course: course._id,
+    title,
+    description: req.body.description ? sanitizeText(String(req.body.description), 2000) : "",
+    order: lastSection ? lastSection.order + 1 : 1,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Section created successfully",
+    data: section,
+  });
+});
+
+/**
+ * @desc    Update a section's title or description
+ * @route   PUT /api/courses/:courseId/sections/:sectionId
+ * @access  Private/Instructor or Private/Admin
+ */
+export const updateSection = asyncHandler(async (req, res) => {
+  await getEditableCourse(req, res);
+  const section = await getCourseSection(req, res);
+
+  if (req.body.title !== undefined) {
+    const title = sanitizeString(String(req.body.title), 200);
+    if (!title) {
+      res.status(400);
+      throw new Error("Section title cannot be empty");
+    }
+    section.title = title;
+  }
+  if (req.body.description !== undefined) {
+    section.description = sanitizeText(String(req.body.description), 2000);
+  }
+
+  const updatedSection = await section.save();
+  res.status(200).json({ success: true, data: updatedSection });
+});
+
+/**
+ * @desc    Delete a section. Its lessons are kept and become unsectioned.
+ * @route   DELETE /api/courses/:courseId/sections/:sectionId
+ * @access  Private/Instructor or Private/Admin
+ */
+export const deleteSection = asyncHandler(async (req, res) => {
+  const course = await getEditableCourse(req, res);
+  const section = await getCourseSection(req, res);
+
+  await Lesson.updateMany({ section: section._id }, { $unset: { section: "" } });
+  await section.deleteOne();
+  await renumberCourseLessons(course._id);
+
+  res.status(200).json({ success: true, message: "Section removed successfully" });
+});
+
+/**
+ * @desc    Reorder the sections of a course
+ * @route   PATCH /api/courses/:courseId/sections/reorder
+ * @access  Private/Instructor or Private/Admin
+ * @body    { sectionIds: [...] } - every section of the course, in the new order
+ */
+export const reorderSections = asyncHandler(async (req, res) => {
+  const course = await getEditableCourse(req, res);
+  const sectionIds = Array.isArray(req.body.sectionIds) ? req.body.sectionIds.map(String) : [];
+
+  const sections = await Section.find({ course: course._id }).select("_id");
+  const existingIds = new Set(sections.map((section) => section._id.toString()));
+  if (sectionIds.length !== existingIds.size || new Set(sectionIds).size !== sectionIds.length || !sectionIds.every((id) => existingIds.has(id))) {
+    res.status(400);
+    throw new Error("sectionIds must list every section of this course exactly once");
+  }
+
+  await Section.bulkWrite(sectionIds.map((id, index) => ({
+    updateOne: { filter: { _id: id }, update: { $set: { order: index + 1 } } },
+  })));
+  await renumberCourseLessons(course._id);
+
+  const reordered = await Section.find({ course: course._id }).sort({ order: 1 });
+  res.status(200).json({ success: true, data: reordered });
+});
+
+/**
+ * @desc    Set the lessons of a section and their order (lessons can be moved in from other sections)
+ * @route   PATCH /api/courses/:courseId/sections/:sectionId/lessons
+ * @access  Private/Instructor or Private/Admin
+ * @body    { lessonIds: [...] } - the section's lessons, in order
+ */
+export const reorderSectionLessons = asyncHandler(async (req, res) => {
+  const course = await getEditableCourse(req, res);
+  const section = await getCourseSection(req, res);
+  const lessonIds = Array.isArray(req.body.lessonIds) ? req.body.lessonIds.map(String) : [];
+
+  if (new Set(lessonIds).size !== lessonIds.length || !lessonIds.every(validateObjectId)) {
+    res.status(400);
+    throw new Error("lessonIds must be a list of distinct lesson IDs");
+  }
+  const lessonCount = await Lesson.countDocuments({ _id: { $in: lessonIds }, course: course._id });
+  if (lessonCount !== lessonIds.length) {
+    res.status(400);
+    throw new Error("Every lesson must belong to this course");
+  }
+
+  // Lessons no longer listed leave the section; listed ones are placed in the given order
+  await Lesson.updateMany(
+    { section: section._id, _id: { $nin: lessonIds } },
+    { $unset: { section: "" } }
+  );
+  if (lessonIds.length > 0) {
+    // Temporary negative orders keep the given sequence until the course is renumbered below
+    await Lesson.bulkWrite(lessonIds.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { section: section._id, order: index - lessonIds.length } } },
+    })));
+  }
+  await renumberCourseLessons(course._id);
+
+  const lessons = await Lesson.find({ section: section._id }).sort({ order: 1 }).select("title duration order section");
+  res.status(200).json({ success: true, data: { section, lessons } });
+});
@@ -0,0 +1,157 @@
+// subscription.controller.js
+import asyncHandler from "express-async-handler";
+import Subscription from "../models/subscription.model.js";
+import Order from "../models/order.model.js";
+import { sanitizeString } from "../utils/validation.js";
+import { getMembershipPlans, findActiveSubscription } from "../services/subscription.service.js";
+import { findReferrer } from "../services/referral.service.js";
+
+/**
+ * @desc    Get the membership plans on sale
+ * @route   GET /api/subscriptions/plans
+ * @access  Public
+ */
+export const getPlans = asyncHandler(async (req, res) => {
+  const plans = getMembershipPlans();
+  res.status(200).json({ success: true, count: plans.length, data: plans });
+});
+
+/**
+ * @desc    Get the logged-in user's membership and any payment awaiting approval
+ * @route   GET /api/subscriptions/me
+ * @access  Private
+ */
+export const getMySubscription = asyncHandler(async (req, res) => {
+  const [subscription, activeSubscription, pendingOrder] = await Promise.all([
+    Subscription.findOne({ user: req.user._id }),
+    findActiveSubscription(req.user._id),
+    Order.findOne({ user: req.user._id, purpose: "subscription", paymentStatus: "pending" }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: subscription,
+    isActive: Boolean(activeSubscription),
+    pendingOrder,
+  });
+});
+
+/**
+ * @desc    Pay for a membership period (first purchase or renewal) by manual payment
+ * @route   POST /api/subscriptions
+ * @access  Private
+ * @body    { plan, paymentMethod, paymentNumber, transactionId, paymentSlip (file) }
+ */
+export const subscribe = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const plan = getMembershipPlans().find((entry) => entry.plan === req.body.plan);
+  if (!plan) {
+    res.status(400);
+    throw new Error("This membership plan is not available");
+  }
+
+  const paymentMethod = req.body.paymentMethod ? sanitizeString(String(req.body.paymentMethod), 50) : "";
+  const paymentNumber = req.body.paymentNumber ? sanitizeString(String(req.body.paymentNumber), 50) : "";
+  const transactionId = req.body.transactionId ? sanitizeString(String(req.body.transactionId), 100) : "";
+  if (!paymentMethod || !paymentNumber || !transactionId) {
+    res.status(400);
+    throw new Error("Payment method, number, and transaction ID are required.");
+  }
+  const allowedPaymentMethods = Order.schema.path("paymentMethod").enumValues.filter((method) => method !== "free");
+  if (!allowedPaymentMethods.includes(paymentMethod)) {
+    res.status(400);
+    throw new Error("Invalid payment method");
+  }
+
+  // One payment at a time; the next one can be sent once an admin has checked this one
+  if (await Order.exists({ user: userId, purpose: "subscription", paymentStatus: "pending" })) {
+    res.status(409);
+    throw new Error("You already have a membership payment awaiting confirmation.");
+  }
+  if (await Order.exists({ transactionId })) {
+    res.status(409);
+    throw new Error("This transaction ID has already been used");
+  }
+
+  // A first purchase starts as "pending" until the payment is approved
+  const subscription = await Subscription.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { plan: plan.plan, status: "pending" } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const order = await Order.create({
+    user: userId,
+    purpose: "subscription",
+    plan: plan.plan,
+    subscription: subscription._id,
+    amount: plan.price,
+    paymentMethod,
+    paymentNumber,
+    transactionId,
+    paymentSlip: req.file ? req.file.secure_url || req.file.url || req.file.path : "",
+    paymentStatus: "pending",
+    referrer: findReferrer(req.user),
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Membership payment received. Please wait for payment confirmation.",
+    data: order,
+  });
+});
+
+/**
+ * @desc    Cancel the membership: access stays until the paid period ends, reminders stop
+ * @route   POST /api/subscriptions/cancel
+ * @access  Private
+ */
+export const cancelSubscription = asyncHandler(async (req, res) => {
+  const subscription = await Subscription.findOneAndUpdate(
+    { user: req.user._id, status: "active" },
+    { $set: { status: "cancelled", cancelledAt: new Date() } },
+    { new: true }
+  );
+  if (!subscription) {
+    res.status(404);
+    throw new Error("You have no active membership to cancel");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Your membership was cancelled. You keep access until the end of the paid period.",
+    data: subscription,
+  });
+});
+
+/**
+ * @desc    Get memberships (filter by ?status=)
+ * @route   GET /api/admin/subscriptions
+ * @access  Private/Admin
+ */
+export const getSubscriptionsAdmin = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const query = {};
+  if (req.query.status) {
+    query.status = String(req.query.status);
+  }
+
+  const [subscriptions, total] = await Promise.all([
+    Subscription.find(query)
+      .populate("user", "name email phone")
+      .sort({ currentPeriodEnd: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Subscription.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: subscriptions.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: subscriptions,
+  });
+});
@@ -5,6 +5,7 @@ import asyncHandler from "express-async-handler";
 import jwt from "jsonwebtoken";
 import { v2 as cloudinary } from 'cloudinary';
 import { generateVerificationToken, sendVerificationEmail } from '../services/email.service.js';
+import { recordReferralVisit } from '../services/referral.service.js';
 import crypto from 'crypto';
 import {
     sanitizeString,
@@ -141,11 +142,16 @@ export const registerUser = asyncHandler(async (req, res) => {
       throw new Error("Failed to send verification email. Please try again later.");
     }
 
-    // 10. Log registration event
+    // 10. A referral link the visitor arrived through (an unknown code doesn't stop registration)
+    if (req.body.referralCode) {
+      await recordReferralVisit(user, sanitizeString(String(req.body.referralCode), 20));
+    }
+
+    // 11. Log registration event
     const { logAuthEvent } = await import('../utils/securityLogger.js');
     logAuthEvent('register', user._id, true, req);
 
-    // 11. Return success response (don't log user in yet)
+    // 12. Return success response (don't log user in yet)
     res.status(201).json({
       success: true,
       message: "Registration successful! Please check your email to verify your account.",
@@ -0,0 +1,231 @@
+// waitlist.controller.js
+import asyncHandler from "express-async-handler";
+import WaitlistEntry from "../models/waitlistEntry.model.js";
+import Course from "../models/course.model.js";
+import Batch from "../models/batch.model.js";
+import Enrollment from "../models/enrollment.model.js";
+import { sanitizeText, validateObjectId } from "../utils/validation.js";
+import { countBatchSeats, getBatchAvailability } from "../services/batch.service.js";
+
+// --- Helper: quote a value for a CSV cell ---
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? "" : String(value);
+  // Text starting like a formula would run when the export is opened in a spreadsheet
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// --- Helper: admin list filters from the query string ---
+const buildWaitlistQuery = (req, res) => {
+  const query = {};
+  if (req.query.courseId) {
+    if (!validateObjectId(req.query.courseId)) {
+      res.status(400);
+      throw new Error("Invalid course ID");
+    }
+    query.course = req.query.courseId;
+  }
+  if (req.query.status) {
+    query.status = String(req.query.status);
+  }
+  return query;
+};
+
+/**
+ * @desc    Join the waitlist of an ended course or a full batch
+ * @route   POST /api/courses/:courseId/waitlist
+ * @access  Private
+ * @body    { note?, batchId? }
+ */
+export const joinWaitlist = asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  const userId = req.user._id;
+  if (!validateObjectId(courseId)) {
+    res.status(400);
+    throw new Error("Invalid course ID");
+  }
+
+  const course = await Course.findById(courseId).select("isPublished isEnded");
+  if (!course || !course.isPublished) {
+    res.status(404);
+    throw new Error("Course not found");
+  }
+  if (await Enrollment.exists({ student: userId, course: courseId, source: { $ne: "membership" } })) {
+    res.status(409);
+    throw new Error("You are already enrolled in this course");
+  }
+
+  // Only courses (or batches) that can't be bought right now have a waitlist
+  const batchId = req.body.batchId ? String(req.body.batchId) : "";
+  let batch = null;
+  if (batchId) {
+    batch = validateObjectId(batchId) ? await Batch.findOne({ _id: batchId, course: courseId }) : null;
+    if (!batch) {
+      res.status(404);
+      throw new Error("Batch not found for this course");
+    }
+    if (getBatchAvailability(batch, await countBatchSeats(batch._id)).isAcceptingEnrollments) {
+      res.status(400);
+      throw new Error("This batch still has seats. You can enroll right away.");
+    }
+  } else {
+    const batches = await Batch.find({ course: courseId });
+    const isOpen = batches.length > 0
+      ? (await Promise.all(batches.map(async (b) => getBatchAvailability(b, await countBatchSeats(b._id)).isAcceptingEnrollments))).some(Boolean)
+      : !course.isEnded;
+    if (isOpen) {
+      res.status(400);
+      throw new Error("This course is open for enrollment. You can enroll right away.");
+    }
+  }
+
+  const note = req.body.note ? sanitizeText(String(req.body.note), 1000) : "";
+  const existing = await WaitlistEntry.findOne({ course: courseId, user: userId });
+
+  // Still in line: only the note and batch preference change
+  if (existing && ["waiting", "notified"].includes(existing.status)) {
+    existing.note = note || existing.note;
+    existing.batch = batch?._id;
+    await existing.save();
+    return res.status(200).json({ success: true, message: "Your waitlist entry was updated", data: existing });
+  }
+
+  // New entry, or re-joining after a reservation expired: back of the queue
+  const entry = existing || new WaitlistEntry({ course: courseId, user: userId });
+  entry.set({
+    batch: batch?._id,
+    note,
+    status: "waiting",
+    joinedAt: new Date(),
+    notifiedAt: undefined,
+    reservedBatch: undefined,
+    reservationExpiresAt: undefined,
+  });
+  await entry.save();
+
+  const position = await WaitlistEntry.countDocuments({ course: courseId, status: "waiting", joinedAt: { $lte: entry.joinedAt } });
+
+  res.status(201).json({
+    success: true,
+    message: "You have been added to the waitlist",
+    data: entry,
+    position,
+  });
+});
+
+/**
+ * @desc    Get the logged-in user's waitlist entry for a course
+ * @route   GET /api/courses/:courseId/waitlist/me
+ * @access  Private
+ */
+export const getMyWaitlistEntry = asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  if (!validateObjectId(courseId)) {
+    res.status(400);
+    throw new Error("Invalid course ID");
+  }
+
+  const entry = await WaitlistEntry.findOne({ course: courseId, user: req.user._id })
+    .populate("reservedBatch", "name startDate");
+  const position = entry?.status === "waiting"
+    ? await WaitlistEntry.countDocuments({ course: courseId, status: "waiting", joinedAt: { $lte: entry.joinedAt } })
+    : null;
+
+  res.status(200).json({ success: true, data: entry, position });
+});
+
+/**
+ * @desc    Leave the waitlist of a course
+ * @route   DELETE /api/courses/:courseId/waitlist
+ * @access  Private
+ */
+export const leaveWaitlist = asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  if (!validateObjectId(courseId)) {
+    res.status(400);
+    throw new Error("Invalid course ID");
+  }
+
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { course: courseId, user: req.user._id, status: { $in: ["waiting", "notified"] } },
+    { $set: { status: "cancelled" }, $unset: { reservationExpiresAt: "" } },
+    { new: true }
+  );
+  if (!entry) {
+    res.status(404);
+    throw new Error("You are not on the waitlist for this course");
+  }
+
+  res.status(200).json({ success: true, message: "You have left the waitlist" });
+});
+
+/**
+ * @desc    Get waitlist entries (filter by ?courseId= and ?status=)
+ * @route   GET /api/admin/waitlists
+ * @access  Private/Admin
+ */
+export const getWaitlistAdmin = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const query = buildWaitlistQuery(req, res);
+
+  const [entries, total] = await Promise.all([
+    WaitlistEntry.find(query)
+      .populate("user", "name email phone")
+      .populate("course", "title slug")
+      .populate("batch", "name")
+      .populate("reservedBatch", "name")
+      .sort({ joinedAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WaitlistEntry.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: entries,
+  });
+});
+
+/**
+ * @desc    Export waitlist entries as CSV (same filters as the list)
+ * @route   GET /api/admin/waitlists/export
+ * @access  Private/Admin
+ */
+export const exportWaitlistAdmin = asyncHandler(async (req, res) => {
+  const query = buildWaitlistQuery(req, res);
+
+  const entries = await WaitlistEntry.find(query)
+    .populate("user", "name email phone")
+    .populate("course", "title")
+    .populate("batch", "name")
+    .populate("reservedBatch", "name")
+    .sort({ course: 1, joinedAt: 1 })
+    .lean();
+
+  const header = ["Course", "Name", "Email", "Phone", "Requested Batch", "Note", "Status", "Joined At", "Notified At", "Reserved Batch", "Reserved Until"];
+  const rows = entries.map((entry) => [
+    entry.course?.title,
+    entry.user?.name,
+    entry.user?.email,
+    entry.user?.phone,
+    entry.batch?.name,
+    entry.note,
+    entry.status,
+    entry.joinedAt?.toISOString(),
+    entry.notifiedAt?.toISOString(),
+    entry.reservedBatch?.name,
+    entry.reservationExpiresAt?.toISOString(),
+  ]);
+  const csv = [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n");
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="waitlist-${Date.now()}.csv"`);
+  res.status(200).send(csv);
+});
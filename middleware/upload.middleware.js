@@ -95,4 +95,17 @@ export const uploadBlogAssets = multer({
   storage: blogStorage,
 }).fields([
   { name: "featuredImage", maxCount: 1 },
-]);
\ No newline at end of file
+]);
+// Wallet statement CSVs for payment reconciliation are parsed in memory, never stored
+export const uploadStatementCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+    if (allowedMimes.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+}).single("statement");
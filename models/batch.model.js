@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+const batchSchema = new mongoose.Schema({
+  course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+  name: { type: String, required: true, trim: true }, // e.g. "Batch 7"
+  startDate: { type: Date, required: true },
+  endDate: { type: Date },
+  enrollmentDeadline: { type: Date }, // last moment to order a seat (defaults to the start date)
+  capacity: { type: Number, min: 1 }, // seats; empty means unlimited
+  groupLink: { type: String, default: "" }, // batch chat/community link, falls back to Course.groupLink
+  isOpen: { type: Boolean, default: true }, // instructors can close enrollment early
+}, { timestamps: true });
+
+// --- Indexes ---
+// Index for listing a course's batches by start date
+batchSchema.index({ course: 1, startDate: 1 });
+
+export default mongoose.model("Batch", batchSchema);
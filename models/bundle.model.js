@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// A bundle sells several courses and/or products at one price.
+// "fixed" bundles include everything listed; "pick" bundles let the buyer choose
+// pickCount courses from the listed courses (or from the category when none are listed).
+const bundleSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true },
+  description: { type: String, default: "" },
+  thumbnail: { type: String, default: "" },
+  type: { type: String, enum: ["fixed", "pick"], default: "fixed" },
+  courses: [{ type: mongoose.Schema.Types.ObjectId, ref: "Course" }],
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }], // fixed bundles only
+  category: { type: mongoose.Schema.Types.ObjectId, ref: "Category" }, // pick pool when no courses are listed
+  pickCount: { type: Number, min: 1 },
+  price: { type: Number, required: true, min: 0 },
+  startsAt: { type: Date },
+  endsAt: { type: Date },
+  isPublished: { type: Boolean, default: false },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+// --- Indexes ---
+// Index for the public bundle catalog
+bundleSchema.index({ isPublished: 1, endsAt: 1 });
+
+export default mongoose.model("Bundle", bundleSchema);
@@ -1,8 +1,13 @@
 import mongoose from "mongoose";
 
 const cartItemSchema = new mongoose.Schema({
-  product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
-  quantity: { type: Number, default: 1, min: 1 },
+  itemType: { type: String, enum: ["product", "course", "path", "bundle"], default: "product" },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: function () { return this.itemType === "product"; } },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: function () { return this.itemType === "course"; } },
+  learningPath: { type: mongoose.Schema.Types.ObjectId, ref: "LearningPath", required: function () { return this.itemType === "path"; } },
+  bundle: { type: mongoose.Schema.Types.ObjectId, ref: "Bundle", required: function () { return this.itemType === "bundle"; } },
+  selectedCourses: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Course" }], default: undefined }, // the buyer's choice for "pick" bundles
+  quantity: { type: Number, default: 1, min: 1 }, // always 1 for courses, learning paths and bundles
   price: { type: Number, required: true },
 }, { _id: false });
 
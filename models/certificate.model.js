@@ -4,6 +4,8 @@ const certificateSchema = new mongoose.Schema({
   student: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
   certificateUrl: { type: String, required: true }, // The URL where the certificate is hosted
+  revokedAt: { type: Date }, // Set when the certificate is revoked (e.g. after a refund)
+  revokedReason: { type: String, default: "" },
 }, { timestamps: true }); // Using timestamps' createdAt is more standard than issuedAt
 
 // --- Indexes ---
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// Referral commission ledger: one entry per referred order (Order or DigitalOrder)
+const commissionSchema = new mongoose.Schema({
+  referrer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  buyer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  orderModel: { type: String, enum: ["Order", "DigitalOrder"], required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, refPath: "orderModel", required: true },
+  orderAmount: { type: Number, required: true }, // what the commission was worked out on (net of refunds)
+  rate: { type: Number, required: true }, // percentage at the time the order was paid
+  amount: { type: Number, required: true },
+  // "accrued" is owed to the referrer, "paid" has been paid out, "reversed" was cancelled by a failure or refund
+  status: { type: String, enum: ["accrued", "paid", "reversed"], default: "accrued" },
+  reversedAt: { type: Date },
+  reversedReason: { type: String, default: "" },
+  paidAt: { type: Date },
+  paidBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  payoutReference: { type: String, default: "" },
+}, { timestamps: true });
+
+// --- Indexes ---
+// One ledger entry per order
+commissionSchema.index({ orderModel: 1, order: 1 }, { unique: true });
+// Index for the affiliate dashboard and payouts
+commissionSchema.index({ referrer: 1, status: 1, createdAt: -1 });
+
+export default mongoose.model("Commission", commissionSchema);
@@ -0,0 +1,9 @@
+import mongoose from "mongoose";
+
+// Named sequence counters (e.g. "invoice") used to hand out sequential numbers
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+export default mongoose.model("Counter", counterSchema);
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, default: "" },
+  discountType: { type: String, enum: ["percentage", "fixed"], required: true },
+  value: { type: Number, required: true, min: 0 },
+  maxDiscount: { type: Number, min: 0 }, // cap for percentage coupons
+  minOrderAmount: { type: Number, default: 0, min: 0 },
+  startsAt: { type: Date },
+  expiresAt: { type: Date },
+  usageLimit: { type: Number, min: 1 }, // overall cap, unlimited when empty
+  perUserLimit: { type: Number, default: 1, min: 1 },
+  usedCount: { type: Number, default: 0, min: 0 },
+  // Scoping: when all three lists are empty the coupon applies to everything
+  courses: [{ type: mongoose.Schema.Types.ObjectId, ref: "Course" }],
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+// --- Indexes ---
+// Index for listing active coupons in the admin panel
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+export default mongoose.model("Coupon", couponSchema);
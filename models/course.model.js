@@ -16,9 +16,26 @@ const courseSchema = new mongoose.Schema({
   language: { type: String, default: "English" },
   objectives: { type: String },
   prerequisites: { type: String },
+  prerequisiteCourses: [{ type: mongoose.Schema.Types.ObjectId, ref: "Course" }], // must be completed before buying
+  // Students an admin lets buy the course without the prerequisite courses
+  prerequisiteWaivers: {
+    type: [{
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+      grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      grantedAt: { type: Date, default: Date.now },
+      note: { type: String, default: "" },
+    }],
+    default: [],
+    select: false,
+  },
   groupLink: { type: String, default: "" },
   isPublished: { type: Boolean, default: false },
   isEnded: { type: Boolean, default: false },
+  accessDurationDays: { type: Number, default: 0, min: 0 }, // 0 = lifetime access, e.g. 180 or 365 for time-limited access
+  renewalPrice: { type: Number, min: 0 }, // price to extend access by another period (defaults to the current price)
+  includedInMembership: { type: Boolean, default: false }, // open to students with an active subscription
+  revenueSharePercent: { type: Number, min: 0, max: 100 }, // instructor's share of sales (overrides the instructor's own rate)
 }, { timestamps: true });
 
 // --- Indexes ---
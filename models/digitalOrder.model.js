@@ -1,9 +1,31 @@
 import mongoose from "mongoose";
 
+// A cart checkout can mix digital products, courses and learning paths.
+// Bundles are expanded into their courses and products at checkout, each carrying its share of the bundle price.
 const digitalOrderItemSchema = new mongoose.Schema({
-  product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
-  price: { type: Number, required: true },
+  itemType: { type: String, enum: ["product", "course", "path"], default: "product" },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: function () { return this.itemType === "product"; } },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: function () { return this.itemType === "course"; } },
+  learningPath: { type: mongoose.Schema.Types.ObjectId, ref: "LearningPath", required: function () { return this.itemType === "path"; } },
+  price: { type: Number, required: true }, // unit price
+  quantity: { type: Number, default: 1, min: 1 }, // products can be bought several at a time
+  bundle: { type: mongoose.Schema.Types.ObjectId, ref: "Bundle" }, // set on items bought as part of a bundle
+  listPrice: { type: Number }, // standalone price of a bundled item, the basis of its share
+  revenue: { type: Number }, // what the item earned: its share of the order amount after the coupon
   titleSnapshot: { type: String, required: true },
+  licenseKey: { type: String }, // assigned when the order is paid, for products that are licensed (the first key)
+  licenseKeys: { type: [String], default: undefined }, // one key per unit bought
+  // Cached buyer-watermarked copies of the product's PDF files
+  watermarkedFiles: {
+    type: [{
+      _id: false,
+      fileIndex: { type: Number, required: true },
+      sourceUrl: { type: String, required: true }, // a new upload of the source file invalidates the copy
+      publicId: { type: String, required: true },
+      createdAt: { type: Date, default: Date.now },
+    }],
+    default: undefined,
+  },
 }, { _id: false });
 
 const downloadTokenSchema = new mongoose.Schema({
@@ -12,6 +34,17 @@ const downloadTokenSchema = new mongoose.Schema({
   expiresAt: { type: Date, required: true },
   maxDownloads: { type: Number, default: 5 },
   downloads: { type: Number, default: 0 },
+  lastDownloadedAt: { type: Date },
+  accessLog: {
+    type: [{
+      _id: false,
+      fileIndex: { type: Number },
+      ip: { type: String, default: "" },
+      userAgent: { type: String, default: "" },
+      at: { type: Date, default: Date.now },
+    }],
+    default: [],
+  },
 }, { _id: false });
 
 const digitalOrderSchema = new mongoose.Schema({
@@ -21,12 +54,19 @@ const digitalOrderSchema = new mongoose.Schema({
   paymentMethod: { type: String, enum: ["bkash", "Nagad", "Upay", "Rocket", "Cellfin", "free"], required: true },
   paymentStatus: { type: String, enum: ["pending", "paid", "failed"], default: "pending" },
   transactionId: { type: String, required: true, unique: true, sparse: true },
+  paymentSlip: { type: String, default: "" }, // URL to the uploaded payment slip image
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+  couponCode: { type: String, default: "" },
+  discountAmount: { type: Number, default: 0 }, // amount taken off by the coupon
+  referrer: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // earns a commission once the order is paid
   buyerInfo: {
     name: { type: String },
     email: { type: String },
     phone: { type: String },
   },
   downloadTokens: { type: [downloadTokenSchema], default: [] },
+  invoiceNumber: { type: String, unique: true, sparse: true }, // assigned once the order is paid
+  invoicedAt: { type: Date },
 }, { timestamps: true });
 
 digitalOrderSchema.index({ user: 1, createdAt: -1 });
@@ -3,12 +3,21 @@ import mongoose from "mongoose";
 const enrollmentSchema = new mongoose.Schema({
   student: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" }, // cohort the student joined, for batch-run courses
   progress: { type: Number, default: 0, min: 0, max: 100 }, // %
   completed: { type: Boolean, default: false },
+  // "membership" enrollments come from an active subscription and end with it
+  source: { type: String, enum: ["purchase", "membership"], default: "purchase" },
+  expiresAt: { type: Date }, // end of access for time-limited courses (empty = lifetime)
+  expiryReminderSentAt: { type: Date }, // reset whenever access is renewed
 }, { timestamps: true });
 
 // --- Indexes ---
 // Unique compound index to prevent duplicate enrollments and speed up lookups.
 enrollmentSchema.index({ student: 1, course: 1 }, { unique: true });
+// Index for batch rosters
+enrollmentSchema.index({ batch: 1 }, { sparse: true });
+// Index for the expiry reminder sweep
+enrollmentSchema.index({ expiresAt: 1 }, { sparse: true });
 
 export default mongoose.model("Enrollment", enrollmentSchema);
\ No newline at end of file
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// A course bought for someone else. The order pays for it; the recipient redeems the code.
+const giftSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+  purchaser: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  recipientEmail: { type: String, required: true, lowercase: true, trim: true },
+  recipientName: { type: String, default: "" },
+  message: { type: String, default: "" },
+  code: { type: String, required: true },
+  // "awaiting_payment" until the order is paid; "revoked" after a refund
+  status: { type: String, enum: ["awaiting_payment", "sent", "redeemed", "revoked"], default: "awaiting_payment" },
+  sentAt: { type: Date }, // last time the gift email went out
+  sendCount: { type: Number, default: 0 },
+  redeemedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  redeemedAt: { type: Date },
+}, { timestamps: true });
+
+// --- Indexes ---
+// Index for redeeming a code
+giftSchema.index({ code: 1 }, { unique: true });
+// One gift per order
+giftSchema.index({ order: 1 }, { unique: true });
+// Index for the buyer's gift list
+giftSchema.index({ purchaser: 1, createdAt: -1 });
+
+export default mongoose.model("Gift", giftSchema);
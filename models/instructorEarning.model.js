@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// Instructor revenue ledger. Entries are never edited: a refund or failed payment adds a negative entry,
+// so a monthly statement always shows what happened in that month.
+const instructorEarningSchema = new mongoose.Schema({
+  instructor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+  orderModel: { type: String, enum: ["Order", "DigitalOrder"], required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, refPath: "orderModel", required: true },
+  sequence: { type: Number, required: true }, // 0 for the first entry of an order's course, then 1, 2...
+  // "sale" when the order is paid, "refund" when a refund or status change takes it back
+  type: { type: String, enum: ["sale", "refund"], required: true },
+  grossAmount: { type: Number, required: true }, // the course's share of the order amount this entry covers
+  sharePercent: { type: Number, required: true },
+  amount: { type: Number, required: true }, // instructor's earning (negative for refunds)
+  note: { type: String, default: "" },
+}, { timestamps: true });
+
+// --- Indexes ---
+// Index for statements and the earnings dashboard
+instructorEarningSchema.index({ instructor: 1, createdAt: -1 });
+// Index for finding an order's entries when it changes. Being unique, it also stops two
+// concurrent status changes from both writing the next entry
+instructorEarningSchema.index({ orderModel: 1, order: 1, course: 1, sequence: 1 }, { unique: true });
+
+export default mongoose.model("InstructorEarning", instructorEarningSchema);
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Money paid out to an instructor, entered by an admin after making the transfer
+const instructorPayoutSchema = new mongoose.Schema({
+  instructor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  method: { type: String, default: "" }, // e.g. bank, bkash
+  reference: { type: String, default: "" }, // transfer/transaction ID
+  note: { type: String, default: "" },
+  paidAt: { type: Date, default: Date.now },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+}, { timestamps: true });
+
+// --- Indexes ---
+// Index for statements and the earnings dashboard
+instructorPayoutSchema.index({ instructor: 1, paidAt: -1 });
+
+export default mongoose.model("InstructorPayout", instructorPayoutSchema);
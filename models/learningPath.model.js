@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+const learningPathSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true },
+  description: { type: String, default: "" },
+  thumbnail: { type: String, default: "" },
+  courses: [{ type: mongoose.Schema.Types.ObjectId, ref: "Course" }], // in the order they should be taken
+  price: { type: Number, required: true, min: 0 },
+  discountPrice: { type: Number },
+  isPublished: { type: Boolean, default: false },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+// --- Indexes ---
+// Index for the public path catalog
+learningPathSchema.index({ isPublished: 1, createdAt: -1 });
+// Index for finding the paths a course belongs to (path completion checks)
+learningPathSchema.index({ courses: 1 });
+
+export default mongoose.model("LearningPath", learningPathSchema);
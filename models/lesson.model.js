@@ -2,16 +2,30 @@ import mongoose from "mongoose";
 
 const lessonSchema = new mongoose.Schema({
   course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+  section: { type: mongoose.Schema.Types.ObjectId, ref: "Section" }, // optional chapter the lesson belongs to
   title: { type: String, required: true },
   videoUrl: { type: String },
   content: { type: String },
   duration: { type: Number, default: 0 }, // in minutes
   order: { type: Number }, // lesson order
   quiz: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz" },
+  isPreview: { type: Boolean, default: false }, // free sample lesson, viewable without enrolling
+  // Drip schedule: when an enrolled student can open the lesson
+  release: {
+    type: {
+      type: String,
+      enum: ["immediate", "after_days", "on_date", "after_previous_section"],
+      default: "immediate",
+    },
+    days: { type: Number, min: 0 }, // after_days: days after Enrollment.createdAt
+    date: { type: Date }, // on_date: fixed calendar date
+  },
 }, { timestamps: true });
 
 // --- Indexes ---
 // Index for quickly fetching and ordering all lessons for a specific course
 lessonSchema.index({ course: 1, order: 1 });
+// Index for fetching the lessons of a section
+lessonSchema.index({ section: 1 });
 
 export default mongoose.model("Lesson", lessonSchema);
\ No newline at end of file
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+const activationSchema = new mongoose.Schema({
+  instanceId: { type: String, required: true }, // domain, machine ID, etc. chosen by the client software
+  ip: { type: String, default: "" },
+  activatedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const licenseKeySchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  key: { type: String, required: true, unique: true, trim: true },
+  source: { type: String, enum: ["imported", "generated"], required: true },
+  status: { type: String, enum: ["available", "assigned", "revoked"], default: "available" },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: "DigitalOrder" },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  assignedAt: { type: Date },
+  maxActivations: { type: Number, default: 1, min: 1 },
+  activations: { type: [activationSchema], default: [] },
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+// --- Indexes ---
+// Index to take the next free key from a product's pool
+licenseKeySchema.index({ product: 1, status: 1 });
+// Index to find the keys of an order
+licenseKeySchema.index({ order: 1, product: 1 });
+
+export default mongoose.model("LicenseKey", licenseKeySchema);
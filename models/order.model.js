@@ -1,14 +1,54 @@
 import mongoose from "mongoose";
 
+const refundSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0 },
+  reason: { type: String, default: "" },
+  reference: { type: String, default: "" }, // transaction ID of the refund payment
+  processedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  processedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-  course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: function () { return this.purpose !== "subscription"; } },
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" }, // seat chosen for batch-run courses
+  // renewal extends time-limited access; seats are bought by an organization for its staff;
+  // a gift is redeemed by someone else with the code of its Gift
+  purpose: { type: String, enum: ["enrollment", "renewal", "subscription", "seats", "gift"], default: "enrollment" },
+  plan: { type: String, enum: ["monthly", "yearly"] }, // membership period bought by a subscription order
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: "Subscription" },
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: "Organization" }, // buyer of a seats order
+  seatCount: { type: Number, min: 1 }, // seats bought by a seats order
+  // access period a paid renewal added to the enrollment (taken off again if the renewal is refunded)
+  renewedAccess: {
+    from: { type: Date },
+    to: { type: Date },
+  },
   amount: { type: Number, required: true },
   paymentMethod: { type: String, enum: ["bkash", "Nagad", "Upay", "Rocket", "Cellfin", "free"], required: true },
-  paymentStatus: { type: String, enum: ["pending", "paid", "failed"], default: "pending" },
+  paymentStatus: { type: String, enum: ["pending", "paid", "failed", "refunded", "partially_refunded"], default: "pending" },
   transactionId: { type: String, required: true, unique: true, sparse: true, },
   paymentNumber: { type: Number, },
   paymentSlip: { type: String, default: "" }, // URL to the uploaded payment slip image
+  paymentGateway: { type: String, enum: ["manual", "bkash", "mock"], default: "manual" },
+  gatewayPaymentId: { type: String }, // payment ID issued by the online gateway
+  gatewayResponse: { type: mongoose.Schema.Types.Mixed }, // raw gateway responses kept for audit
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+  couponCode: { type: String, default: "" },
+  discountAmount: { type: Number, default: 0 }, // amount taken off by the coupon
+  referrer: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // earns a commission once the order is paid
+  refundRequest: {
+    status: { type: String, enum: ["none", "requested", "approved", "rejected"], default: "none" },
+    reason: { type: String, default: "" },
+    requestedAt: { type: Date },
+    reviewedAt: { type: Date },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    adminNote: { type: String, default: "" },
+  },
+  refunds: { type: [refundSchema], default: [] },
+  refundedAmount: { type: Number, default: 0 },
+  invoiceNumber: { type: String, unique: true, sparse: true }, // assigned once the order is paid
+  invoicedAt: { type: Date },
 
 }, { timestamps: true });
 
@@ -17,5 +57,9 @@ const orderSchema = new mongoose.Schema({
 orderSchema.index({ user: 1 });
 // Index to find all orders for a course
 orderSchema.index({ course: 1 });
+// Index to look up an order from a gateway payment ID
+orderSchema.index({ gatewayPaymentId: 1 }, { sparse: true });
+// Index for the admin refund queue
+orderSchema.index({ "refundRequest.status": 1 });
 
 export default mongoose.model("Order", orderSchema);
\ No newline at end of file
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// A company buying course seats for its staff
+const organizationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  admins: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // users who manage seats and see the dashboard
+  // Seats bought per course through paid "seats" orders
+  seats: {
+    type: [{
+      _id: false,
+      course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+      total: { type: Number, default: 0, min: 0 },
+    }],
+    default: [],
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+// --- Indexes ---
+// Index for finding the organizations a user manages
+organizationSchema.index({ admins: 1 });
+
+export default mongoose.model("Organization", organizationSchema);
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// An invitation to take one of an organization's seats in a course.
+// Pending (unexpired) and redeemed invites both use up a seat.
+const organizationInviteSchema = new mongoose.Schema({
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  token: { type: String, required: true },
+  status: { type: String, enum: ["pending", "redeemed", "revoked"], default: "pending" },
+  expiresAt: { type: Date, required: true },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  redeemedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  redeemedAt: { type: Date },
+}, { timestamps: true });
+
+// --- Indexes ---
+// Index for looking up an invite from its link
+organizationInviteSchema.index({ token: 1 }, { unique: true });
+// Index for seat counting and the organization's invite list
+organizationInviteSchema.index({ organization: 1, course: 1, status: 1 });
+
+export default mongoose.model("OrganizationInvite", organizationInviteSchema);
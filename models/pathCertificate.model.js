@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// Certificate for completing every course of a learning path
+const pathCertificateSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  learningPath: { type: mongoose.Schema.Types.ObjectId, ref: "LearningPath", required: true },
+  certificateUrl: { type: String, required: true }, // The URL where the certificate is hosted
+  revokedAt: { type: Date }, // Set when the certificate is revoked
+  revokedReason: { type: String, default: "" },
+}, { timestamps: true });
+
+// --- Indexes ---
+// One certificate per student per learning path
+pathCertificateSchema.index({ student: 1, learningPath: 1 }, { unique: true });
+
+export default mongoose.model("PathCertificate", pathCertificateSchema);
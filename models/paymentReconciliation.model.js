@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// One statement row as read from the uploaded CSV
+const statementRowSchema = {
+  row: { type: Number, required: true }, // line number in the CSV (header = 1)
+  transactionId: { type: String, default: "" },
+  amount: { type: Number },
+  senderNumber: { type: String, default: "" },
+  paidAt: { type: Date },
+};
+
+const reconciliationEntrySchema = new mongoose.Schema({
+  ...statementRowSchema,
+  orderType: { type: String, enum: ["Order", "DigitalOrder"] },
+  order: { type: mongoose.Schema.Types.ObjectId }, // Order or DigitalOrder, see orderType
+  matchedBy: { type: String, enum: ["transactionId", "paymentNumber"] }, // "paymentNumber" only on mismatches to confirm
+  reason: { type: String, default: "" }, // why a row could not be matched
+  applied: { type: Boolean, default: false },
+  error: { type: String, default: "" }, // set when the order was marked paid but granting access failed
+}, { _id: false });
+
+const paymentReconciliationSchema = new mongoose.Schema({
+  filename: { type: String, default: "" },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  status: { type: String, enum: ["previewed", "applied"], default: "previewed" },
+  totalRows: { type: Number, default: 0 },
+  matches: { type: [reconciliationEntrySchema], default: [] },
+  mismatches: { type: [reconciliationEntrySchema], default: [] },
+  unknown: { type: [reconciliationEntrySchema], default: [] },
+  appliedAt: { type: Date },
+  appliedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  appliedCount: { type: Number, default: 0 },
+}, { timestamps: true });
+
+// --- Indexes ---
+paymentReconciliationSchema.index({ createdAt: -1 });
+
+export default mongoose.model("PaymentReconciliation", paymentReconciliationSchema);
@@ -1,5 +1,14 @@
 import mongoose from "mongoose";
 
+// Earlier versions of a file (metadata only; the old asset is removed when replaced)
+const fileVersionSchema = new mongoose.Schema({
+  version: { type: String, required: true },
+  changelog: { type: String, default: "" },
+  name: { type: String, default: "" },
+  sizeBytes: { type: Number, default: 0 },
+  uploadedAt: { type: Date },
+}, { _id: false });
+
 const productFileSchema = new mongoose.Schema({
   name: { type: String, required: true },
   url: { type: String, required: true },
@@ -7,6 +16,10 @@ const productFileSchema = new mongoose.Schema({
   format: { type: String, default: "" },
   publicId: { type: String, default: "" },
   resourceType: { type: String, default: "raw" },
+  version: { type: String, default: "1.0" },
+  changelog: { type: String, default: "" },
+  uploadedAt: { type: Date, default: Date.now },
+  history: { type: [fileVersionSchema], default: [] }, // newest first
 }, { _id: false });
 
 const productSchema = new mongoose.Schema({
@@ -20,7 +33,14 @@ const productSchema = new mongoose.Schema({
   category: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
   tags: { type: [String], default: undefined },
   isPublished: { type: Boolean, default: false },
+  watermarkPdf: { type: Boolean, default: false }, // stamp PDF downloads with the buyer's name, email and order ID
+  licensing: {
+    mode: { type: String, enum: ["none", "pool", "generated"], default: "none" }, // pool = imported keys
+    keyFormat: { type: String, default: "XXXX-XXXX-XXXX-XXXX" }, // generated mode: each X becomes a random character
+    maxActivations: { type: Number, default: 1, min: 1 },
+  },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  lastUpdateNotifiedAt: { type: Date }, // last time buyers were emailed about a new file version
 }, { timestamps: true });
 
 productSchema.index({ title: "text", description: "text" });
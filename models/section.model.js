@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+const sectionSchema = new mongoose.Schema({
+  course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+  title: { type: String, required: true, trim: true },
+  description: { type: String, default: "" },
+  order: { type: Number, default: 0 }, // section order within the course
+}, { timestamps: true });
+
+// --- Indexes ---
+// Index for fetching a course's sections in order
+sectionSchema.index({ course: 1, order: 1 });
+
+export default mongoose.model("Section", sectionSchema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// Catalog membership. One document per user, extended by each paid subscription Order.
+const subscriptionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  plan: { type: String, enum: ["monthly", "yearly"], required: true },
+  // "cancelled" members keep access until currentPeriodEnd but get no renewal reminders
+  status: { type: String, enum: ["pending", "active", "cancelled", "expired"], default: "pending" },
+  currentPeriodStart: { type: Date },
+  currentPeriodEnd: { type: Date },
+  renewalReminderSentAt: { type: Date }, // reset whenever a new period is paid for
+  cancelledAt: { type: Date },
+}, { timestamps: true });
+
+// --- Indexes ---
+// One membership per user
+subscriptionSchema.index({ user: 1 }, { unique: true });
+// Index for the expiry and reminder sweep
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+
+export default mongoose.model("Subscription", subscriptionSchema);
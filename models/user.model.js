@@ -26,6 +26,11 @@ const userSchema = new mongoose.Schema({
   emailVerificationExpires: { type: Date, select: false },
   passwordResetToken: { type: String, select: false },
   passwordResetExpires: { type: Date, select: false },
+  revenueSharePercent: { type: Number, min: 0, max: 100 }, // instructors: share of their course sales (defaults to the platform rate)
+  // Referral program: the user's own code, and the last referral link they arrived through
+  referralCode: { type: String, trim: true, uppercase: true },
+  referredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  referredAt: { type: Date },
 }, { timestamps: true });
 
 // Pre-save hook to hash password before saving
@@ -43,5 +48,7 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 // --- Indexes ---
 // Index for efficient user lookup by role
 userSchema.index({ role: 1 });
+// Index for resolving referral links
+userSchema.index({ referralCode: 1 }, { unique: true, sparse: true });
 
 export default mongoose.model("User", userSchema);
\ No newline at end of file
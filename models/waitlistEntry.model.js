@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const waitlistEntrySchema = new mongoose.Schema({
+  course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" }, // a specific full batch the student wanted, if any
+  note: { type: String, default: "" },
+  status: {
+    type: String,
+    enum: ["waiting", "notified", "enrolled", "expired", "cancelled"],
+    default: "waiting",
+  },
+  notifiedAt: { type: Date },
+  reservedBatch: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" }, // batch holding a seat for the student
+  reservationExpiresAt: { type: Date }, // the held seat is released after this
+  joinedAt: { type: Date, default: Date.now }, // queue position (first-come first-served)
+}, { timestamps: true });
+
+// --- Indexes ---
+// One entry per student and course
+waitlistEntrySchema.index({ course: 1, user: 1 }, { unique: true });
+// Index for walking a course's queue in order
+waitlistEntrySchema.index({ course: 1, status: 1, joinedAt: 1 });
+// Index for counting seats held by reservations
+waitlistEntrySchema.index({ reservedBatch: 1, status: 1 }, { sparse: true });
+
+export default mongoose.model("WaitlistEntry", waitlistEntrySchema);
@@ -12,6 +12,9 @@ import {
     getAllCoursesAdmin,
     updateCourseAdmin,
     deleteCourseAdmin,
+    getPrerequisiteWaivers,
+    grantPrerequisiteWaiver,
+    revokePrerequisiteWaiver,
     
     // Lesson Management
     getAllLessonsAdmin,
@@ -44,7 +47,34 @@ import {
     // Dashboard Statistics
     getAdminDashboardStats
 } from '../controllers/admin.controller.js';
+import {
+    createCoupon,
+    getAllCoupons,
+    getCouponById,
+    updateCoupon,
+    deleteCoupon
+} from '../controllers/coupon.controller.js';
+import {
+    createReconciliation,
+    getReconciliations,
+    getReconciliationById,
+    applyReconciliationMatches
+} from '../controllers/reconciliation.controller.js';
+import {
+    getWaitlistAdmin,
+    exportWaitlistAdmin
+} from '../controllers/waitlist.controller.js';
+import { getSubscriptionsAdmin } from '../controllers/subscription.controller.js';
+import { getOrganizationsAdmin } from '../controllers/organization.controller.js';
+import { getCommissionsAdmin, markCommissionsPaid } from '../controllers/referral.controller.js';
+import {
+    createPayout,
+    getPayoutsAdmin,
+    setInstructorRevenueShare,
+    setCourseRevenueShare
+} from '../controllers/instructor.controller.js';
 import { protect, authorize } from '../middleware/auth.middleware.js';
+import { uploadStatementCsv } from '../middleware/upload.middleware.js';
 
 const router = express.Router();
 
@@ -78,6 +108,16 @@ router.route('/courses/:id')
     .put(updateCourseAdmin)
     .delete(deleteCourseAdmin);
 
+router.route('/courses/:id/prerequisite-waivers')
+    .get(getPrerequisiteWaivers)
+    .post(grantPrerequisiteWaiver);
+
+router.route('/courses/:id/prerequisite-waivers/:userId')
+    .delete(revokePrerequisiteWaiver);
+
+router.route('/courses/:id/revenue-share')
+    .put(setCourseRevenueShare);
+
 // =================================================================
 // LESSON MANAGEMENT
 // =================================================================
@@ -128,6 +168,73 @@ router.route('/orders/:id')
     .put(updateOrderAdmin)
     .delete(deleteOrderAdmin);
 
+// =================================================================
+// COUPON MANAGEMENT
+// =================================================================
+router.route('/coupons')
+    .get(getAllCoupons)
+    .post(createCoupon);
+
+router.route('/coupons/:id')
+    .get(getCouponById)
+    .put(updateCoupon)
+    .delete(deleteCoupon);
+
+// =================================================================
+// PAYMENT RECONCILIATION (wallet statement imports)
+// =================================================================
+router.route('/reconciliations')
+    .get(getReconciliations)
+    .post(uploadStatementCsv, createReconciliation);
+
+router.route('/reconciliations/:id')
+    .get(getReconciliationById);
+
+router.route('/reconciliations/:id/apply')
+    .post(applyReconciliationMatches);
+
+// =================================================================
+// WAITLISTS (ended courses and full batches)
+// =================================================================
+router.route('/waitlists')
+    .get(getWaitlistAdmin);
+
+router.route('/waitlists/export')
+    .get(exportWaitlistAdmin);
+
+// =================================================================
+// MEMBERSHIPS (payments are approved through the orders endpoints)
+// =================================================================
+router.route('/subscriptions')
+    .get(getSubscriptionsAdmin);
+
+// =================================================================
+// ORGANIZATIONS (seat orders are approved through the orders endpoints)
+// =================================================================
+router.route('/organizations')
+    .get(getOrganizationsAdmin);
+
+// =================================================================
+// REFERRAL COMMISSIONS
+// =================================================================
+router.route('/referrals/commissions')
+    .get(getCommissionsAdmin);
+
+router.route('/referrals/payouts')
+    .post(markCommissionsPaid);
+
+// =================================================================
+// INSTRUCTOR REVENUE SHARE AND PAYOUTS
+// =================================================================
+router.route('/instructors/:id/revenue-share')
+    .put(setInstructorRevenueShare);
+
+router.route('/instructors/:id/payouts')
+    .post(createPayout);
+
+router.route('/instructor-payouts')
+    .get(getPayoutsAdmin);
+
 // =================================================================
 // QUIZ SCORES MANAGEMENT
 // =================================================================
@@ -0,0 +1,23 @@
+// batch.routes.js
+
+import express from "express";
+import {
+  getBatchesForCourse,
+  createBatch,
+  updateBatch,
+  deleteBatch,
+} from "../controllers/batch.controller.js";
+import { protect, authorize } from "../middleware/auth.middleware.js";
+
+// This router handles nested routes like /api/courses/:courseId/batches
+const courseBatchRouter = express.Router({ mergeParams: true });
+
+courseBatchRouter.route("/")
+  .get(getBatchesForCourse)
+  .post(protect, authorize("instructor", "admin"), createBatch);
+
+courseBatchRouter.route("/:batchId")
+  .put(protect, authorize("instructor", "admin"), updateBatch)
+  .delete(protect, authorize("instructor", "admin"), deleteBatch);
+
+export { courseBatchRouter };
@@ -0,0 +1,28 @@
+import express from "express";
+import { protect, authorize } from "../middleware/auth.middleware.js";
+import { uploadThumbnail } from "../middleware/upload.middleware.js";
+import {
+  getBundles,
+  getBundleBySlug,
+  getBundlesAdmin,
+  createBundle,
+  updateBundle,
+  deleteBundle,
+  getBundleReport,
+} from "../controllers/bundle.controller.js";
+
+const router = express.Router();
+
+// Public
+router.get("/", getBundles);
+router.get("/slug/:slug", getBundleBySlug);
+
+// Admin
+router.use(protect, authorize("admin"));
+router.get("/admin", getBundlesAdmin);
+router.post("/", uploadThumbnail, createBundle);
+router.put("/:id", uploadThumbnail, updateBundle);
+router.delete("/:id", deleteBundle);
+router.get("/:id/report", getBundleReport);
+
+export default router;
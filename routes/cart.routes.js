@@ -9,7 +9,7 @@ router.use(protect, authorize("student"));
 router.get("/", getMyCart);
 router.post("/add", addToCart);
 router.patch("/update", updateCartItem);
-router.delete("/remove/:productId", removeFromCart);
+router.delete("/remove/:itemId", removeFromCart);
 router.delete("/clear", clearCart);
 
 export default router;
@@ -18,6 +18,9 @@ import { protect, authorize } from '../middleware/auth.middleware.js';
 import { uploadThumbnail } from '../middleware/upload.middleware.js';
 import { courseLessonRouter } from './lesson.routes.js';
 import { courseReviewRouter } from './review.routes.js';
+import { courseSectionRouter } from './section.routes.js';
+import { courseBatchRouter } from './batch.routes.js';
+import { courseWaitlistRouter } from './waitlist.routes.js';
 
 
 const router = express.Router();
@@ -33,6 +36,9 @@ const router = express.Router();
 // These are highly specific and should be defined early.
 router.use('/:courseId/reviews', courseReviewRouter);
 router.use('/:courseId/lessons', courseLessonRouter);
+router.use('/:courseId/sections', courseSectionRouter);
+router.use('/:courseId/batches', courseBatchRouter);
+router.use('/:courseId/waitlist', courseWaitlistRouter);
 
 
 // --- Specific Static Routes ---
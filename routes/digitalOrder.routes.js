@@ -1,18 +1,24 @@
 import express from "express";
 import { protect, authorize } from "../middleware/auth.middleware.js";
-import { checkoutFromCart, myDigitalOrders, getDigitalOrder, adminListDigitalOrders, adminMarkPaid, getDownloadLinks } from "../controllers/digitalOrder.controller.js";
+import { uploadPaymentSlip } from "../middleware/upload.middleware.js";
+import { checkoutFromCart, myDigitalOrders, getDigitalOrder, adminListDigitalOrders, adminMarkPaid, getDownloadLinks, getDigitalOrderInvoice, downloadFile, adminUpdateDownloadTokens } from "../controllers/digitalOrder.controller.js";
 
 const router = express.Router();
 
+// Public: the download token is the credential
+router.get("/download/:token/:fileIndex", downloadFile);
+
 router.use(protect);
 
-router.post("/checkout", authorize("student"), checkoutFromCart);
+router.post("/checkout", authorize("student"), uploadPaymentSlip, checkoutFromCart);
 router.get("/my", authorize("student"), myDigitalOrders);
 router.get("/:id", getDigitalOrder);
 router.get("/:id/downloads", getDownloadLinks);
+router.get("/:id/invoice", getDigitalOrderInvoice);
 
 router.get("/", authorize("admin"), adminListDigitalOrders);
 router.patch("/:id/status", authorize("admin"), adminMarkPaid);
+router.patch("/:id/tokens", authorize("admin"), adminUpdateDownloadTokens);
 
 export default router;
 
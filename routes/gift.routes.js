@@ -0,0 +1,20 @@
+import express from "express";
+import { protect } from "../middleware/auth.middleware.js";
+import {
+  getMyGifts,
+  resendGift,
+  getGiftByCode,
+  redeemGift,
+} from "../controllers/gift.controller.js";
+
+const router = express.Router();
+
+// Gifts are bought through POST /api/orders with a recipientEmail
+router.get("/code/:code", getGiftByCode);
+
+router.use(protect);
+router.get("/mine", getMyGifts);
+router.post("/redeem", redeemGift);
+router.post("/:id/resend", resendGift);
+
+export default router;
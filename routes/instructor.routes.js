@@ -0,0 +1,13 @@
+import express from "express";
+import { protect, authorize } from "../middleware/auth.middleware.js";
+import { getMyEarnings, getStatement, getAnalytics } from "../controllers/instructor.controller.js";
+
+const router = express.Router();
+
+// Payouts and revenue shares are managed under /api/admin
+router.use(protect, authorize("instructor", "admin"));
+router.get("/earnings", getMyEarnings);
+router.get("/earnings/statements/:year/:month", getStatement);
+router.get("/analytics/:courseId", getAnalytics);
+
+export default router;
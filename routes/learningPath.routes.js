@@ -0,0 +1,30 @@
+import express from "express";
+import { protect, authorize } from "../middleware/auth.middleware.js";
+import { uploadThumbnail } from "../middleware/upload.middleware.js";
+import {
+  getLearningPaths,
+  getLearningPathBySlug,
+  getLearningPathProgress,
+  getLearningPathsAdmin,
+  createLearningPath,
+  updateLearningPath,
+  deleteLearningPath,
+} from "../controllers/learningPath.controller.js";
+
+const router = express.Router();
+
+// Public
+router.get("/", getLearningPaths);
+router.get("/slug/:slug", getLearningPathBySlug);
+
+// Student
+router.get("/:id/progress", protect, getLearningPathProgress);
+
+// Admin
+router.use(protect, authorize("admin"));
+router.get("/admin", getLearningPathsAdmin);
+router.post("/", uploadThumbnail, createLearningPath);
+router.put("/:id", uploadThumbnail, updateLearningPath);
+router.delete("/:id", deleteLearningPath);
+
+export default router;
@@ -18,20 +18,23 @@ const router = express.Router();
 // mergeParams: true allows this router to access params from its parent router (e.g., :courseId)
 const courseLessonRouter = express.Router({ mergeParams: true });
 
-// All routes are protected
+// Public reads: free preview lessons are visible without logging in.
+// Authorization for everything else is handled inside the controllers.
+courseLessonRouter.get("/", getLessonsForCourse);
+router.get("/:id", getLessonById);
+
+// All other routes are protected
 router.use(protect);
 courseLessonRouter.use(protect);
 
 // --- Nested Routes ---
 // /api/courses/:courseId/lessons
 courseLessonRouter.route("/")
-  .post(authorize("instructor", "admin"), createLesson)
-  .get(getLessonsForCourse); // Authorization is handled inside controller
+  .post(authorize("instructor", "admin"), createLesson);
 
 // --- Top-Level Routes ---
 // /api/lessons/:id
 router.route("/:id")
-  .get(getLessonById) // Authorization is inside controller
   .put(authorize("instructor", "admin"), updateLesson)
   .delete(authorize("instructor", "admin"), deleteLesson);
 
@@ -0,0 +1,12 @@
+// license.routes.js
+
+import express from "express";
+import { validateLicenseKey, activateLicenseKey } from "../controllers/license.controller.js";
+
+const router = express.Router();
+
+// Public: called by the licensed software itself
+router.post("/validate", validateLicenseKey);
+router.post("/activate", activateLicenseKey);
+
+export default router;
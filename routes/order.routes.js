@@ -10,6 +10,10 @@ import {
   updateOrder,
   deleteOrder,
   updatePaymentSlip,
+  requestRefund,
+  getRefundRequests,
+  processRefund,
+  getOrderInvoice,
 } from "../controllers/order.controller.js";
 import { protect, authorize } from "../middleware/auth.middleware.js"; // Adjust path as needed
 import { uploadPaymentSlip } from "../middleware/upload.middleware.js";
@@ -26,6 +30,9 @@ router.route("/")
 router.route("/my-orders")
   .get(getMyOrders);
 
+router.route("/refund-requests")
+  .get(authorize("admin"), getRefundRequests);
+
 router.route("/:id")
   .get(getOrderById)
   .put(authorize("admin"), updateOrder)
@@ -34,7 +41,16 @@ router.route("/:id")
 router.route("/:id/status")
   .patch(authorize("admin"), updateOrderStatus);
 
+router.route("/:id/invoice")
+  .get(getOrderInvoice);
+
 router.route("/:id/payment-slip")
   .put(uploadPaymentSlip, updatePaymentSlip);
 
+router.route("/:id/refund-request")
+  .post(requestRefund);
+
+router.route("/:id/refund")
+  .patch(authorize("admin"), processRefund);
+
 export default router;
\ No newline at end of file
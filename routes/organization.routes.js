@@ -0,0 +1,42 @@
+import express from "express";
+import { protect } from "../middleware/auth.middleware.js";
+import { uploadPaymentSlip } from "../middleware/upload.middleware.js";
+import {
+  createOrganization,
+  getMyOrganizations,
+  getOrganization,
+  addOrganizationAdmin,
+  removeOrganizationAdmin,
+  createSeatOrder,
+  getSeatOrders,
+  createInvites,
+  getInvites,
+  revokeInvite,
+  getOrganizationDashboard,
+  getInviteByToken,
+  redeemInvite,
+} from "../controllers/organization.controller.js";
+
+const router = express.Router();
+
+// Invite links
+router.get("/invites/:token", getInviteByToken);
+router.post("/invites/:token/redeem", protect, redeemInvite);
+
+// Organization admins (checked per organization in the controller)
+router.use(protect);
+router.post("/", createOrganization);
+router.get("/mine", getMyOrganizations);
+router.get("/:id", getOrganization);
+router.post("/:id/admins", addOrganizationAdmin);
+router.delete("/:id/admins/:userId", removeOrganizationAdmin);
+router.route("/:id/seat-orders")
+  .get(getSeatOrders)
+  .post(uploadPaymentSlip, createSeatOrder);
+router.route("/:id/invites")
+  .get(getInvites)
+  .post(createInvites);
+router.delete("/:id/invites/:inviteId", revokeInvite);
+router.get("/:id/dashboard", getOrganizationDashboard);
+
+export default router;
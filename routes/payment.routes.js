@@ -0,0 +1,22 @@
+// payment.routes.js
+
+import express from "express";
+import {
+  getPaymentGateways,
+  handleGatewayCallback,
+  verifyOrderPayment,
+  mockCheckoutPage,
+} from "../controllers/payment.controller.js";
+import { protect } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// Public routes
+router.get("/gateways", getPaymentGateways);
+router.get("/mock/checkout/:paymentId", mockCheckoutPage);
+router.get("/:gateway/callback/:orderId/:signature", handleGatewayCallback);
+
+// Protected routes
+router.post("/orders/:id/verify", protect, verifyOrderPayment);
+
+export default router;
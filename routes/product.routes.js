@@ -8,8 +8,9 @@ import {
   getProductBySlug,
   adminListProducts,
 } from "../controllers/product.controller.js";
+import { importLicenseKeys, getProductLicenseKeys } from "../controllers/license.controller.js";
 import { uploadProductAssets } from "../middleware/upload.middleware.js";
-import { adminGetProductById, migrateProductFilesToPublic, migrateProductFilesReuploadPublic, productFilePreviewRedirect, deleteProductFile, replaceProductFile } from "../controllers/product.controller.js";
+import { adminGetProductById, migrateProductFilesToPublic, migrateProductFilesReuploadPublic, productFilePreviewRedirect, deleteProductFile, replaceProductFile, notifyProductBuyers } from "../controllers/product.controller.js";
 
 const router = express.Router();
 
@@ -30,6 +31,9 @@ router.post("/admin/migrate-files-reupload", migrateProductFilesReuploadPublic);
 // Simpler endpoints using query param for publicId to avoid path-to-regexp issues
 router.delete("/:id/files", deleteProductFile); // expects ?publicId=
 router.put("/:id/files/replace", uploadProductAssets, replaceProductFile); // expects ?publicId=
+router.post("/:id/notify-update", notifyProductBuyers);
+router.get("/:id/license-keys", getProductLicenseKeys);
+router.post("/:id/license-keys", importLicenseKeys);
 
 export default router;
 
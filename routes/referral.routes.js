@@ -0,0 +1,12 @@
+import express from "express";
+import { protect } from "../middleware/auth.middleware.js";
+import { getMyReferrals, recordVisit } from "../controllers/referral.controller.js";
+
+const router = express.Router();
+
+// Commissions are managed under /api/admin/referrals
+router.use(protect);
+router.get("/me", getMyReferrals);
+router.post("/visit", recordVisit);
+
+export default router;
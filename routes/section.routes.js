@@ -0,0 +1,32 @@
+// section.routes.js
+
+import express from "express";
+import {
+  getSectionsForCourse,
+  createSection,
+  updateSection,
+  deleteSection,
+  reorderSections,
+  reorderSectionLessons,
+} from "../controllers/section.controller.js";
+import { protect, authorize } from "../middleware/auth.middleware.js";
+
+// This router handles nested routes like /api/courses/:courseId/sections
+const courseSectionRouter = express.Router({ mergeParams: true });
+
+courseSectionRouter.route("/")
+  .get(getSectionsForCourse)
+  .post(protect, authorize("instructor", "admin"), createSection);
+
+// Must come before /:sectionId
+courseSectionRouter.route("/reorder")
+  .patch(protect, authorize("instructor", "admin"), reorderSections);
+
+courseSectionRouter.route("/:sectionId")
+  .put(protect, authorize("instructor", "admin"), updateSection)
+  .delete(protect, authorize("instructor", "admin"), deleteSection);
+
+courseSectionRouter.route("/:sectionId/lessons")
+  .patch(protect, authorize("instructor", "admin"), reorderSectionLessons);
+
+export { courseSectionRouter };
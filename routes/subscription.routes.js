@@ -0,0 +1,22 @@
+import express from "express";
+import { protect } from "../middleware/auth.middleware.js";
+import { uploadPaymentSlip } from "../middleware/upload.middleware.js";
+import {
+  getPlans,
+  getMySubscription,
+  subscribe,
+  cancelSubscription,
+} from "../controllers/subscription.controller.js";
+
+const router = express.Router();
+
+// Public
+router.get("/plans", getPlans);
+
+// Member
+router.use(protect);
+router.get("/me", getMySubscription);
+router.post("/", uploadPaymentSlip, subscribe);
+router.post("/cancel", cancelSubscription);
+
+export default router;
@@ -0,0 +1,22 @@
+// waitlist.routes.js
+
+import express from "express";
+import {
+  joinWaitlist,
+  getMyWaitlistEntry,
+  leaveWaitlist,
+} from "../controllers/waitlist.controller.js";
+import { protect } from "../middleware/auth.middleware.js";
+
+// This router handles nested routes like /api/courses/:courseId/waitlist
+const courseWaitlistRouter = express.Router({ mergeParams: true });
+
+courseWaitlistRouter.use(protect);
+
+courseWaitlistRouter.route("/")
+  .post(joinWaitlist)
+  .delete(leaveWaitlist);
+
+courseWaitlistRouter.get("/me", getMyWaitlistEntry);
+
+export { courseWaitlistRouter };
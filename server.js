@@ -29,6 +29,18 @@ import cartRoutes from './routes/cart.routes.js';
 import digitalOrderRoutes from './routes/digitalOrder.routes.js';
 import projectInquiryRoutes from './routes/projectInquiry.routes.js';
 import blogRoutes from './routes/blog.routes.js';
+import paymentRoutes from './routes/payment.routes.js';
+import licenseRoutes from './routes/license.routes.js';
+import learningPathRoutes from './routes/learningPath.routes.js';
+import bundleRoutes from './routes/bundle.routes.js';
+import subscriptionRoutes from './routes/subscription.routes.js';
+import organizationRoutes from './routes/organization.routes.js';
+import giftRoutes from './routes/gift.routes.js';
+import referralRoutes from './routes/referral.routes.js';
+import instructorRoutes from './routes/instructor.routes.js';
+import { startWaitlistSweeper } from './services/waitlist.service.js';
+import { startAccessExpirySweeper } from './services/access.service.js';
+import { startSubscriptionSweeper } from './services/subscription.service.js';
 
 // Import Cloudinary configuration
 import './config/cloudinary.js';
@@ -110,6 +122,13 @@ async function connectDb() {
 }
 connectDb();
 
+// Pass expired waitlist seat reservations on to the next students in line
+startWaitlistSweeper();
+// Remind students before their time-limited course access ends
+startAccessExpirySweeper();
+// Expire finished memberships and remind members before their period ends
+startSubscriptionSweeper();
+
 // --- API Routes ---
 app.use('/api/users', authRoutes);
 app.use('/api/courses', courseRoutes);
@@ -127,6 +146,15 @@ app.use('/api/cart', cartRoutes);
 app.use('/api/dorders', digitalOrderRoutes);
 app.use('/api/project-inquiry', projectInquiryRoutes);
 app.use('/api/blogs', blogRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/licenses', licenseRoutes);
+app.use('/api/learning-paths', learningPathRoutes);
+app.use('/api/bundles', bundleRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/gifts', giftRoutes);
+app.use('/api/referrals', referralRoutes);
+app.use('/api/instructor', instructorRoutes);
 
 // Simple health endpoint to verify DB and counts
 app.get('/api/health', async (req, res) => {
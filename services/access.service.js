@@ -0,0 +1,132 @@
+import Enrollment from "../models/enrollment.model.js";
+import { sendAccessExpiryReminderEmail } from "./email.service.js";
+import { findMembershipAccess, findMembershipEnrollment } from "./subscription.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_DAYS = Number(process.env.ACCESS_EXPIRY_REMINDER_DAYS) || 7;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Query condition matching enrollments that still grant access
+ * (no expiry date means lifetime access)
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Mongo filter fragment
+ */
+export const activeEnrollmentFilter = (now = new Date()) => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+});
+
+/**
+ * Find a student's enrollment in a course if it hasn't expired
+ * @param {string} studentId - Student ID
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object|null>} The active enrollment
+ */
+export const findActiveEnrollment = (studentId, courseId) =>
+  Enrollment.findOne({ student: studentId, course: courseId, ...activeEnrollmentFilter() });
+
+/**
+ * Find the enrollment that lets a student into a course: their own active enrollment,
+ * or access through an active membership. Read-only: a membership enrollment isn't
+ * stored until the student records something (see grantCourseAccess).
+ * @param {string} studentId - Student ID
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object|null>} The enrollment (possibly unsaved)
+ */
+export const findCourseAccess = async (studentId, courseId) =>
+  (await findActiveEnrollment(studentId, courseId)) || findMembershipAccess(studentId, courseId);
+
+/**
+ * Like findCourseAccess, but opens the membership enrollment when that is what grants
+ * access. For requests that record progress or quiz results against the enrollment.
+ * @param {string} studentId - Student ID
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object|null>} The enrollment
+ */
+export const grantCourseAccess = async (studentId, courseId) =>
+  (await findActiveEnrollment(studentId, courseId)) || findMembershipEnrollment(studentId, courseId);
+
+/**
+ * Whether an enrollment has run out
+ * @param {Object} enrollment - Enrollment document
+ * @returns {boolean}
+ */
+export const isEnrollmentExpired = (enrollment) =>
+  Boolean(enrollment?.expiresAt) && new Date(enrollment.expiresAt) <= new Date();
+
+/**
+ * Expiry date for access starting now (undefined for lifetime courses)
+ * @param {Object} course - Course with accessDurationDays
+ * @param {Date} [from] - Start of the access period
+ * @returns {Date|undefined}
+ */
+export const computeAccessExpiry = (course, from = new Date()) =>
+  (course?.accessDurationDays > 0 ? new Date(from.getTime() + course.accessDurationDays * DAY_MS) : undefined);
+
+/**
+ * Extend an enrollment by one access period. Time left on an active enrollment is kept.
+ * @param {Object} enrollment - Enrollment document
+ * @param {Object} course - Course with accessDurationDays
+ * @returns {Promise<Object>} The saved enrollment
+ */
+export const extendEnrollmentAccess = async (enrollment, course) => {
+  if (!enrollment.expiresAt || !(course?.accessDurationDays > 0)) return enrollment;
+
+  const now = new Date();
+  const start = enrollment.expiresAt > now ? enrollment.expiresAt : now;
+  enrollment.expiresAt = computeAccessExpiry(course, start);
+  enrollment.expiryReminderSentAt = undefined;
+  return enrollment.save();
+};
+
+/**
+ * Email students whose access ends within the reminder window (once per access period)
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export const sendExpiryReminders = async () => {
+  const now = new Date();
+  const enrollments = await Enrollment.find({
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_DAYS * DAY_MS) },
+    expiryReminderSentAt: null,
+    // Membership enrollments end with the membership, which sends its own reminders
+    source: { $ne: "membership" },
+  })
+    .populate("student", "name email")
+    .populate("course", "title slug");
+
+  let sent = 0;
+  for (const enrollment of enrollments) {
+    // Claim the reminder first so two sweeps never email the same student
+    const claimed = await Enrollment.updateOne(
+      { _id: enrollment._id, expiryReminderSentAt: null },
+      { $set: { expiryReminderSentAt: now } }
+    );
+    if (claimed.modifiedCount === 0 || !enrollment.student?.email || !enrollment.course) continue;
+
+    try {
+      await sendAccessExpiryReminderEmail({
+        email: enrollment.student.email,
+        name: enrollment.student.name,
+        courseTitle: enrollment.course.title,
+        courseSlug: enrollment.course.slug,
+        expiresAt: enrollment.expiresAt,
+      });
+      sent += 1;
+    } catch (emailError) {
+      console.error("Error sending access expiry reminder:", emailError);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Periodically send access expiry reminders
+ * @returns {NodeJS.Timeout} The interval handle
+ */
+export const startAccessExpirySweeper = () => {
+  const timer = setInterval(() => {
+    sendExpiryReminders().catch((error) => console.error("Access expiry sweep failed:", error));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
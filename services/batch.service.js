@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+import Batch from "../models/batch.model.js";
+import Enrollment from "../models/enrollment.model.js";
+import Order from "../models/order.model.js";
+import WaitlistEntry from "../models/waitlistEntry.model.js";
+
+/**
+ * Count the seats of a batch that are taken: enrolled students, course orders still
+ * awaiting payment (so manual payments can't oversell it) and seats held for waitlisted students
+ * @param {string} batchId - Batch ID
+ * @param {Object} [options]
+ * @param {string} [options.excludeUser] - Don't count this student's own reservation
+ * @returns {Promise<number>} Seats taken
+ */
+export const countBatchSeats = async (batchId, { excludeUser } = {}) => {
+  const reservationFilter = { reservedBatch: batchId, status: "notified", reservationExpiresAt: { $gt: new Date() } };
+  if (excludeUser) reservationFilter.user = { $ne: excludeUser };
+
+  const [enrolled, pending, reserved] = await Promise.all([
+    Enrollment.countDocuments({ batch: batchId }),
+    Order.countDocuments({ batch: batchId, paymentStatus: "pending" }),
+    WaitlistEntry.countDocuments(reservationFilter),
+  ]);
+  return enrolled + pending + reserved;
+};
+
+/**
+ * Describe whether a batch is taking new students
+ * @param {Object} batch - Batch document
+ * @param {number} seatsTaken - Result of countBatchSeats
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { isAcceptingEnrollments, seatsTaken, seatsLeft, reason }
+ */
+export const getBatchAvailability = (batch, seatsTaken, now = new Date()) => {
+  const deadline = batch.enrollmentDeadline || batch.startDate;
+  const seatsLeft = batch.capacity ? Math.max(0, batch.capacity - seatsTaken) : null;
+
+  let reason = "";
+  if (!batch.isOpen) reason = "Enrollment for this batch is closed";
+  else if (deadline && deadline < now) reason = "The enrollment deadline for this batch has passed";
+  else if (seatsLeft === 0) reason = "This batch is full";
+
+  return { isAcceptingEnrollments: !reason, seatsTaken, seatsLeft, reason };
+};
+
+/**
+ * Check the batch a student picked when buying a course.
+ * Courses without batches are self-paced and need no batch.
+ * @param {Object} options
+ * @param {string} options.courseId - Course ID
+ * @param {string} [options.batchId] - Batch chosen by the student
+ * @param {string} [options.userId] - Student buying the seat (a seat they reserved counts as free)
+ * @returns {Promise<Object>} { valid, message, batch }
+ */
+export const validateBatchChoice = async ({ courseId, batchId, userId }) => {
+  const hasBatches = await Batch.exists({ course: courseId });
+  if (!hasBatches) {
+    return { valid: true, batch: null };
+  }
+  if (!batchId) {
+    return { valid: false, message: "Please choose a batch for this course" };
+  }
+
+  const batch = mongoose.isValidObjectId(batchId) ? await Batch.findOne({ _id: batchId, course: courseId }) : null;
+  if (!batch) {
+    return { valid: false, message: "Batch not found for this course" };
+  }
+
+  const { isAcceptingEnrollments, reason } = getBatchAvailability(batch, await countBatchSeats(batch._id, { excludeUser: userId }));
+  if (!isAcceptingEnrollments) {
+    return { valid: false, message: reason };
+  }
+  return { valid: true, batch };
+};
+
+/**
+ * Whether a batch has gone over capacity now that a new order or enrollment holds a seat.
+ * validateBatchChoice runs before the seat is taken, so students racing for the last seat
+ * can all pass it; counting again afterwards catches that, and the caller gives the seat back.
+ * @param {Object} batch - Batch document
+ * @param {Object} [options]
+ * @param {string} [options.excludeUser] - Don't count this student's own reservation
+ * @returns {Promise<boolean>}
+ */
+export const isBatchOverbooked = async (batch, { excludeUser } = {}) =>
+  Boolean(batch?.capacity) && (await countBatchSeats(batch._id, { excludeUser })) > batch.capacity;
+
+/**
+ * The group link a student should use: their batch's link, falling back to the course's
+ * @param {Object} course - Course with groupLink
+ * @param {string} [batchId] - Batch ID from the enrollment or order
+ * @returns {Promise<string>} Group link ('' when none)
+ */
+export const resolveGroupLink = async (course, batchId) => {
+  if (batchId) {
+    const batch = await Batch.findById(batchId).select("groupLink").lean();
+    if (batch?.groupLink) return batch.groupLink;
+  }
+  return course?.groupLink || "";
+};
@@ -0,0 +1,165 @@
+import mongoose from "mongoose";
+import Course from "../models/course.model.js";
+import Product from "../models/product.model.js";
+import Batch from "../models/batch.model.js";
+import Enrollment from "../models/enrollment.model.js";
+import { getMissingPrerequisites } from "./prerequisite.service.js";
+
+const COURSE_FIELDS = "title price discountPrice category isPublished prerequisiteCourses";
+const PRODUCT_FIELDS = "title price discountPrice category isPublished";
+
+// Price an item sells for on its own
+const standalonePrice = (item) => (item.discountPrice > 0 ? item.discountPrice : item.price || 0);
+
+/**
+ * Split an amount over weighted shares, in whole paisa, so the shares add up exactly.
+ * Equal weights are used when every weight is zero.
+ * @param {number} total - Amount to split
+ * @param {number[]} weights - One weight per share
+ * @returns {number[]} The shares, in the order of the weights
+ */
+export const allocateAmount = (total, weights) => {
+  if (weights.length === 0) return [];
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const effective = weightSum > 0 ? weights : weights.map(() => 1);
+  const effectiveSum = weightSum > 0 ? weightSum : weights.length;
+
+  const totalPaisa = Math.round(total * 100);
+  const shares = effective.map((weight) => Math.floor((totalPaisa * weight) / effectiveSum));
+  // Rounding leftovers go to the largest shares first
+  let leftover = totalPaisa - shares.reduce((sum, share) => sum + share, 0);
+  const order = effective.map((weight, index) => index).sort((a, b) => effective[b] - effective[a]);
+  for (let i = 0; leftover > 0; i = (i + 1) % order.length, leftover--) {
+    shares[order[i]] += 1;
+  }
+  return shares.map((share) => share / 100);
+};
+
+/**
+ * Whether a bundle can be bought right now (published and inside its validity window)
+ * @param {Object} bundle - Bundle document
+ * @param {Date} [now] - Reference time
+ * @returns {boolean}
+ */
+export const isBundleAvailable = (bundle, now = new Date()) =>
+  Boolean(bundle?.isPublished)
+  && (!bundle.startsAt || bundle.startsAt <= now)
+  && (!bundle.endsAt || bundle.endsAt > now);
+
+/**
+ * Whether a course may be picked in a "pick" bundle
+ * @param {Object} bundle - Bundle document
+ * @param {Object} course - Course with category
+ * @returns {boolean}
+ */
+const isInPickPool = (bundle, course) => (bundle.courses?.length > 0
+  ? bundle.courses.some((id) => (id._id || id).toString() === course._id.toString())
+  : Boolean(bundle.category) && course.category?.toString() === (bundle.category._id || bundle.category).toString());
+
+/**
+ * Work out what a bundle purchase contains
+ * @param {Object} bundle - Bundle document
+ * @param {Array} [selectedCourseIds] - The buyer's choice, for "pick" bundles
+ * @returns {Promise<Object>} { valid, message, courses, products }
+ */
+export const resolveBundleContents = async (bundle, selectedCourseIds = []) => {
+  let courseIds;
+  if (bundle.type === "pick") {
+    const picked = [...new Set((selectedCourseIds || []).map((id) => String(id?._id || id)))];
+    if (picked.length !== bundle.pickCount || picked.some((id) => !mongoose.isValidObjectId(id))) {
+      return { valid: false, message: `Please choose ${bundle.pickCount} courses for this bundle` };
+    }
+    courseIds = picked;
+  } else {
+    courseIds = (bundle.courses || []).map((id) => (id._id || id).toString());
+  }
+  const productIds = bundle.type === "pick" ? [] : (bundle.products || []).map((id) => (id._id || id).toString());
+
+  const [courses, products, batchedCourse] = await Promise.all([
+    Course.find({ _id: { $in: courseIds } }).select(COURSE_FIELDS).lean(),
+    Product.find({ _id: { $in: productIds } }).select(PRODUCT_FIELDS).lean(),
+    Batch.exists({ course: { $in: courseIds } }),
+  ]);
+  if (courses.length !== courseIds.length || courses.some((course) => !course.isPublished)
+    || products.length !== productIds.length || products.some((product) => !product.isPublished)) {
+    return { valid: false, message: "An item of this bundle is no longer available" };
+  }
+  if (bundle.type === "pick" && courses.some((course) => !isInPickPool(bundle, course))) {
+    return { valid: false, message: "A chosen course is not part of this bundle" };
+  }
+  // Bundles enroll without a batch choice, like learning paths
+  if (batchedCourse) {
+    return { valid: false, message: "A course of this bundle runs in batches and can't be bought in a bundle" };
+  }
+
+  // Keep the bundle's (or the buyer's) order
+  const byId = (list) => new Map(list.map((entry) => [entry._id.toString(), entry]));
+  const courseMap = byId(courses);
+  const productMap = byId(products);
+  return {
+    valid: true,
+    courses: courseIds.map((id) => courseMap.get(id)),
+    products: productIds.map((id) => productMap.get(id)),
+  };
+};
+
+/**
+ * Check that a student may buy a bundle with these contents.
+ * Picked courses must be new to the student and have their prerequisites met
+ * (a prerequisite picked in the same bundle counts); a fixed bundle must add something.
+ * @param {Object} options
+ * @param {Object} options.user - Buyer ({ _id, role })
+ * @param {Object} options.bundle - Bundle document
+ * @param {Object} options.contents - { courses, products } from resolveBundleContents
+ * @returns {Promise<Object>} { valid, message }
+ */
+export const checkBundleEligibility = async ({ user, bundle, contents }) => {
+  const courseIds = contents.courses.map((course) => course._id);
+  // Membership access doesn't count as owning a course
+  const enrolledCount = await Enrollment.countDocuments({ student: user._id, course: { $in: courseIds }, source: { $ne: "membership" } });
+
+  if (bundle.type !== "pick") {
+    if (contents.products.length === 0 && courseIds.length > 0 && enrolledCount === courseIds.length) {
+      return { valid: false, message: "You are already enrolled in every course of this bundle" };
+    }
+    return { valid: true };
+  }
+
+  if (enrolledCount > 0) {
+    return { valid: false, message: "You are already enrolled in a course you chose. Please pick another one." };
+  }
+  const pickedIds = new Set(courseIds.map((id) => id.toString()));
+  for (const course of contents.courses) {
+    const missing = (await getMissingPrerequisites({ user, course }))
+      .filter((prerequisite) => !pickedIds.has(prerequisite._id.toString()));
+    if (missing.length > 0) {
+      return {
+        valid: false,
+        message: `${course.title}: please complete these courses first: ${missing.map((item) => item.title).join(", ")}`,
+      };
+    }
+  }
+  return { valid: true };
+};
+
+/**
+ * Expand a bundle into order line items, sharing the bundle price out
+ * in proportion to each item's standalone price
+ * @param {Object} bundle - Bundle document
+ * @param {Object} contents - { courses, products } from resolveBundleContents
+ * @returns {Array} DigitalOrder items
+ */
+export const buildBundleOrderItems = (bundle, { courses, products }) => {
+  const entries = [
+    ...courses.map((course) => ({ itemType: "course", course: course._id, title: course.title, listPrice: standalonePrice(course) })),
+    ...products.map((product) => ({ itemType: "product", product: product._id, title: product.title, listPrice: standalonePrice(product) })),
+  ];
+  const shares = allocateAmount(bundle.price, entries.map((entry) => entry.listPrice));
+
+  return entries.map(({ title, ...entry }, index) => ({
+    ...entry,
+    price: shares[index],
+    bundle: bundle._id,
+    titleSnapshot: `${title} (${bundle.title})`,
+  }));
+};
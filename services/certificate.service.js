@@ -3,16 +3,23 @@ import cloudinary from "../config/cloudinary.js";
 import User from "../models/user.model.js";
 import Course from "../models/course.model.js";
 import Certificate from "../models/certificate.model.js";
+import LearningPath from "../models/learningPath.model.js";
+import PathCertificate from "../models/pathCertificate.model.js";
 
 export const generateAndUploadCertificate = async (studentId, courseId) => {
     try {
         console.log(`[CERT-GEN] Starting certificate generation for student: ${studentId}, course: ${courseId}`);
 
         const existingCertificate = await Certificate.findOne({ student: studentId, course: courseId });
-        if (existingCertificate) {
+        if (existingCertificate && !existingCertificate.revokedAt) {
             console.log("[CERT-GEN] Certificate already exists. Exiting.");
             return;
         }
+        if (existingCertificate) {
+            // A revoked certificate (e.g. after a refund) is replaced once the student completes the course again
+            console.log("[CERT-GEN] Replacing revoked certificate.");
+            await existingCertificate.deleteOne();
+        }
 
         const student = await User.findById(studentId).select("name").lean();
         const course = await Course.findById(courseId).select("title").lean();
@@ -91,4 +98,87 @@ export const generateAndUploadCertificate = async (studentId, courseId) => {
         console.error("Error message:", error.message);
         console.error("--- [END OF ERROR REPORT] ---");
     }
-};
\ No newline at end of file
+};
+/**
+ * Issue the certificate for completing every course of a learning path.
+ * Like the course certificate, failures are logged and never thrown.
+ * @param {string} studentId - Student ID
+ * @param {string} learningPathId - Learning path ID
+ */
+export const generateAndUploadPathCertificate = async (studentId, learningPathId) => {
+    try {
+        const existingCertificate = await PathCertificate.findOne({ student: studentId, learningPath: learningPathId });
+        if (existingCertificate && !existingCertificate.revokedAt) {
+            return;
+        }
+        if (existingCertificate) {
+            await existingCertificate.deleteOne();
+        }
+
+        const student = await User.findById(studentId).select("name").lean();
+        const learningPath = await LearningPath.findById(learningPathId).populate("courses", "title").lean();
+        if (!student || !learningPath) {
+            console.error(`[PATH-CERT-ERROR] Student (${studentId}) or learning path (${learningPathId}) not found.`);
+            return;
+        }
+
+        const pdfDoc = await PDFDocument.create();
+        const page = pdfDoc.addPage([700, 500]);
+        const { height } = page.getSize();
+        const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+        const normalFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+        page.drawText('Certificate of Completion', { x: 180, y: height - 80, font, size: 30, color: rgb(0.1, 0.2, 0.8) });
+        page.drawText('This certificate is awarded to:', { x: 50, y: height - 160, font: normalFont, size: 20 });
+        page.drawText(student.name, { x: 200, y: height - 210, font, size: 32 });
+        page.drawText('For successfully completing the learning path:', { x: 50, y: height - 280, font: normalFont, size: 20 });
+        page.drawText(learningPath.title, { x: 150, y: height - 325, font, size: 28 });
+
+        // List the path's courses under the title (the page fits about six)
+        const courseTitles = learningPath.courses.map((course) => course.title);
+        courseTitles.slice(0, 6).forEach((title, index) => {
+            page.drawText(`${index + 1}. ${title}`, { x: 150, y: height - 360 - index * 16, font: normalFont, size: 11, color: rgb(0.3, 0.3, 0.3) });
+        });
+        if (courseTitles.length > 6) {
+            page.drawText(`... and ${courseTitles.length - 6} more`, { x: 150, y: height - 360 - 6 * 16, font: normalFont, size: 11, color: rgb(0.3, 0.3, 0.3) });
+        }
+
+        page.drawText(`Issued on: ${new Date().toLocaleDateString()}`, { x: 50, y: 50, font: normalFont, size: 12, color: rgb(0.5, 0.5, 0.5) });
+
+        const pdfBuffer = Buffer.from(await pdfDoc.save());
+
+        const uploadResult = await new Promise((resolve, reject) => {
+            const uploadStream = cloudinary.uploader.upload_stream(
+                {
+                    folder: "lms/certificates/paths",
+                    resource_type: "image",
+                    access_mode: "public",
+                    public_id: `${studentId}-${learningPathId}-${Date.now()}`,
+                    format: "pdf",
+                },
+                (error, result) => {
+                    if (error) {
+                        console.error("[CLOUDINARY-ERROR] Upload failed:", error);
+                        return reject(new Error("Cloudinary upload failed."));
+                    }
+                    resolve(result);
+                }
+            );
+            uploadStream.end(pdfBuffer);
+        });
+
+        if (!uploadResult || !uploadResult.secure_url) {
+            throw new Error("Cloudinary upload returned an invalid result.");
+        }
+
+        await PathCertificate.create({
+            student: studentId,
+            learningPath: learningPathId,
+            certificateUrl: uploadResult.secure_url,
+        });
+
+        console.log(`[PATH-CERT] Certificate for student ${studentId}, learning path ${learningPathId} issued.`);
+    } catch (error) {
+        console.error("[PATH-CERT-FATAL-ERROR] Path certificate generation failed:", error.message);
+    }
+};
@@ -0,0 +1,120 @@
+import Coupon from "../models/coupon.model.js";
+import Order from "../models/order.model.js";
+import DigitalOrder from "../models/digitalOrder.model.js";
+
+/**
+ * Check whether a line item falls inside the coupon's scope.
+ * A coupon without any course, product or category restriction applies to everything.
+ */
+const isItemEligible = (coupon, item) => {
+  const hasScope = coupon.courses.length > 0 || coupon.products.length > 0 || coupon.categories.length > 0;
+  if (!hasScope) return true;
+
+  const matches = (list, id) => !!id && list.some((entry) => entry.toString() === id.toString());
+  if (item.course && matches(coupon.courses, item.course)) return true;
+  if (item.product && matches(coupon.products, item.product)) return true;
+  return matches(coupon.categories, item.category);
+};
+
+// Orders of a buyer that count towards a coupon's per-user limit (pending and paid ones)
+const countUserCouponUses = async (couponId, userId) => {
+  const userFilter = { user: userId, coupon: couponId, paymentStatus: { $in: ["pending", "paid"] } };
+  const [courseUses, productUses] = await Promise.all([
+    Order.countDocuments(userFilter),
+    DigitalOrder.countDocuments(userFilter),
+  ]);
+  return courseUses + productUses;
+};
+
+/**
+ * Validate a coupon code for a buyer and compute the discount it grants
+ * @param {Object} options - Coupon options
+ * @param {string} options.code - Code entered by the buyer
+ * @param {string} options.userId - Buyer ID, used for the per-user limit
+ * @param {Array} options.items - Line items {course|product, category, amount}
+ * @returns {Promise<Object>} { valid, message, coupon, discount }
+ */
+export const validateCoupon = async ({ code, userId, items }) => {
+  const normalizedCode = String(code || "").trim().toUpperCase();
+  if (!normalizedCode) {
+    return { valid: false, message: "Coupon code is required" };
+  }
+
+  const coupon = await Coupon.findOne({ code: normalizedCode });
+  if (!coupon || !coupon.isActive) {
+    return { valid: false, message: "Invalid coupon code" };
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { valid: false, message: "This coupon is not active yet" };
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return { valid: false, message: "This coupon has expired" };
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { valid: false, message: "This coupon has reached its usage limit" };
+  }
+
+  if (await countUserCouponUses(coupon._id, userId) >= coupon.perUserLimit) {
+    return { valid: false, message: "You have already used this coupon" };
+  }
+
+  const eligibleAmount = items
+    .filter((item) => isItemEligible(coupon, item))
+    .reduce((sum, item) => sum + (item.amount || 0), 0);
+
+  if (eligibleAmount <= 0) {
+    return { valid: false, message: "This coupon does not apply to the selected items" };
+  }
+  if (eligibleAmount < (coupon.minOrderAmount || 0)) {
+    return { valid: false, message: `This coupon requires a minimum purchase of ৳${coupon.minOrderAmount}` };
+  }
+
+  let discount = coupon.discountType === "percentage"
+    ? (eligibleAmount * coupon.value) / 100
+    : coupon.value;
+  if (coupon.discountType === "percentage" && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = Math.round(Math.min(discount, eligibleAmount));
+
+  return { valid: true, coupon, discount };
+};
+
+/**
+ * Atomically count one use of a coupon, respecting the overall usage limit
+ * @param {string} couponId - Coupon ID
+ * @returns {Promise<boolean>} false when the limit was reached in the meantime
+ */
+export const redeemCoupon = async (couponId) => {
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  return !!updated;
+};
+
+/**
+ * Whether a buyer has gone over a coupon's per-user limit now that their new order exists.
+ * validateCoupon counts before the order is created, so parallel checkouts can all pass it;
+ * counting again afterwards catches that, and the caller takes the new order back.
+ * @param {Object} coupon - Coupon document
+ * @param {string} userId - Buyer ID
+ * @returns {Promise<boolean>}
+ */
+export const exceedsPerUserLimit = async (coupon, userId) =>
+  (await countUserCouponUses(coupon._id, userId)) > coupon.perUserLimit;
+
+/**
+ * Give back one use of a coupon (e.g. when its order fails)
+ * @param {string} couponId - Coupon ID
+ */
+export const releaseCoupon = async (couponId) => {
+  if (!couponId) return;
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
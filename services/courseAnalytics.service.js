@@ -0,0 +1,228 @@
+import mongoose from "mongoose";
+import Lesson from "../models/lesson.model.js";
+import Enrollment from "../models/enrollment.model.js";
+import Progress from "../models/progress.model.js";
+import QuizScore from "../models/quizScore.model.js";
+import Review from "../models/review.model.js";
+import Order from "../models/order.model.js";
+import DigitalOrder from "../models/digitalOrder.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+const percentOf = (part, whole) => (whole > 0 ? round2((part / whole) * 100) : 0);
+
+// Bucket formats for enrollments over time (weeks are ISO weeks, e.g. 2025-W07)
+const INTERVAL_FORMATS = { day: "%Y-%m-%d", week: "%G-W%V", month: "%Y-%m" };
+export const ANALYTICS_INTERVALS = Object.keys(INTERVAL_FORMATS);
+
+// Orders that brought in money (refunded amounts are taken off below)
+const REVENUE_STATUSES = ["paid", "partially_refunded", "refunded"];
+
+/**
+ * New enrollments per day, week or month
+ * @returns {Promise<Array>} [{ period, enrollments, purchases, memberships }]
+ */
+const getEnrollmentsOverTime = (courseId, { from, to, interval }) => Enrollment.aggregate([
+  { $match: { course: courseId, createdAt: { $gte: from, $lte: to } } },
+  {
+    $group: {
+      _id: { $dateToString: { format: INTERVAL_FORMATS[interval], date: "$createdAt" } },
+      enrollments: { $sum: 1 },
+      memberships: { $sum: { $cond: [{ $eq: ["$source", "membership"] }, 1, 0] } },
+    },
+  },
+  { $sort: { _id: 1 } },
+  {
+    $project: {
+      _id: 0,
+      period: "$_id",
+      enrollments: 1,
+      purchases: { $subtract: ["$enrollments", "$memberships"] },
+      memberships: 1,
+    },
+  },
+]);
+
+/**
+ * Per-lesson counts: students who completed it, average quiz score and students who stalled on it.
+ * A student has stalled when they haven't finished the course and their progress hasn't moved for stallDays.
+ * @returns {Promise<Object>} { completions, quizScores, stalls } keyed by lesson ID
+ */
+const getLessonStats = async (courseId, { stallDays }) => {
+  const stalledBefore = new Date(Date.now() - stallDays * DAY_MS);
+  const [completions, quizScores, stalls] = await Promise.all([
+    Progress.aggregate([
+      { $match: { course: courseId } },
+      { $unwind: "$completedLessons" },
+      { $group: { _id: "$completedLessons", students: { $sum: 1 } } },
+    ]),
+    QuizScore.aggregate([
+      { $match: { course: courseId } },
+      {
+        $group: {
+          _id: "$lesson",
+          attempts: { $sum: 1 },
+          averageScore: { $avg: "$score" },
+          lowestScore: { $min: "$score" },
+          highestScore: { $max: "$score" },
+        },
+      },
+    ]),
+    Progress.aggregate([
+      { $match: { course: courseId, lastWatchedLesson: { $ne: null }, updatedAt: { $lt: stalledBefore } } },
+      {
+        $lookup: {
+          from: "enrollments",
+          let: { student: "$student" },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ["$student", "$$student"] }, { $eq: ["$course", courseId] }] } } },
+            { $project: { completed: 1 } },
+          ],
+          as: "enrollment",
+        },
+      },
+      // Still enrolled and not finished
+      { $match: { "enrollment.0": { $exists: true }, "enrollment.completed": { $ne: true } } },
+      { $group: { _id: "$lastWatchedLesson", students: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const byLesson = (rows) => new Map(rows.map((row) => [row._id?.toString(), row]));
+  return { completions: byLesson(completions), quizScores: byLesson(quizScores), stalls: byLesson(stalls) };
+};
+
+/**
+ * Rating distribution (1-5 stars) and average
+ * @returns {Promise<Object>} { count, average, distribution: { 1..5 } }
+ */
+const getReviewStats = async (courseId) => {
+  const rows = await Review.aggregate([
+    { $match: { course: courseId } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let ratingSum = 0;
+  rows.forEach((row) => {
+    distribution[row._id] = row.count;
+    count += row.count;
+    ratingSum += row._id * row.count;
+  });
+  return { count, average: count > 0 ? round2(ratingSum / count) : 0, distribution };
+};
+
+/**
+ * Revenue from the course's paid Orders (by purpose), plus its share of paid cart orders
+ * @returns {Promise<Object>} { orders, grossAmount, refundedAmount, netAmount, byPurpose, cart }
+ */
+const getRevenueStats = async (courseId, { from, to }) => {
+  const [byPurpose, [cart]] = await Promise.all([
+    Order.aggregate([
+      { $match: { course: courseId, paymentStatus: { $in: REVENUE_STATUSES }, createdAt: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: "$purpose",
+          orders: { $sum: 1 },
+          grossAmount: { $sum: "$amount" },
+          refundedAmount: { $sum: { $ifNull: ["$refundedAmount", 0] } },
+        },
+      },
+      { $sort: { grossAmount: -1 } },
+    ]),
+    DigitalOrder.aggregate([
+      { $match: { paymentStatus: "paid", "items.course": courseId, createdAt: { $gte: from, $lte: to } } },
+      { $unwind: "$items" },
+      { $match: { "items.itemType": "course", "items.course": courseId } },
+      { $group: { _id: null, orders: { $sum: 1 }, revenue: { $sum: { $ifNull: ["$items.revenue", "$items.price"] } } } },
+    ]),
+  ]);
+
+  const totals = byPurpose.reduce((sum, row) => ({
+    orders: sum.orders + row.orders,
+    grossAmount: sum.grossAmount + row.grossAmount,
+    refundedAmount: sum.refundedAmount + row.refundedAmount,
+  }), { orders: 0, grossAmount: 0, refundedAmount: 0 });
+
+  return {
+    orders: totals.orders,
+    grossAmount: round2(totals.grossAmount),
+    refundedAmount: round2(totals.refundedAmount),
+    netAmount: round2(totals.grossAmount - totals.refundedAmount),
+    byPurpose: byPurpose.map((row) => ({
+      purpose: row._id || "enrollment",
+      orders: row.orders,
+      grossAmount: round2(row.grossAmount),
+      refundedAmount: round2(row.refundedAmount),
+      netAmount: round2(row.grossAmount - row.refundedAmount),
+    })),
+    cart: { orders: cart?.orders || 0, revenue: round2(cart?.revenue) },
+  };
+};
+
+/**
+ * Everything on the instructor analytics dashboard for one course
+ * @param {Object} course - Course document
+ * @param {Object} options - { from, to, interval ("day"|"week"|"month"), stallDays }
+ * @returns {Promise<Object>} { enrollmentsOverTime, funnel, quizScores, dropOff, reviews, revenue }
+ */
+export const getCourseAnalytics = async (course, { from, to, interval, stallDays }) => {
+  const courseId = new mongoose.Types.ObjectId(String(course._id));
+
+  const [lessons, totalEnrollments, completedEnrollments, enrollmentsOverTime, lessonStats, reviews, revenue] = await Promise.all([
+    Lesson.find({ course: courseId }).select("title order section quiz").sort({ order: 1 }).lean(),
+    Enrollment.countDocuments({ course: courseId }),
+    Enrollment.countDocuments({ course: courseId, completed: true }),
+    getEnrollmentsOverTime(courseId, { from, to, interval }),
+    getLessonStats(courseId, { stallDays }),
+    getReviewStats(courseId),
+    getRevenueStats(courseId, { from, to }),
+  ]);
+
+  const lessonInfo = (lesson) => ({ _id: lesson._id, title: lesson.title, order: lesson.order });
+
+  // Completion funnel in lesson order, as a share of everyone enrolled
+  const funnel = lessons.map((lesson) => {
+    const completed = lessonStats.completions.get(lesson._id.toString())?.students || 0;
+    return { lesson: lessonInfo(lesson), completed, completionRate: percentOf(completed, totalEnrollments) };
+  });
+
+  const quizScores = lessons
+    .filter((lesson) => lesson.quiz || lessonStats.quizScores.has(lesson._id.toString()))
+    .map((lesson) => {
+      const stats = lessonStats.quizScores.get(lesson._id.toString());
+      return {
+        lesson: lessonInfo(lesson),
+        attempts: stats?.attempts || 0,
+        averageScore: round2(stats?.averageScore),
+        lowestScore: stats?.lowestScore ?? null,
+        highestScore: stats?.highestScore ?? null,
+      };
+    });
+
+  // Lessons where students stopped, most stalled first
+  const stalledTotal = [...lessonStats.stalls.values()].reduce((sum, row) => sum + row.students, 0);
+  const dropOff = lessons
+    .filter((lesson) => lessonStats.stalls.has(lesson._id.toString()))
+    .map((lesson) => {
+      const stalled = lessonStats.stalls.get(lesson._id.toString()).students;
+      return { lesson: lessonInfo(lesson), stalled, share: percentOf(stalled, stalledTotal) };
+    })
+    .sort((a, b) => b.stalled - a.stalled);
+
+  return {
+    course: { _id: course._id, title: course.title, slug: course.slug },
+    range: { from, to, interval, stallDays },
+    totals: {
+      enrollments: totalEnrollments,
+      completed: completedEnrollments,
+      completionRate: percentOf(completedEnrollments, totalEnrollments),
+      stalled: stalledTotal,
+    },
+    enrollmentsOverTime,
+    funnel,
+    quizScores,
+    dropOff,
+    reviews,
+    revenue,
+  };
+};
@@ -0,0 +1,63 @@
+import Section from "../models/section.model.js";
+import Lesson from "../models/lesson.model.js";
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && a.toString() === b.toString();
+
+/**
+ * Group a course's lessons into its sections
+ * @param {Array} sections - Section objects sorted by order
+ * @param {Array} lessons - Lesson objects sorted by order (section may be an ID)
+ * @returns {Object} { sections: [{ ...section, lessons, lessonCount, totalDuration }], unsectionedLessons, totalDuration }
+ */
+export const buildCurriculum = (sections, lessons) => {
+  const grouped = sections.map((section) => {
+    const sectionLessons = lessons.filter((lesson) => sameId(lesson.section, section._id));
+    return {
+      _id: section._id,
+      title: section.title,
+      description: section.description,
+      order: section.order,
+      lessonCount: sectionLessons.length,
+      totalDuration: sectionLessons.reduce((acc, lesson) => acc + (lesson.duration || 0), 0), // in minutes
+      lessons: sectionLessons,
+    };
+  });
+
+  // Lessons created before sections existed, or never assigned to one
+  const unsectionedLessons = lessons.filter((lesson) => !sections.some((section) => sameId(lesson.section, section._id)));
+
+  return {
+    sections: grouped,
+    unsectionedLessons,
+    totalDuration: lessons.reduce((acc, lesson) => acc + (lesson.duration || 0), 0),
+  };
+};
+
+/**
+ * Renumber Lesson.order across the whole course so the flat lesson order follows the
+ * section order (sections first, in order, then unsectioned lessons)
+ * @param {string} courseId - Course ID
+ */
+export const renumberCourseLessons = async (courseId) => {
+  const [sections, lessons] = await Promise.all([
+    Section.find({ course: courseId }).sort({ order: 1 }).select("_id").lean(),
+    Lesson.find({ course: courseId }).sort({ order: 1 }).select("section order").lean(),
+  ]);
+
+  const sectionRank = new Map(sections.map((section, index) => [section._id.toString(), index]));
+  const rank = (lesson) => (lesson.section && sectionRank.has(lesson.section.toString())
+    ? sectionRank.get(lesson.section.toString())
+    : sections.length);
+
+  // Array.prototype.sort is stable, so lessons keep their relative order within a section
+  const ordered = [...lessons].sort((a, b) => rank(a) - rank(b));
+
+  const updates = ordered
+    .map((lesson, index) => ({ lesson, order: index + 1 }))
+    .filter(({ lesson, order }) => lesson.order !== order)
+    .map(({ lesson, order }) => ({ updateOne: { filter: { _id: lesson._id }, update: { $set: { order } } } }));
+
+  if (updates.length > 0) {
+    await Lesson.bulkWrite(updates);
+  }
+};
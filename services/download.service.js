@@ -0,0 +1,179 @@
+import crypto from "crypto";
+import cloudinary from "../config/cloudinary.js";
+import DigitalOrder from "../models/digitalOrder.model.js";
+import Product from "../models/product.model.js";
+import User from "../models/user.model.js";
+import { sendProductUpdateEmail } from "./email.service.js";
+
+const TOKEN_LIFETIME_MS = 1000 * 60 * 60 * 24 * 7;
+
+// Extra downloads a product update gives every buyer, and how many update emails go out at once
+const UPDATE_DOWNLOAD_ALLOWANCE = 5;
+const EMAIL_BATCH_SIZE = 20;
+
+// Signed Cloudinary URLs handed out by the download proxy only live this long
+const SIGNED_URL_TTL_SECONDS = 120;
+
+const apiBaseUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 8900}`;
+
+/**
+ * Work out a product file's Cloudinary public ID (older files only stored the URL)
+ * @param {Object} file - Product file { url, publicId }
+ * @returns {string} Public ID, or "" if it cannot be determined
+ */
+export const resolveFilePublicId = (file) => {
+  if (file.publicId) return file.publicId;
+  const match = String(file.url || "").match(/\/v\d+\/(.+)$/); // everything after /v12345/
+  return match && match[1] ? decodeURIComponent(match[1].split("?")[0]) : "";
+};
+
+/**
+ * Build a short-lived signed download URL for a product file
+ * @param {Object} file - Product file (or { publicId, resourceType, type } for other stored files)
+ * @param {number} ttlSeconds - How long the URL stays valid
+ * @returns {string} Signed URL (falls back to the stored URL when the file is not on Cloudinary)
+ */
+export const getSignedFileUrl = (file, ttlSeconds = SIGNED_URL_TTL_SECONDS) => {
+  const publicId = resolveFilePublicId(file);
+  if (!publicId) return file.url;
+
+  const resourceType = file.resourceType || "raw";
+  return cloudinary.utils.private_download_url(publicId, resourceType === "raw" ? "" : file.format || "", {
+    resource_type: resourceType,
+    type: file.type || (String(file.url || "").includes("/authenticated/") ? "authenticated" : "upload"),
+    expires_at: Math.floor(Date.now() / 1000) + ttlSeconds,
+    attachment: true,
+  });
+};
+
+/**
+ * Public proxy URL for one file of a download token
+ * @param {string} token - Download token
+ * @param {number} fileIndex - Index in the product's files
+ * @returns {string}
+ */
+export const buildDownloadUrl = (token, fileIndex) => `${apiBaseUrl()}/api/dorders/download/${token}/${fileIndex}`;
+
+/**
+ * Look up a download token and the file it should serve, without using up a download
+ * @param {Object} options - { token, fileIndex }
+ * @returns {Promise<Object>} { error, status } on failure, or { order, entry, product, file }
+ */
+export const findDownloadToken = async ({ token, fileIndex }) => {
+  const order = await DigitalOrder.findOne({ "downloadTokens.token": token, paymentStatus: "paid" })
+    .populate("user", "name email");
+  const entry = order?.downloadTokens.find((t) => t.token === token);
+  if (!entry) {
+    return { status: 404, error: "Download link is invalid" };
+  }
+  if (entry.expiresAt <= new Date()) {
+    return { status: 410, error: "Download link has expired" };
+  }
+  if (entry.downloads >= entry.maxDownloads) {
+    return { status: 429, error: "Download limit reached for this product" };
+  }
+
+  const product = await Product.findById(entry.product).select("title files watermarkPdf");
+  const file = product?.files?.[fileIndex];
+  if (!file) {
+    return { status: 404, error: "File not found" };
+  }
+
+  return { order, entry, product, file };
+};
+
+/**
+ * Use up one download of a token. The counter is only incremented while the token is
+ * unexpired and under its limit, in a single update, so parallel requests cannot overrun it.
+ * @param {Object} options - { order, entry, fileIndex, ip, userAgent } (order/entry from findDownloadToken)
+ * @returns {Promise<boolean>} false if the token ran out in the meantime
+ */
+export const recordDownload = async ({ order, entry, fileIndex, ip, userAgent }) => {
+  const now = new Date();
+  const updated = await DigitalOrder.findOneAndUpdate(
+    {
+      _id: order._id,
+      paymentStatus: "paid",
+      downloadTokens: {
+        $elemMatch: { token: entry.token, expiresAt: { $gt: now }, maxDownloads: entry.maxDownloads, downloads: { $lt: entry.maxDownloads } },
+      },
+    },
+    {
+      $inc: { "downloadTokens.$.downloads": 1 },
+      $set: { "downloadTokens.$.lastDownloadedAt": now },
+      $push: { "downloadTokens.$.accessLog": { fileIndex, ip, userAgent, at: now } },
+    },
+    { new: true }
+  );
+  return Boolean(updated);
+};
+
+/**
+ * Announce a new version of a product to everyone who bought it: their download tokens
+ * for the product get more downloads (5 on top of what they had, at least 7 more days) and each
+ * buyer receives one email listing the files updated since the last announcement.
+ * The download counters themselves are kept.
+ * @param {Object} product - Product document
+ * @param {Object} options - { message } optional note from the admin
+ * @returns {Promise<Object>} { buyers, emailed, failed, files }
+ */
+export const notifyProductUpdate = async (product, { message = "" } = {}) => {
+  const since = product.lastUpdateNotifiedAt;
+  const files = product.files.filter((file) => !since || (file.uploadedAt && file.uploadedAt > since));
+  if (files.length === 0) {
+    return { buyers: 0, emailed: 0, failed: 0, files: [] };
+  }
+
+  const now = Date.now();
+  const paidFilter = { paymentStatus: "paid", "items.product": product._id };
+
+  // Every existing token for the product in one update
+  await DigitalOrder.updateMany(
+    { ...paidFilter, downloadTokens: { $elemMatch: { product: product._id } } },
+    {
+      $inc: { "downloadTokens.$[token].maxDownloads": UPDATE_DOWNLOAD_ALLOWANCE },
+      $max: { "downloadTokens.$[token].expiresAt": new Date(now + TOKEN_LIFETIME_MS) },
+    },
+    { arrayFilters: [{ "token.product": product._id }] }
+  );
+  // Orders without a token for it (paid before it had files) each need their own token
+  const tokenless = await DigitalOrder.find({ ...paidFilter, downloadTokens: { $not: { $elemMatch: { product: product._id } } } })
+    .select("_id")
+    .lean();
+  for (const order of tokenless) {
+    await DigitalOrder.updateOne(
+      { _id: order._id, downloadTokens: { $not: { $elemMatch: { product: product._id } } } },
+      { $push: { downloadTokens: { product: product._id, token: crypto.randomBytes(24).toString("hex"), expiresAt: new Date(now + TOKEN_LIFETIME_MS) } } }
+    );
+  }
+
+  // One email per buyer, sent a batch at a time
+  const buyerIds = await DigitalOrder.distinct("user", paidFilter);
+  const buyers = await User.find({ _id: { $in: buyerIds }, email: { $nin: [null, ""] } }).select("name email").lean();
+  const updatedFiles = files.map((file) => ({ name: file.name, version: file.version, changelog: file.changelog }));
+
+  let emailed = 0;
+  let failed = 0;
+  for (let start = 0; start < buyers.length; start += EMAIL_BATCH_SIZE) {
+    const results = await Promise.allSettled(buyers.slice(start, start + EMAIL_BATCH_SIZE).map((user) => sendProductUpdateEmail({
+      email: user.email,
+      name: user.name,
+      productTitle: product.title,
+      files: updatedFiles,
+      message,
+    })));
+    results.forEach((result, index) => {
+      if (result.status === "fulfilled") {
+        emailed++;
+      } else {
+        console.error(`Error sending product update email to ${buyers[start + index].email}:`, result.reason?.message);
+        failed++;
+      }
+    });
+  }
+
+  product.lastUpdateNotifiedAt = new Date(now);
+  await product.save();
+
+  return { buyers: buyers.length, emailed, failed, files: files.map((file) => file.name) };
+};
@@ -0,0 +1,78 @@
+import Lesson from "../models/lesson.model.js";
+import Section from "../models/section.model.js";
+import Progress from "../models/progress.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const sameId = (a, b) => Boolean(a) && Boolean(b) && idOf(a).toString() === idOf(b).toString();
+
+/**
+ * Work out which lessons an enrolled student can open right now
+ * @param {Object} params
+ * @param {Array} params.lessons - The course's lessons (with release and section)
+ * @param {Array} params.sections - The course's sections sorted by order
+ * @param {Object} params.enrollment - The student's enrollment (createdAt is the drip start)
+ * @param {Array} params.completedLessons - IDs of lessons the student has completed
+ * @param {Date} [params.now] - Reference time
+ * @returns {Map} lessonId -> { isLocked, unlockAt, lockReason }
+ */
+export const getLessonAvailability = ({ lessons, sections = [], enrollment, completedLessons = [], now = new Date() }) => {
+  const completed = new Set(completedLessons.map((id) => idOf(id).toString()));
+  const enrolledAt = enrollment?.createdAt ? new Date(enrollment.createdAt) : now;
+  const availability = new Map();
+
+  for (const lesson of lessons) {
+    const release = lesson.release || {};
+    let unlockAt = null;
+    let lockReason = null;
+
+    if (lesson.isPreview) {
+      // Free preview lessons are public, so the schedule never hides them
+    } else if (release.type === "after_days") {
+      unlockAt = new Date(enrolledAt.getTime() + (release.days || 0) * DAY_MS);
+      if (unlockAt > now) lockReason = `Unlocks ${release.days} day(s) after enrollment`;
+    } else if (release.type === "on_date" && release.date) {
+      unlockAt = new Date(release.date);
+      if (unlockAt > now) lockReason = "Unlocks on a scheduled date";
+    } else if (release.type === "after_previous_section") {
+      const sectionIndex = sections.findIndex((section) => sameId(section._id, lesson.section));
+      const previousSection = sectionIndex > 0 ? sections[sectionIndex - 1] : null;
+      if (previousSection) {
+        const pending = lessons.filter(
+          (other) => sameId(other.section, previousSection._id) && !completed.has(idOf(other._id).toString())
+        );
+        if (pending.length > 0) lockReason = `Complete "${previousSection.title}" to unlock`;
+      }
+    }
+
+    availability.set(idOf(lesson._id).toString(), {
+      isLocked: Boolean(lockReason),
+      unlockAt: unlockAt && unlockAt > now ? unlockAt : null,
+      lockReason,
+    });
+  }
+
+  return availability;
+};
+
+/**
+ * Load everything needed to check a student's access to a course's lessons
+ * @param {string} courseId - Course ID
+ * @param {Object} enrollment - The student's enrollment for the course
+ * @returns {Promise<Map>} lessonId -> { isLocked, unlockAt, lockReason }
+ */
+export const getStudentLessonAvailability = async (courseId, enrollment) => {
+  const [lessons, sections, progress] = await Promise.all([
+    Lesson.find({ course: courseId }).select("section release isPreview").lean(),
+    Section.find({ course: courseId }).sort({ order: 1 }).select("title order").lean(),
+    Progress.findOne({ student: enrollment.student, course: courseId }).select("completedLessons").lean(),
+  ]);
+
+  return getLessonAvailability({
+    lessons,
+    sections,
+    enrollment,
+    completedLessons: progress?.completedLessons || [],
+  });
+};
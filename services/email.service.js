@@ -17,6 +17,44 @@ const createTransporter = () => {
   });
 };
 
+// Shared layout for the shorter transactional notifications (refunds, reminders, etc.).
+// Uses the same header/footer branding as the purchase confirmation emails.
+const buildNotificationHtml = ({ title, heading, greeting, bodyHtml, buttonText, buttonUrl }) => `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title} - SariyahTech</title>
+      </head>
+      <body style="margin: 0; padding: 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);">
+        <div style="max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 20px; overflow: hidden; box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);">
+          <div style="background: linear-gradient(135deg, #06b6d4 0%, #ec4899 100%); padding: 40px 20px; text-align: center;">
+            <div style="font-size: 36px; font-weight: 800; color: #ffffff; margin-bottom: 10px; letter-spacing: -1px;">✨ SariyahTech</div>
+            <h1 style="font-size: 26px; color: #ffffff; margin: 0;">${heading}</h1>
+          </div>
+          <div style="padding: 40px; color: #4b5563;">
+            <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px; font-weight: 600;">${greeting}</p>
+            ${bodyHtml}
+            ${buttonUrl ? `
+            <div style="text-align: center; margin: 35px 0 10px;">
+              <a href="${buttonUrl}" style="display: inline-block; padding: 16px 40px; background: linear-gradient(135deg, #06b6d4 0%, #ec4899 100%); color: #ffffff !important; text-decoration: none; border-radius: 50px; font-weight: 700;">${buttonText}</a>
+            </div>
+            ` : ''}
+          </div>
+          <div style="padding: 30px 40px; background: linear-gradient(135deg, #1f2937 0%, #111827 100%); text-align: center;">
+            <p style="font-size: 14px; line-height: 1.8; color: #d1d5db; margin: 0;">
+              The SariyahTech Team
+            </p>
+            <p style="margin-top: 15px; font-size: 12px; color: #9ca3af;">
+              If you have any questions, feel free to contact us at <a href="mailto:info@sariyahtech.com" style="color: #06b6d4;">info@sariyahtech.com</a>
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
 /**
  * Generate a secure random token for email verification
  * @returns {string} Random token
@@ -616,9 +654,10 @@ export const sendPasswordResetEmail = async ({ email, name, token }) => {
  * @param {string} options.courseSlug - Course slug for URL
  * @param {number} options.amount - Purchase amount
  * @param {string} options.orderId - Order ID
+ * @param {Array} [options.attachments] - Nodemailer attachments (e.g. the PDF invoice)
  * @returns {Promise<Object>} Email send result
  */
-export const sendCoursePurchaseConfirmation = async ({ email, name, courseTitle, courseSlug, amount, orderId, groupLink }) => {
+export const sendCoursePurchaseConfirmation = async ({ email, name, courseTitle, courseSlug, amount, orderId, groupLink, attachments = [] }) => {
   const courseUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/course/${courseSlug}`;
   const dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/dashboard/my-courses`;
   const formattedAmount = amount === 0 ? 'FREE' : `৳${amount.toLocaleString()}`;
@@ -984,7 +1023,8 @@ export const sendCoursePurchaseConfirmation = async ({ email, name, courseTitle,
       
       Happy Learning!
       The SariyahTech Team
-    `
+    `,
+    attachments,
   };
 
   try {
@@ -1002,12 +1042,13 @@ export const sendCoursePurchaseConfirmation = async ({ email, name, courseTitle,
  * @param {Object} options - Email options
  * @param {string} options.email - Recipient email
  * @param {string} options.name - Recipient name
- * @param {Array} options.items - Array of purchased items {title, price}
+ * @param {Array} options.items - Array of purchased items {title, price, isCourse, licenseKey}
  * @param {number} options.totalAmount - Total purchase amount
  * @param {string} options.orderId - Order ID
+ * @param {Array} [options.attachments] - Nodemailer attachments (e.g. the PDF invoice)
  * @returns {Promise<Object>} Email send result
  */
-export const sendProductPurchaseConfirmation = async ({ email, name, items, totalAmount, orderId }) => {
+export const sendProductPurchaseConfirmation = async ({ email, name, items, totalAmount, orderId, attachments = [] }) => {
   const dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/dashboard/my-courses`;
   const formattedAmount = totalAmount === 0 ? 'FREE' : `৳${totalAmount.toLocaleString()}`;
   
@@ -1016,10 +1057,12 @@ export const sendProductPurchaseConfirmation = async ({ email, name, items, tota
   // Build items list HTML
   const itemsList = items.map(item => `
     <div style="padding: 12px; background: #ffffff; border-radius: 8px; margin-bottom: 10px; border-left: 4px solid #06b6d4;">
-      <div style="font-weight: 600; color: #1f2937; margin-bottom: 5px;">${item.title}</div>
+      <div style="font-weight: 600; color: #1f2937; margin-bottom: 5px;">${item.title}${item.isCourse ? ' <span style="font-size: 12px; color: #6366f1;">(Course)</span>' : ''}</div>
       <div style="font-size: 14px; color: #059669; font-weight: 600;">৳${item.price.toLocaleString()}</div>
+      ${item.licenseKey ? `<div style="font-size: 13px; color: #4b5563; margin-top: 5px;">License key: <code style="background: #f3f4f6; padding: 2px 6px; border-radius: 4px;">${item.licenseKey}</code></div>` : ''}
     </div>
   `).join('');
+  const hasCourses = items.some(item => item.isCourse);
 
   const mailOptions = {
     from: `"SariyahTech" <${process.env.SMTP_USER || 'info@sariyahtech.com'}>`,
@@ -1292,7 +1335,7 @@ export const sendProductPurchaseConfirmation = async ({ email, name, items, tota
               <div class="congrats-emoji">📦✨</div>
               
               <p class="intro-text">
-                Your product purchase has been confirmed! Your digital products are now available for download.
+                Your product purchase has been confirmed! Your digital products are now available for download.${hasCourses ? ' The courses in this order have been added to My Courses.' : ''}
               </p>
               
               <div class="order-details">
@@ -1368,7 +1411,7 @@ export const sendProductPurchaseConfirmation = async ({ email, name, items, tota
       Your product purchase has been confirmed!
       
       Purchased Items:
-      ${items.map(item => `- ${item.title} (৳${item.price})`).join('\n')}
+      ${items.map(item => `- ${item.title}${item.isCourse ? ' (Course)' : ''} (৳${item.price})${item.licenseKey ? ` - License key: ${item.licenseKey}` : ''}`).join('\n')}
       
       Total: ${formattedAmount}
       Order ID: #${orderId}
@@ -1377,7 +1420,8 @@ export const sendProductPurchaseConfirmation = async ({ email, name, items, tota
       
       Thank You for Your Purchase!
       The SariyahTech Team
-    `
+    `,
+    attachments,
   };
 
   try {
@@ -1658,3 +1702,515 @@ export const sendProjectInquiryEmail = async ({ clientName, clientEmail, clientP
   }
 };
 
+/**
+ * Send refund decision email to a student
+ * @param {Object} options - Email options
+ * @param {string} options.email - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {string} options.courseTitle - Course title
+ * @param {string} options.orderId - Order ID
+ * @param {string} options.decision - 'approved' or 'rejected'
+ * @param {number} [options.amount] - Refunded amount (approved only)
+ * @param {boolean} [options.accessRevoked] - Whether course access was removed
+ * @param {string} [options.reference] - Refund transaction reference
+ * @param {string} [options.note] - Note from the admin
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendRefundStatusEmail = async ({ email, name, courseTitle, orderId, decision, amount, accessRevoked, reference, note }) => {
+  const dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/dashboard/my-courses`;
+  const isApproved = decision === 'approved';
+  const formattedAmount = `৳${Number(amount || 0).toLocaleString()}`;
+
+  const transporter = createTransporter();
+
+  const detailsHtml = `
+    <div style="background: #f8f9fa; border-radius: 15px; padding: 20px 25px; margin: 25px 0; border: 2px solid #e9ecef;">
+      <div style="font-weight: 700; color: #1f2937; margin-bottom: 10px;">📚 ${courseTitle}</div>
+      <div><strong>Order ID:</strong> #${orderId}</div>
+      ${isApproved ? `<div><strong>Refunded Amount:</strong> <span style="color: #059669; font-weight: 700;">${formattedAmount}</span></div>` : ''}
+      ${isApproved && reference ? `<div><strong>Reference:</strong> ${reference}</div>` : ''}
+      ${note ? `<div style="margin-top: 10px;"><strong>Note:</strong> ${note}</div>` : ''}
+    </div>
+  `;
+
+  const mailOptions = {
+    from: `"SariyahTech" <${process.env.SMTP_USER || 'info@sariyahtech.com'}>`,
+    to: email,
+    subject: isApproved ? 'Your Refund Has Been Processed - SariyahTech' : 'Update on Your Refund Request - SariyahTech',
+    html: buildNotificationHtml({
+      title: isApproved ? 'Refund Processed' : 'Refund Request Update',
+      heading: isApproved ? 'Refund Processed 💸' : 'Refund Request Update',
+      greeting: `Hello, ${name}!`,
+      bodyHtml: `
+        <p style="font-size: 16px; line-height: 1.8;">
+          ${isApproved
+            ? 'Your refund request has been approved and the refund has been issued.'
+            : 'We have reviewed your refund request and unfortunately we are unable to approve it.'}
+        </p>
+        ${detailsHtml}
+        ${isApproved && accessRevoked ? '<p style="font-size: 15px;">Your access to this course has been removed.</p>' : ''}
+      `,
+      buttonText: 'View My Dashboard',
+      buttonUrl: dashboardUrl,
+    }),
+    text: `
+      ${isApproved ? 'Refund Processed' : 'Refund Request Update'} - SariyahTech
+
+      Hello, ${name}!
+
+      ${isApproved
+        ? 'Your refund request has been approved and the refund has been issued.'
+        : 'We have reviewed your refund request and unfortunately we are unable to approve it.'}
+
+      Course: ${courseTitle}
+      Order ID: #${orderId}
+      ${isApproved ? `Refunded Amount: ${formattedAmount}` : ''}
+      ${isApproved && reference ? `Reference: ${reference}` : ''}
+      ${note ? `Note: ${note}` : ''}
+      ${isApproved && accessRevoked ? 'Your access to this course has been removed.' : ''}
+
+      View dashboard: ${dashboardUrl}
+
+      The SariyahTech Team
+    `
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Refund status email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending refund status email:', error);
+    throw new Error('Failed to send refund status email');
+  }
+};
+
+/**
+ * Tell a past buyer that a product they own has a new version
+ * @param {Object} options - Email options
+ * @param {string} options.email - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {string} options.productTitle - Product title
+ * @param {Array} options.files - Updated files {name, version, changelog}
+ * @param {string} [options.message] - Extra note from the admin
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendProductUpdateEmail = async ({ email, name, productTitle, files, message }) => {
+  const downloadsUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/dashboard/my-courses`;
+
+  const transporter = createTransporter();
+
+  const filesHtml = files.map(file => `
+    <div style="padding: 12px; background: #ffffff; border-radius: 8px; margin-bottom: 10px; border-left: 4px solid #06b6d4;">
+      <div style="font-weight: 600; color: #1f2937;">${file.name} <span style="font-size: 13px; color: #6366f1;">v${file.version}</span></div>
+      ${file.changelog ? `<div style="font-size: 14px; color: #4b5563; margin-top: 5px; white-space: pre-line;">${file.changelog}</div>` : ''}
+    </div>
+  `).join('');
+
+  const mailOptions = {
+    from: `"SariyahTech" <${process.env.SMTP_USER || 'info@sariyahtech.com'}>`,
+    to: email,
+    subject: `New version of ${productTitle} - SariyahTech`,
+    html: buildNotificationHtml({
+      title: 'Product Updated',
+      heading: 'A New Version Is Available 🚀',
+      greeting: `Hello, ${name}!`,
+      bodyHtml: `
+        <p style="font-size: 16px; line-height: 1.8;">
+          <strong>${productTitle}</strong>, which you purchased, has been updated. The new version is included with your purchase and your download links have been refreshed.
+        </p>
+        ${message ? `<p style="font-size: 15px;">${message}</p>` : ''}
+        <div style="background: #f8f9fa; border-radius: 15px; padding: 20px 25px; margin: 25px 0; border: 2px solid #e9ecef;">
+          ${filesHtml}
+        </div>
+      `,
+      buttonText: 'Download the Update',
+      buttonUrl: downloadsUrl,
+    }),
+    text: `
+      New version of ${productTitle} - SariyahTech
+
+      Hello, ${name}!
+
+      ${productTitle}, which you purchased, has been updated. The new version is included with your purchase and your download links have been refreshed.
+      ${message ? `\n      ${message}\n` : ''}
+      ${files.map(file => `- ${file.name} v${file.version}${file.changelog ? `: ${file.changelog}` : ''}`).join('\n')}
+
+      Download the update: ${downloadsUrl}
+
+      The SariyahTech Team
+    `
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Product update email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending product update email:', error);
+    throw new Error('Failed to send product update email');
+  }
+};
+
+/**
+ * Tell a waitlisted student that a seat (or the course itself) is open again
+ * @param {Object} options - Email options
+ * @param {string} options.email - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {string} options.courseTitle - Course title
+ * @param {string} options.courseSlug - Course slug for URL
+ * @param {string} [options.batchName] - Batch the seat is held in
+ * @param {Date} [options.batchStartDate] - When the batch starts
+ * @param {Date} [options.reservedUntil] - When the held seat is released
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendWaitlistSeatEmail = async ({ email, name, courseTitle, courseSlug, batchName, batchStartDate, reservedUntil }) => {
+  const courseUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/course/${courseSlug}`;
+  const formatDate = (date) => new Date(date).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  const intro = batchName
+    ? `A seat has opened up in <strong>${batchName}</strong> of <strong>${courseTitle}</strong>, and you're next on the waitlist.`
+    : `<strong>${courseTitle}</strong> is open for enrollment again.`;
+
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"SariyahTech" <${process.env.SMTP_USER || 'info@sariyahtech.com'}>`,
+    to: email,
+    subject: batchName ? `A seat is waiting for you in ${courseTitle} - SariyahTech` : `${courseTitle} is open again - SariyahTech`,
+    html: buildNotificationHtml({
+      title: 'Waitlist Update',
+      heading: batchName ? 'Your Seat Is Ready 🎟️' : 'Enrollment Is Open 🎉',
+      greeting: `Hello, ${name}!`,
+      bodyHtml: `
+        <p style="font-size: 16px; line-height: 1.8;">${intro}</p>
+        ${batchName || reservedUntil ? `
+        <div style="background: #f8f9fa; border-radius: 15px; padding: 20px 25px; margin: 25px 0; border: 2px solid #e9ecef;">
+          ${batchName ? `<div><strong>Batch:</strong> ${batchName}</div>` : ''}
+          ${batchStartDate ? `<div><strong>Starts:</strong> ${formatDate(batchStartDate)}</div>` : ''}
+          ${reservedUntil ? `<div><strong>Seat held until:</strong> <span style="color: #dc2626; font-weight: 700;">${formatDate(reservedUntil)}</span></div>` : ''}
+        </div>` : ''}
+        ${reservedUntil ? '<p style="font-size: 15px;">After that the seat goes to the next student on the waitlist.</p>' : ''}
+      `,
+      buttonText: 'Enroll Now',
+      buttonUrl: courseUrl,
+    }),
+    text: `
+      Waitlist Update - SariyahTech
+
+      Hello, ${name}!
+
+      ${intro.replace(/<[^>]+>/g, '')}
+      ${batchName ? `Batch: ${batchName}` : ''}
+      ${batchStartDate ? `Starts: ${formatDate(batchStartDate)}` : ''}
+      ${reservedUntil ? `Seat held until: ${formatDate(reservedUntil)}. After that the seat goes to the next student on the waitlist.` : ''}
+
+      Enroll now: ${courseUrl}
+
+      The SariyahTech Team
+    `
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Waitlist seat email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending waitlist seat email:', error);
+    throw new Error('Failed to send waitlist seat email');
+  }
+};
+
+/**
+ * Remind a student that their time-limited course access is about to end
+ * @param {Object} options - Email options
+ * @param {string} options.email - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {string} options.courseTitle - Course title
+ * @param {string} options.courseSlug - Course slug for URL
+ * @param {Date} options.expiresAt - When access ends
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendAccessExpiryReminderEmail = async ({ email, name, courseTitle, courseSlug, expiresAt }) => {
+  const courseUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/course/${courseSlug}`;
+  const formattedDate = new Date(expiresAt).toLocaleDateString('en-US', { dateStyle: 'long' });
+
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"SariyahTech" <${process.env.SMTP_USER || 'info@sariyahtech.com'}>`,
+    to: email,
+    subject: `Your access to ${courseTitle} ends soon - SariyahTech`,
+    html: buildNotificationHtml({
+      title: 'Course Access Ending Soon',
+      heading: 'Your Access Ends Soon ⏳',
+      greeting: `Hello, ${name}!`,
+      bodyHtml: `
+        <p style="font-size: 16px; line-height: 1.8;">
+          Your access to <strong>${courseTitle}</strong> ends on <strong style="color: #dc2626;">${formattedDate}</strong>.
+        </p>
+        <p style="font-size: 15px;">Renew now to keep watching the lessons and keep your progress going.</p>
+      `,
+      buttonText: 'Renew Access',
+      buttonUrl: courseUrl,
+    }),
+    text: `
+      Your Access Ends Soon - SariyahTech
+
+      Hello, ${name}!
+
+      Your access to ${courseTitle} ends on ${formattedDate}.
+      Renew now to keep watching the lessons and keep your progress going.
+
+      Renew access: ${courseUrl}
+
+      The SariyahTech Team
+    `
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Access expiry reminder sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending access expiry reminder:', error);
+    throw new Error('Failed to send access expiry reminder');
+  }
+};
+
+/**
+ * Send a confirmation when a membership period has been paid for
+ * @param {Object} options - Email options
+ * @param {string} options.email - Member email
+ * @param {string} options.name - Member name
+ * @param {string} options.plan - "monthly" or "yearly"
+ * @param {Date} options.currentPeriodEnd - Membership access ends at
+ * @param {number} options.amount - Amount paid
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendSubscriptionActivatedEmail = async ({ email, name, plan, currentPeriodEnd, amount }) => {
+  const catalogUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/courses`;
+  const formattedDate = new Date(currentPeriodEnd).toLocaleDateString('en-US', { dateStyle: 'long' });
+  const planLabel = plan === 'yearly' ? 'Yearly' : 'Monthly';
+
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"SariyahTech" <${process.env.SMTP_USER || 'info@sariyahtech.com'}>`,
+    to: email,
+    subject: `Your ${planLabel} membership is active - SariyahTech`,
+    html: buildNotificationHtml({
+      title: 'Membership Active',
+      heading: 'Welcome to the Membership 🎉',
+      greeting: `Hello, ${name}!`,
+      bodyHtml: `
+        <p style="font-size: 16px; line-height: 1.8;">
+          We received your payment of <strong>৳${amount}</strong>. Your <strong>${planLabel}</strong> membership is active until <strong>${formattedDate}</strong>.
+        </p>
+        <p style="font-size: 15px;">Every course marked as included in the membership is open to you.</p>
+      `,
+      buttonText: 'Browse Courses',
+      buttonUrl: catalogUrl,
+    }),
+    text: `
+      Membership Active - SariyahTech
+
+      Hello, ${name}!
+
+      We received your payment of ৳${amount}. Your ${planLabel} membership is active until ${formattedDate}.
+      Every course marked as included in the membership is open to you.
+
+      Browse courses: ${catalogUrl}
+
+      The SariyahTech Team
+    `
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Subscription confirmation sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending subscription confirmation:', error);
+    throw new Error('Failed to send subscription confirmation');
+  }
+};
+
+/**
+ * Remind a member that their membership period ends soon
+ * @param {Object} options - Email options
+ * @param {string} options.email - Member email
+ * @param {string} options.name - Member name
+ * @param {string} options.plan - "monthly" or "yearly"
+ * @param {Date} options.currentPeriodEnd - Membership access ends at
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendSubscriptionRenewalReminderEmail = async ({ email, name, plan, currentPeriodEnd }) => {
+  const membershipUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/membership`;
+  const formattedDate = new Date(currentPeriodEnd).toLocaleDateString('en-US', { dateStyle: 'long' });
+  const planLabel = plan === 'yearly' ? 'yearly' : 'monthly';
+
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"SariyahTech" <${process.env.SMTP_USER || 'info@sariyahtech.com'}>`,
+    to: email,
+    subject: 'Your membership ends soon - SariyahTech',
+    html: buildNotificationHtml({
+      title: 'Membership Ending Soon',
+      heading: 'Your Membership Ends Soon ⏳',
+      greeting: `Hello, ${name}!`,
+      bodyHtml: `
+        <p style="font-size: 16px; line-height: 1.8;">
+          Your ${planLabel} membership ends on <strong style="color: #dc2626;">${formattedDate}</strong>.
+        </p>
+        <p style="font-size: 15px;">Renew now to keep access to the membership courses and your progress in them.</p>
+      `,
+      buttonText: 'Renew Membership',
+      buttonUrl: membershipUrl,
+    }),
+    text: `
+      Your Membership Ends Soon - SariyahTech
+
+      Hello, ${name}!
+
+      Your ${planLabel} membership ends on ${formattedDate}.
+      Renew now to keep access to the membership courses and your progress in them.
+
+      Renew membership: ${membershipUrl}
+
+      The SariyahTech Team
+    `
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Subscription renewal reminder sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending subscription renewal reminder:', error);
+    throw new Error('Failed to send subscription renewal reminder');
+  }
+};
+
+/**
+ * Invite a staff member to take an organization seat in a course
+ * @param {Object} options - Email options
+ * @param {string} options.email - Invitee email
+ * @param {string} options.organizationName - Organization that pays for the seat
+ * @param {string} options.inviterName - Organization admin who sent the invite
+ * @param {string} options.courseTitle - Course title
+ * @param {string} options.token - Invite token for the redeem link
+ * @param {Date} options.expiresAt - When the invite stops working
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendOrganizationInviteEmail = async ({ email, organizationName, inviterName, courseTitle, token, expiresAt }) => {
+  const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/organization-invites/${token}`;
+  const formattedDate = new Date(expiresAt).toLocaleDateString('en-US', { dateStyle: 'long' });
+
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"SariyahTech" <${process.env.SMTP_USER || 'info@sariyahtech.com'}>`,
+    to: email,
+    subject: `${organizationName} invited you to ${courseTitle} - SariyahTech`,
+    html: buildNotificationHtml({
+      title: 'Course Invitation',
+      heading: 'You Have a Course Seat 🎓',
+      greeting: 'Hello!',
+      bodyHtml: `
+        <p style="font-size: 16px; line-height: 1.8;">
+          ${inviterName ? `<strong>${inviterName}</strong> from ` : ''}<strong>${organizationName}</strong> has given you a seat in <strong>${courseTitle}</strong>.
+        </p>
+        <p style="font-size: 15px;">Sign in (or create an account) with this email address and accept the invitation before <strong>${formattedDate}</strong>.</p>
+      `,
+      buttonText: 'Accept Invitation',
+      buttonUrl: inviteUrl,
+    }),
+    text: `
+      You Have a Course Seat - SariyahTech
+
+      Hello!
+
+      ${inviterName ? `${inviterName} from ` : ''}${organizationName} has given you a seat in ${courseTitle}.
+      Sign in (or create an account) with this email address and accept the invitation before ${formattedDate}.
+
+      Accept the invitation: ${inviteUrl}
+
+      The SariyahTech Team
+    `
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Organization invite sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending organization invite:', error);
+    throw new Error('Failed to send organization invite');
+  }
+};
+
+/**
+ * Send a gifted course and its redeem code to the recipient
+ * @param {Object} options - Email options
+ * @param {string} options.email - Recipient email
+ * @param {string} [options.recipientName] - Recipient name given by the buyer
+ * @param {string} options.senderName - Buyer name
+ * @param {string} options.courseTitle - Course title
+ * @param {string} options.courseSlug - Course slug for URL
+ * @param {string} [options.message] - Personal message from the buyer
+ * @param {string} options.code - Gift code
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendGiftEmail = async ({ email, recipientName, senderName, courseTitle, courseSlug, message, code }) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const redeemUrl = `${frontendUrl}/gifts/redeem?code=${encodeURIComponent(code)}`;
+  const courseUrl = `${frontendUrl}/course/${courseSlug}`;
+
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"SariyahTech" <${process.env.SMTP_USER || 'info@sariyahtech.com'}>`,
+    to: email,
+    subject: `${senderName} sent you a course: ${courseTitle} - SariyahTech`,
+    html: buildNotificationHtml({
+      title: 'You Received a Course',
+      heading: 'You Received a Gift 🎁',
+      greeting: `Hello${recipientName ? `, ${recipientName}` : ''}!`,
+      bodyHtml: `
+        <p style="font-size: 16px; line-height: 1.8;">
+          <strong>${senderName}</strong> bought you the course <a href="${courseUrl}" style="color: #6366f1;"><strong>${courseTitle}</strong></a>.
+        </p>
+        ${message ? `<blockquote style="margin: 20px 0; padding: 12px 16px; border-left: 4px solid #6366f1; background: #f3f4f6; font-style: italic;">${message}</blockquote>` : ''}
+        <p style="font-size: 15px;">Your gift code:</p>
+        <p style="font-size: 22px; font-weight: 700; letter-spacing: 2px; text-align: center;">${code}</p>
+        <p style="font-size: 15px;">Sign in or create an account, then redeem the code to start learning.</p>
+      `,
+      buttonText: 'Redeem Gift',
+      buttonUrl: redeemUrl,
+    }),
+    text: `
+      You Received a Gift - SariyahTech
+
+      Hello${recipientName ? `, ${recipientName}` : ''}!
+
+      ${senderName} bought you the course ${courseTitle}.
+      ${message ? `\n      "${message}"\n` : ''}
+      Your gift code: ${code}
+      Sign in or create an account, then redeem the code to start learning.
+
+      Redeem your gift: ${redeemUrl}
+
+      The SariyahTech Team
+    `
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Gift email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending gift email:', error);
+    throw new Error('Failed to send gift email');
+  }
+};
@@ -0,0 +1,114 @@
+// bKash Tokenized Checkout driver.
+// Flow: grant token -> create payment (student is redirected to bKash) ->
+// bKash calls our callback -> execute payment -> (query payment if execute is inconclusive).
+
+// A hung bKash endpoint must not hold the request open; the fetch rejects with a TimeoutError
+const REQUEST_TIMEOUT_MS = Number(process.env.BKASH_TIMEOUT_MS) || 15000;
+
+let cachedToken = null;
+let cachedTokenExpiresAt = 0;
+
+const config = () => ({
+  baseUrl: process.env.BKASH_BASE_URL || "https://tokenized.sandbox.bka.sh/v1.2.0-beta",
+  username: process.env.BKASH_USERNAME,
+  password: process.env.BKASH_PASSWORD,
+  appKey: process.env.BKASH_APP_KEY,
+  appSecret: process.env.BKASH_APP_SECRET,
+});
+
+// Map a bKash response to the gateway-neutral result shape
+const toResult = (data) => {
+  const status = data.transactionStatus === "Completed"
+    ? "completed"
+    : ["Initiated", "Pending Authorized", "Authorized"].includes(data.transactionStatus)
+      ? "pending"
+      : "failed";
+  return {
+    status,
+    transactionId: data.trxID,
+    amount: data.amount !== undefined ? Number(data.amount) : undefined,
+    raw: data,
+  };
+};
+
+const request = async (path, body, headers) => {
+  const response = await fetch(`${config().baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.statusMessage || data.errorMessage || `bKash request failed (${response.status})`);
+  }
+  return data;
+};
+
+/**
+ * Get a grant token, reusing the cached one until shortly before it expires
+ * @returns {Promise<string>} id_token
+ */
+const getToken = async () => {
+  if (cachedToken && Date.now() < cachedTokenExpiresAt) return cachedToken;
+
+  const { username, password, appKey, appSecret } = config();
+  const data = await request(
+    "/tokenized/checkout/token/grant",
+    { app_key: appKey, app_secret: appSecret },
+    { username, password }
+  );
+  if (!data.id_token) {
+    throw new Error(data.statusMessage || "Could not obtain bKash token");
+  }
+
+  cachedToken = data.id_token;
+  // Refresh a minute early to avoid using a token that expires mid-request
+  cachedTokenExpiresAt = Date.now() + ((Number(data.expires_in) || 3600) - 60) * 1000;
+  return cachedToken;
+};
+
+const authorizedRequest = async (path, body) => {
+  const token = await getToken();
+  return request(path, body, { Authorization: token, "X-APP-Key": config().appKey });
+};
+
+const bkashGateway = {
+  name: "bkash",
+  label: "bKash",
+  paymentMethod: "bkash",
+  requiresManualDetails: false,
+
+  isEnabled: () => {
+    const { username, password, appKey, appSecret } = config();
+    return Boolean(username && password && appKey && appSecret);
+  },
+
+  createPayment: async ({ amount, invoiceNumber, payerReference, callbackUrl }) => {
+    const data = await authorizedRequest("/tokenized/checkout/create", {
+      mode: "0011",
+      payerReference: payerReference || " ",
+      callbackURL: callbackUrl,
+      amount: String(amount),
+      currency: "BDT",
+      intent: "sale",
+      merchantInvoiceNumber: invoiceNumber,
+    });
+    if (!data.paymentID || !data.bkashURL) {
+      throw new Error(data.statusMessage || "bKash did not return a payment URL");
+    }
+    return { paymentId: data.paymentID, redirectUrl: data.bkashURL, raw: data };
+  },
+
+  executePayment: async ({ paymentId }) => {
+    const data = await authorizedRequest("/tokenized/checkout/execute", { paymentID: paymentId });
+    return toResult(data);
+  },
+
+  queryPayment: async ({ paymentId }) => {
+    const data = await authorizedRequest("/tokenized/checkout/payment/status", { paymentID: paymentId });
+    return toResult(data);
+  },
+};
+
+export default bkashGateway;
@@ -0,0 +1,23 @@
+// Manual gateway: the student pays from their wallet, then submits the
+// transaction ID and payment slip. An admin verifies it via updateOrderStatus.
+const manualGateway = {
+  name: "manual",
+  label: "Manual payment (send money + upload slip)",
+  requiresManualDetails: true,
+
+  isEnabled: () => true,
+
+  createPayment: async () => {
+    throw new Error("The manual gateway does not create online payments");
+  },
+
+  executePayment: async () => {
+    throw new Error("Manual payments are verified by an administrator");
+  },
+
+  queryPayment: async () => {
+    throw new Error("Manual payments are verified by an administrator");
+  },
+};
+
+export default manualGateway;
@@ -0,0 +1,58 @@
+import crypto from "crypto";
+
+// Offline stand-in for a wallet gateway. It follows the same create -> execute -> query
+// flow as bKash, but keeps payments in memory and serves its own checkout page
+// (GET /api/payments/mock/checkout/:paymentId) so the flow can be exercised locally.
+const payments = new Map();
+
+const apiBaseUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 8900}`;
+
+const mockGateway = {
+  name: "mock",
+  label: "Mock wallet (testing only)",
+  paymentMethod: "bkash",
+  requiresManualDetails: false,
+
+  // Opt-in only: its "Pay" button marks orders paid without taking any money
+  isEnabled: () => process.env.NODE_ENV === "development" || process.env.PAYMENT_ENABLE_MOCK === "true",
+
+  createPayment: async ({ amount, invoiceNumber, callbackUrl }) => {
+    const paymentId = `MOCK${crypto.randomBytes(8).toString("hex").toUpperCase()}`;
+    payments.set(paymentId, { paymentId, amount, invoiceNumber, callbackUrl, status: "created" });
+    return {
+      paymentId,
+      redirectUrl: `${apiBaseUrl()}/api/payments/mock/checkout/${paymentId}`,
+      raw: { paymentID: paymentId, transactionStatus: "Initiated" },
+    };
+  },
+
+  executePayment: async ({ paymentId }) => {
+    const payment = payments.get(paymentId);
+    if (!payment) {
+      return { status: "failed", raw: { errorMessage: "Unknown payment" } };
+    }
+    if (payment.status === "created") {
+      payment.status = "completed";
+      payment.transactionId = `MTX${crypto.randomBytes(5).toString("hex").toUpperCase()}`;
+    }
+    return mockGateway.queryPayment({ paymentId });
+  },
+
+  queryPayment: async ({ paymentId }) => {
+    const payment = payments.get(paymentId);
+    if (!payment) {
+      return { status: "failed", raw: { errorMessage: "Unknown payment" } };
+    }
+    return {
+      status: payment.status === "created" ? "pending" : payment.status,
+      transactionId: payment.transactionId,
+      amount: payment.amount,
+      raw: { ...payment },
+    };
+  },
+
+  // Used by the mock checkout page only
+  getPayment: (paymentId) => payments.get(paymentId),
+};
+
+export default mockGateway;
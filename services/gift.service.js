@@ -0,0 +1,70 @@
+import crypto from "crypto";
+import Gift from "../models/gift.model.js";
+import { sendGiftEmail } from "./email.service.js";
+
+// No 0/O/1/I so codes survive being read out or typed by hand
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/**
+ * Generate a gift code like GIFT-ABCD-EFGH-JKLM
+ * @returns {string}
+ */
+export const generateGiftCode = () => {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+  return `GIFT-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+/**
+ * Email a gift to its recipient and record the send
+ * @param {Object} gift - Gift document
+ * @returns {Promise<Object>} The saved gift
+ */
+export const sendGift = async (gift) => {
+  await gift.populate([
+    { path: "purchaser", select: "name" },
+    { path: "course", select: "title slug" },
+  ]);
+  await sendGiftEmail({
+    email: gift.recipientEmail,
+    recipientName: gift.recipientName,
+    senderName: gift.purchaser?.name || "Someone",
+    courseTitle: gift.course?.title || "a course",
+    courseSlug: gift.course?.slug,
+    message: gift.message,
+    code: gift.code,
+  });
+  gift.sentAt = new Date();
+  gift.sendCount = (gift.sendCount || 0) + 1;
+  return gift.save();
+};
+
+/**
+ * Release a gift once its order is paid: the recipient gets the code by email
+ * @param {Object} order - Paid Order with purpose "gift"
+ * @returns {Promise<Object|null>} The gift
+ */
+export const deliverGiftOrder = async (order) => {
+  const gift = await Gift.findOneAndUpdate(
+    { order: order._id, status: "awaiting_payment" },
+    { $set: { status: "sent" } },
+    { new: true }
+  );
+  if (!gift) return Gift.findOne({ order: order._id });
+
+  // The buyer can resend from their gift list if this fails
+  try {
+    await sendGift(gift);
+  } catch (emailError) {
+    console.error("Error sending gift email:", emailError);
+  }
+  return gift;
+};
+
+/**
+ * Revoke the gift of a refunded order
+ * @param {Object} order - Refunded Order with purpose "gift"
+ * @returns {Promise<Object|null>} The gift as it was before (check redeemedBy to remove the recipient's access)
+ */
+export const revokeGiftOrder = (order) =>
+  Gift.findOneAndUpdate({ order: order._id }, { $set: { status: "revoked" } });
@@ -0,0 +1,366 @@
+import mongoose from "mongoose";
+import { PDFDocument, rgb, StandardFonts } from "pdf-lib";
+import Course from "../models/course.model.js";
+import User from "../models/user.model.js";
+import LearningPath from "../models/learningPath.model.js";
+import InstructorEarning from "../models/instructorEarning.model.js";
+import InstructorPayout from "../models/instructorPayout.model.js";
+import { allocateAmount } from "./bundle.service.js";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Price a course sells for on its own
+const standalonePrice = (course) => (course.discountPrice > 0 ? course.discountPrice : course.price || 0);
+
+/**
+ * Platform default share for instructors without their own rate
+ * @returns {number} Percentage
+ */
+export const getDefaultRevenueShare = () => {
+  const percent = Number(process.env.INSTRUCTOR_REVENUE_SHARE_PERCENT ?? 70);
+  return Number.isFinite(percent) ? Math.min(Math.max(percent, 0), 100) : 70;
+};
+
+/**
+ * Instructor's share of a course's sales: the course's own rate, else the instructor's, else the platform default
+ * @param {Object} course - Course with revenueSharePercent
+ * @param {Object} [instructor] - Instructor with revenueSharePercent
+ * @returns {number} Percentage
+ */
+export const resolveRevenueShare = (course, instructor) => {
+  if (typeof course?.revenueSharePercent === "number") return course.revenueSharePercent;
+  if (typeof instructor?.revenueSharePercent === "number") return instructor.revenueSharePercent;
+  return getDefaultRevenueShare();
+};
+
+/**
+ * What each course of an order sold for (before refunds)
+ * @param {Object} order - Order or DigitalOrder document
+ * @param {string} orderModel - "Order" or "DigitalOrder"
+ * @returns {Promise<Array>} [{ course, gross }]
+ */
+const getOrderCourseLines = async (order, orderModel) => {
+  if (orderModel === "Order") {
+    // Memberships aren't tied to one course, so they don't earn instructors anything here
+    if (order.purpose === "subscription" || !order.course) return [];
+    return [{ course: order.course._id || order.course, gross: order.amount || 0 }];
+  }
+
+  const lines = [];
+  for (const item of order.items) {
+    const itemRevenue = item.revenue ?? item.price ?? 0;
+    if (item.itemType === "course") {
+      lines.push({ course: item.course?._id || item.course, gross: itemRevenue });
+    } else if (item.itemType === "path") {
+      // A path's revenue is split over its courses in proportion to their own prices
+      const learningPath = await LearningPath.findById(item.learningPath?._id || item.learningPath)
+        .populate("courses", "price discountPrice")
+        .lean();
+      const courses = (learningPath?.courses || []).filter(Boolean);
+      allocateAmount(itemRevenue, courses.map(standalonePrice)).forEach((share, index) => {
+        lines.push({ course: courses[index]._id, gross: share });
+      });
+    }
+  }
+  return lines;
+};
+
+// --- Helper: add the entry that brings one course of an order to its target gross amount ---
+const syncCourseLine = async (order, orderModel, line, factor, note) => {
+  const entries = await InstructorEarning.find({ orderModel, order: order._id, course: line.course }).sort({ sequence: 1 }).lean();
+  const currentGross = round2(entries.reduce((sum, entry) => sum + entry.grossAmount, 0));
+  const currentAmount = round2(entries.reduce((sum, entry) => sum + entry.amount, 0));
+  const targetGross = round2(line.gross * factor);
+  if (targetGross === currentGross) return null;
+
+  // Later adjustments keep the rate the sale was made at
+  let instructor = entries[0]?.instructor;
+  let sharePercent = entries[0]?.sharePercent;
+  if (!instructor) {
+    const course = await Course.findById(line.course).select("instructor revenueSharePercent").lean();
+    if (!course?.instructor) return null;
+    const instructorUser = await User.findById(course.instructor).select("revenueSharePercent").lean();
+    instructor = course.instructor;
+    sharePercent = resolveRevenueShare(course, instructorUser);
+  }
+
+  const deltaGross = round2(targetGross - currentGross);
+  return InstructorEarning.create({
+    instructor,
+    course: line.course,
+    orderModel,
+    order: order._id,
+    sequence: entries.length,
+    type: deltaGross > 0 ? "sale" : "refund",
+    grossAmount: deltaGross,
+    sharePercent,
+    amount: round2(round2(targetGross * sharePercent / 100) - currentAmount),
+    note,
+  });
+};
+
+/**
+ * Bring an order's instructor ledger entries in line with its payment status:
+ * a paid order earns each course's instructor their share, a partial refund takes back
+ * the refunded part and a refunded or failed order takes back everything.
+ * Only the difference is written, so calling it again changes nothing.
+ * @param {Object} order - Order or DigitalOrder document (after its status change)
+ * @param {string} orderModel - "Order" or "DigitalOrder"
+ * @param {string} [note] - Why the entries were added
+ * @returns {Promise<Array>} The new ledger entries
+ */
+export const syncInstructorEarnings = async (order, orderModel, note = "") => {
+  const amount = order.amount || 0;
+  let factor = 0;
+  if (order.paymentStatus === "paid") factor = 1;
+  if (order.paymentStatus === "partially_refunded" && amount > 0) {
+    factor = Math.max(0, amount - (order.refundedAmount || 0)) / amount;
+  }
+
+  const lines = await getOrderCourseLines(order, orderModel);
+  const created = [];
+  for (const line of lines) {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      try {
+        const entry = await syncCourseLine(order, orderModel, line, factor, note);
+        if (entry) created.push(entry);
+        break;
+      } catch (error) {
+        // Another request wrote this sequence number first: start over from its entry
+        if (error.code !== 11000 || attempt === 4) throw error;
+      }
+    }
+  }
+  return created;
+};
+
+/**
+ * Sums of an instructor's ledger and payouts, optionally before a date
+ * @param {string} instructorId - Instructor ID
+ * @param {Date} [before] - Only count entries and payouts before this date
+ * @returns {Promise<Object>} { earned, paidOut, balance }
+ */
+export const getBalance = async (instructorId, before) => {
+  const instructor = new mongoose.Types.ObjectId(String(instructorId));
+  const [earned] = await InstructorEarning.aggregate([
+    { $match: { instructor, ...(before ? { createdAt: { $lt: before } } : {}) } },
+    { $group: { _id: null, amount: { $sum: "$amount" } } },
+  ]);
+  const [paid] = await InstructorPayout.aggregate([
+    { $match: { instructor, ...(before ? { paidAt: { $lt: before } } : {}) } },
+    { $group: { _id: null, amount: { $sum: "$amount" } } },
+  ]);
+  const earnedAmount = round2(earned?.amount || 0);
+  const paidAmount = round2(paid?.amount || 0);
+  return { earned: earnedAmount, paidOut: paidAmount, balance: round2(earnedAmount - paidAmount) };
+};
+
+/**
+ * Lifetime earnings overview for an instructor
+ * @param {string} instructorId - Instructor ID
+ * @returns {Promise<Object>} { earned, paidOut, balance, defaultSharePercent, courses, recentEntries, payouts }
+ */
+export const getEarningsSummary = async (instructorId) => {
+  const instructor = new mongoose.Types.ObjectId(String(instructorId));
+  const [balance, courses, recentEntries, payouts, instructorUser] = await Promise.all([
+    getBalance(instructorId),
+    InstructorEarning.aggregate([
+      { $match: { instructor } },
+      {
+        $group: {
+          _id: "$course",
+          sales: { $sum: { $cond: [{ $eq: ["$type", "sale"] }, 1, 0] } },
+          grossAmount: { $sum: "$grossAmount" },
+          earned: { $sum: "$amount" },
+        },
+      },
+      { $lookup: { from: "courses", localField: "_id", foreignField: "_id", as: "course" } },
+      { $unwind: { path: "$course", preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          course: { _id: "$_id", title: "$course.title", slug: "$course.slug", revenueSharePercent: "$course.revenueSharePercent" },
+          sales: 1,
+          grossAmount: { $round: ["$grossAmount", 2] },
+          earned: { $round: ["$earned", 2] },
+        },
+      },
+      { $sort: { earned: -1 } },
+    ]),
+    InstructorEarning.find({ instructor }).populate("course", "title slug").sort({ createdAt: -1 }).limit(20).lean(),
+    InstructorPayout.find({ instructor }).sort({ paidAt: -1 }).limit(20).lean(),
+    User.findById(instructor).select("revenueSharePercent").lean(),
+  ]);
+
+  return {
+    ...balance,
+    defaultSharePercent: resolveRevenueShare(null, instructorUser),
+    courses,
+    recentEntries,
+    payouts,
+  };
+};
+
+/**
+ * Monthly statement: opening balance, the month's ledger entries and payouts, closing balance
+ * @param {string} instructorId - Instructor ID
+ * @param {number} year - e.g. 2025
+ * @param {number} month - 1-12
+ * @returns {Promise<Object>} The statement
+ */
+export const getMonthlyStatement = async (instructorId, year, month) => {
+  const start = new Date(Date.UTC(year, month - 1, 1));
+  const end = new Date(Date.UTC(year, month, 1));
+
+  const [instructor, opening, entries, payouts] = await Promise.all([
+    User.findById(instructorId).select("name email phone").lean(),
+    getBalance(instructorId, start),
+    InstructorEarning.find({ instructor: instructorId, createdAt: { $gte: start, $lt: end } })
+      .populate("course", "title")
+      .sort({ createdAt: 1 })
+      .lean(),
+    InstructorPayout.find({ instructor: instructorId, paidAt: { $gte: start, $lt: end } }).sort({ paidAt: 1 }).lean(),
+  ]);
+
+  const sales = round2(entries.filter((entry) => entry.type === "sale").reduce((sum, entry) => sum + entry.amount, 0));
+  const refunds = round2(entries.filter((entry) => entry.type === "refund").reduce((sum, entry) => sum + entry.amount, 0));
+  const paidOut = round2(payouts.reduce((sum, payout) => sum + payout.amount, 0));
+
+  return {
+    instructor,
+    period: { year, month, start, end },
+    openingBalance: opening.balance,
+    entries: entries.map((entry) => ({
+      date: entry.createdAt,
+      type: entry.type,
+      course: entry.course,
+      orderModel: entry.orderModel,
+      order: entry.order,
+      grossAmount: entry.grossAmount,
+      sharePercent: entry.sharePercent,
+      amount: entry.amount,
+      note: entry.note,
+    })),
+    payouts,
+    totals: { sales, refunds, earned: round2(sales + refunds), paidOut },
+    closingBalance: round2(opening.balance + sales + refunds - paidOut),
+  };
+};
+
+// The standard PDF fonts only cover Latin-1, so anything else (e.g. Bangla titles) is replaced
+const toPdfText = (value) => String(value ?? "").replace(/[^\x20-\x7E\xA0-\xFF]/g, "?");
+
+const formatMoney = (value) => `${value < 0 ? "- " : ""}BDT ${Math.abs(Number(value || 0)).toLocaleString("en-US")}`;
+
+/**
+ * Draw a monthly statement as a PDF
+ * @param {Object} statement - Result of getMonthlyStatement
+ * @returns {Promise<Object>} { buffer, filename }
+ */
+export const generateStatementPdf = async (statement) => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const normalFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const grey = rgb(0.4, 0.4, 0.4);
+  const brand = rgb(0.1, 0.2, 0.8);
+  const { year, month } = statement.period;
+  const periodLabel = new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString("en-GB", { month: "long", year: "numeric", timeZone: "UTC" });
+
+  let page = pdfDoc.addPage([595, 842]); // A4
+  const { width, height } = page.getSize();
+  let y = height - 70;
+
+  const drawRight = (text, x, lineY, options) => {
+    const textWidth = options.font.widthOfTextAtSize(text, options.size);
+    page.drawText(text, { ...options, x: x - textWidth, y: lineY });
+  };
+  // Long statements continue on a new page
+  const ensureSpace = (needed) => {
+    if (y - needed > 80) return;
+    page = pdfDoc.addPage([595, 842]);
+    y = height - 60;
+  };
+
+  // --- Header ---
+  page.drawText("SariyahTech", { x: 50, y, font, size: 24, color: brand });
+  drawRight("EARNINGS STATEMENT", width - 50, y, { font, size: 16 });
+  y -= 20;
+  page.drawText("www.sariyahtech.com  |  info@sariyahtech.com", { x: 50, y, font: normalFont, size: 10, color: grey });
+  drawRight(toPdfText(periodLabel), width - 50, y, { font: normalFont, size: 11 });
+  y -= 40;
+
+  page.drawText("Instructor", { x: 50, y, font, size: 12 });
+  y -= 18;
+  for (const line of [statement.instructor?.name, statement.instructor?.email, statement.instructor?.phone].filter(Boolean)) {
+    page.drawText(toPdfText(line), { x: 50, y, font: normalFont, size: 10 });
+    y -= 15;
+  }
+  y -= 10;
+  page.drawText("Opening balance", { x: 50, y, font: normalFont, size: 10 });
+  drawRight(formatMoney(statement.openingBalance), width - 60, y, { font: normalFont, size: 10 });
+  y -= 30;
+
+  // --- Ledger entries ---
+  const drawTableHeader = (title, columns) => {
+    ensureSpace(60);
+    page.drawText(title, { x: 50, y, font, size: 12 });
+    y -= 22;
+    page.drawRectangle({ x: 50, y: y - 6, width: width - 100, height: 22, color: rgb(0.93, 0.94, 0.97) });
+    columns.forEach(([label, x, right]) => (right
+      ? drawRight(label, x, y, { font, size: 10 })
+      : page.drawText(label, { x, y, font, size: 10 })));
+    y -= 26;
+  };
+
+  drawTableHeader("Sales and refunds", [["Date", 60], ["Course", 125], ["Sale", 400, true], ["Share", 450, true], ["Earning", width - 60, true]]);
+  if (statement.entries.length === 0) {
+    page.drawText("No sales this month.", { x: 60, y, font: normalFont, size: 10, color: grey });
+    y -= 20;
+  }
+  for (const entry of statement.entries) {
+    ensureSpace(20);
+    const title = `${entry.type === "refund" ? "Refund: " : ""}${entry.course?.title || "Course"}`;
+    page.drawText(new Date(entry.date).toLocaleDateString("en-GB"), { x: 60, y, font: normalFont, size: 9 });
+    page.drawText(toPdfText(title).slice(0, 48), { x: 125, y, font: normalFont, size: 9 });
+    drawRight(formatMoney(entry.grossAmount), 400, y, { font: normalFont, size: 9 });
+    drawRight(`${entry.sharePercent}%`, 450, y, { font: normalFont, size: 9 });
+    drawRight(formatMoney(entry.amount), width - 60, y, { font: normalFont, size: 9 });
+    y -= 18;
+  }
+  y -= 16;
+
+  // --- Payouts ---
+  if (statement.payouts.length > 0) {
+    drawTableHeader("Payouts", [["Date", 60], ["Reference", 125], ["Amount", width - 60, true]]);
+    for (const payout of statement.payouts) {
+      ensureSpace(20);
+      page.drawText(new Date(payout.paidAt).toLocaleDateString("en-GB"), { x: 60, y, font: normalFont, size: 9 });
+      page.drawText(toPdfText([payout.method, payout.reference].filter(Boolean).join(" ") || "-").slice(0, 60), { x: 125, y, font: normalFont, size: 9 });
+      drawRight(formatMoney(payout.amount), width - 60, y, { font: normalFont, size: 9 });
+      y -= 18;
+    }
+    y -= 16;
+  }
+
+  // --- Totals ---
+  ensureSpace(100);
+  page.drawLine({ start: { x: 50, y: y + 8 }, end: { x: width - 50, y: y + 8 }, thickness: 0.5, color: grey });
+  y -= 10;
+  const totals = [
+    ["Sales", formatMoney(statement.totals.sales)],
+    ["Refunds", formatMoney(statement.totals.refunds)],
+    ["Paid out", formatMoney(-statement.totals.paidOut)],
+    ["Closing balance", formatMoney(statement.closingBalance)],
+  ];
+  for (const [label, value] of totals) {
+    const isTotal = label === "Closing balance";
+    page.drawText(label, { x: 330, y, font: isTotal ? font : normalFont, size: isTotal ? 12 : 10 });
+    drawRight(value, width - 60, y, { font: isTotal ? font : normalFont, size: isTotal ? 12 : 10 });
+    y -= isTotal ? 22 : 16;
+  }
+
+  page.drawText("This is a computer-generated statement and does not require a signature.", { x: 50, y: 55, font: normalFont, size: 8, color: grey });
+
+  const buffer = Buffer.from(await pdfDoc.save());
+  return { buffer, filename: `statement-${year}-${String(month).padStart(2, "0")}.pdf` };
+};
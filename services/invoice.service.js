@@ -0,0 +1,256 @@
+import { PDFDocument, rgb, StandardFonts } from "pdf-lib";
+import Counter from "../models/counter.model.js";
+import Order from "../models/order.model.js";
+import DigitalOrder from "../models/digitalOrder.model.js";
+
+// Statuses for which an invoice can be issued (a refunded order keeps its invoice)
+export const INVOICEABLE_STATUSES = ["paid", "refunded", "partially_refunded"];
+
+// The standard PDF fonts only cover Latin-1, so anything else (e.g. Bangla titles) is replaced
+const toPdfText = (value) => String(value ?? "").replace(/[^\x20-\x7E\xA0-\xFF]/g, "?");
+
+const formatMoney = (value) => `BDT ${Number(value || 0).toLocaleString("en-US")}`;
+
+/**
+ * Get the next invoice number from the shared counter (Order and DigitalOrder share one sequence)
+ * @returns {Promise<string>} e.g. INV-2025-000042
+ */
+const getNextInvoiceNumber = async () => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: "invoice" },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `INV-${new Date().getFullYear()}-${String(counter.seq).padStart(6, "0")}`;
+};
+
+const INVOICE_CLAIM_TIMEOUT_MS = 30 * 1000;
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Make sure a paid order has an invoice number, assigning the next one if needed.
+ * The order is claimed (invoicedAt) before a number is taken, so a request that
+ * loses the race never uses up a number and the series has no gaps.
+ * @param {Object} Model - Order or DigitalOrder model
+ * @param {Object} order - Order document
+ * @returns {Promise<string>} The order's invoice number
+ */
+const ensureInvoiceNumber = async (Model, order) => {
+  if (order.invoiceNumber) return order.invoiceNumber;
+
+  for (let attempt = 0; attempt < 20; attempt += 1) {
+    const now = new Date();
+    // A claim that never got its number (e.g. the process died) is taken over after a while
+    const claimed = await Model.findOneAndUpdate(
+      {
+        _id: order._id,
+        invoiceNumber: null,
+        $or: [{ invoicedAt: null }, { invoicedAt: { $lt: new Date(now.getTime() - INVOICE_CLAIM_TIMEOUT_MS) } }],
+      },
+      { $set: { invoicedAt: now } },
+      { new: true }
+    );
+    if (claimed) {
+      const invoiceNumber = await getNextInvoiceNumber();
+      const result = await Model.updateOne({ _id: order._id, invoicedAt: now, invoiceNumber: null }, { $set: { invoiceNumber } });
+      if (result.modifiedCount > 0) {
+        order.invoicedAt = now;
+        return invoiceNumber;
+      }
+      continue;
+    }
+
+    // Another request is numbering this order: use its number once it is written
+    const current = await Model.findById(order._id).select("invoiceNumber");
+    if (!current) throw new Error("Order not found");
+    if (current.invoiceNumber) return current.invoiceNumber;
+    await wait(100);
+  }
+  throw new Error("The invoice is still being generated. Please try again.");
+};
+
+/**
+ * Draw the invoice PDF
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const buildInvoicePdf = async ({ invoiceNumber, issuedAt, orderId, buyer, items, subtotal, discount, couponCode, total, refundedAmount, paymentMethod, transactionId, status }) => {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([595, 842]); // A4
+  const { width, height } = page.getSize();
+  const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const normalFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const grey = rgb(0.4, 0.4, 0.4);
+  const brand = rgb(0.1, 0.2, 0.8);
+
+  const drawRight = (text, x, y, options) => {
+    const textWidth = options.font.widthOfTextAtSize(text, options.size);
+    page.drawText(text, { ...options, x: x - textWidth, y });
+  };
+
+  // --- Header ---
+  page.drawText("SariyahTech", { x: 50, y: height - 70, font, size: 24, color: brand });
+  page.drawText("www.sariyahtech.com  |  info@sariyahtech.com", { x: 50, y: height - 90, font: normalFont, size: 10, color: grey });
+  drawRight("INVOICE", width - 50, height - 70, { font, size: 24 });
+  drawRight(toPdfText(invoiceNumber), width - 50, height - 90, { font: normalFont, size: 11 });
+
+  // --- Invoice meta ---
+  let y = height - 140;
+  const meta = [
+    ["Invoice date", new Date(issuedAt || Date.now()).toLocaleDateString("en-GB")],
+    ["Order ID", orderId],
+    ["Payment method", paymentMethod],
+    ["Transaction ID", transactionId],
+    ["Status", status],
+  ];
+  for (const [label, value] of meta) {
+    page.drawText(`${label}:`, { x: 330, y, font, size: 10 });
+    page.drawText(toPdfText(value || "-"), { x: 430, y, font: normalFont, size: 10 });
+    y -= 16;
+  }
+
+  // --- Bill to ---
+  let billY = height - 140;
+  page.drawText("Bill To", { x: 50, y: billY, font, size: 12 });
+  billY -= 18;
+  for (const line of [buyer.name, buyer.email, buyer.phone].filter(Boolean)) {
+    page.drawText(toPdfText(line), { x: 50, y: billY, font: normalFont, size: 10 });
+    billY -= 15;
+  }
+
+  // --- Line items ---
+  y = Math.min(y, billY) - 30;
+  page.drawRectangle({ x: 50, y: y - 6, width: width - 100, height: 22, color: rgb(0.93, 0.94, 0.97) });
+  page.drawText("Description", { x: 60, y, font, size: 11 });
+  drawRight("Qty x Unit", 430, y, { font, size: 11 });
+  drawRight("Amount", width - 60, y, { font, size: 11 });
+  y -= 28;
+
+  for (const item of items) {
+    const quantity = item.quantity || 1;
+    const title = toPdfText(item.title).slice(0, 55);
+    page.drawText(title, { x: 60, y, font: normalFont, size: 10 });
+    drawRight(`${quantity} x ${formatMoney(item.price)}`, 430, y, { font: normalFont, size: 10 });
+    drawRight(formatMoney(item.price * quantity), width - 60, y, { font: normalFont, size: 10 });
+    y -= 20;
+  }
+
+  page.drawLine({ start: { x: 50, y: y + 8 }, end: { x: width - 50, y: y + 8 }, thickness: 0.5, color: grey });
+  y -= 10;
+
+  // --- Totals ---
+  const totals = [["Subtotal", formatMoney(subtotal)]];
+  if (discount > 0) {
+    totals.push([couponCode ? `Discount (${toPdfText(couponCode)})` : "Discount", `- ${formatMoney(discount)}`]);
+  }
+  totals.push(["Total paid", formatMoney(total)]);
+  if (refundedAmount > 0) {
+    totals.push(["Refunded", `- ${formatMoney(refundedAmount)}`]);
+  }
+  for (const [label, value] of totals) {
+    const isTotal = label === "Total paid";
+    page.drawText(label, { x: 330, y, font: isTotal ? font : normalFont, size: isTotal ? 12 : 10 });
+    drawRight(value, width - 60, y, { font: isTotal ? font : normalFont, size: isTotal ? 12 : 10 });
+    y -= isTotal ? 22 : 16;
+  }
+
+  // --- Footer ---
+  page.drawText("Thank you for learning with SariyahTech.", { x: 50, y: 70, font: normalFont, size: 10, color: grey });
+  page.drawText("This is a computer-generated invoice and does not require a signature.", { x: 50, y: 55, font: normalFont, size: 8, color: grey });
+
+  const pdfBytes = await pdfDoc.save();
+  return Buffer.from(pdfBytes);
+};
+
+/**
+ * Generate the invoice PDF for a course Order
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} { buffer, invoiceNumber, filename }
+ */
+export const generateOrderInvoice = async (orderId) => {
+  const order = await Order.findById(orderId)
+    .populate("user", "name email phone")
+    .populate("course", "title");
+  if (!order) throw new Error("Order not found");
+  if (!INVOICEABLE_STATUSES.includes(order.paymentStatus)) throw new Error("Invoices are only available for paid orders");
+
+  const invoiceNumber = await ensureInvoiceNumber(Order, order);
+  const discount = order.discountAmount || 0;
+
+  const buffer = await buildInvoicePdf({
+    invoiceNumber,
+    issuedAt: order.invoicedAt || new Date(),
+    orderId: order._id.toString(),
+    buyer: { name: order.user?.name, email: order.user?.email, phone: order.user?.phone },
+    items: [{
+      title: order.purpose === "subscription"
+        ? `Membership (${order.plan})`
+        : `${order.course?.title || "Course"}${order.purpose === "seats" ? ` (${order.seatCount} seats)` : order.purpose === "gift" ? " (gift)" : ""}`,
+      price: order.amount + discount,
+    }],
+    subtotal: order.amount + discount,
+    discount,
+    couponCode: order.couponCode,
+    total: order.amount,
+    refundedAmount: order.refundedAmount || 0,
+    paymentMethod: order.paymentMethod,
+    transactionId: order.paymentMethod === "free" ? "" : order.transactionId,
+    status: order.paymentStatus,
+  });
+
+  return { buffer, invoiceNumber, filename: `${invoiceNumber}.pdf` };
+};
+
+/**
+ * Generate the invoice PDF for a DigitalOrder
+ * @param {string} orderId - DigitalOrder ID
+ * @returns {Promise<Object>} { buffer, invoiceNumber, filename }
+ */
+export const generateDigitalOrderInvoice = async (orderId) => {
+  const order = await DigitalOrder.findById(orderId).populate("user", "name email phone");
+  if (!order) throw new Error("Order not found");
+  if (!INVOICEABLE_STATUSES.includes(order.paymentStatus)) throw new Error("Invoices are only available for paid orders");
+
+  const invoiceNumber = await ensureInvoiceNumber(DigitalOrder, order);
+  const discount = order.discountAmount || 0;
+
+  const buffer = await buildInvoicePdf({
+    invoiceNumber,
+    issuedAt: order.invoicedAt || new Date(),
+    orderId: order._id.toString(),
+    buyer: {
+      name: order.buyerInfo?.name || order.user?.name,
+      email: order.buyerInfo?.email || order.user?.email,
+      phone: order.buyerInfo?.phone || order.user?.phone,
+    },
+    items: order.items.map((item) => ({ title: item.titleSnapshot, price: item.price, quantity: item.quantity || 1 })),
+    subtotal: order.amount + discount,
+    discount,
+    couponCode: order.couponCode,
+    total: order.amount,
+    refundedAmount: 0,
+    paymentMethod: order.paymentMethod,
+    transactionId: order.paymentMethod === "free" ? "" : order.transactionId,
+    status: order.paymentStatus,
+  });
+
+  return { buffer, invoiceNumber, filename: `${invoiceNumber}.pdf` };
+};
+
+/**
+ * Build nodemailer attachments for a purchase confirmation email.
+ * Invoice problems are logged and never block the email itself.
+ * @param {string} type - "order" or "digitalOrder"
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Array>} Attachments array (empty on failure)
+ */
+export const getInvoiceAttachments = async (type, orderId) => {
+  try {
+    const { buffer, filename } = type === "digitalOrder"
+      ? await generateDigitalOrderInvoice(orderId)
+      : await generateOrderInvoice(orderId);
+    return [{ filename, content: buffer, contentType: "application/pdf" }];
+  } catch (error) {
+    console.error("Error generating invoice attachment:", error.message);
+    return [];
+  }
+};
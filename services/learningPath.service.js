@@ -0,0 +1,68 @@
+import LearningPath from "../models/learningPath.model.js";
+import Enrollment from "../models/enrollment.model.js";
+import { generateAndUploadPathCertificate } from "./certificate.service.js";
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Aggregate a student's progress over the courses of a learning path
+ * @param {string} studentId - Student ID
+ * @param {Object} learningPath - Learning path (courses may be IDs or populated)
+ * @returns {Promise<Object>} { progress, completedCourses, totalCourses, completed, courses: [{ course, enrolled, progress, completed }] }
+ */
+export const getPathProgress = async (studentId, learningPath) => {
+  const courseIds = (learningPath.courses || []).map(idOf);
+  const enrollments = await Enrollment.find({ student: studentId, course: { $in: courseIds } })
+    .select("course progress completed")
+    .lean();
+
+  const courses = (learningPath.courses || []).map((course) => {
+    const enrollment = enrollments.find((entry) => entry.course.toString() === idOf(course).toString());
+    return {
+      course,
+      enrolled: Boolean(enrollment),
+      progress: enrollment?.progress || 0,
+      completed: Boolean(enrollment?.completed),
+    };
+  });
+
+  const completedCourses = courses.filter((entry) => entry.completed).length;
+  // Every course weighs the same in the path's overall percentage
+  const progress = courses.length > 0
+    ? Math.round(courses.reduce((acc, entry) => acc + entry.progress, 0) / courses.length)
+    : 0;
+
+  return {
+    progress,
+    completedCourses,
+    totalCourses: courses.length,
+    completed: courses.length > 0 && completedCourses === courses.length,
+    courses,
+  };
+};
+
+/**
+ * After a student completes a course, issue the certificate of every path it finishes.
+ * The certificate is for completing the courses, so buying the path itself isn't
+ * required: courses bought one by one or taken through a membership count too.
+ * It is revoked again when access to one of the courses is (see revokeCourseAccess).
+ * @param {string} studentId - Student ID
+ * @param {string} courseId - The course just completed
+ */
+export const awardPathCertificates = async (studentId, courseId) => {
+  try {
+    const paths = await LearningPath.find({ courses: courseId }).select("courses").lean();
+    for (const path of paths) {
+      const completedCount = await Enrollment.countDocuments({
+        student: studentId,
+        course: { $in: path.courses },
+        completed: true,
+      });
+      if (path.courses.length > 0 && completedCount === path.courses.length) {
+        await generateAndUploadPathCertificate(studentId, path._id);
+      }
+    }
+  } catch (error) {
+    console.error("Error awarding learning path certificates:", error);
+  }
+};
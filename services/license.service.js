@@ -0,0 +1,155 @@
+import crypto from "crypto";
+import LicenseKey from "../models/licenseKey.model.js";
+import Product from "../models/product.model.js";
+
+// No 0/O or 1/I so keys can be read back over the phone
+const KEY_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+export const DEFAULT_KEY_FORMAT = "XXXX-XXXX-XXXX-XXXX";
+
+/**
+ * Generate a key from a format where every uppercase "X" is replaced by a random character.
+ * Everything else is kept as typed (a lowercase "x" stays a literal x).
+ * @param {string} format - e.g. "TPL-XXXX-XXXX"
+ * @returns {string}
+ */
+export const generateKeyFromFormat = (format = DEFAULT_KEY_FORMAT) => {
+  const bytes = crypto.randomBytes(format.length);
+  return format.replace(/X/g, (_, index) => KEY_ALPHABET[bytes[index] % KEY_ALPHABET.length]);
+};
+
+/**
+ * Assign one more license key to an order's product
+ * @returns {Promise<string|null>} The key, or null if the product's pool is empty
+ */
+const assignNextKey = async (order, product) => {
+  const userId = order.user?._id || order.user;
+  const assignment = { status: "assigned", order: order._id, user: userId, assignedAt: new Date() };
+
+  if (product.licensing.mode === "pool") {
+    const key = await LicenseKey.findOneAndUpdate(
+      { product: product._id, status: "available" },
+      { $set: assignment },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!key) {
+      console.error(`License pool for product ${product._id} is empty; order ${order._id} has no key yet`);
+      return null;
+    }
+    return key.key;
+  }
+
+  // Generated keys: retry on the (very unlikely) chance of a duplicate
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      const key = await LicenseKey.create({
+        ...assignment,
+        product: product._id,
+        key: generateKeyFromFormat(product.licensing.keyFormat || DEFAULT_KEY_FORMAT),
+        source: "generated",
+        maxActivations: product.licensing.maxActivations || 1,
+      });
+      return key.key;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error("Could not generate a unique license key");
+};
+
+/**
+ * Get the license keys of one order item, assigning the missing ones: one key per unit bought
+ * @returns {Promise<Array>} The keys (fewer than quantity if the product's pool ran out)
+ */
+const assignKeysForItem = async (order, product, quantity) => {
+  const existing = await LicenseKey.find({ order: order._id, product: product._id, status: "assigned" })
+    .sort({ assignedAt: 1, _id: 1 })
+    .select("key")
+    .lean();
+  const keys = existing.map((license) => license.key);
+  while (keys.length < quantity) {
+    const key = await assignNextKey(order, product);
+    if (!key) break;
+    keys.push(key);
+  }
+  return keys;
+};
+
+/**
+ * Assign license keys to the licensed product items of a paid DigitalOrder, one per unit.
+ * Keys already assigned are kept. Sets item.licenseKeys (and item.licenseKey, the first one);
+ * the caller saves the order.
+ * @param {Object} order - DigitalOrder document
+ * @returns {Promise<number>} Number of items still waiting for keys (empty pool)
+ */
+export const assignLicenseKeys = async (order) => {
+  const productItems = order.items.filter((item) => item.itemType === "product");
+  const products = await Product.find({
+    _id: { $in: productItems.map((item) => item.product?._id || item.product) },
+    "licensing.mode": { $in: ["pool", "generated"] },
+  }).select("licensing");
+
+  let missing = 0;
+  for (const product of products) {
+    const item = productItems.find((it) => (it.product?._id || it.product).toString() === product._id.toString());
+    const quantity = item.quantity || 1;
+    if ((item.licenseKeys?.length || 0) >= quantity) continue;
+    const keys = await assignKeysForItem(order, product, quantity);
+    item.licenseKeys = keys;
+    item.licenseKey = keys[0];
+    if (keys.length < quantity) missing++;
+  }
+  return missing;
+};
+
+/**
+ * Revoke the keys of an order that is no longer paid
+ * @param {string} orderId - DigitalOrder ID
+ * @returns {Promise<number>} Number of revoked keys
+ */
+export const revokeOrderLicenses = async (orderId) => {
+  const result = await LicenseKey.updateMany({ order: orderId, status: "assigned" }, { $set: { status: "revoked" } });
+  return result.modifiedCount;
+};
+
+/**
+ * Check a key, and optionally activate it for an instance (activating the same instance twice is a no-op)
+ * @param {Object} options - { key, instanceId, activate, ip }
+ * @returns {Promise<Object>} { valid, activated, message, license }
+ */
+export const checkLicense = async ({ key, instanceId, activate = false, ip = "" }) => {
+  // Keys are matched as typed or in capitals (generated and imported keys are mostly uppercase)
+  const typedKey = String(key).trim();
+  const license = await LicenseKey.findOne({ key: { $in: [typedKey, typedKey.toUpperCase()] } }).populate("product", "title");
+  if (!license || license.status === "available") {
+    return { valid: false, message: "License key not found" };
+  }
+  if (license.status === "revoked") {
+    return { valid: false, message: "License key has been revoked" };
+  }
+
+  const isActivated = Boolean(instanceId) && license.activations.some((a) => a.instanceId === instanceId);
+  if (activate && !isActivated) {
+    // Only push while under the limit, so parallel activations cannot exceed it
+    const updated = await LicenseKey.findOneAndUpdate(
+      {
+        _id: license._id,
+        status: "assigned",
+        "activations.instanceId": { $ne: instanceId },
+        $expr: { $lt: [{ $size: "$activations" }, "$maxActivations"] },
+      },
+      { $push: { activations: { instanceId, ip } } },
+      { new: true }
+    ).populate("product", "title");
+    if (!updated) {
+      return { valid: false, message: "Activation limit reached for this license key", license };
+    }
+    return { valid: true, activated: true, message: "License activated", license: updated };
+  }
+
+  return {
+    valid: true,
+    activated: isActivated,
+    message: isActivated || !instanceId ? "License is valid" : "License is valid but not activated on this instance",
+    license,
+  };
+};
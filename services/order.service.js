@@ -0,0 +1,354 @@
+import Enrollment from "../models/enrollment.model.js";
+import Certificate from "../models/certificate.model.js";
+import PathCertificate from "../models/pathCertificate.model.js";
+import crypto from "crypto";
+import Order from "../models/order.model.js";
+import Course from "../models/course.model.js";
+import DigitalOrder from "../models/digitalOrder.model.js";
+import LearningPath from "../models/learningPath.model.js";
+import { sendCoursePurchaseConfirmation, sendProductPurchaseConfirmation } from "./email.service.js";
+import { getInvoiceAttachments } from "./invoice.service.js";
+import { assignLicenseKeys } from "./license.service.js";
+import { resolveGroupLink } from "./batch.service.js";
+import { closeWaitlistEntry, notifyWaitlist } from "./waitlist.service.js";
+import { computeAccessExpiry, extendEnrollmentAccess } from "./access.service.js";
+import { activateSubscriptionOrder, revokeSubscriptionOrder } from "./subscription.service.js";
+import { addSeatsFromOrder, removeSeatsForOrder } from "./organization.service.js";
+import { deliverGiftOrder, revokeGiftOrder } from "./gift.service.js";
+import { accrueCommission } from "./referral.service.js";
+import { syncInstructorEarnings } from "./instructorEarning.service.js";
+
+/**
+ * Enroll a student in a course unless they already are.
+ * A membership enrollment becomes the student's own and keeps its progress.
+ * @param {string} studentId - Student ID
+ * @param {string} courseId - Course ID
+ * @param {string} [batchId] - Batch the student bought a seat in
+ * @returns {Promise<Object>} The student's enrollment
+ */
+export const ensureEnrollment = async (studentId, courseId, batchId) => {
+  const enrollment = await Enrollment.findOne({ student: studentId, course: courseId });
+  if (enrollment && enrollment.source !== "membership") return enrollment;
+  await closeWaitlistEntry(studentId, courseId);
+  const course = await Course.findById(courseId).select("accessDurationDays").lean();
+  if (enrollment) {
+    enrollment.set({ source: "purchase", batch: batchId || undefined, expiresAt: computeAccessExpiry(course) });
+    return enrollment.save();
+  }
+  return Enrollment.create({
+    student: studentId,
+    course: courseId,
+    batch: batchId || undefined,
+    expiresAt: computeAccessExpiry(course),
+  });
+};
+
+/**
+ * Extend a student's time-limited access after a renewal order.
+ * The period added is stored on the order so a refund can take it off again.
+ * @param {Object} order - Paid renewal Order
+ * @returns {Promise<Object>} The student's enrollment
+ */
+const renewEnrollment = async (order) => {
+  const studentId = order.user?._id || order.user;
+  const courseId = order.course?._id || order.course;
+  const enrollment = await Enrollment.findOne({ student: studentId, course: courseId });
+
+  const now = new Date();
+  let from = now;
+  let renewed;
+  if (!enrollment) {
+    renewed = await ensureEnrollment(studentId, courseId);
+  } else {
+    if (enrollment.expiresAt && enrollment.expiresAt > now) from = enrollment.expiresAt;
+    const course = await Course.findById(courseId).select("accessDurationDays").lean();
+    renewed = await extendEnrollmentAccess(enrollment, course);
+  }
+
+  if (renewed.expiresAt && renewed.expiresAt > from) {
+    await Order.updateOne({ _id: order._id }, { $set: { renewedAccess: { from, to: renewed.expiresAt } } });
+  }
+  return renewed;
+};
+
+/**
+ * Take back the access period a refunded renewal added. The rest of the
+ * enrollment (the original purchase and any later renewals) is kept.
+ * @param {Object} order - Refunded renewal Order
+ * @returns {Promise<Object|null>} The updated enrollment
+ */
+export const revokeRenewalAccess = async (order) => {
+  const studentId = order.user?._id || order.user;
+  const courseId = order.course?._id || order.course;
+  const enrollment = await Enrollment.findOne({ student: studentId, course: courseId });
+  if (!enrollment?.expiresAt) return enrollment;
+
+  // Orders renewed before the period was recorded fall back to the course's access duration
+  let periodMs = order.renewedAccess?.to && order.renewedAccess?.from
+    ? order.renewedAccess.to.getTime() - order.renewedAccess.from.getTime()
+    : 0;
+  if (!periodMs) {
+    const course = await Course.findById(courseId).select("accessDurationDays").lean();
+    periodMs = (course?.accessDurationDays || 0) * 24 * 60 * 60 * 1000;
+  }
+  if (!periodMs) return enrollment;
+
+  enrollment.expiresAt = new Date(enrollment.expiresAt.getTime() - periodMs);
+  return enrollment.save();
+};
+
+// --- Helper: credit the course instructors and the referrer of a paid order. This runs after
+// access is granted and only logs a failure; syncing the order again fills in what is missing ---
+const recordOrderEarnings = async (order, orderModel) => {
+  try {
+    await syncInstructorEarnings(order, orderModel, "Order paid");
+    await accrueCommission(order, orderModel);
+  } catch (error) {
+    console.error(`Error recording earnings for ${orderModel} ${order._id}:`, error);
+  }
+};
+
+// --- Helper: what a paid course order grants, by purpose ---
+const grantCourseOrder = async (order) => {
+  if (order.purpose === "subscription") return activateSubscriptionOrder(order);
+  if (order.purpose === "seats") return addSeatsFromOrder(order);
+  if (order.purpose === "gift") return deliverGiftOrder(order);
+
+  const studentId = order.user?._id || order.user;
+  const courseId = order.course?._id || order.course;
+
+  const enrollment = order.purpose === "renewal"
+    ? await renewEnrollment(order)
+    : await ensureEnrollment(studentId, courseId, order.batch?._id || order.batch);
+
+  // Send confirmation email (don't fail the caller if email fails)
+  try {
+    const populatedOrder = await Order.findById(order._id)
+      .populate("user", "name email")
+      .populate("course", "title slug groupLink");
+
+    if (populatedOrder && populatedOrder.user && populatedOrder.user.email && populatedOrder.course) {
+      await sendCoursePurchaseConfirmation({
+        email: populatedOrder.user.email,
+        name: populatedOrder.user.name,
+        courseTitle: populatedOrder.course.title,
+        courseSlug: populatedOrder.course.slug,
+        amount: populatedOrder.amount,
+        orderId: populatedOrder._id.toString(),
+        groupLink: await resolveGroupLink(populatedOrder.course, enrollment.batch),
+        attachments: await getInvoiceAttachments("order", populatedOrder._id),
+      });
+    }
+  } catch (emailError) {
+    console.error("Error sending course purchase confirmation email:", emailError);
+  }
+
+  return enrollment;
+};
+
+/**
+ * Grant access for a course order that has just been marked as paid:
+ * creates the Enrollment (if missing), or extends it for a renewal order,
+ * and sends the confirmation email with the invoice.
+ * Subscription orders start or extend the membership instead, seats orders
+ * add to the buying organization's seat pool and gift orders send the gift code.
+ * Once access is granted, the course's instructor is credited their revenue share,
+ * and a referred order also accrues its referrer's commission.
+ * The order must already be saved with its paid status.
+ * @param {Object} order - Order document (user/course may be IDs or populated)
+ * @returns {Promise<Object>} The student's enrollment (the subscription, organization or gift for those orders)
+ */
+export const fulfillCourseOrder = async (order) => {
+  const result = await grantCourseOrder(order);
+  await recordOrderEarnings(order, "Order");
+  return result;
+};
+
+/**
+ * Grant access for a paid cart order: enrolls the student in its courses (including every course
+ * of its learning paths), assigns license keys
+ * and issues fresh download tokens for its products and, optionally, sends one confirmation
+ * email with the invoice. Once access is granted, course instructors are credited their revenue
+ * share and a referred order also accrues its referrer's commission.
+ * The order must already be saved with its paid status.
+ * @param {Object} order - DigitalOrder document
+ * @param {Object} options - { sendEmail: false } to only reissue the tokens
+ * @returns {Promise<Object>} The updated order
+ */
+export const fulfillDigitalOrder = async (order, { sendEmail = true } = {}) => {
+  const studentId = order.user?._id || order.user;
+  for (const it of order.items.filter((item) => item.itemType === "course")) {
+    await ensureEnrollment(studentId, it.course?._id || it.course);
+  }
+  for (const it of order.items.filter((item) => item.itemType === "path")) {
+    const learningPath = await LearningPath.findById(it.learningPath?._id || it.learningPath).select("courses").lean();
+    for (const courseId of learningPath?.courses || []) {
+      await ensureEnrollment(studentId, courseId);
+    }
+  }
+
+  await assignLicenseKeys(order);
+
+  order.downloadTokens = order.items.filter((item) => item.itemType === "product").map((it) => ({
+    product: it.product?._id || it.product,
+    token: crypto.randomBytes(24).toString("hex"),
+    expiresAt: new Date(Date.now() + 1000 * 60 * 60 * 24 * 7),
+  }));
+  await order.save();
+
+  await recordOrderEarnings(order, "DigitalOrder");
+
+  if (!sendEmail) return order;
+
+  // Send confirmation email (don't fail the caller if email fails)
+  try {
+    const populatedOrder = await DigitalOrder.findById(order._id).populate("user", "name email");
+
+    if (populatedOrder && populatedOrder.user && populatedOrder.user.email) {
+      await sendProductPurchaseConfirmation({
+        email: populatedOrder.user.email,
+        name: populatedOrder.user.name,
+        items: populatedOrder.items.map((item) => ({
+          title: item.titleSnapshot || "Product",
+          price: item.price || 0,
+          isCourse: item.itemType !== "product",
+          licenseKey: item.licenseKeys?.length ? item.licenseKeys.join(", ") : item.licenseKey,
+        })),
+        totalAmount: populatedOrder.amount,
+        orderId: populatedOrder._id.toString(),
+        attachments: await getInvoiceAttachments("digitalOrder", populatedOrder._id),
+      });
+    }
+  } catch (emailError) {
+    console.error("Error sending product purchase confirmation email:", emailError);
+  }
+
+  return order;
+};
+
+/**
+ * Remove a student's access to a course (used after a full refund).
+ * The enrollment is deleted and any certificate is marked as revoked so
+ * public verification no longer treats it as valid. The certificates of
+ * the learning paths containing the course are revoked too, since the
+ * path is no longer complete.
+ * @param {string} studentId - Student ID
+ * @param {string} courseId - Course ID
+ * @param {string} reason - Why access was revoked
+ * @returns {Promise<Object>} { enrollmentRemoved, certificateRevoked, pathCertificatesRevoked }
+ */
+export const revokeCourseAccess = async (studentId, courseId, reason = "") => {
+  const removedEnrollment = await Enrollment.findOneAndDelete({ student: studentId, course: courseId });
+  const certificateResult = await Certificate.updateOne(
+    { student: studentId, course: courseId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  const pathIds = await LearningPath.find({ courses: courseId }).distinct("_id");
+  const pathCertificateResult = pathIds.length > 0
+    ? await PathCertificate.updateMany(
+      { student: studentId, learningPath: { $in: pathIds }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    )
+    : { modifiedCount: 0 };
+
+  // The freed batch seat goes to the waitlist
+  if (removedEnrollment?.batch) notifyWaitlist(courseId);
+
+  return {
+    enrollmentRemoved: Boolean(removedEnrollment),
+    certificateRevoked: certificateResult.modifiedCount > 0,
+    pathCertificatesRevoked: pathCertificateResult.modifiedCount,
+  };
+};
+
+/**
+ * Whether a student has bought a course through some other paid order
+ * (a course order, or a cart order with the course or a path containing it)
+ * @param {string} studentId - Student ID
+ * @param {string} courseId - Course ID
+ * @param {string} excludeOrderId - The course or cart order being revoked
+ * @returns {Promise<boolean>}
+ */
+const hasOtherPaidCourseOrder = async (studentId, courseId, excludeOrderId) => {
+  const paidStatuses = ["paid", "partially_refunded"];
+  if (await Order.exists({
+    _id: { $ne: excludeOrderId },
+    user: studentId,
+    course: courseId,
+    purpose: { $in: ["enrollment", "renewal"] },
+    paymentStatus: { $in: paidStatuses },
+  })) {
+    return true;
+  }
+  const pathIds = await LearningPath.find({ courses: courseId }).distinct("_id");
+  return Boolean(await DigitalOrder.exists({
+    _id: { $ne: excludeOrderId },
+    user: studentId,
+    paymentStatus: "paid",
+    $or: [{ "items.course": courseId }, { "items.learningPath": { $in: pathIds } }],
+  }));
+};
+
+/**
+ * Take back what a course order granted once it is refunded in full or no longer paid.
+ * Subscription orders lose their membership period, seats orders their unused seats,
+ * a renewal only the period it added and a gift its recipient's access. Course access
+ * is kept when the student also bought the course through another paid order.
+ * @param {Object} order - Order document (user/course may be IDs or populated)
+ * @param {string} reason - Why access was revoked
+ * @returns {Promise<boolean>} Whether access was taken away (false for renewals, which only shorten it)
+ */
+export const revokeCourseOrder = async (order, reason = "") => {
+  const courseId = order.course?._id || order.course;
+  if (order.purpose === "subscription") {
+    await revokeSubscriptionOrder(order);
+    return true;
+  }
+  if (order.purpose === "seats") {
+    await removeSeatsForOrder(order);
+    return true;
+  }
+  if (order.purpose === "renewal") {
+    await revokeRenewalAccess(order);
+    return false;
+  }
+
+  // The buyer of a gift never had access; a redeemed gift loses the recipient's
+  let studentId = order.user?._id || order.user;
+  if (order.purpose === "gift") {
+    const gift = await revokeGiftOrder(order);
+    if (!gift?.redeemedBy) return true;
+    studentId = gift.redeemedBy;
+  }
+  if (await hasOtherPaidCourseOrder(studentId, courseId, order._id)) return false;
+  const result = await revokeCourseAccess(studentId, courseId, reason);
+  return result.enrollmentRemoved || order.purpose === "gift";
+};
+
+/**
+ * Remove the course access a cart order granted once it is no longer paid:
+ * its courses and the courses of its learning paths. Courses the student
+ * also bought through another paid order are kept.
+ * @param {Object} order - DigitalOrder document
+ * @param {string} reason - Why access was revoked
+ * @returns {Promise<number>} Number of courses revoked
+ */
+export const revokeDigitalOrderAccess = async (order, reason = "") => {
+  const studentId = order.user?._id || order.user;
+  const courseIds = order.items.filter((item) => item.itemType === "course").map((item) => item.course?._id || item.course);
+  for (const item of order.items.filter((entry) => entry.itemType === "path")) {
+    const learningPath = await LearningPath.findById(item.learningPath?._id || item.learningPath).select("courses").lean();
+    courseIds.push(...(learningPath?.courses || []));
+  }
+
+  let revoked = 0;
+  const seen = new Set();
+  for (const courseId of courseIds) {
+    if (seen.has(courseId.toString())) continue;
+    seen.add(courseId.toString());
+    if (await hasOtherPaidCourseOrder(studentId, courseId, order._id)) continue;
+    const result = await revokeCourseAccess(studentId, courseId, reason);
+    if (result.enrollmentRemoved) revoked += 1;
+  }
+  return revoked;
+};
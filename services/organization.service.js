@@ -0,0 +1,92 @@
+import Organization from "../models/organization.model.js";
+import OrganizationInvite from "../models/organizationInvite.model.js";
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Count the seats of a course an organization has handed out
+ * (redeemed invites and pending invites that haven't expired)
+ * @param {string} organizationId - Organization ID
+ * @param {string} courseId - Course ID
+ * @returns {Promise<number>}
+ */
+export const countUsedSeats = (organizationId, courseId) =>
+  OrganizationInvite.countDocuments({
+    organization: organizationId,
+    course: courseId,
+    $or: [{ status: "redeemed" }, { status: "pending", expiresAt: { $gt: new Date() } }],
+  });
+
+/**
+ * Create invites to seats of a course without going over the pool. The invites are
+ * inserted first and the seats counted again afterwards, so requests racing for the
+ * last seats can't all get them: on overflow this request's invites are removed again.
+ * @param {string} organizationId - Organization ID
+ * @param {Object} pool - Seat pool ({ course, total })
+ * @param {Array} invites - Invite documents to insert
+ * @returns {Promise<Array|null>} The invites, or null when there weren't enough seats
+ */
+export const reserveSeatInvites = async (organizationId, pool, invites) => {
+  const created = await OrganizationInvite.insertMany(invites);
+  if (await countUsedSeats(organizationId, pool.course) <= pool.total) return created;
+
+  await OrganizationInvite.deleteMany({ _id: { $in: created.map((invite) => invite._id) } });
+  return null;
+};
+
+/**
+ * Seat pools of an organization with their usage
+ * @param {Object} organization - Organization (seats.course may be populated)
+ * @returns {Promise<Array>} [{ course, total, used, available }]
+ */
+export const getSeatPools = (organization) =>
+  Promise.all(organization.seats.map(async (pool) => {
+    const used = await countUsedSeats(organization._id, idOf(pool.course));
+    return { course: pool.course, total: pool.total, used, available: Math.max(0, pool.total - used) };
+  }));
+
+/**
+ * Whether a user may manage an organization (its admins and site admins)
+ * @param {Object} organization - Organization
+ * @param {Object} user - User ({ _id, role })
+ * @returns {boolean}
+ */
+export const isOrganizationAdmin = (organization, user) =>
+  user?.role === "admin" || organization.admins.some((admin) => idOf(admin).toString() === user?._id.toString());
+
+/**
+ * Add the seats of a paid seats order to the organization's pool for the course
+ * @param {Object} order - Paid Order with purpose "seats"
+ * @returns {Promise<Object|null>} The organization
+ */
+export const addSeatsFromOrder = async (order) => {
+  const organizationId = idOf(order.organization);
+  const courseId = idOf(order.course);
+
+  const updated = await Organization.findOneAndUpdate(
+    { _id: organizationId, "seats.course": courseId },
+    { $inc: { "seats.$.total": order.seatCount } },
+    { new: true }
+  );
+  if (updated) return updated;
+  return Organization.findOneAndUpdate(
+    { _id: organizationId },
+    { $push: { seats: { course: courseId, total: order.seatCount } } },
+    { new: true }
+  );
+};
+
+/**
+ * Take back the seats of a refunded seats order. Seats already handed out stay with their holders.
+ * @param {Object} order - Refunded Order with purpose "seats"
+ * @returns {Promise<Object|null>} The organization
+ */
+export const removeSeatsForOrder = async (order) => {
+  const organization = await Organization.findById(idOf(order.organization));
+  const pool = organization?.seats.find((entry) => entry.course.toString() === idOf(order.course).toString());
+  if (!pool) return organization;
+
+  const used = await countUsedSeats(organization._id, pool.course);
+  pool.total = Math.max(used, pool.total - order.seatCount);
+  return organization.save();
+};
@@ -0,0 +1,162 @@
+import crypto from "crypto";
+import Order from "../models/order.model.js";
+import manualGateway from "./gateways/manual.gateway.js";
+import bkashGateway from "./gateways/bkash.gateway.js";
+import mockGateway from "./gateways/mock.gateway.js";
+import { fulfillCourseOrder } from "./order.service.js";
+import { releaseCoupon } from "./coupon.service.js";
+import { notifyWaitlist } from "./waitlist.service.js";
+
+// Registered gateway drivers. A driver implements:
+//   createPayment({ amount, invoiceNumber, payerReference, callbackUrl }) -> { paymentId, redirectUrl, raw }
+//   executePayment({ paymentId }) / queryPayment({ paymentId }) -> { status, transactionId, amount, raw }
+// where status is "completed", "pending" or "failed".
+const gateways = {
+  [manualGateway.name]: manualGateway,
+  [bkashGateway.name]: bkashGateway,
+  [mockGateway.name]: mockGateway,
+};
+
+const apiBaseUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 8900}`;
+
+const callbackSecret = () => process.env.PAYMENT_CALLBACK_SECRET || process.env.JWT_ACCESS_SECRET;
+
+/**
+ * Get an enabled gateway driver by name
+ * @param {string} name - Gateway name (manual, bkash, mock)
+ * @returns {Object|null} Driver, or null if unknown/disabled
+ */
+export const getGateway = (name) => {
+  const gateway = gateways[name];
+  return gateway && gateway.isEnabled() ? gateway : null;
+};
+
+/**
+ * List the gateways students can choose at checkout
+ * @returns {Array} [{ name, label, requiresManualDetails }]
+ */
+export const listGateways = () =>
+  Object.values(gateways)
+    .filter((gateway) => gateway.isEnabled())
+    .map(({ name, label, requiresManualDetails }) => ({ name, label, requiresManualDetails }));
+
+/**
+ * Sign an order ID so callbacks cannot be forged for someone else's order
+ * @param {string} orderId - Order ID
+ * @returns {string} Hex HMAC signature
+ */
+export const signOrderId = (orderId) =>
+  crypto.createHmac("sha256", callbackSecret()).update(String(orderId)).digest("hex");
+
+/**
+ * Check a callback signature in constant time
+ * @param {string} orderId - Order ID
+ * @param {string} signature - Signature from the callback URL
+ * @returns {boolean}
+ */
+export const verifyOrderSignature = (orderId, signature) => {
+  const expected = Buffer.from(signOrderId(orderId), "hex");
+  const received = Buffer.from(String(signature || ""), "hex");
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Start an online payment for a pending order and store the gateway payment ID on it.
+ * The signature is part of the path because gateways append their own query string.
+ * @param {Object} order - Pending Order document
+ * @param {Object} gateway - Gateway driver
+ * @returns {Promise<Object>} { paymentId, redirectUrl }
+ */
+export const startGatewayPayment = async (order, gateway) => {
+  const callbackUrl = `${apiBaseUrl()}/api/payments/${gateway.name}/callback/${order._id}/${signOrderId(order._id)}`;
+
+  const { paymentId, redirectUrl, raw } = await gateway.createPayment({
+    amount: order.amount,
+    invoiceNumber: order._id.toString(),
+    payerReference: order.user?.toString(),
+    callbackUrl,
+  });
+
+  order.gatewayPaymentId = paymentId;
+  order.gatewayResponse = { create: raw };
+  await order.save();
+
+  return { paymentId, redirectUrl };
+};
+
+/**
+ * Mark a pending gateway order as failed and give its coupon use back
+ * @param {Object} order - Order document
+ * @param {Object} raw - Gateway response to keep for audit
+ * @returns {Promise<boolean>} true if this call changed the order
+ */
+export const failGatewayPayment = async (order, raw = null) => {
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: "pending" },
+    { $set: { paymentStatus: "failed", "gatewayResponse.result": raw } },
+    { new: true }
+  );
+  if (updated) {
+    await releaseCoupon(updated.coupon);
+    // A seat held by the order goes back to the waitlist
+    if (updated.batch) notifyWaitlist(updated.course);
+  }
+  return Boolean(updated);
+};
+
+/**
+ * Confirm a gateway payment: execute it (falling back to a status query when execute
+ * is inconclusive, e.g. it was already executed), check the amount, then mark the
+ * order paid and enroll the student. Safe to call more than once for the same order.
+ * @param {Object} order - Order document with gatewayPaymentId set
+ * @param {Object} options - { execute: false } to only query (used by manual re-checks)
+ * @returns {Promise<string>} Resulting order status: "paid", "pending" or "failed"
+ */
+export const confirmGatewayPayment = async (order, { execute = true } = {}) => {
+  if (order.paymentStatus === "paid") return "paid";
+  if (order.paymentStatus !== "pending") return order.paymentStatus;
+
+  const gateway = getGateway(order.paymentGateway);
+  if (!gateway || gateway.requiresManualDetails || !order.gatewayPaymentId) {
+    throw new Error("This order was not paid through an online gateway");
+  }
+
+  let result = null;
+  if (execute) {
+    try {
+      result = await gateway.executePayment({ paymentId: order.gatewayPaymentId });
+    } catch (error) {
+      console.error(`Error executing ${gateway.name} payment:`, error.message);
+    }
+  }
+  if (!result || result.status !== "completed") {
+    result = await gateway.queryPayment({ paymentId: order.gatewayPaymentId });
+  }
+
+  if (result.status === "pending") return "pending";
+
+  if (result.status !== "completed" || (result.amount !== undefined && result.amount !== order.amount)) {
+    await failGatewayPayment(order, result.raw);
+    return "failed";
+  }
+
+  // Only one callback/verify call may move the order to paid
+  const paidOrder = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: "pending" },
+    {
+      $set: {
+        paymentStatus: "paid",
+        transactionId: result.transactionId || order.transactionId,
+        "gatewayResponse.result": result.raw,
+      },
+    },
+    { new: true }
+  );
+  if (!paidOrder) {
+    const current = await Order.findById(order._id).select("paymentStatus");
+    return current?.paymentStatus || "failed";
+  }
+
+  await fulfillCourseOrder(paidOrder);
+  return "paid";
+};
@@ -0,0 +1,68 @@
+import Course from "../models/course.model.js";
+import Enrollment from "../models/enrollment.model.js";
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * List the prerequisite courses a student still has to complete before buying a course.
+ * Admins, and students an admin waived the prerequisites for, have none missing.
+ * @param {Object} options
+ * @param {Object} [options.user] - Current user ({ _id, role }), or null for visitors
+ * @param {Object} options.course - Course with prerequisiteCourses (IDs or populated)
+ * @returns {Promise<Array>} Missing courses [{ _id, title, slug }]
+ */
+export const getMissingPrerequisites = async ({ user, course }) => {
+  const prerequisiteIds = (course.prerequisiteCourses || []).map(idOf);
+  if (prerequisiteIds.length === 0 || user?.role === "admin") return [];
+
+  if (user) {
+    const waived = await Course.exists({ _id: course._id, "prerequisiteWaivers.user": user._id });
+    if (waived) return [];
+  }
+
+  const completed = user
+    ? await Enrollment.find({ student: user._id, course: { $in: prerequisiteIds }, completed: true }).select("course").lean()
+    : [];
+  const completedIds = new Set(completed.map((enrollment) => enrollment.course.toString()));
+  const missingIds = prerequisiteIds.filter((id) => !completedIds.has(id.toString()));
+  if (missingIds.length === 0) return [];
+
+  return Course.find({ _id: { $in: missingIds } }).select("title slug").lean();
+};
+
+/**
+ * Check that a student may buy or join a course
+ * @param {Object} options - Same as getMissingPrerequisites
+ * @returns {Promise<Object>} { valid, message, missing }
+ */
+export const checkPrerequisites = async ({ user, course }) => {
+  const missing = await getMissingPrerequisites({ user, course });
+  if (missing.length === 0) return { valid: true, missing };
+  return {
+    valid: false,
+    missing,
+    message: `Please complete these courses first: ${missing.map((item) => item.title).join(", ")}`,
+  };
+};
+
+/**
+ * Whether adding the given prerequisites to a course would create a loop
+ * (a prerequisite that, directly or further down, requires the course itself)
+ * @param {string} courseId - Course being edited
+ * @param {Array} prerequisiteIds - Proposed prerequisite course IDs
+ * @returns {Promise<boolean>}
+ */
+export const createsPrerequisiteCycle = async (courseId, prerequisiteIds) => {
+  const target = courseId.toString();
+  const seen = new Set();
+  let frontier = prerequisiteIds.map((id) => id.toString());
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach((id) => seen.add(id));
+    const courses = await Course.find({ _id: { $in: frontier } }).select("prerequisiteCourses").lean();
+    frontier = [...new Set(courses.flatMap((course) => (course.prerequisiteCourses || []).map((id) => id.toString())))]
+      .filter((id) => !seen.has(id));
+  }
+  return false;
+};
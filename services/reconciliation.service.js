@@ -0,0 +1,278 @@
+import Order from "../models/order.model.js";
+import DigitalOrder from "../models/digitalOrder.model.js";
+import { fulfillCourseOrder, fulfillDigitalOrder } from "./order.service.js";
+
+const ORDER_MODELS = { Order, DigitalOrder };
+
+// Header names used by the wallet exports we have seen, normalised to lowercase letters/digits
+const COLUMN_ALIASES = {
+  transactionId: ["transactionid", "trxid", "txnid", "trxno", "transactionno", "reference"],
+  amount: ["amount", "amountbdt", "credit", "received"],
+  senderNumber: ["sender", "sendernumber", "senderno", "from", "fromnumber", "account", "wallet", "mobile", "phone"],
+  paidAt: ["timestamp", "datetime", "date", "time", "transactiondate", "createdat"],
+};
+// Column order assumed when the file has no recognisable header
+const DEFAULT_COLUMNS = ["transactionId", "amount", "senderNumber", "paidAt"];
+
+/**
+ * Split CSV text into rows of cells (handles quoted cells, escaped quotes and CRLF)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Compare phone numbers on their last 10 digits (01712..., 8801712... and the numeric paymentNumber all agree)
+const normalizePhone = (value) => String(value ?? "").replace(/\D/g, "").slice(-10);
+
+const normalizeTransactionId = (value) => String(value ?? "").trim().toUpperCase();
+
+const parseAmount = (value) => {
+  const amount = parseFloat(String(value ?? "").replace(/[^\d.-]/g, ""));
+  return Number.isFinite(amount) ? amount : undefined;
+};
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : undefined;
+};
+
+/**
+ * Read statement rows from CSV text
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} [{ row, transactionId, amount, senderNumber, paidAt }]
+ */
+export const parseStatementCsv = (text) => {
+  const rows = parseCsv(String(text || "").replace(/^\uFEFF/, ""));
+  if (rows.length === 0) return [];
+
+  // Map header cells to our fields; fall back to the default column order
+  const header = rows[0].map((cell) => cell.toLowerCase().replace(/[^a-z0-9]/g, ""));
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = header.findIndex((cell) => aliases.includes(cell));
+    if (index !== -1) columns[field] = index;
+  }
+  const hasHeader = columns.transactionId !== undefined && columns.amount !== undefined;
+  if (!hasHeader) {
+    DEFAULT_COLUMNS.forEach((field, index) => { columns[field] = index; });
+  }
+
+  return rows
+    .map((cells, index) => ({ cells, row: index + 1 }))
+    .slice(hasHeader ? 1 : 0)
+    .filter(({ cells }) => cells.some((cell) => cell !== ""))
+    .map(({ cells, row }) => ({
+      row,
+      transactionId: normalizeTransactionId(cells[columns.transactionId]),
+      amount: parseAmount(cells[columns.amount]),
+      senderNumber: columns.senderNumber !== undefined ? String(cells[columns.senderNumber] || "") : "",
+      paidAt: columns.paidAt !== undefined ? parseDate(cells[columns.paidAt]) : undefined,
+    }));
+};
+
+/**
+ * Match statement rows against pending manual-payment orders (course and digital).
+ * A row matches an order by transaction ID (amount must agree). When only the sender
+ * number + amount fit one pending order, the row is reported as a mismatch for an admin to confirm.
+ * @param {Array<Object>} rows - Output of parseStatementCsv
+ * @returns {Promise<Object>} { matches, mismatches, unknown }
+ */
+export const matchStatementRows = async (rows) => {
+  // Online gateway orders are confirmed by their callback, not by statements
+  const [pendingOrders, pendingDigitalOrders] = await Promise.all([
+    Order.find({ paymentStatus: "pending", paymentGateway: { $nin: ["bkash", "mock"] } })
+      .select("transactionId amount paymentNumber"),
+    DigitalOrder.find({ paymentStatus: "pending" }).select("transactionId amount buyerInfo.phone"),
+  ]);
+
+  const candidates = [
+    ...pendingOrders.map((order) => ({
+      orderType: "Order",
+      order,
+      transactionId: normalizeTransactionId(order.transactionId),
+      phone: normalizePhone(order.paymentNumber),
+    })),
+    ...pendingDigitalOrders.map((order) => ({
+      orderType: "DigitalOrder",
+      order,
+      transactionId: normalizeTransactionId(order.transactionId),
+      phone: normalizePhone(order.buyerInfo?.phone),
+    })),
+  ];
+  const byTransactionId = new Map(candidates.map((candidate) => [candidate.transactionId, candidate]));
+
+  // Orders that already left "pending" are reported instead of silently ignored
+  const statementIds = [...new Set(rows.map((row) => row.transactionId).filter(Boolean))];
+  const settledQuery = {
+    transactionId: { $in: [...statementIds, ...statementIds.map((id) => id.toLowerCase())] },
+    paymentStatus: { $ne: "pending" },
+  };
+  const [settledOrders, settledDigitalOrders] = await Promise.all([
+    Order.find(settledQuery).select("transactionId paymentStatus"),
+    DigitalOrder.find(settledQuery).select("transactionId paymentStatus"),
+  ]);
+  const settled = new Map([
+    ...settledOrders.map((order) => [normalizeTransactionId(order.transactionId), { orderType: "Order", order }]),
+    ...settledDigitalOrders.map((order) => [normalizeTransactionId(order.transactionId), { orderType: "DigitalOrder", order }]),
+  ]);
+
+  const matches = [];
+  const mismatches = [];
+  const unknown = [];
+  const claimedOrders = new Map(); // order ID -> statement row that matched it
+  const seenTransactionIds = new Map(); // transaction ID -> first statement row
+
+  for (const row of rows) {
+    const entry = { ...row };
+    const addMismatch = (reason, candidate, matchedBy) => mismatches.push({
+      ...entry,
+      reason,
+      orderType: candidate?.orderType,
+      order: candidate?.order._id,
+      matchedBy,
+    });
+
+    if (!row.transactionId || row.amount === undefined) {
+      unknown.push({ ...entry, reason: "Row has no transaction ID or amount" });
+      continue;
+    }
+    if (seenTransactionIds.has(row.transactionId)) {
+      addMismatch(`Duplicate transaction ID (first seen on row ${seenTransactionIds.get(row.transactionId)})`);
+      continue;
+    }
+    seenTransactionIds.set(row.transactionId, row.row);
+
+    const candidate = byTransactionId.get(row.transactionId);
+    if (!candidate) {
+      const settledOrder = settled.get(row.transactionId);
+      if (settledOrder) {
+        addMismatch(`Order is already ${settledOrder.order.paymentStatus}`, settledOrder);
+        continue;
+      }
+
+      const sender = normalizePhone(row.senderNumber);
+      const sameSender = sender
+        ? candidates.filter((c) => c.phone === sender && c.order.amount === row.amount && !claimedOrders.has(c.order._id.toString()))
+        : [];
+      if (sameSender.length > 1) {
+        addMismatch("Several pending orders match this sender number and amount");
+        continue;
+      }
+      if (sameSender.length === 0) {
+        unknown.push({ ...entry, reason: "No pending order found" });
+        continue;
+      }
+      // The buyer submitted a different transaction ID, so an admin has to confirm this one
+      addMismatch(
+        `Transaction ID differs (order has ${sameSender[0].order.transactionId}); only the sender number and amount match`,
+        sameSender[0],
+        "paymentNumber"
+      );
+      continue;
+    }
+
+    const orderId = candidate.order._id.toString();
+    if (claimedOrders.has(orderId)) {
+      addMismatch(`Order already matched by row ${claimedOrders.get(orderId)}`, candidate);
+      continue;
+    }
+    if (candidate.order.amount !== row.amount) {
+      addMismatch(`Amount differs (statement ${row.amount}, order ${candidate.order.amount})`, candidate);
+      continue;
+    }
+
+    claimedOrders.set(orderId, row.row);
+    matches.push({ ...entry, orderType: candidate.orderType, order: candidate.order._id, matchedBy: "transactionId" });
+  }
+
+  return { matches, mismatches, unknown };
+};
+
+/**
+ * Mark the matched orders of a reconciliation as paid, using the same enrollment /
+ * download-token fulfilment as the manual admin actions. Orders that are no longer
+ * pending are skipped, so applying twice is harmless. Each match is saved as soon as
+ * it is applied, and a fulfilment error is recorded on its match instead of stopping the rest.
+ * @param {Object} reconciliation - PaymentReconciliation document
+ * @param {Object} options - { rows: [row numbers] } to apply only some matches, { adminId }
+ * @returns {Promise<Object>} { paid, skipped }
+ */
+export const applyReconciliation = async (reconciliation, { rows = null, adminId } = {}) => {
+  let paid = 0;
+  let skipped = 0;
+
+  for (const match of reconciliation.matches) {
+    if (match.applied || (rows && !rows.includes(match.row))) continue;
+
+    const Model = ORDER_MODELS[match.orderType];
+    const order = await Model.findOneAndUpdate(
+      { _id: match.order, paymentStatus: "pending" },
+      { $set: { paymentStatus: "paid" } },
+      { new: true }
+    );
+    if (!order) {
+      skipped++;
+      continue;
+    }
+
+    // The order is paid from here on, whatever happens while granting access
+    match.applied = true;
+    paid++;
+    try {
+      if (match.orderType === "Order") {
+        await fulfillCourseOrder(order);
+      } else {
+        await fulfillDigitalOrder(order);
+      }
+    } catch (error) {
+      console.error(`Error fulfilling reconciled ${match.orderType} ${order._id}:`, error);
+      match.error = error.message;
+    }
+    await reconciliation.save();
+  }
+
+  reconciliation.status = "applied";
+  reconciliation.appliedAt = new Date();
+  reconciliation.appliedBy = adminId;
+  reconciliation.appliedCount = reconciliation.matches.filter((match) => match.applied).length;
+  await reconciliation.save();
+
+  return { paid, skipped };
+};
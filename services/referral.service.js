@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import User from "../models/user.model.js";
+import Commission from "../models/commission.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ATTRIBUTION_DAYS = Number(process.env.REFERRAL_ATTRIBUTION_DAYS) || 30;
+
+// No 0/O/1/I so codes survive being read out or typed by hand
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/**
+ * Commission percentage paid on referred orders (0 turns accrual off)
+ * @returns {number}
+ */
+export const getCommissionRate = () => {
+  const rate = Number(process.env.REFERRAL_COMMISSION_PERCENT ?? 10);
+  return Number.isFinite(rate) && rate > 0 ? Math.min(rate, 100) : 0;
+};
+
+/**
+ * Get a user's referral code, creating it the first time it is asked for
+ * @param {Object} user - User document
+ * @returns {Promise<string>} The referral code
+ */
+export const getReferralCode = async (user) => {
+  if (user.referralCode) return user.referralCode;
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const code = Array.from(crypto.randomBytes(8), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+    try {
+      // Only set it if another request hasn't already
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id, referralCode: { $exists: false } },
+        { $set: { referralCode: code } },
+        { new: true }
+      );
+      const referralCode = updated?.referralCode || (await User.findById(user._id).select("referralCode")).referralCode;
+      user.referralCode = referralCode;
+      return referralCode;
+    } catch (error) {
+      if (error.code !== 11000) throw error; // taken by someone else: try another code
+    }
+  }
+  throw new Error("Could not generate a referral code");
+};
+
+/**
+ * Record that a user arrived through a referral link. The latest link wins.
+ * @param {Object} user - User document of the visitor
+ * @param {string} code - Referral code from the link
+ * @returns {Promise<Object>} { valid, message, referrer }
+ */
+export const recordReferralVisit = async (user, code) => {
+  const referralCode = String(code || "").trim().toUpperCase();
+  const referrer = referralCode ? await User.findOne({ referralCode }).select("name status").lean() : null;
+  if (!referrer || referrer.status === "inactive") {
+    return { valid: false, message: "Referral code not found" };
+  }
+  if (referrer._id.equals(user._id)) {
+    return { valid: false, message: "You can't use your own referral link" };
+  }
+  await User.updateOne({ _id: user._id }, { $set: { referredBy: referrer._id, referredAt: new Date() } });
+  return { valid: true, referrer };
+};
+
+/**
+ * Referrer to record on a new order: whoever referred the buyer within the attribution window
+ * @param {Object} user - Buyer (req.user)
+ * @returns {string|undefined} Referrer user ID
+ */
+export const findReferrer = (user) => {
+  if (!user?.referredBy || !user.referredAt) return undefined;
+  if (Date.now() - new Date(user.referredAt).getTime() > ATTRIBUTION_DAYS * DAY_MS) return undefined;
+  return user.referredBy;
+};
+
+// What an order has actually brought in so far
+const netOrderAmount = (order) => Math.max(0, (order.amount || 0) - (order.refundedAmount || 0));
+
+/**
+ * Accrue the referrer's commission for an order that has just been marked as paid.
+ * Safe to call again for the same order; a reversed entry is accrued again.
+ * @param {Object} order - Order or DigitalOrder document
+ * @param {string} orderModel - "Order" or "DigitalOrder"
+ * @returns {Promise<Object|null>} The ledger entry
+ */
+export const accrueCommission = async (order, orderModel) => {
+  const rate = getCommissionRate();
+  const orderAmount = netOrderAmount(order);
+  if (!order.referrer || !rate || orderAmount <= 0) return null;
+
+  const existing = await Commission.findOne({ orderModel, order: order._id });
+  if (existing && existing.status !== "reversed") return existing;
+
+  return Commission.findOneAndUpdate(
+    { orderModel, order: order._id },
+    {
+      $set: {
+        referrer: order.referrer?._id || order.referrer,
+        buyer: order.user?._id || order.user,
+        orderAmount,
+        rate,
+        amount: Math.round(orderAmount * rate) / 100,
+        status: "accrued",
+        reversedAt: null,
+        reversedReason: "",
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Reverse the commission of an order that failed or was refunded.
+ * A partial refund only reduces it to the share of what was kept.
+ * Commissions already paid out are left for the admin to settle by hand.
+ * @param {Object} order - Order or DigitalOrder document (after its status change)
+ * @param {string} orderModel - "Order" or "DigitalOrder"
+ * @param {string} reason - Why it was reversed
+ * @returns {Promise<Object|null>} The ledger entry
+ */
+export const reverseCommission = async (order, orderModel, reason = "") => {
+  const commission = await Commission.findOne({ orderModel, order: order._id });
+  if (!commission || commission.status === "reversed") return commission;
+  if (commission.status === "paid") {
+    console.warn(`[REFERRAL] Commission ${commission._id} was already paid out; order ${order._id} is now '${order.paymentStatus}'.`);
+    return commission;
+  }
+
+  const orderAmount = netOrderAmount(order);
+  if (order.paymentStatus === "partially_refunded" && orderAmount > 0) {
+    commission.orderAmount = orderAmount;
+    commission.amount = Math.round(orderAmount * commission.rate) / 100;
+  } else {
+    commission.status = "reversed";
+    commission.reversedAt = new Date();
+    commission.reversedReason = reason;
+  }
+  return commission.save();
+};
@@ -0,0 +1,232 @@
+import Subscription from "../models/subscription.model.js";
+import Enrollment from "../models/enrollment.model.js";
+import Course from "../models/course.model.js";
+import User from "../models/user.model.js";
+import { sendSubscriptionActivatedEmail, sendSubscriptionRenewalReminderEmail } from "./email.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_DAYS = Number(process.env.SUBSCRIPTION_REMINDER_DAYS) || 5;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Membership plans that can be bought. A plan is only offered once its price is configured.
+ * @returns {Array} [{ plan, price }]
+ */
+export const getMembershipPlans = () => [
+  { plan: "monthly", price: Number(process.env.MEMBERSHIP_MONTHLY_PRICE) },
+  { plan: "yearly", price: Number(process.env.MEMBERSHIP_YEARLY_PRICE) },
+].filter((entry) => entry.price > 0);
+
+/**
+ * Add one plan period to a date
+ * @param {Date} from - Start of the period
+ * @param {string} plan - "monthly" or "yearly"
+ * @param {number} [periods] - Number of periods (negative to go back)
+ * @returns {Date}
+ */
+const addPlanPeriod = (from, plan, periods = 1) => {
+  const date = new Date(from);
+  if (plan === "yearly") date.setFullYear(date.getFullYear() + periods);
+  else date.setMonth(date.getMonth() + periods);
+  return date;
+};
+
+/**
+ * Find a user's membership if it currently grants access
+ * (cancelled memberships keep access until the paid period ends)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} The subscription
+ */
+export const findActiveSubscription = (userId) =>
+  Subscription.findOne({ user: userId, status: { $in: ["active", "cancelled"] }, currentPeriodEnd: { $gt: new Date() } });
+
+// The membership that covers a course for a student, if any
+const findCoveringSubscription = async (studentId, courseId) => {
+  const course = await Course.findById(courseId).select("includedInMembership").lean();
+  if (!course?.includedInMembership) return null;
+  return findActiveSubscription(studentId);
+};
+
+// When a member's access to their membership courses started: the drip schedule counts from it
+const membershipStart = (subscription) => subscription.currentPeriodStart || subscription.createdAt;
+
+/**
+ * Check whether a member may open a membership course, without writing anything
+ * (for requests that only read the course). The stored enrollment is returned when
+ * there is one, so the drip schedule keeps its start date; otherwise an unsaved one.
+ * @param {string} studentId - Student ID
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object|null>} The enrollment, or null when the membership doesn't cover the course
+ */
+export const findMembershipAccess = async (studentId, courseId) => {
+  const subscription = await findCoveringSubscription(studentId, courseId);
+  if (!subscription) return null;
+  return await Enrollment.findOne({ student: studentId, course: courseId })
+    || new Enrollment({
+      student: studentId,
+      course: courseId,
+      source: "membership",
+      expiresAt: subscription.currentPeriodEnd,
+      createdAt: membershipStart(subscription),
+    });
+};
+
+/**
+ * Give a member an enrollment in a membership course, lasting as long as the paid period.
+ * Progress made during an earlier membership (or an expired purchase) is kept; an expired
+ * purchase enrollment becomes a membership one so it ends with the membership.
+ * An enrollment a purchase still grants access through is never touched.
+ * A new enrollment is dated from the start of the membership, as findMembershipAccess does.
+ * @param {string} studentId - Student ID
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object|null>} The enrollment, or null when the membership doesn't cover the course
+ */
+export const findMembershipEnrollment = async (studentId, courseId) => {
+  const subscription = await findCoveringSubscription(studentId, courseId);
+  if (!subscription) return null;
+
+  try {
+    return await Enrollment.findOneAndUpdate(
+      { student: studentId, course: courseId, $or: [{ source: "membership" }, { expiresAt: { $lte: new Date() } }] },
+      {
+        $set: { source: "membership", updatedAt: new Date() },
+        $max: { expiresAt: subscription.currentPeriodEnd },
+        $setOnInsert: { createdAt: membershipStart(subscription) },
+      },
+      // Timestamps are set by hand, or createdAt would be the time of this first write
+      { upsert: true, new: true, setDefaultsOnInsert: true, timestamps: false }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // The student holds an active purchase enrollment after all
+    return Enrollment.findOne({ student: studentId, course: courseId });
+  }
+};
+
+/**
+ * Start or extend a membership after its subscription order was paid.
+ * A new period starts when the current one ends, so renewing early loses no days.
+ * @param {Object} order - Paid Order with purpose "subscription"
+ * @returns {Promise<Object>} The subscription
+ */
+export const activateSubscriptionOrder = async (order) => {
+  const userId = order.user?._id || order.user;
+  const subscription = await Subscription.findOne({ user: userId }) || new Subscription({ user: userId, plan: order.plan });
+
+  const now = new Date();
+  const isRunning = subscription.currentPeriodEnd > now && ["active", "cancelled"].includes(subscription.status);
+  if (!isRunning) subscription.currentPeriodStart = now;
+  subscription.set({
+    plan: order.plan,
+    status: "active",
+    currentPeriodEnd: addPlanPeriod(isRunning ? subscription.currentPeriodEnd : now, order.plan),
+    renewalReminderSentAt: undefined,
+    cancelledAt: undefined,
+  });
+  await subscription.save();
+
+  // Membership enrollments follow the new period end
+  await Enrollment.updateMany(
+    { student: userId, source: "membership" },
+    { $set: { expiresAt: subscription.currentPeriodEnd } }
+  );
+
+  if (!order.subscription) {
+    order.subscription = subscription._id;
+    await order.save();
+  }
+
+  // Send confirmation email (don't fail the caller if email fails)
+  try {
+    const user = await User.findById(userId).select("name email").lean();
+    if (user?.email) {
+      await sendSubscriptionActivatedEmail({
+        email: user.email,
+        name: user.name,
+        plan: subscription.plan,
+        currentPeriodEnd: subscription.currentPeriodEnd,
+        amount: order.amount,
+      });
+    }
+  } catch (emailError) {
+    console.error("Error sending subscription confirmation email:", emailError);
+  }
+
+  return subscription;
+};
+
+/**
+ * Take back the period a refunded subscription order paid for
+ * @param {Object} order - Refunded Order with purpose "subscription"
+ * @returns {Promise<Object|null>} The subscription
+ */
+export const revokeSubscriptionOrder = async (order) => {
+  const userId = order.user?._id || order.user;
+  const subscription = await Subscription.findOne({ user: userId });
+  if (!subscription?.currentPeriodEnd) return subscription;
+
+  const now = new Date();
+  const periodEnd = addPlanPeriod(subscription.currentPeriodEnd, order.plan, -1);
+  subscription.currentPeriodEnd = periodEnd > now ? periodEnd : now;
+  if (subscription.currentPeriodEnd <= now) subscription.status = "expired";
+  await subscription.save();
+
+  await Enrollment.updateMany(
+    { student: userId, source: "membership" },
+    { $set: { expiresAt: subscription.currentPeriodEnd } }
+  );
+  return subscription;
+};
+
+/**
+ * Expire finished memberships and remind members whose period ends soon (once per period)
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export const sendRenewalReminders = async () => {
+  const now = new Date();
+  await Subscription.updateMany(
+    { status: { $in: ["active", "cancelled"] }, currentPeriodEnd: { $lte: now } },
+    { $set: { status: "expired" } }
+  );
+
+  const subscriptions = await Subscription.find({
+    status: "active",
+    currentPeriodEnd: { $gt: now, $lte: new Date(now.getTime() + REMINDER_DAYS * DAY_MS) },
+    renewalReminderSentAt: null,
+  }).populate("user", "name email");
+
+  let sent = 0;
+  for (const subscription of subscriptions) {
+    // Claim the reminder first so two sweeps never email the same member
+    const claimed = await Subscription.updateOne(
+      { _id: subscription._id, renewalReminderSentAt: null },
+      { $set: { renewalReminderSentAt: now } }
+    );
+    if (claimed.modifiedCount === 0 || !subscription.user?.email) continue;
+
+    try {
+      await sendSubscriptionRenewalReminderEmail({
+        email: subscription.user.email,
+        name: subscription.user.name,
+        plan: subscription.plan,
+        currentPeriodEnd: subscription.currentPeriodEnd,
+      });
+      sent += 1;
+    } catch (emailError) {
+      console.error("Error sending subscription renewal reminder:", emailError);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Periodically expire memberships and send renewal reminders
+ * @returns {NodeJS.Timeout} The interval handle
+ */
+export const startSubscriptionSweeper = () => {
+  const timer = setInterval(() => {
+    sendRenewalReminders().catch((error) => console.error("Subscription sweep failed:", error));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
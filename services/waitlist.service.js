@@ -0,0 +1,142 @@
+import WaitlistEntry from "../models/waitlistEntry.model.js";
+import Batch from "../models/batch.model.js";
+import Course from "../models/course.model.js";
+import { countBatchSeats, getBatchAvailability } from "./batch.service.js";
+import { sendWaitlistSeatEmail } from "./email.service.js";
+
+const RESERVATION_HOURS = Number(process.env.WAITLIST_RESERVATION_HOURS) || 48;
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Release seats whose reservation ran out
+ * @param {Object} [filter] - Extra filter, e.g. { course }
+ * @returns {Promise<number>} Number of reservations expired
+ */
+const expireReservations = async (filter = {}) => {
+  const result = await WaitlistEntry.updateMany(
+    { ...filter, status: "notified", reservationExpiresAt: { $lte: new Date() } },
+    { $set: { status: "expired" } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Move one waiting entry to "notified" and email the student.
+ * The status check makes this safe when two offers run at once.
+ */
+const notifyEntry = async (entry, course, batch) => {
+  const update = { status: "notified", notifiedAt: new Date() };
+  if (batch) {
+    update.reservedBatch = batch._id;
+    update.reservationExpiresAt = new Date(Date.now() + RESERVATION_HOURS * 60 * 60 * 1000);
+  }
+
+  const notified = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: "waiting" },
+    { $set: update },
+    { new: true }
+  ).populate("user", "name email");
+  if (!notified) return false;
+
+  try {
+    if (notified.user?.email) {
+      await sendWaitlistSeatEmail({
+        email: notified.user.email,
+        name: notified.user.name,
+        courseTitle: course.title,
+        courseSlug: course.slug,
+        batchName: batch?.name,
+        batchStartDate: batch?.startDate,
+        reservedUntil: notified.reservationExpiresAt,
+      });
+    }
+  } catch (emailError) {
+    console.error("Error sending waitlist seat email:", emailError);
+  }
+  return true;
+};
+
+/**
+ * Offer open seats of a course to its waitlist, first-come first-served.
+ * Batch-run courses: each open batch holds its free seats for the next waiting students
+ * for a limited time. Self-paced courses: everyone waiting is told once the course is re-opened.
+ * @param {string} courseId - Course ID
+ * @returns {Promise<number>} Number of students notified
+ */
+export const offerWaitlistSeats = async (courseId) => {
+  await expireReservations({ course: courseId });
+
+  const course = await Course.findById(courseId).select("title slug isPublished isEnded").lean();
+  if (!course || !course.isPublished) return 0;
+
+  const queue = (filter = {}) => WaitlistEntry.find({ course: courseId, status: "waiting", ...filter }).sort({ joinedAt: 1 });
+  let notifiedCount = 0;
+
+  const batches = await Batch.find({ course: courseId, isOpen: true }).sort({ startDate: 1 }).lean();
+  if (batches.length === 0) {
+    if (course.isEnded || (await Batch.exists({ course: courseId }))) return 0;
+    for (const entry of await queue()) {
+      if (await notifyEntry(entry, course, null)) notifiedCount += 1;
+    }
+    return notifiedCount;
+  }
+
+  for (const batch of batches) {
+    const { isAcceptingEnrollments, seatsLeft } = getBatchAvailability(batch, await countBatchSeats(batch._id));
+    if (!isAcceptingEnrollments) continue;
+
+    // Students who asked for another specific batch keep waiting for that one
+    const candidates = await queue({ $or: [{ batch: null }, { batch: batch._id }] });
+    const offered = seatsLeft === null ? candidates : candidates.slice(0, seatsLeft);
+    for (const entry of offered) {
+      if (await notifyEntry(entry, course, batch)) notifiedCount += 1;
+    }
+  }
+  return notifiedCount;
+};
+
+/**
+ * Fire-and-forget version of offerWaitlistSeats for request handlers
+ * @param {string} courseId - Course ID
+ */
+export const notifyWaitlist = (courseId) => {
+  offerWaitlistSeats(courseId).catch((error) => {
+    console.error("Error offering waitlist seats:", error);
+  });
+};
+
+/**
+ * Mark a student's waitlist entry as done once they bought or joined the course
+ * @param {string} userId - Student ID
+ * @param {string} courseId - Course ID
+ */
+export const closeWaitlistEntry = async (userId, courseId) => {
+  await WaitlistEntry.updateOne(
+    { user: userId, course: courseId, status: { $in: ["waiting", "notified"] } },
+    { $set: { status: "enrolled" }, $unset: { reservationExpiresAt: "" } }
+  );
+};
+
+/**
+ * Periodically pass expired reservations on to the next students in line
+ * @returns {NodeJS.Timeout} The interval handle
+ */
+export const startWaitlistSweeper = () => {
+  const sweep = async () => {
+    try {
+      const courseIds = await WaitlistEntry.distinct("course", {
+        status: "notified",
+        reservationExpiresAt: { $lte: new Date() },
+      });
+      for (const courseId of courseIds) {
+        await offerWaitlistSeats(courseId);
+      }
+    } catch (error) {
+      console.error("Waitlist sweep failed:", error);
+    }
+  };
+
+  const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,115 @@
+import { PDFDocument, rgb, StandardFonts, degrees } from "pdf-lib";
+import cloudinary from "../config/cloudinary.js";
+import DigitalOrder from "../models/digitalOrder.model.js";
+import { getSignedFileUrl } from "./download.service.js";
+
+const SOURCE_FETCH_TIMEOUT_MS = Number(process.env.WATERMARK_FETCH_TIMEOUT_MS) || 30000;
+
+// The standard PDF fonts only cover Latin-1, so anything else (e.g. Bangla names) is replaced
+const toPdfText = (value) => String(value ?? "").replace(/[^\x20-\x7E\xA0-\xFF]/g, "?");
+
+/**
+ * Whether a product file is a PDF that can be watermarked
+ * @param {Object} file - Product file
+ * @returns {boolean}
+ */
+export const isPdfFile = (file) =>
+  String(file.format || "").toLowerCase() === "pdf" || /\.pdf$/i.test(file.name || "") || /\.pdf(\?|$)/i.test(file.url || "");
+
+/**
+ * Stamp every page with the buyer's details: a footer line and a faint diagonal mark
+ * @param {Buffer} pdfBuffer - Original PDF
+ * @param {Object} buyer - { name, email, orderId }
+ * @returns {Promise<Buffer>} Watermarked PDF
+ */
+const stampPdf = async (pdfBuffer, { name, email, orderId }) => {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true });
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const footer = toPdfText(`Licensed to ${name} <${email}> - Order #${orderId} - Do not distribute`);
+  const diagonal = toPdfText(`${name} - ${email}`);
+
+  for (const page of pdfDoc.getPages()) {
+    const { width, height } = page.getSize();
+
+    const footerSize = Math.min(8, (width - 40) / Math.max(1, font.widthOfTextAtSize(footer, 1)));
+    page.drawText(footer, { x: 20, y: 12, font, size: footerSize, color: rgb(0.45, 0.45, 0.45) });
+
+    const diagonalSize = Math.min(36, (Math.hypot(width, height) * 0.7) / Math.max(1, font.widthOfTextAtSize(diagonal, 1)));
+    const diagonalWidth = font.widthOfTextAtSize(diagonal, diagonalSize);
+    const angle = Math.atan2(height, width);
+    page.drawText(diagonal, {
+      x: width / 2 - (Math.cos(angle) * diagonalWidth) / 2,
+      y: height / 2 - (Math.sin(angle) * diagonalWidth) / 2,
+      font,
+      size: diagonalSize,
+      color: rgb(0.5, 0.5, 0.5),
+      opacity: 0.15,
+      rotate: degrees((angle * 180) / Math.PI),
+    });
+  }
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+/**
+ * Upload a watermarked copy as a private raw file
+ * @param {Buffer} buffer - PDF bytes
+ * @param {string} publicId - Public ID without folder
+ * @returns {Promise<Object>} Cloudinary upload result
+ */
+const uploadWatermarkedPdf = (buffer, publicId) =>
+  new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder: "lms/products/watermarked",
+        resource_type: "raw",
+        type: "authenticated", // only reachable through signed URLs from the download proxy
+        public_id: publicId,
+        overwrite: true,
+      },
+      (error, result) => (error ? reject(error) : resolve(result))
+    );
+    uploadStream.end(buffer);
+  });
+
+/**
+ * Get a short-lived signed URL for the buyer's watermarked copy of a PDF file.
+ * Copies are cached per order item and file; they are regenerated when the source file changes.
+ * @param {Object} options - { order, product, file, fileIndex } (order with user populated)
+ * @returns {Promise<string>} Signed download URL
+ */
+export const getWatermarkedFileUrl = async ({ order, product, file, fileIndex }) => {
+  const item = order.items.find((it) => it.product?.toString() === product._id.toString());
+  const cached = item?.watermarkedFiles?.find((copy) => copy.fileIndex === fileIndex && copy.sourceUrl === file.url);
+  if (cached) {
+    return getSignedFileUrl({ publicId: cached.publicId, resourceType: "raw", type: "authenticated" });
+  }
+
+  // A hung file host would otherwise hold the download request open
+  const response = await fetch(getSignedFileUrl(file), { signal: AbortSignal.timeout(SOURCE_FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Could not fetch source file (${response.status})`);
+  }
+
+  const stamped = await stampPdf(Buffer.from(await response.arrayBuffer()), {
+    name: order.buyerInfo?.name || order.user?.name || "",
+    email: order.buyerInfo?.email || order.user?.email || "",
+    orderId: order._id.toString(),
+  });
+  const upload = await uploadWatermarkedPdf(stamped, `${order._id}-${product._id}-${fileIndex}.pdf`);
+
+  // Replace any stale copy of this file on the order item
+  const itemFilter = { arrayFilters: [{ "item.product": product._id }] };
+  await DigitalOrder.updateOne(
+    { _id: order._id },
+    { $pull: { "items.$[item].watermarkedFiles": { fileIndex } } },
+    itemFilter
+  );
+  await DigitalOrder.updateOne(
+    { _id: order._id },
+    { $push: { "items.$[item].watermarkedFiles": { fileIndex, sourceUrl: file.url, publicId: upload.public_id } } },
+    itemFilter
+  );
+
+  return getSignedFileUrl({ publicId: upload.public_id, resourceType: "raw", type: "authenticated" });
+};
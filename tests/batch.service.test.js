@@ -0,0 +1,78 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Batch from "../models/batch.model.js";
+import Enrollment from "../models/enrollment.model.js";
+import Order from "../models/order.model.js";
+import WaitlistEntry from "../models/waitlistEntry.model.js";
+import { getBatchAvailability, validateBatchChoice, isBatchOverbooked } from "../services/batch.service.js";
+import { objectId } from "./helpers.js";
+
+// Seats taken by enrolled students, pending orders and waitlist reservations
+const mockSeats = ({ enrolled = 0, pending = 0, reserved = 0 }) => {
+  mock.method(Enrollment, "countDocuments", async () => enrolled);
+  mock.method(Order, "countDocuments", async () => pending);
+  mock.method(WaitlistEntry, "countDocuments", async () => reserved);
+};
+
+describe("getBatchAvailability", () => {
+  const now = new Date("2026-02-01");
+
+  it("counts the seats left", () => {
+    const availability = getBatchAvailability({ isOpen: true, capacity: 30 }, 12, now);
+    assert.deepEqual(availability, { isAcceptingEnrollments: true, seatsTaken: 12, seatsLeft: 18, reason: "" });
+  });
+
+  it("closes a full batch, a closed batch and one past its deadline", () => {
+    assert.equal(getBatchAvailability({ isOpen: true, capacity: 30 }, 31, now).reason, "This batch is full");
+    assert.equal(getBatchAvailability({ isOpen: false }, 0, now).reason, "Enrollment for this batch is closed");
+    assert.equal(
+      getBatchAvailability({ isOpen: true, startDate: new Date("2026-01-15") }, 0, now).reason,
+      "The enrollment deadline for this batch has passed"
+    );
+  });
+});
+
+describe("validateBatchChoice", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("needs no batch for a self-paced course", async () => {
+    mock.method(Batch, "exists", async () => null);
+    assert.deepEqual(await validateBatchChoice({ courseId: objectId() }), { valid: true, batch: null });
+  });
+
+  it("rejects a full batch but not the student's own reserved seat", async () => {
+    const batch = { _id: objectId(), isOpen: true, capacity: 2 };
+    const userId = objectId();
+    mock.method(Batch, "exists", async () => ({ _id: batch._id }));
+    mock.method(Batch, "findOne", async () => batch);
+    mockSeats({ enrolled: 1, reserved: 1 });
+
+    const full = await validateBatchChoice({ courseId: objectId(), batchId: batch._id.toString() });
+    assert.deepEqual(full, { valid: false, message: "This batch is full" });
+
+    mock.method(WaitlistEntry, "countDocuments", async (filter) => (filter.user ? 0 : 1));
+    const reserved = await validateBatchChoice({ courseId: objectId(), batchId: batch._id.toString(), userId });
+    assert.deepEqual(reserved, { valid: true, batch });
+    assert.deepEqual(WaitlistEntry.countDocuments.mock.calls[0].arguments[0].user, { $ne: userId });
+  });
+});
+
+describe("isBatchOverbooked", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("allows the order that takes the last seat", async () => {
+    mockSeats({ enrolled: 9, pending: 1 });
+    assert.equal(await isBatchOverbooked({ _id: objectId(), capacity: 10 }), false);
+  });
+
+  it("catches a student who raced for the last seat", async () => {
+    mockSeats({ enrolled: 9, pending: 2 });
+    assert.equal(await isBatchOverbooked({ _id: objectId(), capacity: 10 }), true);
+  });
+
+  it("never overbooks a batch without a capacity", async () => {
+    mockSeats({ enrolled: 500 });
+    assert.equal(await isBatchOverbooked({ _id: objectId() }), false);
+    assert.equal(await isBatchOverbooked(null), false);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Coupon from "../models/coupon.model.js";
+import Order from "../models/order.model.js";
+import DigitalOrder from "../models/digitalOrder.model.js";
+import { validateCoupon, exceedsPerUserLimit } from "../services/coupon.service.js";
+import { objectId } from "./helpers.js";
+
+const courseId = objectId();
+const otherCourseId = objectId();
+
+const makeCoupon = (overrides = {}) => new Coupon({
+  code: "SAVE20",
+  discountType: "percentage",
+  value: 20,
+  perUserLimit: 1,
+  isActive: true,
+  ...overrides,
+});
+
+// Past uses of the coupon by the buyer: course orders + cart orders
+const mockUses = (courseUses, productUses = 0) => {
+  mock.method(Order, "countDocuments", async () => courseUses);
+  mock.method(DigitalOrder, "countDocuments", async () => productUses);
+};
+
+describe("validateCoupon", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("computes a percentage discount capped by maxDiscount", async () => {
+    mock.method(Coupon, "findOne", async () => makeCoupon({ maxDiscount: 150 }));
+    mockUses(0);
+
+    const result = await validateCoupon({ code: " save20 ", userId: objectId(), items: [{ course: courseId, amount: 1000 }] });
+    assert.equal(result.valid, true);
+    assert.equal(result.discount, 150);
+  });
+
+  it("never discounts more than the eligible amount", async () => {
+    mock.method(Coupon, "findOne", async () => makeCoupon({ discountType: "fixed", value: 500, courses: [courseId] }));
+    mockUses(0);
+
+    const result = await validateCoupon({
+      code: "SAVE20",
+      userId: objectId(),
+      items: [{ course: courseId, amount: 300 }, { course: otherCourseId, amount: 1000 }],
+    });
+    assert.equal(result.discount, 300);
+  });
+
+  it("rejects a coupon that reached its usage limit", async () => {
+    mock.method(Coupon, "findOne", async () => makeCoupon({ usageLimit: 10, usedCount: 10 }));
+    mockUses(0);
+
+    const result = await validateCoupon({ code: "SAVE20", userId: objectId(), items: [{ course: courseId, amount: 1000 }] });
+    assert.deepEqual(result, { valid: false, message: "This coupon has reached its usage limit" });
+  });
+
+  it("counts pending and paid orders of both kinds towards the per-user limit", async () => {
+    mock.method(Coupon, "findOne", async () => makeCoupon({ perUserLimit: 2 }));
+    mockUses(1, 1);
+
+    const userId = objectId();
+    const result = await validateCoupon({ code: "SAVE20", userId, items: [{ course: courseId, amount: 1000 }] });
+    assert.deepEqual(result, { valid: false, message: "You have already used this coupon" });
+
+    const [filter] = Order.countDocuments.mock.calls[0].arguments;
+    assert.equal(filter.user, userId);
+    assert.deepEqual(filter.paymentStatus, { $in: ["pending", "paid"] });
+  });
+
+  it("rejects items outside the coupon's scope", async () => {
+    mock.method(Coupon, "findOne", async () => makeCoupon({ courses: [courseId] }));
+    mockUses(0);
+
+    const result = await validateCoupon({ code: "SAVE20", userId: objectId(), items: [{ course: otherCourseId, amount: 1000 }] });
+    assert.equal(result.valid, false);
+    assert.equal(result.message, "This coupon does not apply to the selected items");
+  });
+});
+
+describe("exceedsPerUserLimit", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("allows the order that brings the buyer up to the limit", async () => {
+    mockUses(1);
+    assert.equal(await exceedsPerUserLimit(makeCoupon({ perUserLimit: 1 }), objectId()), false);
+  });
+
+  it("catches a parallel checkout that went over the limit", async () => {
+    mockUses(1, 1);
+    assert.equal(await exceedsPerUserLimit(makeCoupon({ perUserLimit: 1 }), objectId()), true);
+  });
+});
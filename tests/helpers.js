@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// The tests run without a database: model methods are replaced with node:test mocks,
+// and query chains (find().select().lean() ...) resolve to the given result.
+
+/**
+ * Stand-in for a Mongoose query that resolves to a fixed result
+ * @param {*} result - What awaiting the query gives
+ * @returns {Object} Chainable, awaitable query
+ */
+export const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  for (const method of ["select", "lean", "sort", "populate", "limit", "distinct"]) {
+    chain[method] = () => chain;
+  }
+  return chain;
+};
+
+/**
+ * New ObjectId, optionally from a 24-character hex string
+ * @param {string} [hex]
+ * @returns {mongoose.Types.ObjectId}
+ */
+export const objectId = (hex) => new mongoose.Types.ObjectId(hex);
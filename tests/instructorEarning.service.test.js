@@ -0,0 +1,89 @@
+import { describe, it, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Course from "../models/course.model.js";
+import User from "../models/user.model.js";
+import InstructorEarning from "../models/instructorEarning.model.js";
+import { syncInstructorEarnings } from "../services/instructorEarning.service.js";
+import { query, objectId } from "./helpers.js";
+
+const courseId = objectId();
+const instructorId = objectId();
+
+const makeOrder = (overrides = {}) => ({
+  _id: objectId(),
+  purpose: "enrollment",
+  course: courseId,
+  amount: 1000,
+  refundedAmount: 0,
+  paymentStatus: "paid",
+  ...overrides,
+});
+
+const saleEntry = { instructor: instructorId, sequence: 0, grossAmount: 1000, sharePercent: 60, amount: 600 };
+
+describe("syncInstructorEarnings", () => {
+  beforeEach(() => {
+    mock.method(Course, "findById", () => query({ _id: courseId, instructor: instructorId, revenueSharePercent: 60 }));
+    mock.method(User, "findById", () => query({ _id: instructorId }));
+    mock.method(InstructorEarning, "create", async (entry) => entry);
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("credits the instructor's share of a sale as the first entry", async () => {
+    mock.method(InstructorEarning, "find", () => query([]));
+
+    const [entry] = await syncInstructorEarnings(makeOrder(), "Order", "Course sale");
+    assert.equal(entry.instructor, instructorId);
+    assert.equal(entry.sequence, 0);
+    assert.equal(entry.type, "sale");
+    assert.equal(entry.grossAmount, 1000);
+    assert.equal(entry.sharePercent, 60);
+    assert.equal(entry.amount, 600);
+  });
+
+  it("takes back the refunded part at the rate of the sale", async () => {
+    mock.method(InstructorEarning, "find", () => query([saleEntry]));
+
+    const [entry] = await syncInstructorEarnings(makeOrder({ paymentStatus: "partially_refunded", refundedAmount: 250 }), "Order");
+    assert.equal(entry.sequence, 1);
+    assert.equal(entry.type, "refund");
+    assert.equal(entry.grossAmount, -250);
+    assert.equal(entry.amount, -150);
+    assert.equal(Course.findById.mock.callCount(), 0);
+  });
+
+  it("adds nothing when the ledger already matches the order", async () => {
+    mock.method(InstructorEarning, "find", () => query([saleEntry]));
+
+    assert.deepEqual(await syncInstructorEarnings(makeOrder(), "Order"), []);
+    assert.equal(InstructorEarning.create.mock.callCount(), 0);
+  });
+
+  it("starts over when a parallel request took the sequence number", async () => {
+    // The other request recorded the refund, so this one has nothing left to add
+    const refundEntry = { ...saleEntry, sequence: 1, grossAmount: -1000, amount: -600 };
+    const ledgers = [[saleEntry], [saleEntry, refundEntry]];
+    mock.method(InstructorEarning, "find", () => query(ledgers.shift()));
+    mock.method(InstructorEarning, "create", async () => {
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    });
+
+    assert.deepEqual(await syncInstructorEarnings(makeOrder({ paymentStatus: "refunded" }), "Order"), []);
+    assert.equal(InstructorEarning.find.mock.callCount(), 2);
+  });
+
+  it("gives up on other errors", async () => {
+    mock.method(InstructorEarning, "find", () => query([]));
+    mock.method(InstructorEarning, "create", async () => {
+      throw new Error("connection lost");
+    });
+
+    await assert.rejects(syncInstructorEarnings(makeOrder(), "Order"), /connection lost/);
+  });
+
+  it("earns nothing on membership orders", async () => {
+    mock.method(InstructorEarning, "find", () => query([]));
+    assert.deepEqual(await syncInstructorEarnings(makeOrder({ purpose: "subscription", course: null }), "Order"), []);
+    assert.equal(InstructorEarning.find.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Order from "../models/order.model.js";
+import DigitalOrder from "../models/digitalOrder.model.js";
+import Enrollment from "../models/enrollment.model.js";
+import Certificate from "../models/certificate.model.js";
+import LearningPath from "../models/learningPath.model.js";
+import Gift from "../models/gift.model.js";
+import { revokeCourseOrder } from "../services/order.service.js";
+import { query, objectId } from "./helpers.js";
+
+const studentId = objectId();
+const courseId = objectId();
+
+const makeOrder = (overrides = {}) => ({ _id: objectId(), user: studentId, course: courseId, purpose: "enrollment", ...overrides });
+
+// Other paid orders of the student for the course
+const mockOtherOrders = ({ courseOrder = false, cartOrder = false } = {}) => {
+  mock.method(Order, "exists", async () => (courseOrder ? { _id: objectId() } : null));
+  mock.method(DigitalOrder, "exists", async () => (cartOrder ? { _id: objectId() } : null));
+};
+
+describe("revokeCourseOrder", () => {
+  beforeEach(() => {
+    mock.method(LearningPath, "find", () => query([]));
+    mock.method(Enrollment, "findOneAndDelete", async () => ({ _id: objectId() }));
+    mock.method(Certificate, "updateOne", async () => ({ modifiedCount: 0 }));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("removes the enrollment of a refunded course order", async () => {
+    mockOtherOrders();
+    const order = makeOrder();
+
+    assert.equal(await revokeCourseOrder(order, "Order refunded"), true);
+    assert.deepEqual(Enrollment.findOneAndDelete.mock.calls[0].arguments[0], { student: studentId, course: courseId });
+    // The refunded order itself doesn't count as another purchase
+    assert.deepEqual(Order.exists.mock.calls[0].arguments[0]._id, { $ne: order._id });
+    assert.deepEqual(DigitalOrder.exists.mock.calls[0].arguments[0]._id, { $ne: order._id });
+  });
+
+  it("keeps access the student also paid for with another course order", async () => {
+    mockOtherOrders({ courseOrder: true });
+
+    assert.equal(await revokeCourseOrder(makeOrder(), "Order refunded"), false);
+    assert.equal(Enrollment.findOneAndDelete.mock.callCount(), 0);
+  });
+
+  it("keeps access the student also paid for in a cart order", async () => {
+    mockOtherOrders({ cartOrder: true });
+
+    assert.equal(await revokeCourseOrder(makeOrder({ user: { _id: studentId }, course: { _id: courseId } }), "Order refunded"), false);
+    assert.equal(Enrollment.findOneAndDelete.mock.callCount(), 0);
+  });
+
+  it("only takes back the period a refunded renewal added", async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const enrollment = { expiresAt: new Date("2026-03-01"), save: mock.fn(async function () { return this; }) };
+    mock.method(Enrollment, "findOne", async () => enrollment);
+    mockOtherOrders();
+    const from = new Date("2026-01-01");
+
+    const order = makeOrder({ purpose: "renewal", renewedAccess: { from, to: new Date(from.getTime() + 30 * day) } });
+    assert.equal(await revokeCourseOrder(order, "Order refunded"), false);
+    assert.equal(enrollment.expiresAt.getTime(), new Date("2026-03-01").getTime() - 30 * day);
+    assert.equal(Enrollment.findOneAndDelete.mock.callCount(), 0);
+  });
+
+  it("takes a redeemed gift away from its recipient", async () => {
+    const recipientId = objectId();
+    mock.method(Gift, "findOneAndUpdate", async () => ({ redeemedBy: recipientId }));
+    mockOtherOrders();
+
+    assert.equal(await revokeCourseOrder(makeOrder({ purpose: "gift" }), "Order refunded"), true);
+    assert.equal(Enrollment.findOneAndDelete.mock.calls[0].arguments[0].student, recipientId);
+  });
+
+  it("only revokes the code of a gift nobody redeemed", async () => {
+    mock.method(Gift, "findOneAndUpdate", async () => ({ redeemedBy: null }));
+    mockOtherOrders();
+
+    assert.equal(await revokeCourseOrder(makeOrder({ purpose: "gift" }), "Order refunded"), true);
+    assert.deepEqual(Gift.findOneAndUpdate.mock.calls[0].arguments[1], { $set: { status: "revoked" } });
+    assert.equal(Enrollment.findOneAndDelete.mock.callCount(), 0);
+  });
+});
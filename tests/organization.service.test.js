@@ -0,0 +1,32 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import OrganizationInvite from "../models/organizationInvite.model.js";
+import { reserveSeatInvites } from "../services/organization.service.js";
+import { objectId } from "./helpers.js";
+
+describe("reserveSeatInvites", () => {
+  afterEach(() => mock.restoreAll());
+
+  const pool = { course: objectId(), total: 5 };
+  const invites = [{ email: "a@example.com" }, { email: "b@example.com" }];
+
+  it("keeps invites that fit in the pool", async () => {
+    const created = invites.map((invite) => ({ ...invite, _id: objectId() }));
+    mock.method(OrganizationInvite, "insertMany", async () => created);
+    mock.method(OrganizationInvite, "countDocuments", async () => 5);
+    mock.method(OrganizationInvite, "deleteMany", async () => ({}));
+
+    assert.equal(await reserveSeatInvites(objectId(), pool, invites), created);
+    assert.equal(OrganizationInvite.deleteMany.mock.callCount(), 0);
+  });
+
+  it("takes its invites back when a parallel request used the seats", async () => {
+    const created = invites.map((invite) => ({ ...invite, _id: objectId() }));
+    mock.method(OrganizationInvite, "insertMany", async () => created);
+    mock.method(OrganizationInvite, "countDocuments", async () => 6);
+    mock.method(OrganizationInvite, "deleteMany", async () => ({}));
+
+    assert.equal(await reserveSeatInvites(objectId(), pool, invites), null);
+    assert.deepEqual(OrganizationInvite.deleteMany.mock.calls[0].arguments[0], { _id: { $in: created.map((invite) => invite._id) } });
+  });
+});
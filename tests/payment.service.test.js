@@ -0,0 +1,65 @@
+import { describe, it, mock, before, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Order from "../models/order.model.js";
+import mockGateway from "../services/gateways/mock.gateway.js";
+import { signOrderId, verifyOrderSignature, confirmGatewayPayment } from "../services/payment.service.js";
+import { query, objectId } from "./helpers.js";
+
+before(() => {
+  process.env.PAYMENT_CALLBACK_SECRET = "test-callback-secret";
+  process.env.PAYMENT_ENABLE_MOCK = "true";
+});
+
+describe("callback signatures", () => {
+  it("accepts the signature of the order", () => {
+    const orderId = objectId();
+    assert.equal(verifyOrderSignature(orderId, signOrderId(orderId)), true);
+  });
+
+  it("rejects another order's signature and malformed ones", () => {
+    const orderId = objectId();
+    assert.equal(verifyOrderSignature(orderId, signOrderId(objectId())), false);
+    assert.equal(verifyOrderSignature(orderId, "abc"), false);
+    assert.equal(verifyOrderSignature(orderId, undefined), false);
+  });
+});
+
+describe("confirmGatewayPayment", () => {
+  afterEach(() => mock.restoreAll());
+
+  const pendingOrder = async (amount, paidAmount = amount) => {
+    const { paymentId } = await mockGateway.createPayment({ amount: paidAmount, invoiceNumber: "test", callbackUrl: "" });
+    return { _id: objectId(), amount, paymentStatus: "pending", paymentGateway: "mock", gatewayPaymentId: paymentId };
+  };
+
+  it("fails the order when the gateway took a different amount", async () => {
+    mock.method(Order, "findOneAndUpdate", async () => ({ coupon: null, batch: null }));
+    const order = await pendingOrder(1500, 15);
+
+    assert.equal(await confirmGatewayPayment(order), "failed");
+    const [filter, update] = Order.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: order._id, paymentStatus: "pending" });
+    assert.equal(update.$set.paymentStatus, "failed");
+  });
+
+  it("only marks a pending order as paid", async () => {
+    // Another callback for the same payment got there first
+    mock.method(Order, "findOneAndUpdate", async () => null);
+    mock.method(Order, "findById", () => query({ paymentStatus: "paid" }));
+    const order = await pendingOrder(1500);
+
+    assert.equal(await confirmGatewayPayment(order), "paid");
+    const [filter, update] = Order.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: order._id, paymentStatus: "pending" });
+    assert.equal(update.$set.paymentStatus, "paid");
+    assert.match(update.$set.transactionId, /^MTX/);
+  });
+
+  it("leaves the order pending while the payment isn't completed", async () => {
+    mock.method(Order, "findOneAndUpdate", async () => null);
+    const order = await pendingOrder(1500);
+
+    assert.equal(await confirmGatewayPayment(order, { execute: false }), "pending");
+    assert.equal(Order.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Order from "../models/order.model.js";
+import DigitalOrder from "../models/digitalOrder.model.js";
+import { parseStatementCsv, matchStatementRows, applyReconciliation } from "../services/reconciliation.service.js";
+import { query, objectId } from "./helpers.js";
+
+describe("parseStatementCsv", () => {
+  it("reads a statement with a recognised header", () => {
+    const rows = parseStatementCsv("﻿TrxID,Amount (BDT),Sender No,Date\r\nabc123,\"1,500.00\",+8801712345678,2026-01-05\r\n,,,\r\n");
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].row, 2);
+    assert.equal(rows[0].transactionId, "ABC123");
+    assert.equal(rows[0].amount, 1500);
+    assert.equal(rows[0].senderNumber, "+8801712345678");
+    assert.equal(rows[0].paidAt.toISOString().slice(0, 10), "2026-01-05");
+  });
+
+  it("falls back to the default column order without a header", () => {
+    const [row] = parseStatementCsv("TX9,250,01712345678");
+    assert.equal(row.row, 1);
+    assert.equal(row.transactionId, "TX9");
+    assert.equal(row.amount, 250);
+    assert.equal(row.paidAt, undefined);
+  });
+});
+
+describe("matchStatementRows", () => {
+  afterEach(() => mock.restoreAll());
+
+  // Pending orders, and orders that have already left "pending"
+  const mockOrders = ({ pending = [], settled = [] }) => {
+    mock.method(Order, "find", (filter) => query(filter.paymentStatus === "pending" ? pending : settled));
+    mock.method(DigitalOrder, "find", () => query([]));
+  };
+
+  const row = (overrides) => ({ row: 2, transactionId: "TX1", amount: 500, senderNumber: "", ...overrides });
+
+  it("matches a row by transaction ID and amount", async () => {
+    const order = { _id: objectId(), transactionId: "tx1", amount: 500, paymentNumber: "01712345678" };
+    mockOrders({ pending: [order] });
+
+    const { matches, mismatches, unknown } = await matchStatementRows([row()]);
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].order, order._id);
+    assert.equal(matches[0].orderType, "Order");
+    assert.equal(matches[0].matchedBy, "transactionId");
+    assert.deepEqual([mismatches, unknown], [[], []]);
+  });
+
+  it("reports a different amount and a repeated transaction ID", async () => {
+    const order = { _id: objectId(), transactionId: "TX1", amount: 500 };
+    mockOrders({ pending: [order] });
+
+    const { matches, mismatches } = await matchStatementRows([row({ amount: 50 }), row({ row: 3 })]);
+    assert.equal(matches.length, 0);
+    assert.deepEqual(mismatches.map((entry) => entry.reason), [
+      "Amount differs (statement 50, order 500)",
+      "Duplicate transaction ID (first seen on row 2)",
+    ]);
+  });
+
+  it("leaves a sender number and amount match for an admin to confirm", async () => {
+    const order = { _id: objectId(), transactionId: "OTHER", amount: 500, paymentNumber: "1712345678" };
+    mockOrders({ pending: [order] });
+
+    const { matches, mismatches } = await matchStatementRows([row({ senderNumber: "+880 1712-345678" })]);
+    assert.equal(matches.length, 0);
+    assert.equal(mismatches.length, 1);
+    assert.equal(mismatches[0].order, order._id);
+    assert.equal(mismatches[0].matchedBy, "paymentNumber");
+  });
+
+  it("reports orders that are no longer pending and rows without an order", async () => {
+    mockOrders({ settled: [{ _id: objectId(), transactionId: "TX1", paymentStatus: "paid" }] });
+
+    const { mismatches, unknown } = await matchStatementRows([row(), row({ row: 3, transactionId: "TX2" }), row({ row: 4, amount: undefined })]);
+    assert.deepEqual(mismatches.map((entry) => entry.reason), ["Order is already paid"]);
+    assert.deepEqual(unknown.map((entry) => entry.reason), ["No pending order found", "Row has no transaction ID or amount"]);
+  });
+});
+
+describe("applyReconciliation", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("skips matches whose order was settled in the meantime", async () => {
+    mock.method(Order, "findOneAndUpdate", async () => null);
+    const reconciliation = {
+      matches: [{ row: 2, orderType: "Order", order: objectId(), applied: false }, { row: 3, orderType: "Order", order: objectId(), applied: true }],
+      save: mock.fn(async () => {}),
+    };
+
+    assert.deepEqual(await applyReconciliation(reconciliation, { adminId: objectId() }), { paid: 0, skipped: 1 });
+    assert.deepEqual(Order.findOneAndUpdate.mock.calls[0].arguments[0], { _id: reconciliation.matches[0].order, paymentStatus: "pending" });
+    assert.equal(reconciliation.status, "applied");
+    assert.equal(reconciliation.appliedCount, 1);
+  });
+});
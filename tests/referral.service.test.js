@@ -0,0 +1,104 @@
+import { describe, it, mock, before, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Commission from "../models/commission.model.js";
+import { accrueCommission, reverseCommission } from "../services/referral.service.js";
+import { objectId } from "./helpers.js";
+
+before(() => {
+  process.env.REFERRAL_COMMISSION_PERCENT = "10";
+});
+
+const makeOrder = (overrides = {}) => ({
+  _id: objectId(),
+  user: objectId(),
+  referrer: objectId(),
+  amount: 1200,
+  refundedAmount: 0,
+  paymentStatus: "paid",
+  ...overrides,
+});
+
+const makeCommission = (overrides = {}) => ({
+  _id: objectId(),
+  status: "accrued",
+  rate: 10,
+  orderAmount: 1200,
+  amount: 120,
+  save: mock.fn(async function () { return this; }),
+  ...overrides,
+});
+
+describe("accrueCommission", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("accrues the rate on what the order brought in", async () => {
+    const order = makeOrder({ refundedAmount: 200 });
+    mock.method(Commission, "findOne", async () => null);
+    mock.method(Commission, "findOneAndUpdate", async (filter, update) => update.$set);
+
+    const entry = await accrueCommission(order, "Order");
+    assert.deepEqual(Commission.findOneAndUpdate.mock.calls[0].arguments[0], { orderModel: "Order", order: order._id });
+    assert.equal(entry.referrer, order.referrer);
+    assert.equal(entry.orderAmount, 1000);
+    assert.equal(entry.amount, 100);
+    assert.equal(entry.status, "accrued");
+  });
+
+  it("doesn't accrue twice for the same order", async () => {
+    const existing = makeCommission();
+    mock.method(Commission, "findOne", async () => existing);
+    mock.method(Commission, "findOneAndUpdate", async () => null);
+
+    assert.equal(await accrueCommission(makeOrder(), "Order"), existing);
+    assert.equal(Commission.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it("accrues a reversed commission again", async () => {
+    mock.method(Commission, "findOne", async () => makeCommission({ status: "reversed" }));
+    mock.method(Commission, "findOneAndUpdate", async (filter, update) => update.$set);
+
+    const entry = await accrueCommission(makeOrder(), "DigitalOrder");
+    assert.equal(entry.status, "accrued");
+    assert.equal(entry.reversedAt, null);
+  });
+
+  it("skips orders without a referrer", async () => {
+    mock.method(Commission, "findOne", async () => null);
+    assert.equal(await accrueCommission(makeOrder({ referrer: null }), "Order"), null);
+    assert.equal(Commission.findOne.mock.callCount(), 0);
+  });
+});
+
+describe("reverseCommission", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("reverses the commission of a refunded order", async () => {
+    const commission = makeCommission();
+    mock.method(Commission, "findOne", async () => commission);
+
+    await reverseCommission(makeOrder({ paymentStatus: "refunded", refundedAmount: 1200 }), "Order", "Order refunded");
+    assert.equal(commission.status, "reversed");
+    assert.equal(commission.reversedReason, "Order refunded");
+    assert.equal(commission.save.mock.callCount(), 1);
+  });
+
+  it("reduces the commission to the kept share on a partial refund", async () => {
+    const commission = makeCommission();
+    mock.method(Commission, "findOne", async () => commission);
+
+    await reverseCommission(makeOrder({ paymentStatus: "partially_refunded", refundedAmount: 300 }), "Order");
+    assert.equal(commission.status, "accrued");
+    assert.equal(commission.orderAmount, 900);
+    assert.equal(commission.amount, 90);
+  });
+
+  it("leaves a commission that was already paid out", async (t) => {
+    const commission = makeCommission({ status: "paid" });
+    mock.method(Commission, "findOne", async () => commission);
+    t.mock.method(console, "warn", () => {});
+
+    await reverseCommission(makeOrder({ paymentStatus: "refunded" }), "Order");
+    assert.equal(commission.status, "paid");
+    assert.equal(commission.save.mock.callCount(), 0);
+  });
+});